@@ -27,6 +27,7 @@ export * from '@pixi/sprite-tiling';
 export * from '@pixi/spritesheet';
 export * from '@pixi/text';
 export * from '@pixi/text-bitmap';
+export * from '@pixi/tween';
 
 // Export adapter
 export * from './adapter';
@@ -30,3 +30,4 @@ export * from '@pixi/spritesheet';
 export * from '@pixi/text';
 export * from '@pixi/text-bitmap';
 export * from '@pixi/text-html';
+export * from '@pixi/tween';
@@ -2,6 +2,7 @@ import { extensions, ExtensionType, utils } from '@pixi/core';
 import { BackgroundLoader } from './BackgroundLoader';
 import { Cache } from './cache/Cache';
 import { Loader } from './loader/Loader';
+import { LoadProgressTracker } from './loader/LoadProgressTracker';
 import { loadTextures } from './loader/parsers';
 import { Resolver } from './resolver/Resolver';
 import { convertToList } from './utils/convertToList';
@@ -9,17 +10,33 @@ import { isSingleItem } from './utils/isSingleItem';
 
 import type { FormatDetectionParser } from './detections';
 import type { LoadTextureConfig } from './loader/parsers';
+import type { AssetStorage } from './loader/storage';
+import type { LoaderRetryConfig, LoadOptions } from './loader/types';
 import type { BundleIdentifierOptions } from './resolver/Resolver';
 import type { ArrayOr, AssetsBundle, AssetsManifest, LoadParserName, ResolvedAsset, UnresolvedAsset } from './types';
 
 export type ProgressCallback = (progress: number) => void;
 
+/**
+ * Options for loading assets with {@link PIXI.Assets.load} and {@link PIXI.Assets.loadBundle}.
+ * @memberof PIXI
+ */
+export interface AssetsLoadOptions extends LoadOptions
+{
+    /**
+     * Identifies who retains the loaded assets. Assets are only destroyed once all of their owners unloaded them,
+     * loading an asset several times for the same owner retains it once. Defaults to `'anonymous'` for `load`,
+     * and to `'bundle:<bundleId>'` for each bundle loaded by `loadBundle`.
+     */
+    owner?: string;
+}
+
 /**
  * Extensible preferences that can be used, for instance, when configuring loaders.
  * @since 7.2.0
  * @memberof PIXI
  */
-export interface AssetsPreferences extends LoadTextureConfig, GlobalMixins.AssetsPreferences {}
+export interface AssetsPreferences extends LoadTextureConfig, LoaderRetryConfig, GlobalMixins.AssetsPreferences {}
 
 /**
  * Initialization options object for Asset Class.
@@ -65,6 +82,12 @@ export interface AssetInitOptions
 
     /** Optional loader preferences */
     preferences?: Partial<AssetsPreferences>;
+
+    /**
+     * Where to keep the fetched files, so that assets can be loaded without the network,
+     * for instance an {@link PIXI.IndexedDBAssetStorage}. The manifest is kept too when given as a URL.
+     */
+    storage?: AssetStorage;
 }
 
 /**
@@ -79,7 +102,7 @@ export interface AssetInitOptions
  * 1. Allows users to map URLs to keys and resolve them according to the user's browser capabilities
  * 2. Loads the resources and transforms them into assets that developers understand.
  * 3. Caches the assets and provides a way to access them.
- * 4. Allow developers to unload assets and clear the cache.
+ * 4. Allow developers to unload assets and clear the cache, once no one is using them anymore.
  *
  * It also has a few advanced features:
  * 1. Allows developers to provide a manifest upfront of all assets and help manage them via 'bundles'.
@@ -113,6 +136,12 @@ export interface AssetInitOptions
  *
  * More types can be added fairly easily by creating additional loader parsers.
  *
+ * ### Offline
+ * - Pass an {@link PIXI.AssetStorage} to `Assets.init` to keep the fetched files, such as
+ * an {@link PIXI.IndexedDBAssetStorage}, so that assets can be loaded without the network.
+ * - Assets with a `version` in the manifest are loaded from the storage as long as their version matches,
+ * other assets are fetched and only loaded from the storage when they cannot be fetched.
+ *
  * ### Textures
  * - Textures are loaded as ImageBitmap on a worker thread where possible.
  * Leading to much less janky load + parse times.
@@ -287,6 +316,11 @@ export class AssetsClass
             this.resolver.setBundleIdentifier(options.bundleIdentifier);
         }
 
+        if (options.storage)
+        {
+            this.loader.storage = options.storage;
+        }
+
         if (options.manifest)
         {
             let manifest = options.manifest;
@@ -395,23 +429,28 @@ export class AssetsClass
      *
      * // Load multiple assets:
      * const textures = await Assets.load(['thumper', 'chicko']); // => {thumper: Texture, chicko: Texture}
+     *
+     * // Give up after 5 seconds, or when the controller is aborted:
+     * const controller = new AbortController();
+     * const texture = await Assets.load('thumper', { signal: controller.signal, timeout: 5000 });
      * @param urls - the urls to load
      * @param onProgress - optional function that is called when progress on asset loading is made.
      * The function is passed a single parameter, `progress`, which represents the percentage
-     * (0.0 - 1.0) of the assets loaded.
+     * (0.0 - 1.0) of the assets loaded. Alternatively, options with the progress callback, an
+     * `AbortSignal` and a timeout in milliseconds. Aborted loads reject with a {@link PIXI.LoaderAbortError}.
      * @returns - the assets that were loaded, either a single asset or a hash of assets
      */
     public async load<T = any>(
         urls: string | UnresolvedAsset,
-        onProgress?: ProgressCallback,
+        onProgress?: ProgressCallback | AssetsLoadOptions,
     ): Promise<T>;
     public async load<T = any>(
         urls: string[] | UnresolvedAsset[],
-        onProgress?: ProgressCallback,
+        onProgress?: ProgressCallback | AssetsLoadOptions,
     ): Promise<Record<string, T>>;
     public async load<T = any>(
         urls: ArrayOr<string> | ArrayOr<UnresolvedAsset>,
-        onProgress?: ProgressCallback
+        onProgress?: ProgressCallback | AssetsLoadOptions
     ): Promise<T | Record<string, T>>
     {
         if (!this._initialized)
@@ -446,7 +485,8 @@ export class AssetsClass
         const resolveResults = this.resolver.resolve(urlArray);
 
         // remap to the keys used..
-        const out: Record<string, T> = await this._mapLoadToResolve<T>(resolveResults, onProgress);
+        const owner = typeof onProgress === 'function' ? undefined : onProgress?.owner;
+        const out: Record<string, T> = await this._mapLoadToResolve<T>(resolveResults, onProgress, owner);
 
         return singleAsset ? out[urlArray[0] as string] : out;
     }
@@ -521,10 +561,11 @@ export class AssetsClass
      * @param onProgress - Optional function that is called when progress on asset loading is made.
      * The function is passed a single parameter, `progress`, which represents the percentage (0.0 - 1.0)
      * of the assets loaded. Do not use this function to detect when assets are complete and available,
-     * instead use the Promise returned by this function.
+     * instead use the Promise returned by this function. Alternatively, options with the progress callback,
+     * an `AbortSignal` and a timeout in milliseconds.
      * @returns all the bundles assets or a hash of assets for each bundle specified
      */
-    public async loadBundle(bundleIds: ArrayOr<string>, onProgress?: ProgressCallback): Promise<any>
+    public async loadBundle(bundleIds: ArrayOr<string>, onProgress?: ProgressCallback | AssetsLoadOptions): Promise<any>
     {
         if (!this._initialized)
         {
@@ -544,26 +585,31 @@ export class AssetsClass
         const out: Record<string, Record<string, any>> = {};
 
         const keys = Object.keys(resolveResults);
-        let count = 0;
-        let total = 0;
-        const _onProgress = () =>
-        {
-            onProgress?.(++count / total);
-        };
+        const options: AssetsLoadOptions = typeof onProgress === 'function' ? { onProgress } : onProgress ?? {};
+        // the progress of all the bundles together
+        const tracker = options.onProgress ? new LoadProgressTracker(this.loader, options.onProgress) : null;
         const promises = keys.map((bundleId) =>
         {
             const resolveResult = resolveResults[bundleId];
 
-            total += Object.keys(resolveResult).length;
-
-            return this._mapLoadToResolve(resolveResult, _onProgress)
+            return this._mapLoadToResolve(resolveResult, { ...options, onProgress: null },
+                options.owner ?? `bundle:${bundleId}`)
                 .then((resolveResult) =>
                 {
                     out[bundleId] = resolveResult;
                 });
         });
 
-        await Promise.all(promises);
+        tracker?.add(this._getAbsoluteUrls(keys.map((bundleId) => resolveResults[bundleId])));
+
+        try
+        {
+            await Promise.all(promises);
+        }
+        finally
+        {
+            tracker?.destroy();
+        }
 
         return singleAsset ? out[bundleIds[0]] : out;
     }
@@ -583,8 +629,10 @@ export class AssetsClass
      * // later on in your app...
      * await Assets.loadBundle('bunny.png'); // Will resolve quicker as loading may have completed!
      * @param urls - the url / urls you want to background load
+     * @param onProgress - Optional function that is called when progress on loading these assets in the background
+     * is made, with the fraction (0.0 - 1.0) of the assets loaded, weighted by their size.
      */
-    public async backgroundLoad(urls: ArrayOr<string>): Promise<void>
+    public async backgroundLoad(urls: ArrayOr<string>, onProgress?: ProgressCallback): Promise<void>
     {
         if (!this._initialized)
         {
@@ -598,6 +646,7 @@ export class AssetsClass
 
         const resolveResults = this.resolver.resolve(urls);
 
+        this._trackBackgroundProgress([resolveResults], onProgress);
         this._backgroundLoader.add(Object.values(resolveResults));
     }
 
@@ -624,8 +673,10 @@ export class AssetsClass
      * // Later on in your app...
      * await Assets.loadBundle('load-screen'); // Will resolve quicker as loading may have completed!
      * @param bundleIds - the bundleId / bundleIds you want to background load
+     * @param onProgress - Optional function that is called when progress on loading these bundles in the background
+     * is made, with the fraction (0.0 - 1.0) of the assets loaded, weighted by their size.
      */
-    public async backgroundLoadBundle(bundleIds: ArrayOr<string>): Promise<void>
+    public async backgroundLoadBundle(bundleIds: ArrayOr<string>, onProgress?: ProgressCallback): Promise<void>
     {
         if (!this._initialized)
         {
@@ -639,12 +690,39 @@ export class AssetsClass
 
         const resolveResults = this.resolver.resolveBundle(bundleIds);
 
+        this._trackBackgroundProgress(Object.values(resolveResults), onProgress);
         Object.values(resolveResults).forEach((resolveResult) =>
         {
             this._backgroundLoader.add(Object.values(resolveResult));
         });
     }
 
+    /**
+     * Reports the progress of background loading assets, until they are all loaded.
+     * @param resolveResults - the resolved assets being loaded
+     * @param onProgress - the progress callback
+     */
+    private _trackBackgroundProgress(
+        resolveResults: Record<string, ResolvedAsset>[],
+        onProgress?: ProgressCallback
+    ): void
+    {
+        if (!onProgress) return;
+
+        // the tracker stops by itself once all the assets are loaded or failed to load
+        new LoadProgressTracker(this.loader, onProgress).add(this._getAbsoluteUrls(resolveResults));
+    }
+
+    /**
+     * Gets the URLs the loader uses as keys for resolved assets.
+     * @param resolveResults - the resolved assets
+     */
+    private _getAbsoluteUrls(resolveResults: Record<string, ResolvedAsset>[]): string[]
+    {
+        return resolveResults.flatMap((resolveResult) =>
+            Object.values(resolveResult).map((asset) => utils.path.toAbsolute(asset.src)));
+    }
+
     /**
      * Only intended for development purposes.
      * This will wipe the resolver and caches.
@@ -654,6 +732,7 @@ export class AssetsClass
     {
         this.resolver.reset();
         this.loader.reset();
+        this.loader.storage = null;
         this.cache.reset();
 
         this._initialized = false;
@@ -688,11 +767,13 @@ export class AssetsClass
     /**
      * helper function to map resolved assets back to loaded assets
      * @param resolveResults - the resolve results from the resolver
-     * @param onProgress - the progress callback
+     * @param onProgress - the progress callback, or the load options
+     * @param owner - who retains the loaded assets in the cache
      */
     private async _mapLoadToResolve<T>(
         resolveResults: ResolvedAsset | Record<string, ResolvedAsset>,
-        onProgress?: ProgressCallback
+        onProgress?: ProgressCallback | LoadOptions,
+        owner?: string
     ): Promise<Record<string, T>>
     {
         const resolveArray = Object.values(resolveResults) as ResolvedAsset[];
@@ -701,10 +782,17 @@ export class AssetsClass
         // pause background loader...
         this._backgroundLoader.active = false;
 
-        const loadedAssets = await this.loader.load<T>(resolveArray, onProgress);
+        let loadedAssets: Record<string, T>;
 
-        // resume background loader...
-        this._backgroundLoader.active = true;
+        try
+        {
+            loadedAssets = await this.loader.load<T>(resolveArray, onProgress);
+        }
+        finally
+        {
+            // resume background loader, even if loading failed or was aborted...
+            this._backgroundLoader.active = true;
+        }
 
         // remap to the keys used..
 
@@ -724,6 +812,7 @@ export class AssetsClass
             out[resolveKeys[i]] = asset;
 
             Cache.set(keys, asset);
+            Cache.retain(resolveResult.src, owner);
         });
 
         return out;
@@ -736,6 +825,12 @@ export class AssetsClass
      *
      * Use this to help manage assets if you find that you have a large app and you want to free up memory.
      *
+     * Assets are retained by owners: `load` retains an asset once for its owner, however many times it is called,
+     * and `unload` with an owner releases it for that owner. The asset is only destroyed once no owner retains it,
+     * so that assets shared with other owners, like bundles, are not destroyed from under them. Without an owner,
+     * `unload` destroys the assets whoever retains them. Use `Assets.cache.getRetained()` to list the assets which
+     * are still retained, and by whom.
+     *
      * - it's up to you as the developer to make sure that textures are not actively being used when you unload them,
      * Pixi won't break but you will end up with missing assets. Not a good look for the user!
      * @example
@@ -750,10 +845,17 @@ export class AssetsClass
      *
      * // Unload multiple assets:
      * const textures = await Assets.unload(['thumper', 'chicko']);
+     *
+     * // Assets loaded for an owner are released by that owner:
+     * await Assets.load('thumper', { owner: 'menu' });
+     * await Assets.unload('thumper', 'menu');
      * @param urls - the urls to unload
+     * @param owner - the owner the assets were loaded for, `'anonymous'` if loaded without an owner.
+     * The assets are unloaded whoever retains them if not set.
      */
     public async unload(
-        urls: ArrayOr<string> | ResolvedAsset | ResolvedAsset[]
+        urls: ArrayOr<string> | ResolvedAsset | ResolvedAsset[],
+        owner?: string
     ): Promise<void>
     {
         if (!this._initialized)
@@ -768,7 +870,7 @@ export class AssetsClass
         // check cache first...
         const resolveResults = this.resolver.resolve(urlArray);
 
-        await this._unloadFromResolved(resolveResults);
+        await this._unloadFromResolved(resolveResults, owner);
     }
 
     /**
@@ -789,10 +891,12 @@ export class AssetsClass
      *
      * await Assets.unloadBundle('thumper');
      *
-     * // All assets in the assets object will now have been destroyed and purged from the cache
+     * // All assets in the assets object will now have been destroyed and purged from the cache,
+     * // except for the assets still retained by other bundles or loads
      * @param bundleIds - the bundle id or ids to unload
+     * @param owner - the owner the bundles were loaded for, `'bundle:<bundleId>'` by default
      */
-    public async unloadBundle(bundleIds: ArrayOr<string>): Promise<void>
+    public async unloadBundle(bundleIds: ArrayOr<string>, owner?: string): Promise<void>
     {
         if (!this._initialized)
         {
@@ -804,14 +908,20 @@ export class AssetsClass
         const resolveResults = this.resolver.resolveBundle(bundleIds);
 
         const promises = Object.keys(resolveResults).map((bundleId) =>
-            this._unloadFromResolved(resolveResults[bundleId]));
+            this._unloadFromResolved(resolveResults[bundleId], owner ?? `bundle:${bundleId}`));
 
         await Promise.all(promises);
     }
 
-    private async _unloadFromResolved(resolveResult: ResolvedAsset | Record<string, ResolvedAsset>)
+    /**
+     * Releases the references of an owner to resolved assets, and unloads those which are no longer retained.
+     * @param resolveResult - the resolved assets to release
+     * @param owner - the owner of the references, all the assets are unloaded if not set
+     */
+    private async _unloadFromResolved(resolveResult: ResolvedAsset | Record<string, ResolvedAsset>, owner?: string)
     {
-        const resolveArray = Object.values(resolveResult);
+        const resolveArray = Object.values(resolveResult)
+            .filter((resolveResult) => owner === undefined || Cache.release(resolveResult.src, owner) === 0);
 
         resolveArray.forEach((resolveResult) =>
         {
@@ -889,14 +999,19 @@ export class AssetsClass
     }
 
     /**
-     * General setter for preferences. This is a helper function to set preferences on all parsers.
+     * General setter for preferences. This is a helper function to set preferences on the loader and all parsers.
+     * @example
+     * import { Assets } from 'pixi.js';
+     *
+     * // retry failed loads up to 3 times, waiting 0.5s, 1s then 2s
+     * Assets.setPreferences({ retryCount: 3, retryDelay: 500 });
      * @param preferences - the preferences to set
      */
     public setPreferences(preferences: Partial<AssetsPreferences>): void
     {
-        // Find matching config keys in loaders with preferences
+        // Find matching config keys in the loader and loaders with preferences
         // and set the values
-        this.loader.parsers.forEach((parser) =>
+        [this.loader, ...this.loader.parsers].forEach((parser: { config?: Record<string, any> }) =>
         {
             if (!parser.config) return;
 
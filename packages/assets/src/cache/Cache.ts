@@ -3,6 +3,9 @@ import { convertToList } from '../utils';
 
 import type { CacheParser } from './CacheParser';
 
+/** The owner of references retained without naming an owner. */
+const ANONYMOUS_OWNER = 'anonymous';
+
 /**
  * A single Cache for all assets.
  *
@@ -13,6 +16,10 @@ import type { CacheParser } from './CacheParser';
  *
  * This gives devs the flexibility to cache any type of object however we want.
  *
+ * Entries can be retained by owners, so that an asset shared by several owners (for example, two bundles
+ * containing the same spritesheet) is only released when the last of them is done with it.
+ * See {@link PIXI.Cache#retain} and {@link PIXI.Cache#release}.
+ *
  * It is not intended that this class is created by developers - it is part of the Asset package.
  * This is the first major system of PixiJS' main Assets class.
  * @memberof PIXI
@@ -28,11 +35,15 @@ class CacheClass
         cacheKeys: string[],
     }> = new Map();
 
+    /** The owners retaining each entry, keyed by the first key the entry was set with. */
+    private readonly _references: Map<string, Set<string>> = new Map();
+
     /** Clear all entries. */
     public reset(): void
     {
         this._cacheMap.clear();
         this._cache.clear();
+        this._references.clear();
     }
 
     /**
@@ -170,6 +181,106 @@ class CacheClass
         {
             this._cacheMap.delete(key);
         });
+
+        this._references.delete(cacheMap.keys[0]);
+    }
+
+    /**
+     * Adds a reference to an entry, so that it is kept until all of its references are released.
+     * An owner holds a single reference, retaining an entry again for the same owner has no effect.
+     * @param key - The key, or any alias, of the entry to retain
+     * @param owner - Identifies who retains the entry, listed by {@link PIXI.Cache#getRetained}
+     * @returns - The total number of references to the entry
+     */
+    public retain(key: string, owner = ANONYMOUS_OWNER): number
+    {
+        const referenceKey = this._getReferenceKey(key);
+
+        if (!referenceKey)
+        {
+            if (process.env.DEBUG)
+            {
+                console.warn(`[Assets] Asset id ${key} was not found in the Cache`);
+            }
+
+            return 0;
+        }
+
+        let references = this._references.get(referenceKey);
+
+        if (!references)
+        {
+            references = new Set();
+            this._references.set(referenceKey, references);
+        }
+
+        references.add(owner);
+
+        return this.getReferenceCount(key);
+    }
+
+    /**
+     * Removes a reference to an entry added by {@link PIXI.Cache#retain}. The entry is not removed from the cache,
+     * it is up to the caller to do so when no references remain.
+     * @param key - The key, or any alias, of the entry to release
+     * @param owner - The owner which retained the entry
+     * @returns - The number of references to the entry that remain
+     */
+    public release(key: string, owner = ANONYMOUS_OWNER): number
+    {
+        const references = this._references.get(this._getReferenceKey(key));
+
+        if (!references?.has(owner))
+        {
+            if (process.env.DEBUG && references)
+            {
+                console.warn(`[Assets] Asset id ${key} is not retained by ${owner}`);
+            }
+        }
+        else
+        {
+            references.delete(owner);
+
+            if (references.size === 0)
+            {
+                this._references.delete(this._getReferenceKey(key));
+            }
+        }
+
+        return this.getReferenceCount(key);
+    }
+
+    /**
+     * Gets the number of references to an entry, which is the number of owners retaining it.
+     * @param key - The key, or any alias, of the entry
+     */
+    public getReferenceCount(key: string): number
+    {
+        return this._references.get(this._getReferenceKey(key))?.size ?? 0;
+    }
+
+    /**
+     * Lists the entries which are still retained, and by whom. Useful for debugging assets which are never released.
+     * @example
+     * import { Assets } from 'pixi.js';
+     *
+     * await Assets.loadBundle('level-1');
+     * await Assets.load('hero.png', { owner: 'hud' });
+     *
+     * console.log(Assets.cache.getRetained());
+     * // => { 'hero.png': ['bundle:level-1', 'hud'], ... }
+     * @returns - The owners retaining each retained entry
+     */
+    public getRetained(): Record<string, string[]>
+    {
+        const retained: Record<string, string[]> = {};
+
+        this._references.forEach((references, key) =>
+        {
+            retained[key] = [...references];
+        });
+
+        return retained;
     }
 
     /** All loader parsers registered */
@@ -177,6 +288,15 @@ class CacheClass
     {
         return this._parsers;
     }
+
+    /**
+     * Gets the key references to an entry are stored by, which is the first key it was set with.
+     * @param key - Any key of the entry
+     */
+    private _getReferenceKey(key: string): string
+    {
+        return this._cacheMap.get(key)?.keys[0];
+    }
 }
 
 export const Cache = new CacheClass();
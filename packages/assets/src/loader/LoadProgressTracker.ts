@@ -0,0 +1,169 @@
+import type { Loader } from './Loader';
+
+interface TrackedAsset
+{
+    loaded: number;
+    total: number;
+    done: boolean;
+    failed: boolean;
+}
+
+/**
+ * Aggregates the progress of loading a set of assets, weighting each asset by its size in bytes,
+ * as reported by the `progress` events of the loader. Assets of unknown size are weighted by the
+ * average size of the others, so without any sizes the progress is the fraction of assets loaded.
+ *
+ * Assets which fail to load are not counted as loaded. The reported progress never decreases,
+ * and the tracker stops listening once every asset is loaded or failed to load.
+ * @ignore
+ */
+export class LoadProgressTracker
+{
+    private readonly _loader: Loader;
+    private readonly _onProgress: (progress: number) => void;
+    private readonly _assets: Map<string, TrackedAsset> = new Map();
+    private _progress = 0;
+
+    /**
+     * @param loader - The loader loading the assets
+     * @param onProgress - Called with the aggregated progress (0.0 - 1.0) when it increases
+     */
+    constructor(loader: Loader, onProgress: (progress: number) => void)
+    {
+        this._loader = loader;
+        this._onProgress = onProgress;
+
+        loader.on('progress', this._onLoadProgress, this);
+        loader.on('complete', this._onLoadComplete, this);
+        loader.on('error', this._onLoadError, this);
+    }
+
+    /**
+     * Adds assets to track.
+     * @param urls - The absolute URLs of the assets, as used as keys by the loader
+     */
+    public add(urls: string[]): void
+    {
+        urls.forEach((url) =>
+        {
+            if (this._assets.has(url)) return;
+
+            this._assets.set(url, { loaded: 0, total: 0, done: false, failed: false });
+
+            // the asset may be loading or loaded already
+            this._loader.promiseCache[url]?.promise.then(() => this._onLoadComplete(url), () => this._onLoadError(url));
+        });
+    }
+
+    /** Stops listening to the loader. */
+    public destroy(): void
+    {
+        this._loader.off('progress', this._onLoadProgress, this);
+        this._loader.off('complete', this._onLoadComplete, this);
+        this._loader.off('error', this._onLoadError, this);
+    }
+
+    /**
+     * Updates the byte progress of an asset.
+     * @param url - The URL of the asset
+     * @param loaded - The number of bytes loaded
+     * @param total - The size of the asset in bytes, 0 if unknown
+     */
+    private _onLoadProgress(url: string, loaded: number, total: number): void
+    {
+        const asset = this._assets.get(url);
+
+        if (!asset || asset.done || asset.failed) return;
+
+        asset.loaded = loaded;
+        asset.total = total;
+        this._update();
+    }
+
+    /**
+     * Marks an asset as loaded.
+     * @param url - The URL of the asset
+     */
+    private _onLoadComplete(url: string): void
+    {
+        const asset = this._assets.get(url);
+
+        if (!asset || asset.done || asset.failed) return;
+
+        asset.done = true;
+        this._update();
+    }
+
+    /**
+     * Marks an asset as failed to load, it is not counted as loaded.
+     * @param url - The URL of the asset
+     */
+    private _onLoadError(url: string): void
+    {
+        const asset = this._assets.get(url);
+
+        if (!asset || asset.done || asset.failed) return;
+
+        asset.failed = true;
+        this._update();
+    }
+
+    /** Reports the progress if it increased. */
+    private _update(): void
+    {
+        let knownSize = 0;
+        let knownCount = 0;
+        let allDone = true;
+        let allSettled = true;
+
+        this._assets.forEach(({ total, done, failed }) =>
+        {
+            if (total > 0)
+            {
+                knownSize += total;
+                knownCount++;
+            }
+
+            allDone = allDone && done;
+            allSettled = allSettled && (done || failed);
+        });
+
+        let progress = 1;
+
+        if (!allDone)
+        {
+            const averageSize = knownCount ? knownSize / knownCount : 1;
+            let weight = 0;
+            let loaded = 0;
+
+            this._assets.forEach(({ loaded: bytes, total, done }) =>
+            {
+                const size = total > 0 ? total : averageSize;
+
+                weight += size;
+
+                if (done)
+                {
+                    loaded += size;
+                }
+                else if (total > 0)
+                {
+                    loaded += Math.min(bytes, total);
+                }
+            });
+
+            progress = loaded / weight;
+        }
+
+        if (progress > this._progress)
+        {
+            this._progress = progress;
+            this._onProgress(progress);
+        }
+
+        if (allSettled)
+        {
+            this.destroy();
+        }
+    }
+}
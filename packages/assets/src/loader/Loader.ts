@@ -1,9 +1,112 @@
 import { utils } from '@pixi/core';
 import { convertToList, isSingleItem } from '../utils';
+import { LoaderAbortError } from './LoaderAbortError';
+import { LoaderHttpError } from './LoaderHttpError';
+import { LoadProgressTracker } from './LoadProgressTracker';
 
 import type { ResolvedAsset } from '../types';
-import type { LoaderParser } from './parsers/LoaderParser';
-import type { PromiseAndParser } from './types';
+import type { LoaderParser, LoaderParserOptions } from './parsers/LoaderParser';
+import type { AssetStorage } from './storage/AssetStorage';
+import type {
+    AbortControllerWithReason,
+    AbortSignalWithReason,
+    LoaderEvents,
+    LoaderRetryConfig,
+    LoadOptions,
+    PromiseAndParser
+} from './types';
+
+/**
+ * An abort signal combining the signal and the timeout of a load.
+ * The reason is kept here, as not all platforms support abort reasons.
+ * @ignore
+ */
+interface LinkedAbortSignal
+{
+    signal: AbortSignal;
+    reason: any;
+    dispose: () => void;
+}
+
+/**
+ * Combines an optional signal and an optional timeout into a single signal.
+ * @param signal - The signal given by the user
+ * @param timeout - Time in milliseconds after which the returned signal is aborted
+ * @returns The combined signal, or null if there is neither
+ */
+function linkAbortSignal(signal: AbortSignalWithReason, timeout: number): LinkedAbortSignal
+{
+    if (!signal && !(timeout > 0))
+    {
+        return null;
+    }
+
+    const controller = new AbortController() as AbortControllerWithReason;
+    let timer: ReturnType<typeof setTimeout> = null;
+    const linked: LinkedAbortSignal = { signal: controller.signal, reason: undefined, dispose: null };
+    const abort = (reason: any) =>
+    {
+        if (!controller.signal.aborted)
+        {
+            linked.reason = reason;
+            controller.abort(reason);
+        }
+    };
+    const onAbort = () => abort(signal.reason);
+
+    if (signal?.aborted)
+    {
+        onAbort();
+    }
+    else
+    {
+        signal?.addEventListener('abort', onAbort);
+    }
+
+    if (timeout > 0)
+    {
+        timer = setTimeout(() =>
+        {
+            const reason = new Error(`Timed out after ${timeout}ms`);
+
+            reason.name = 'TimeoutError';
+            abort(reason);
+        }, timeout);
+    }
+
+    linked.dispose = () =>
+    {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    };
+
+    return linked;
+}
+
+/**
+ * Waits for a delay, unless the signal is aborted first.
+ * @param delay - The delay in milliseconds
+ * @param signal - Signal to stop waiting
+ */
+function wait(delay: number, signal: AbortSignalWithReason): Promise<void>
+{
+    return new Promise((resolve, reject) =>
+    {
+        let timer: ReturnType<typeof setTimeout> = null;
+        const onAbort = () =>
+        {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+
+        signal.addEventListener('abort', onAbort);
+        timer = setTimeout(() =>
+        {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, delay);
+    });
+}
 
 /**
  * The Loader is responsible for loading all assets, such as images, spritesheets, audio files, etc.
@@ -13,10 +116,17 @@ import type { PromiseAndParser } from './types';
  *
  * It is not intended that this class is created by developers - its part of the Asset class
  * This is the second major system of PixiJS' main Assets class
+ *
+ * The loader emits the {@link PIXI.LoaderEvents} for every asset it loads, including the download progress.
+ * @example
+ * import { Assets } from 'pixi.js';
+ *
+ * Assets.loader.on('progress', (url, loaded, total) => console.log(`${url}: ${loaded} / ${total} bytes`));
+ * Assets.loader.on('error', (url, error) => reportError(url, error));
  * @memberof PIXI
  * @class AssetLoader
  */
-export class Loader
+export class Loader extends utils.EventEmitter<LoaderEvents>
 {
     private _parsers: LoaderParser[] = [];
     private _parserHash: Record<string, LoaderParser>;
@@ -35,9 +145,28 @@ export class Loader
         }
     });
 
+    /**
+     * Where the fetched files are kept, so that assets can be loaded without the network.
+     * Set with the `storage` option of {@link PIXI.Assets.init}.
+     * @default null
+     */
+    public storage: AssetStorage = null;
+
     /** Cache loading promises that ae currently active */
     public promiseCache: Record<string, PromiseAndParser> = {};
 
+    /**
+     * How failed loads are retried. Set with {@link PIXI.Assets.setPreferences}.
+     * @see PIXI.LoaderRetryConfig
+     */
+    public config: LoaderRetryConfig = {
+        retryCount: 0,
+        retryDelay: 250,
+        retryBackoff: 2,
+        retryStatusCodes: [408, 429, 500, 502, 503, 504],
+        retryTest: null,
+    };
+
     /** function used for testing */
     public reset(): void
     {
@@ -53,82 +182,276 @@ export class Loader
      */
     private _getLoadPromiseAndParser(url: string, data?: ResolvedAsset): PromiseAndParser
     {
+        const abortController = new AbortController() as AbortControllerWithReason;
+        const options: LoaderParserOptions = {
+            signal: abortController.signal,
+            onProgress: (loaded, total) => this.emit('progress', url, loaded, total),
+            storage: this.storage,
+            version: data.version,
+        };
         const result: PromiseAndParser = {
             promise: null,
-            parser: null
+            parser: null,
+            abortController,
+            waiting: 0,
         };
 
         result.promise = (async () =>
         {
+            const fallbackSrc = data.fallbackSrc ?? [];
             let asset = null;
 
-            let parser: LoaderParser = null;
+            this.emit('start', url, data);
 
-            // first check to see if the user has specified a parser
-            if (data.loadParser)
+            // try the fallbacks in order when the src cannot be loaded
+            for (let i = 0; i <= fallbackSrc.length; i++)
             {
-                // they have? lovely, lets use it
-                parser = this._parserHash[data.loadParser];
+                const src = i === 0 ? url : utils.path.toAbsolute(fallbackSrc[i - 1]);
 
-                if (!parser)
+                try
                 {
+                    asset = await this._loadWithRetry(src, i === 0 ? data : { ...data, src: fallbackSrc[i - 1] },
+                        options, result);
+                    break;
+                }
+                catch (e)
+                {
+                    if (i === fallbackSrc.length || abortController.signal.aborted)
+                    {
+                        this.emit('error', url, e);
+
+                        throw e;
+                    }
+
                     if (process.env.DEBUG)
                     {
-                        // eslint-disable-next-line max-len
-                        console.warn(`[Assets] specified load parser "${data.loadParser}" not found while loading ${url}`);
+                        console.warn(`[Assets] failed to load ${src}, trying ${fallbackSrc[i]} instead`);
                     }
                 }
             }
 
-            // no parser specified, so lets try and find one using the tests
+            // the load was aborted, but the parsers did not stop
+            if (abortController.signal.aborted)
+            {
+                const error = new LoaderAbortError(url, abortController.signal.reason);
+
+                result.parser?.unload?.(asset, data, this);
+                this.emit('error', url, error);
+
+                throw error;
+            }
+
+            this.emit('complete', url, asset);
+
+            return asset;
+        })();
+
+        return result;
+    }
+
+    /**
+     * Loads and parses an asset, retrying as set in {@link PIXI.AssetLoader#config}.
+     * @param url - The URL to be loaded
+     * @param data - any custom additional information relevant to the asset being loaded
+     * @param options - Options of the load, passed to the parsers
+     * @param result - Where to store the parser of the asset
+     * @returns - The loaded asset
+     */
+    private async _loadWithRetry(
+        url: string,
+        data: ResolvedAsset,
+        options: LoaderParserOptions,
+        result: PromiseAndParser
+    ): Promise<any>
+    {
+        const { retryCount, retryDelay, retryBackoff } = this.config;
+
+        for (let attempt = 0; ; attempt++)
+        {
+            try
+            {
+                return await this._loadAndParse(url, data, options, result);
+            }
+            catch (e)
+            {
+                if (attempt >= retryCount || options.signal.aborted || !this._isRetryable(e, url))
+                {
+                    throw e;
+                }
+
+                await wait(retryDelay * Math.pow(retryBackoff, attempt), options.signal);
+            }
+        }
+    }
+
+    /**
+     * Checks whether a failed load should be retried.
+     * @param error - The error the load failed with
+     * @param url - The URL which failed to load
+     */
+    private _isRetryable(error: any, url: string): boolean
+    {
+        if (error instanceof LoaderAbortError)
+        {
+            return false;
+        }
+
+        if (this.config.retryTest)
+        {
+            return this.config.retryTest(error, url);
+        }
+
+        if (error instanceof LoaderHttpError)
+        {
+            return this.config.retryStatusCodes.includes(error.status);
+        }
+
+        // fetch rejects with a TypeError on network failures, other errors such as parse errors would fail again
+        return error instanceof TypeError || error?.name === 'TimeoutError';
+    }
+
+    /**
+     * Finds the parser of an asset, and uses it to load the asset, which is then parsed.
+     * @param url - The URL to be loaded
+     * @param data - any custom additional information relevant to the asset being loaded
+     * @param options - Options of the load, passed to the parsers
+     * @param result - Where to store the parser of the asset
+     * @returns - The loaded asset, or null if no parser can load it
+     */
+    private async _loadAndParse(
+        url: string,
+        data: ResolvedAsset,
+        options: LoaderParserOptions,
+        result: PromiseAndParser
+    ): Promise<any>
+    {
+        let asset = null;
+
+        let parser: LoaderParser = null;
+
+        // first check to see if the user has specified a parser
+        if (data.loadParser)
+        {
+            // they have? lovely, lets use it
+            parser = this._parserHash[data.loadParser];
+
             if (!parser)
             {
-                for (let i = 0; i < this.parsers.length; i++)
+                if (process.env.DEBUG)
                 {
-                    const parserX = this.parsers[i];
+                    // eslint-disable-next-line max-len
+                    console.warn(`[Assets] specified load parser "${data.loadParser}" not found while loading ${url}`);
+                }
+            }
+        }
 
-                    if (parserX.load && parserX.test?.(url, data, this))
-                    {
-                        parser = parserX;
-                        break;
-                    }
+        // no parser specified, so lets try and find one using the tests
+        if (!parser)
+        {
+            for (let i = 0; i < this.parsers.length; i++)
+            {
+                const parserX = this.parsers[i];
+
+                if (parserX.load && parserX.test?.(url, data, this))
+                {
+                    parser = parserX;
+                    break;
                 }
+            }
 
-                if (!parser)
+            if (!parser)
+            {
+                if (process.env.DEBUG)
                 {
-                    if (process.env.DEBUG)
-                    {
-                        // eslint-disable-next-line max-len
-                        console.warn(`[Assets] ${url} could not be loaded as we don't know how to parse it, ensure the correct parser has been added`);
-                    }
+                    // eslint-disable-next-line max-len
+                    console.warn(`[Assets] ${url} could not be loaded as we don't know how to parse it, ensure the correct parser has been added`);
+                }
+
+                return null;
+            }
+        }
 
-                    return null;
+        asset = await parser.load(url, data, this, options);
+        result.parser = parser;
+
+        for (let i = 0; i < this.parsers.length; i++)
+        {
+            const parser = this.parsers[i];
+
+            if (parser.parse)
+            {
+                if (parser.parse && await parser.testParse?.(asset, data, this))
+                {
+                    // transform the asset..
+                    asset = await parser.parse(asset, data, this, options) || asset;
+
+                    result.parser = parser;
                 }
             }
+        }
 
-            asset = await parser.load(url, data, this);
-            result.parser = parser;
+        return asset;
+    }
 
-            for (let i = 0; i < this.parsers.length; i++)
+    /**
+     * Waits for an asset to be loaded, unless the signal is aborted first.
+     * If no other call is waiting for the asset, its load is aborted and removed from the cache.
+     * @param url - The URL being loaded
+     * @param asset - The asset being loaded
+     * @param abort - Signal aborting the wait
+     * @returns - The loaded asset
+     */
+    private async _waitForLoad(url: string, asset: ResolvedAsset, abort: LinkedAbortSignal): Promise<any>
+    {
+        const loadPromise = this.promiseCache[url];
+
+        loadPromise.waiting++;
+
+        try
+        {
+            if (!abort)
+            {
+                return await loadPromise.promise;
+            }
+
+            const { signal } = abort;
+
+            return await new Promise((resolve, reject) =>
             {
-                const parser = this.parsers[i];
+                const onAbort = () => reject(new LoaderAbortError(url, abort.reason));
 
-                if (parser.parse)
+                if (signal.aborted)
                 {
-                    if (parser.parse && await parser.testParse?.(asset, data, this))
-                    {
-                        // transform the asset..
-                        asset = await parser.parse(asset, data, this) || asset;
+                    onAbort();
 
-                        result.parser = parser;
-                    }
+                    return;
                 }
-            }
 
-            return asset;
-        })();
+                signal.addEventListener('abort', onAbort);
+                loadPromise.promise
+                    .then(resolve, reject)
+                    .finally(() => signal.removeEventListener('abort', onAbort));
+            });
+        }
+        catch (e)
+        {
+            if (e instanceof LoaderAbortError && loadPromise.waiting === 1 && this.promiseCache[url] === loadPromise)
+            {
+                // nobody else is waiting for this asset, so cancel its load
+                delete this.promiseCache[url];
+                loadPromise.abortController.abort(abort.reason);
 
-        return result;
+                // it may have been loaded already
+                loadPromise.promise.then((loadedAsset) =>
+                    loadPromise.parser?.unload?.(loadedAsset, asset, this), () => null);
+            }
+
+            throw e;
+        }
+        finally
+        {
+            loadPromise.waiting--;
+        }
     }
 
     /**
@@ -141,23 +464,28 @@ export class Loader
      * // Multiple assets:
      * const assets = await Loader.load(['cool.png', 'cooler.png']);
      * console.log(assets);
+     *
+     * // Cancellable:
+     * const controller = new AbortController();
+     * const assets = await Loader.load(['cool.png', 'cooler.png'], { signal: controller.signal, timeout: 5000 });
      * @param assetsToLoadIn - urls that you want to load, or a single one!
      * @param onProgress - For multiple asset loading only, an optional function that is called
      * when progress on asset loading is made. The function is passed a single parameter, `progress`,
      * which represents the percentage (0.0 - 1.0) of the assets loaded. Do not use this function
      * to detect when assets are complete and available, instead use the Promise returned by this function.
+     * Alternatively, options with a `signal` and a `timeout` to abort loading.
      */
     public async load<T = any>(
         assetsToLoadIn: string | ResolvedAsset,
-        onProgress?: (progress: number) => void,
+        onProgress?: ((progress: number) => void) | LoadOptions,
     ): Promise<T>;
     public async load<T = any>(
         assetsToLoadIn: string[] | ResolvedAsset[],
-        onProgress?: (progress: number) => void,
+        onProgress?: ((progress: number) => void) | LoadOptions,
     ): Promise<Record<string, T>>;
     public async load<T = any>(
         assetsToLoadIn: string | string[] | ResolvedAsset | ResolvedAsset[],
-        onProgress?: (progress: number) => void,
+        onProgressOrOptions?: ((progress: number) => void) | LoadOptions,
     ): Promise<T | Record<string, T>>
     {
         if (!this._parsersValidated)
@@ -165,7 +493,11 @@ export class Loader
             this._validateParsers();
         }
 
-        let count = 0;
+        const options: LoadOptions = typeof onProgressOrOptions === 'function'
+            ? { onProgress: onProgressOrOptions }
+            : onProgressOrOptions ?? {};
+        const abort = linkAbortSignal(options.signal, options.timeout);
+        const tracker = options.onProgress ? new LoadProgressTracker(this, options.onProgress) : null;
 
         const assets: Record<string, Promise<any>> = {};
 
@@ -176,8 +508,6 @@ export class Loader
             src: item,
         }));
 
-        const total = assetsToLoad.length;
-
         const promises: Promise<void>[] = assetsToLoad.map(async (asset: ResolvedAsset) =>
         {
             const url = utils.path.toAbsolute(asset.src);
@@ -191,17 +521,21 @@ export class Loader
                         this.promiseCache[url] = this._getLoadPromiseAndParser(url, asset);
                     }
 
-                    assets[asset.src] = await this.promiseCache[url].promise;
-
-                    // Only progress if nothing goes wrong
-                    if (onProgress) onProgress(++count / total);
+                    assets[asset.src] = await this._waitForLoad(url, asset, abort);
                 }
                 catch (e)
                 {
+                    delete assets[asset.src];
+
+                    // The load itself is only aborted if nobody else is waiting for it
+                    if (e instanceof LoaderAbortError)
+                    {
+                        throw e;
+                    }
+
                     // Delete eventually registered file and promises from internal cache
                     // so they can be eligible for another loading attempt
                     delete this.promiseCache[url];
-                    delete assets[asset.src];
 
                     // Stop further execution
                     throw new Error(`[Loader.load] Failed to load ${url}.\n${e}`);
@@ -209,7 +543,18 @@ export class Loader
             }
         });
 
-        await Promise.all(promises);
+        // Only progress if nothing goes wrong, assets are weighted by their size
+        tracker?.add(assetsToLoad.map((asset) => utils.path.toAbsolute(asset.src)));
+
+        try
+        {
+            await Promise.all(promises);
+        }
+        finally
+        {
+            tracker?.destroy();
+            abort?.dispose();
+        }
 
         return singleAsset ? assets[assetsToLoad[0].src] : assets;
     }
@@ -248,6 +593,7 @@ export class Loader
                 delete this.promiseCache[url];
 
                 loadPromise.parser?.unload?.(loadedAsset, asset, this);
+                this.emit('unload', url, loadedAsset);
             }
         });
 
@@ -0,0 +1,48 @@
+/**
+ * The error a load is rejected with when it is aborted with an `AbortSignal`, or when it times out.
+ * Like DOM abort errors, its `name` is `'AbortError'`.
+ * @example
+ * import { Assets, LoaderAbortError } from 'pixi.js';
+ *
+ * const controller = new AbortController();
+ *
+ * try
+ * {
+ *     await Assets.loadBundle('level-1', { signal: controller.signal, timeout: 10000 });
+ * }
+ * catch (e)
+ * {
+ *     if (e instanceof LoaderAbortError && !e.timedOut)
+ *     {
+ *         // the player left the level select screen
+ *     }
+ * }
+ * @memberof PIXI
+ */
+export class LoaderAbortError extends Error
+{
+    /** The URL of the asset whose load was aborted. */
+    public readonly url: string;
+
+    /** The reason of the abort, as given to `AbortController.abort`. */
+    public readonly reason: unknown;
+
+    /**
+     * @param url - The URL of the asset whose load was aborted
+     * @param reason - The reason of the abort
+     */
+    constructor(url: string, reason?: unknown)
+    {
+        super(`[Loader.load] Loading ${url} was aborted${reason instanceof Error ? `: ${reason.message}` : ''}`);
+
+        this.name = 'AbortError';
+        this.url = url;
+        this.reason = reason;
+    }
+
+    /** `true` if the load was aborted because it timed out. */
+    public get timedOut(): boolean
+    {
+        return (this.reason as Error)?.name === 'TimeoutError';
+    }
+}
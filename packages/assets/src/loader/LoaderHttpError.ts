@@ -0,0 +1,44 @@
+/**
+ * The error a load is rejected with when the server responds with an error status,
+ * the retry policy of the loader uses its `status` to decide whether to retry.
+ * @memberof PIXI
+ */
+export class LoaderHttpError extends Error
+{
+    /** The URL which was fetched. */
+    public readonly url: string;
+
+    /** The HTTP status code of the response. */
+    public readonly status: number;
+
+    /** The HTTP status message of the response. */
+    public readonly statusText: string;
+
+    /**
+     * @param url - The URL which was fetched
+     * @param status - The HTTP status code of the response
+     * @param statusText - The HTTP status message of the response
+     */
+    constructor(url: string, status: number, statusText = '')
+    {
+        super(`Failed to fetch ${url}: ${status} ${statusText}`);
+
+        this.name = 'LoaderHttpError';
+        this.url = url;
+        this.status = status;
+        this.statusText = statusText;
+    }
+
+    /**
+     * Throws if the response has an error status.
+     * @param url - The URL which was fetched
+     * @param response - The response to check
+     */
+    public static check(url: string, response: Response): void
+    {
+        if (!response.ok)
+        {
+            throw new LoaderHttpError(url, response.status, response.statusText);
+        }
+    }
+}
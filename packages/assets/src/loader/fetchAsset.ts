@@ -0,0 +1,225 @@
+import { settings } from '@pixi/core';
+import { LoaderHttpError } from './LoaderHttpError';
+
+import type { LoaderParserOptions } from './parsers/LoaderParser';
+import type { AssetStorage, StoredAsset } from './storage/AssetStorage';
+
+/**
+ * Gets the size of the body of a response from its headers.
+ * @param headers - The headers of the response
+ * @returns The size in bytes, or 0 if unknown
+ */
+function getContentLength(headers: Headers): number
+{
+    const encoding = headers.get('content-encoding');
+
+    // the length of compressed responses is not the length of the data read
+    if (encoding && encoding !== 'identity')
+    {
+        return 0;
+    }
+
+    return Number(headers.get('content-length')) || 0;
+}
+
+/**
+ * Fetches a URL, reporting the download progress of the body.
+ * @param url - The URL to fetch
+ * @param options - The options the parser was called with
+ * @returns - The response
+ */
+async function fetchWithProgress(url: string, options?: LoaderParserOptions): Promise<Response>
+{
+    const response = await settings.ADAPTER.fetch(url, { signal: options?.signal });
+
+    LoaderHttpError.check(url, response);
+
+    const onProgress = options?.onProgress;
+
+    // environments such as node-fetch have no web streams
+    if (!onProgress || typeof response.body?.getReader !== 'function' || typeof Response === 'undefined')
+    {
+        return response;
+    }
+
+    const reader = response.body.getReader();
+    const total = getContentLength(response.headers);
+    let loaded = 0;
+
+    onProgress(0, total);
+
+    const body = new ReadableStream<Uint8Array>({
+        async pull(controller)
+        {
+            const { done, value } = await reader.read();
+
+            if (done)
+            {
+                controller.close();
+
+                return;
+            }
+
+            loaded += value.byteLength;
+            onProgress(loaded, total);
+            controller.enqueue(value);
+        },
+        cancel(reason)
+        {
+            return reader.cancel(reason);
+        },
+    });
+
+    return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+    });
+}
+
+/**
+ * Reads the file stored for a URL, discarding it if it is not valid for the version of the asset.
+ * Storage errors are treated as if nothing was stored, loading must not fail because of the storage.
+ * @param storage - The storage
+ * @param url - The URL of the file
+ * @param version - The version of the asset
+ * @returns - The stored file, or null
+ */
+async function readStorage(storage: AssetStorage, url: string, version: string): Promise<StoredAsset>
+{
+    try
+    {
+        const stored = await storage.get(url);
+
+        if (!stored)
+        {
+            return null;
+        }
+
+        // files of other versions are replaced once the current version is fetched
+        if (stored.version !== version)
+        {
+            return null;
+        }
+
+        if (stored.url !== url || stored.data?.byteLength !== stored.size)
+        {
+            await storage.delete(url);
+
+            return null;
+        }
+
+        return stored;
+    }
+    catch (e)
+    {
+        if (process.env.DEBUG)
+        {
+            console.warn(`[Assets] failed to read ${url} from the storage`, e);
+        }
+
+        return null;
+    }
+}
+
+/**
+ * Creates a response from a stored file.
+ * @param stored - The stored file
+ * @param options - The options the parser was called with
+ * @returns - The response
+ */
+function createStoredResponse(stored: StoredAsset, options: LoaderParserOptions): Response
+{
+    options.onProgress?.(stored.size, stored.size);
+
+    return new Response(stored.data, {
+        headers: stored.type ? { 'content-type': stored.type } : {},
+    });
+}
+
+/**
+ * Fetches the file of an asset for a {@link PIXI.LoaderParser}. The request is aborted with the load,
+ * the download progress of the body is reported to the loader, and error statuses are rejected
+ * with a {@link PIXI.LoaderHttpError} so that they can be retried.
+ *
+ * When the loader has an {@link PIXI.AssetStorage}, files are kept in it. Files of assets with a `version`
+ * are loaded from the storage as long as the version matches, other files are only loaded from the storage
+ * when they cannot be fetched, for instance when offline.
+ * @example
+ * import { fetchAsset } from 'pixi.js';
+ *
+ * const loadMyFormat = {
+ *     extension: ExtensionType.LoadParser,
+ *     test: (url) => url.endsWith('.my'),
+ *     async load(url, asset, loader, options)
+ *     {
+ *         const response = await fetchAsset(url, options);
+ *
+ *         return parseMyFormat(await response.arrayBuffer());
+ *     },
+ * };
+ * @memberof PIXI
+ * @param url - The URL to fetch
+ * @param options - The options the parser was called with
+ * @returns - The response
+ */
+export async function fetchAsset(url: string, options?: LoaderParserOptions): Promise<Response>
+{
+    const storage = options?.storage;
+
+    // data and blob URLs are already local
+    if (!storage || url.startsWith('data:') || url.startsWith('blob:'))
+    {
+        return fetchWithProgress(url, options);
+    }
+
+    const version = options.version;
+    const stored = await readStorage(storage, url, version);
+
+    if (stored && version !== undefined)
+    {
+        return createStoredResponse(stored, options);
+    }
+
+    let response: Response;
+
+    try
+    {
+        response = await fetchWithProgress(url, options);
+    }
+    catch (e)
+    {
+        if (stored && !options.signal?.aborted)
+        {
+            if (process.env.DEBUG)
+            {
+                console.warn(`[Assets] failed to fetch ${url}, using the stored file instead`);
+            }
+
+            return createStoredResponse(stored, options);
+        }
+
+        throw e;
+    }
+
+    const data = await response.arrayBuffer();
+    const type = response.headers.get('content-type') ?? '';
+
+    try
+    {
+        await storage.set({ url, version, type, size: data.byteLength, data });
+    }
+    catch (e)
+    {
+        if (process.env.DEBUG)
+        {
+            console.warn(`[Assets] failed to store ${url}`, e);
+        }
+    }
+
+    return new Response(data, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+    });
+}
@@ -1,2 +1,7 @@
+export * from './fetchAsset';
 export type { Loader } from './Loader';
+export * from './LoaderAbortError';
+export * from './LoaderHttpError';
 export * from './parsers';
+export * from './storage';
+export type { LoaderEvents, LoaderRetryConfig, LoadOptions } from './types';
@@ -1,6 +1,7 @@
 import type { ExtensionMetadata } from '@pixi/core';
 import type { ResolvedAsset } from '../../types';
 import type { Loader } from '../Loader';
+import type { AssetStorage } from '../storage/AssetStorage';
 
 /**
  * The extension priority for loader parsers.
@@ -20,6 +21,31 @@ export enum LoaderParserPriority
     High = 2,
 }
 
+/**
+ * Options of a single load, passed to the `load` and `parse` functions of parsers.
+ * @memberof PIXI
+ */
+export interface LoaderParserOptions
+{
+    /**
+     * Aborted when the load is cancelled. Parsers should pass it on to `fetch`,
+     * and to `Loader.load` when loading dependencies.
+     */
+    signal?: AbortSignal;
+    /**
+     * Reports the number of bytes downloaded, and the total number of bytes or 0 if unknown.
+     * {@link PIXI.fetchAsset} calls it while reading the response.
+     */
+    onProgress?: (loaded: number, total: number) => void;
+    /**
+     * Where {@link PIXI.fetchAsset} keeps the fetched files, null if they are not kept.
+     * Parsers which do not fetch with `fetchAsset` should do so when it is set, for their assets to be kept too.
+     */
+    storage?: AssetStorage;
+    /** The version of the asset, the files kept in the storage are only used for the same version. */
+    version?: string;
+}
+
 /**
  * All functions are optional here. The flow:
  *
@@ -61,8 +87,14 @@ export interface LoaderParser<ASSET = any, META_DATA = any, CONFIG = Record<stri
      * @param url - The URL to load
      * @param resolvedAsset - Any custom additional information relevant to the asset being loaded
      * @param loader - The loader instance
+     * @param options - Options of this load, such as the signal to abort it
      */
-    load?: <T>(url: string, resolvedAsset?: ResolvedAsset<META_DATA>, loader?: Loader) => Promise<T>;
+    load?: <T>(
+        url: string,
+        resolvedAsset?: ResolvedAsset<META_DATA>,
+        loader?: Loader,
+        options?: LoaderParserOptions
+    ) => Promise<T>;
 
     /**
      * This function is used to test if the parse function should be run on the asset
@@ -78,8 +110,14 @@ export interface LoaderParser<ASSET = any, META_DATA = any, CONFIG = Record<stri
      * @param asset - The loaded asset data
      * @param resolvedAsset - Any custom additional information relevant to the asset being loaded
      * @param loader - The loader instance
+     * @param options - Options of this load, such as the signal to abort it
      */
-    parse?: <T>(asset: ASSET, resolvedAsset?: ResolvedAsset<META_DATA>, loader?: Loader) => Promise<T>;
+    parse?: <T>(
+        asset: ASSET,
+        resolvedAsset?: ResolvedAsset<META_DATA>,
+        loader?: Loader,
+        options?: LoaderParserOptions
+    ) => Promise<T>;
 
     /**
      * If an asset is parsed using this parser, the unload function will be called when the user requests an asset
@@ -1,3 +1,8 @@
+import { LoaderHttpError } from '../LoaderHttpError';
+
+import type { AbortSignalWithReason } from '../types';
+import type { LoaderParserOptions } from './LoaderParser';
+
 let UUID = 0;
 let MAX_WORKERS: number;
 
@@ -31,6 +36,10 @@ const checkImageBitmapCode = {
 type LoadImageBitmapResult = {
     data?: ImageBitmap,
     error?: Error,
+    url?: string,
+    status?: number,
+    statusText?: string,
+    progress?: [loaded: number, total: number],
     uuid: number,
     id: string,
 };
@@ -38,26 +47,77 @@ type LoadImageBitmapResult = {
 const workerCode = {
     id: 'loadImageBitmap',
     code: `
-    async function loadImageBitmap(url)
+    const abortControllers = {};
+
+    async function readBlob(response, onProgress)
     {
-        const response = await fetch(url);
+        if (!onProgress || !response.body)
+        {
+            return response.blob();
+        }
+
+        const encoding = response.headers.get('content-encoding');
+        const total = encoding && encoding !== 'identity' ? 0 : Number(response.headers.get('content-length')) || 0;
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
+
+        onProgress(0, total);
+
+        for (;;)
+        {
+            const { done, value } = await reader.read();
+
+            if (done) break;
+
+            chunks.push(value);
+            loaded += value.byteLength;
+            onProgress(loaded, total);
+        }
+
+        return new Blob(chunks);
+    }
+
+    async function loadImageBitmap(url, signal, onProgress)
+    {
+        const response = await fetch(url, { signal });
 
         if (!response.ok)
         {
-            throw new Error(\`[WorkerManager.loadImageBitmap] Failed to fetch \${url}: \`
+            const error = new Error(\`[WorkerManager.loadImageBitmap] Failed to fetch \${url}: \`
                 + \`\${response.status} \${response.statusText}\`);
+
+            error.status = response.status;
+            error.statusText = response.statusText;
+            throw error;
         }
 
-        const imageBlob =  await response.blob();
+        const imageBlob = await readBlob(response, onProgress);
         const imageBitmap = await createImageBitmap(imageBlob);
 
         return imageBitmap;
     }
     self.onmessage = async (event) =>
     {
+        if (event.data.abort)
+        {
+            abortControllers[event.data.uuid]?.abort();
+
+            return;
+        }
+
+        const abortController = new AbortController();
+
+        abortControllers[event.data.uuid] = abortController;
+
         try
         {
-            const imageBitmap = await loadImageBitmap(event.data.data[0]);
+            const onProgress = event.data.data[1] ? (loaded, total) => self.postMessage({
+                progress: [loaded, total],
+                uuid: event.data.uuid,
+                id: event.data.id,
+            }) : null;
+            const imageBitmap = await loadImageBitmap(event.data.data[0], abortController.signal, onProgress);
 
             self.postMessage({
                 data: imageBitmap,
@@ -69,15 +129,32 @@ const workerCode = {
         {
             self.postMessage({
                 error: e,
+                url: event.data.data[0],
+                status: e.status,
+                statusText: e.statusText,
                 uuid: event.data.uuid,
                 id: event.data.id,
             });
         }
+        finally
+        {
+            delete abortControllers[event.data.uuid];
+        }
     };`,
 };
 
 let workerURL: string;
 
+type WorkerJob = {
+    id: string;
+    arguments: any[];
+    resolve: (...param: any[]) => void;
+    reject: (...param: any[]) => void;
+    onProgress?: (loaded: number, total: number) => void;
+    uuid?: number;
+    worker?: Worker;
+};
+
 class WorkerManagerClass
 {
     public worker: Worker;
@@ -85,15 +162,11 @@ class WorkerManagerClass
         [key: string]: {
             resolve: (...param: any[]) => void;
             reject: (...param: any[]) => void;
+            onProgress?: (loaded: number, total: number) => void;
         }
     };
     private readonly workerPool: Worker[];
-    private readonly queue: {
-        id: string;
-        arguments: any[];
-        resolve: (...param: any[]) => void;
-        reject: (...param: any[]) => void;
-    }[];
+    private readonly queue: WorkerJob[];
     private _initialized = false;
     private _createdWorkers = 0;
     private _isImageBitmapSupported?: Promise<boolean>;
@@ -127,9 +200,11 @@ class WorkerManagerClass
         return this._isImageBitmapSupported;
     }
 
-    public loadImageBitmap(src: string): Promise<ImageBitmap>
+    public loadImageBitmap(src: string, options?: LoaderParserOptions): Promise<ImageBitmap>
     {
-        return this._run('loadImageBitmap', [src]) as Promise<ImageBitmap>;
+        const onProgress = options?.onProgress;
+
+        return this._run('loadImageBitmap', [src, !!onProgress], options?.signal, onProgress) as Promise<ImageBitmap>;
     }
 
     private async _initWorkers()
@@ -160,6 +235,13 @@ class WorkerManagerClass
 
             worker.addEventListener('message', (event: MessageEvent) =>
             {
+                if (event.data.progress)
+                {
+                    this.resolveHash[event.data.uuid]?.onProgress(...(event.data as LoadImageBitmapResult).progress);
+
+                    return;
+                }
+
                 this.complete(event.data);
 
                 this.returnWorker(event.target as Worker);
@@ -177,26 +259,89 @@ class WorkerManagerClass
 
     private complete(data: LoadImageBitmapResult): void
     {
-        if (data.error !== undefined)
+        const handlers = this.resolveHash[data.uuid];
+
+        if (!handlers)
+        {
+            // the job was aborted
+            data.data?.close();
+        }
+        else if (data.status !== undefined)
+        {
+            // errors lose their custom properties when sent from workers
+            handlers.reject(new LoaderHttpError(data.url, data.status, data.statusText));
+        }
+        else if (data.error !== undefined)
         {
-            this.resolveHash[data.uuid].reject(data.error);
+            handlers.reject(data.error);
         }
         else
         {
-            this.resolveHash[data.uuid].resolve(data.data);
+            handlers.resolve(data.data);
         }
 
         this.resolveHash[data.uuid] = null;
     }
 
-    private async _run(id: string, args: any[]): Promise<any>
+    private async _run(
+        id: string,
+        args: any[],
+        signal?: AbortSignalWithReason,
+        onProgress?: (loaded: number, total: number) => void
+    ): Promise<any>
     {
+        // an aborted signal never fires again
+        if (signal?.aborted)
+        {
+            throw signal.reason;
+        }
+
         await this._initWorkers();
         // push into the queue...
 
         const promise = new Promise((resolve, reject) =>
         {
-            this.queue.push({ id, arguments: args, resolve, reject });
+            const job: WorkerJob = { id, arguments: args, resolve: null, reject: null, onProgress };
+            const onAbort = () =>
+            {
+                const index = this.queue.indexOf(job);
+
+                if (index !== -1)
+                {
+                    this.queue.splice(index, 1);
+                }
+                else if (this.resolveHash[job.uuid])
+                {
+                    // already running, the worker still replies and is returned to the pool
+                    this.resolveHash[job.uuid] = null;
+                    job.worker.postMessage({ abort: true, uuid: job.uuid });
+                }
+
+                reject(signal.reason);
+            };
+
+            // stop listening once settled, signals may outlive the load
+            job.resolve = (value) =>
+            {
+                signal?.removeEventListener('abort', onAbort);
+                resolve(value);
+            };
+            job.reject = (reason) =>
+            {
+                signal?.removeEventListener('abort', onAbort);
+                reject(reason);
+            };
+
+            // aborted while the workers were initialized
+            if (signal?.aborted)
+            {
+                reject(signal.reason);
+
+                return;
+            }
+
+            this.queue.push(job);
+            signal?.addEventListener('abort', onAbort, { once: true });
         });
 
         this.next();
@@ -221,7 +366,9 @@ class WorkerManagerClass
 
         const id = toDo.id;
 
-        this.resolveHash[UUID] = { resolve: toDo.resolve, reject: toDo.reject };
+        toDo.uuid = UUID;
+        toDo.worker = worker;
+        this.resolveHash[UUID] = { resolve: toDo.resolve, reject: toDo.reject, onProgress: toDo.onProgress };
 
         worker.postMessage({
             data: toDo.arguments,
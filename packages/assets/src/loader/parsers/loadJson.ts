@@ -1,9 +1,12 @@
-import { extensions, ExtensionType, settings } from '@pixi/core';
+import { extensions, ExtensionType } from '@pixi/core';
 import { checkDataUrl } from '../../utils/checkDataUrl';
 import { checkExtension } from '../../utils/checkExtension';
+import { fetchAsset } from '../fetchAsset';
 import { LoaderParserPriority } from './LoaderParser';
 
-import type { LoaderParser } from './LoaderParser';
+import type { ResolvedAsset } from '../../types';
+import type { Loader } from '../Loader';
+import type { LoaderParser, LoaderParserOptions } from './LoaderParser';
 
 const validJSONExtension = '.json';
 const validJSONMIME = 'application/json';
@@ -22,9 +25,9 @@ export const loadJson = {
         return checkDataUrl(url, validJSONMIME) || checkExtension(url, validJSONExtension);
     },
 
-    async load<T>(url: string): Promise<T>
+    async load<T>(url: string, _asset?: ResolvedAsset, _loader?: Loader, options?: LoaderParserOptions): Promise<T>
     {
-        const response = await settings.ADAPTER.fetch(url);
+        const response = await fetchAsset(url, options);
 
         const json = await response.json();
 
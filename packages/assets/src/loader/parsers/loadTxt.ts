@@ -1,9 +1,12 @@
-import { extensions, ExtensionType, settings } from '@pixi/core';
+import { extensions, ExtensionType } from '@pixi/core';
 import { checkDataUrl } from '../../utils/checkDataUrl';
 import { checkExtension } from '../../utils/checkExtension';
+import { fetchAsset } from '../fetchAsset';
 import { LoaderParserPriority } from './LoaderParser';
 
-import type { LoaderParser } from './LoaderParser';
+import type { ResolvedAsset } from '../../types';
+import type { Loader } from '../Loader';
+import type { LoaderParser, LoaderParserOptions } from './LoaderParser';
 
 const validTXTExtension = '.txt';
 const validTXTMIME = 'text/plain';
@@ -23,9 +26,9 @@ export const loadTxt = {
         return checkDataUrl(url, validTXTMIME) || checkExtension(url, validTXTExtension);
     },
 
-    async load(url: string): Promise<string>
+    async load(url: string, _asset?: ResolvedAsset, _loader?: Loader, options?: LoaderParserOptions): Promise<string>
     {
-        const response = await settings.ADAPTER.fetch(url);
+        const response = await fetchAsset(url, options);
 
         const txt = await response.text();
 
@@ -1,10 +1,14 @@
 import { extensions, ExtensionType, settings, utils } from '@pixi/core';
 import { checkDataUrl } from '../../utils/checkDataUrl';
 import { checkExtension } from '../../utils/checkExtension';
+import { fetchAsset } from '../fetchAsset';
+import { LoaderAbortError } from '../LoaderAbortError';
 import { LoaderParserPriority } from './LoaderParser';
 
 import type { ResolvedAsset } from '../../types';
-import type { LoaderParser } from './LoaderParser';
+import type { Loader } from '../Loader';
+import type { AbortSignalWithReason } from '../types';
+import type { LoaderParser, LoaderParserOptions } from './LoaderParser';
 
 const validWeights = [
     'normal', 'bold',
@@ -109,8 +113,14 @@ export const loadWebFont = {
         return checkDataUrl(url, validFontMIMEs) || checkExtension(url, validFontExtensions);
     },
 
-    async load(url: string, options?: ResolvedAsset<LoadFontData>): Promise<FontFace | FontFace[]>
+    async load(
+        url: string,
+        options?: ResolvedAsset<LoadFontData>,
+        _loader?: Loader,
+        loaderOptions?: LoaderParserOptions): Promise<FontFace | FontFace[]>
     {
+        const signal: AbortSignalWithReason = loaderOptions?.signal;
+
         const fonts = settings.ADAPTER.getFontFaceSet();
 
         if (fonts)
@@ -119,18 +129,30 @@ export const loadWebFont = {
             const name = options.data?.family ?? getFontFamilyName(url);
             const weights = options.data?.weights?.filter((weight) => validWeights.includes(weight)) ?? ['normal'];
             const data = options.data ?? {};
+            // fonts are created from the stored file, instead of letting the browser fetch them
+            const source = loaderOptions?.storage
+                ? await (await fetchAsset(url, loaderOptions)).arrayBuffer()
+                : `url(${encodeURIWhenNeeded(url)})`;
 
             for (let i = 0; i < weights.length; i++)
             {
                 const weight = weights[i];
 
-                const font = new FontFace(name, `url(${encodeURIWhenNeeded(url)})`, {
+                const font = new FontFace(name, source, {
                     ...data,
                     weight,
                 });
 
                 await font.load();
 
+                // font faces cannot be cancelled, so don't add them once aborted
+                if (signal?.aborted)
+                {
+                    fontFaces.forEach((fontFace) => fonts.delete(fontFace));
+
+                    throw new LoaderAbortError(url, signal.reason);
+                }
+
                 fonts.add(font);
 
                 fontFaces.push(font);
@@ -1,6 +1,7 @@
-import { BaseTexture, extensions, ExtensionType, settings, SVGResource, utils } from '@pixi/core';
+import { BaseTexture, extensions, ExtensionType, SVGResource, utils } from '@pixi/core';
 import { checkDataUrl } from '../../../utils/checkDataUrl';
 import { checkExtension } from '../../../utils/checkExtension';
+import { fetchAsset } from '../../fetchAsset';
 import { LoaderParserPriority } from '../LoaderParser';
 import { loadTextures } from './loadTextures';
 import { createTexture } from './utils/createTexture';
@@ -8,7 +9,7 @@ import { createTexture } from './utils/createTexture';
 import type { IBaseTextureOptions, Texture } from '@pixi/core';
 import type { ResolvedAsset } from '../../../types';
 import type { Loader } from '../../Loader';
-import type { LoaderParser } from '../LoaderParser';
+import type { LoaderParser, LoaderParserOptions } from '../LoaderParser';
 
 const validSVGExtension = '.svg';
 const validSVGMIME = 'image/svg+xml';
@@ -53,9 +54,9 @@ export const loadSVG = {
         return texture;
     },
 
-    async load(url: string, _options: ResolvedAsset): Promise<string>
+    async load(url: string, _asset: ResolvedAsset, _loader: Loader, options?: LoaderParserOptions): Promise<string>
     {
-        const response = await settings.ADAPTER.fetch(url);
+        const response = await fetchAsset(url, options);
 
         return response.text();
     },
@@ -1,6 +1,7 @@
-import { BaseTexture, extensions, ExtensionType, settings, utils } from '@pixi/core';
+import { BaseTexture, extensions, ExtensionType, utils } from '@pixi/core';
 import { checkDataUrl } from '../../../utils/checkDataUrl';
 import { checkExtension } from '../../../utils/checkExtension';
+import { fetchAsset } from '../../fetchAsset';
 import { LoaderParserPriority } from '../LoaderParser';
 import { WorkerManager } from '../WorkerManager';
 import { createTexture } from './utils/createTexture';
@@ -8,7 +9,8 @@ import { createTexture } from './utils/createTexture';
 import type { IBaseTextureOptions, Texture } from '@pixi/core';
 import type { ResolvedAsset } from '../../../types';
 import type { Loader } from '../../Loader';
-import type { LoaderParser } from '../LoaderParser';
+import type { AbortSignalWithReason } from '../../types';
+import type { LoaderParser, LoaderParserOptions } from '../LoaderParser';
 
 const validImageExtensions = ['.jpeg', '.jpg', '.png', '.webp', '.avif'];
 const validImageMIMEs = [
@@ -51,17 +53,11 @@ export interface LoadTextureConfig
  * This function is designed to be used by a worker.
  * Part of WorkerManager!
  * @param url - The image to load an image bitmap for
+ * @param options - The signal to abort the request, and the download progress callback
  */
-export async function loadImageBitmap(url: string): Promise<ImageBitmap>
+export async function loadImageBitmap(url: string, options?: LoaderParserOptions): Promise<ImageBitmap>
 {
-    const response = await settings.ADAPTER.fetch(url);
-
-    if (!response.ok)
-    {
-        throw new Error(`[loadImageBitmap] Failed to fetch ${url}: `
-            + `${response.status} ${response.statusText}`);
-    }
-
+    const response = await fetchAsset(url, options);
     const imageBlob = await response.blob();
     const imageBitmap = await createImageBitmap(imageBlob);
 
@@ -109,38 +105,73 @@ export const loadTextures = {
         return checkDataUrl(url, validImageMIMEs) || checkExtension(url, validImageExtensions);
     },
 
-    async load(url: string, asset: ResolvedAsset<IBaseTextureOptions>, loader: Loader): Promise<Texture>
+    async load(
+        url: string,
+        asset: ResolvedAsset<IBaseTextureOptions>,
+        loader: Loader,
+        loaderOptions?: LoaderParserOptions): Promise<Texture>
     {
+        const signal: AbortSignalWithReason = loaderOptions?.signal;
         const useImageBitmap = globalThis.createImageBitmap && this.config.preferCreateImageBitmap;
         let src: HTMLImageElement | ImageBitmap;
 
+        // the storage is not reachable from the workers
+        const storage = loaderOptions?.storage;
+
         if (useImageBitmap)
         {
-            if (this.config.preferWorkers && await WorkerManager.isImageBitmapSupported())
+            if (!storage && this.config.preferWorkers && await WorkerManager.isImageBitmapSupported())
             {
-                src = await WorkerManager.loadImageBitmap(url);
+                src = await WorkerManager.loadImageBitmap(url, loaderOptions);
             }
             else
             {
-                src = await loadImageBitmap(url);
+                src = await loadImageBitmap(url, loaderOptions);
             }
         }
         else
         {
-            src = await new Promise((resolve, reject) =>
+            // the image is decoded from the stored file
+            const imageUrl = storage
+                ? URL.createObjectURL(await (await fetchAsset(url, loaderOptions)).blob())
+                : url;
+
+            src = await new Promise<HTMLImageElement>((resolve, reject) =>
             {
                 const src = new Image();
+                const onAbort = () =>
+                {
+                    // stops the download
+                    src.onload = src.onerror = null;
+                    src.src = '';
+                    reject(signal.reason);
+                };
 
                 src.crossOrigin = this.config.crossOrigin;
-                src.src = url;
+                src.src = imageUrl;
                 if (src.complete)
                 {
                     resolve(src);
                 }
                 else
                 {
-                    src.onload = () => resolve(src);
-                    src.onerror = (e) => reject(e);
+                    src.onload = () =>
+                    {
+                        signal?.removeEventListener('abort', onAbort);
+                        resolve(src);
+                    };
+                    src.onerror = (e) =>
+                    {
+                        signal?.removeEventListener('abort', onAbort);
+                        reject(e);
+                    };
+                    signal?.addEventListener('abort', onAbort);
+                }
+            }).finally(() =>
+            {
+                if (imageUrl !== url)
+                {
+                    URL.revokeObjectURL(imageUrl);
                 }
             });
         }
@@ -1,13 +1,14 @@
-import { BaseTexture, extensions, ExtensionType, settings, utils, VideoResource } from '@pixi/core';
+import { BaseTexture, extensions, ExtensionType, utils, VideoResource } from '@pixi/core';
 import { checkDataUrl } from '../../../utils/checkDataUrl';
 import { checkExtension } from '../../../utils/checkExtension';
+import { fetchAsset } from '../../fetchAsset';
 import { LoaderParserPriority } from '../LoaderParser';
 import { createTexture } from './utils/createTexture';
 
 import type { IBaseTextureOptions, IVideoResourceOptions, Texture } from '@pixi/core';
 import type { ResolvedAsset } from '../../../types';
 import type { Loader } from '../../Loader';
-import type { LoaderParser } from '../LoaderParser';
+import type { LoaderParser, LoaderParserOptions } from '../LoaderParser';
 
 const validVideoExtensions = ['.mp4', '.m4v', '.webm', '.ogv'];
 const validVideoMIMEs = [
@@ -55,10 +56,11 @@ export const loadVideo = {
     async load(
         url: string,
         loadAsset?: ResolvedAsset<IBaseTextureOptions<IVideoResourceOptions>>,
-        loader?: Loader): Promise<Texture>
+        loader?: Loader,
+        loaderOptions?: LoaderParserOptions): Promise<Texture>
     {
         let texture: Texture;
-        const response = await settings.ADAPTER.fetch(url);
+        const response = await fetchAsset(url, loaderOptions);
         const blob = await response.blob();
         const blobURL = URL.createObjectURL(blob);
 
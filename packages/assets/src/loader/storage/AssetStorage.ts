@@ -0,0 +1,51 @@
+/**
+ * The raw file of an asset, as kept by an {@link PIXI.AssetStorage}.
+ * @memberof PIXI
+ */
+export interface StoredAsset
+{
+    /** The URL the file was fetched from */
+    url: string;
+    /** The version of the asset the file belongs to, from the manifest */
+    version?: string;
+    /** The MIME type of the file */
+    type: string;
+    /** The size of the file in bytes, used to validate the data */
+    size: number;
+    /** The content of the file */
+    data: ArrayBuffer;
+}
+
+/**
+ * Persistent storage for the files fetched by the loader, so that assets can be loaded without the network.
+ * Files are stored by URL, a file stored for a URL replaces the previous one.
+ *
+ * Set it with the `storage` option of {@link PIXI.Assets.init}. {@link PIXI.IndexedDBAssetStorage} stores files
+ * in the browser, {@link PIXI.MemoryAssetStorage} keeps them in memory, which is mostly useful in tests.
+ * Storages may evict files at any time, for instance to stay within their quota.
+ * @memberof PIXI
+ */
+export interface AssetStorage
+{
+    /**
+     * Gets the file stored for a URL.
+     * @param url - The URL of the file
+     * @returns - The stored file, or null if there is none
+     */
+    get: (url: string) => Promise<StoredAsset | null>;
+
+    /**
+     * Stores a file, replacing the file previously stored for its URL.
+     * @param asset - The file to store
+     */
+    set: (asset: StoredAsset) => Promise<void>;
+
+    /**
+     * Removes the file stored for a URL.
+     * @param url - The URL of the file
+     */
+    delete: (url: string) => Promise<void>;
+
+    /** Removes all the stored files. */
+    clear: () => Promise<void>;
+}
@@ -0,0 +1,267 @@
+import type { AssetStorage, StoredAsset } from './AssetStorage';
+
+/**
+ * Options for {@link PIXI.IndexedDBAssetStorage}.
+ * @memberof PIXI
+ */
+export interface IndexedDBAssetStorageOptions
+{
+    /**
+     * Name of the database.
+     * @default 'pixi-assets'
+     */
+    name?: string;
+    /**
+     * The total size in bytes of the stored files, above which the least recently used files are evicted.
+     * 0 to only be limited by the quota of the browser.
+     * @default 0
+     */
+    maxSize?: number;
+}
+
+/**
+ * The metadata of a stored file, kept apart from its data so that it can be read and updated cheaply.
+ * @ignore
+ */
+interface StoredAssetEntry
+{
+    url: string;
+    version?: string;
+    type: string;
+    size: number;
+    lastAccess: number;
+}
+
+/** Object store of the {@link StoredAssetEntry} of the files, by URL. */
+const ENTRIES = 'entries';
+
+/** Object store of the data of the files, by URL. */
+const DATA = 'data';
+
+/**
+ * Waits for the result of an IndexedDB request.
+ * @param request - The request
+ */
+function requestResult<T>(request: IDBRequest<T>): Promise<T>
+{
+    return new Promise((resolve, reject) =>
+    {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Waits for an IndexedDB transaction to be committed.
+ * @param transaction - The transaction
+ */
+function transactionComplete(transaction: IDBTransaction): Promise<void>
+{
+    return new Promise((resolve, reject) =>
+    {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * An {@link PIXI.AssetStorage} keeping files in IndexedDB, so that they are available across page loads
+ * and while offline.
+ *
+ * When the stored files exceed `maxSize`, or the quota of the browser, the least recently used files are evicted.
+ * @example
+ * import { Assets, IndexedDBAssetStorage } from 'pixi.js';
+ *
+ * await Assets.init({
+ *     manifest: 'manifest.json',
+ *     storage: new IndexedDBAssetStorage({ maxSize: 200 * 1024 * 1024 }),
+ * });
+ * @memberof PIXI
+ */
+export class IndexedDBAssetStorage implements AssetStorage
+{
+    /** Name of the database. */
+    public readonly name: string;
+
+    /**
+     * The total size in bytes of the stored files, above which the least recently used files are evicted.
+     * 0 to only be limited by the quota of the browser.
+     */
+    public maxSize: number;
+
+    private _db: Promise<IDBDatabase> = null;
+
+    /** @param options - Options for the storage */
+    constructor(options: IndexedDBAssetStorageOptions = {})
+    {
+        this.name = options.name ?? 'pixi-assets';
+        this.maxSize = options.maxSize ?? 0;
+    }
+
+    /** Whether IndexedDB is available in this environment. */
+    public static get supported(): boolean
+    {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    public async get(url: string): Promise<StoredAsset | null>
+    {
+        const transaction = (await this._open()).transaction([ENTRIES, DATA], 'readwrite');
+        const entries = transaction.objectStore(ENTRIES);
+        const entry: StoredAssetEntry = await requestResult(entries.get(url));
+
+        if (!entry)
+        {
+            return null;
+        }
+
+        const data: ArrayBuffer = await requestResult(transaction.objectStore(DATA).get(url));
+
+        entry.lastAccess = Date.now();
+        entries.put(entry);
+
+        await transactionComplete(transaction);
+
+        return data ? { url, version: entry.version, type: entry.type, size: entry.size, data } : null;
+    }
+
+    public async set(asset: StoredAsset): Promise<void>
+    {
+        const { url, version, type, size, data } = asset;
+        const entry: StoredAssetEntry = { url, version, type, size, lastAccess: Date.now() };
+
+        if (this.maxSize > 0)
+        {
+            if (size > this.maxSize)
+            {
+                return;
+            }
+
+            await this._evict(this.maxSize - size, url);
+        }
+
+        // make room when over the quota of the browser, until there is nothing left to evict
+        for (;;)
+        {
+            try
+            {
+                const transaction = (await this._open()).transaction([ENTRIES, DATA], 'readwrite');
+
+                transaction.objectStore(ENTRIES).put(entry);
+                transaction.objectStore(DATA).put(data, url);
+
+                await transactionComplete(transaction);
+
+                return;
+            }
+            catch (e)
+            {
+                if ((e as DOMException)?.name !== 'QuotaExceededError' || !await this._evictLeastRecentlyUsed(url))
+                {
+                    throw e;
+                }
+            }
+        }
+    }
+
+    public async delete(url: string): Promise<void>
+    {
+        const transaction = (await this._open()).transaction([ENTRIES, DATA], 'readwrite');
+
+        transaction.objectStore(ENTRIES).delete(url);
+        transaction.objectStore(DATA).delete(url);
+
+        await transactionComplete(transaction);
+    }
+
+    public async clear(): Promise<void>
+    {
+        const transaction = (await this._open()).transaction([ENTRIES, DATA], 'readwrite');
+
+        transaction.objectStore(ENTRIES).clear();
+        transaction.objectStore(DATA).clear();
+
+        await transactionComplete(transaction);
+    }
+
+    /** Closes the database. The storage can still be used, the database is opened again when needed. */
+    public async close(): Promise<void>
+    {
+        const db = this._db;
+
+        this._db = null;
+        (await db?.catch(() => null))?.close();
+    }
+
+    /** Opens the database, creating it on first use. */
+    private _open(): Promise<IDBDatabase>
+    {
+        if (!this._db)
+        {
+            const request = indexedDB.open(this.name, 1);
+
+            request.onupgradeneeded = () =>
+            {
+                request.result.createObjectStore(ENTRIES, { keyPath: 'url' });
+                request.result.createObjectStore(DATA);
+            };
+
+            this._db = requestResult(request);
+            // try again next time
+            this._db.catch(() =>
+            {
+                this._db = null;
+            });
+        }
+
+        return this._db;
+    }
+
+    /**
+     * Reads the metadata of all the stored files.
+     * @returns - The entries, from the least to the most recently used
+     */
+    private async _getEntries(): Promise<StoredAssetEntry[]>
+    {
+        const transaction = (await this._open()).transaction(ENTRIES, 'readonly');
+        const entries: StoredAssetEntry[] = await requestResult(transaction.objectStore(ENTRIES).getAll());
+
+        return entries.sort((a, b) => a.lastAccess - b.lastAccess);
+    }
+
+    /**
+     * Evicts the least recently used files until the stored files fit in a size.
+     * @param size - The size in bytes the stored files must fit in
+     * @param replacedUrl - The URL of the file about to be stored, which is not counted
+     */
+    private async _evict(size: number, replacedUrl: string): Promise<void>
+    {
+        const entries = (await this._getEntries()).filter((entry) => entry.url !== replacedUrl);
+        let total = entries.reduce((total, entry) => total + entry.size, 0);
+
+        for (const entry of entries)
+        {
+            if (total <= size) break;
+
+            await this.delete(entry.url);
+            total -= entry.size;
+        }
+    }
+
+    /**
+     * Evicts the least recently used file.
+     * @param replacedUrl - The URL of the file about to be stored, which is not evicted
+     * @returns - Whether a file was evicted
+     */
+    private async _evictLeastRecentlyUsed(replacedUrl: string): Promise<boolean>
+    {
+        const entry = (await this._getEntries()).find((entry) => entry.url !== replacedUrl);
+
+        if (entry)
+        {
+            await this.delete(entry.url);
+        }
+
+        return !!entry;
+    }
+}
@@ -0,0 +1,88 @@
+import type { AssetStorage, StoredAsset } from './AssetStorage';
+
+/**
+ * An {@link PIXI.AssetStorage} keeping files in memory, for the lifetime of the page.
+ * Mostly useful as a stand-in for {@link PIXI.IndexedDBAssetStorage} in tests.
+ * @memberof PIXI
+ */
+export class MemoryAssetStorage implements AssetStorage
+{
+    /**
+     * The total size in bytes of the stored files, above which the least recently used files are evicted.
+     * 0 for no limit.
+     */
+    public maxSize: number;
+
+    /** The stored files, from the least to the most recently used. */
+    private readonly _assets: Map<string, StoredAsset> = new Map();
+
+    /** @param maxSize - The total size in bytes of the stored files, 0 for no limit */
+    constructor(maxSize = 0)
+    {
+        this.maxSize = maxSize;
+    }
+
+    /** The total size in bytes of the stored files. */
+    public get size(): number
+    {
+        let size = 0;
+
+        this._assets.forEach((asset) =>
+        {
+            size += asset.size;
+        });
+
+        return size;
+    }
+
+    public async get(url: string): Promise<StoredAsset | null>
+    {
+        const asset = this._assets.get(url);
+
+        if (!asset)
+        {
+            return null;
+        }
+
+        // move it to the most recently used end
+        this._assets.delete(url);
+        this._assets.set(url, asset);
+
+        return asset;
+    }
+
+    public async set(asset: StoredAsset): Promise<void>
+    {
+        this._assets.delete(asset.url);
+
+        if (this.maxSize > 0)
+        {
+            let size = this.size + asset.size;
+
+            for (const [url, stored] of this._assets)
+            {
+                if (size <= this.maxSize) break;
+
+                this._assets.delete(url);
+                size -= stored.size;
+            }
+
+            if (size > this.maxSize)
+            {
+                return;
+            }
+        }
+
+        this._assets.set(asset.url, asset);
+    }
+
+    public async delete(url: string): Promise<void>
+    {
+        this._assets.delete(url);
+    }
+
+    public async clear(): Promise<void>
+    {
+        this._assets.clear();
+    }
+}
@@ -0,0 +1,3 @@
+export * from './AssetStorage';
+export * from './IndexedDBAssetStorage';
+export * from './MemoryAssetStorage';
@@ -1,7 +1,106 @@
+import type { ResolvedAsset } from '../types';
 import type { LoaderParser } from './parsers';
 
 export interface PromiseAndParser
 {
     promise: Promise<any>
     parser: LoaderParser
+    /** Aborts the load, once every call waiting for it has been aborted */
+    abortController?: AbortControllerWithReason
+    /** Number of calls to `Loader.load` waiting for the promise */
+    waiting?: number
+}
+
+/**
+ * An `AbortSignal` with its abort reason, which is missing from the DOM typings of our TypeScript version.
+ * @ignore
+ */
+export interface AbortSignalWithReason extends AbortSignal
+{
+    readonly reason?: any;
+}
+
+/**
+ * An `AbortController` which can be aborted with a reason.
+ * @ignore
+ */
+export interface AbortControllerWithReason extends AbortController
+{
+    readonly signal: AbortSignalWithReason;
+    abort(reason?: any): void;
+}
+
+/**
+ * How the loader retries failed loads, set with {@link PIXI.Assets.setPreferences}.
+ * @memberof PIXI
+ */
+export interface LoaderRetryConfig
+{
+    /**
+     * Number of times a failed load is retried, before trying the fallbacks of the asset.
+     * @default 0
+     */
+    retryCount: number;
+    /**
+     * Delay in milliseconds before the first retry.
+     * @default 250
+     */
+    retryDelay: number;
+    /**
+     * Factor the delay is multiplied by after each retry.
+     * @default 2
+     */
+    retryBackoff: number;
+    /**
+     * The HTTP status codes of responses which are retried. Network errors and timeouts are always
+     * retried, other errors such as parse errors are not.
+     * @default [408, 429, 500, 502, 503, 504]
+     */
+    retryStatusCodes: number[];
+    /**
+     * Overrides `retryStatusCodes` to decide which errors are retried. Aborted loads are never retried.
+     * @default null
+     */
+    retryTest: (error: any, url: string) => boolean;
+}
+
+/**
+ * Events emitted by the {@link PIXI.AssetLoader} for each asset it loads. The first argument is the absolute URL
+ * of the asset, which is emitted once even if several calls are loading it.
+ * @memberof PIXI
+ */
+export interface LoaderEvents
+{
+    /** Loading an asset started. */
+    start: [url: string, asset: ResolvedAsset];
+    /** Part of an asset was downloaded. `total` is 0 when the size of the asset is unknown. */
+    progress: [url: string, loaded: number, total: number];
+    /** An asset was loaded. */
+    complete: [url: string, asset: any];
+    /** An asset could not be loaded, or its load was cancelled. */
+    error: [url: string, error: any];
+    /** An asset was unloaded. */
+    unload: [url: string, asset: any];
+}
+
+/**
+ * Options for loading assets with `Loader.load` or `Assets.load`.
+ * @memberof PIXI
+ */
+export interface LoadOptions
+{
+    /**
+     * Called when progress on asset loading is made, with the fraction (0.0 - 1.0) of the assets loaded.
+     * Assets are weighted by their size when the download progress of their files is known.
+     * Do not use this function to detect when assets are complete and available,
+     * instead use the Promise returned by the load function.
+     */
+    onProgress?: (progress: number) => void;
+    /**
+     * A signal to abort loading. The load is rejected with a {@link PIXI.LoaderAbortError} when it is aborted,
+     * and assets which are not loaded by another call are cancelled.
+     */
+    signal?: AbortSignal;
+    /** A time in milliseconds after which loading is aborted, like with `signal`. */
+    timeout?: number;
 }
@@ -502,7 +502,7 @@ export class Resolver
         // loop through all the assets and generate a resolve asset for each src
         assetArray.forEach((asset) =>
         {
-            const { src, srcs } = asset;
+            const { src, srcs, fallbackSrc, version } = asset;
             let { data, format, loadParser } = asset;
 
             // src can contain an unresolved asset itself
@@ -570,6 +570,8 @@ export class Resolver
                         data,
                         format,
                         loadParser,
+                        fallbackSrc,
+                        version,
                     });
 
                     resolvedAssets.push(formattedAsset);
@@ -814,9 +816,12 @@ export class Resolver
         data?: Record<string, unknown>
         loadParser?: string,
         format?: string,
+        fallbackSrc?: ArrayOr<string>,
+        version?: string,
     }): ResolvedAsset
     {
         const { aliases, data: assetData, loadParser, format } = data;
+        const fallbackSrc = formattedAsset.fallbackSrc ?? data.fallbackSrc;
 
         if (this._basePath || this._rootPath)
         {
@@ -825,6 +830,23 @@ export class Resolver
 
         formattedAsset.alias = aliases ?? formattedAsset.alias ?? [formattedAsset.src];
         formattedAsset.src = this._appendDefaultSearchParams(formattedAsset.src);
+
+        if (fallbackSrc)
+        {
+            formattedAsset.fallbackSrc = convertToList<string>(fallbackSrc).map((src) =>
+            {
+                if (this._basePath || this._rootPath)
+                {
+                    src = utils.path.toAbsolute(src, this._basePath, this._rootPath);
+                }
+
+                return this._appendDefaultSearchParams(src);
+            });
+        }
+        if (data.version !== undefined)
+        {
+            formattedAsset.version ??= data.version;
+        }
         formattedAsset.data = { ...assetData || {}, ...formattedAsset.data };
         formattedAsset.loadParser = loadParser ?? formattedAsset.loadParser;
         formattedAsset.format = format ?? formattedAsset.src.split('.').pop();
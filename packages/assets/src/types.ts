@@ -39,6 +39,13 @@ export interface ResolvedAsset<T=any>
     format?: string;
     /** An override that will ensure that the asset is loaded with a specific parser */
     loadParser?: LoadParserName;
+    /** URLs or relative paths tried in order when `src` cannot be loaded, for instance a mirror on another CDN */
+    fallbackSrc?: string[];
+    /**
+     * The version of the asset, such as a hash of its file. Files kept in the storage of the loader are
+     * loaded without the network as long as their version matches, see {@link PIXI.AssetStorage}.
+     */
+    version?: string;
     [key: string]: any;
 }
 
@@ -48,7 +55,9 @@ export interface ResolvedAsset<T=any>
  * @memberof PIXI
  */
 // NOTE: Omit does not seem to work here
-export type ResolvedSrc = Pick<ResolvedAsset, 'src' | 'srcs' | 'format' | 'loadParser' | 'data'> & {[key: string]: any;};
+export type ResolvedSrc = Pick<ResolvedAsset, 'src' | 'srcs' | 'format' | 'loadParser' | 'data' | 'fallbackSrc'
+| 'version'>
+& {[key: string]: any;};
 
 export type AssetSrc = ArrayOr<string> | ArrayOr<ResolvedSrc>;
 
@@ -56,12 +65,14 @@ export type AssetSrc = ArrayOr<string> | ArrayOr<ResolvedSrc>;
  * An asset that has not been resolved yet.
  * @memberof PIXI
  */
-export interface UnresolvedAsset<T=any> extends Omit<ResolvedAsset<T>, 'src' | 'srcs' | 'name' | 'alias'>
+export interface UnresolvedAsset<T=any> extends Omit<ResolvedAsset<T>, 'src' | 'srcs' | 'name' | 'alias' | 'fallbackSrc'>
 {
     /** Aliases associated with asset */
     alias?: ArrayOr<string>;
     /** The URL or relative path to the asset */
     src?: AssetSrc;
+    /** URLs or relative paths tried in order when `src` cannot be loaded */
+    fallbackSrc?: ArrayOr<string>;
     /**
      * Please use `alias` instead.
      * @deprecated since 7.3.0
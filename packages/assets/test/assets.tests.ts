@@ -311,6 +311,63 @@ describe('Assets', () =>
         expect(bunny.baseTexture).toBe(null);
     });
 
+    it('should only unload assets once all owners unloaded them', async () =>
+    {
+        await Assets.init({
+            basePath,
+        });
+
+        const bunny = await Assets.load<Texture>('textures/bunny.png');
+
+        await Assets.load('textures/bunny.png', { owner: 'menu' });
+        await Assets.load('textures/bunny.png', { owner: 'menu' });
+
+        expect(Assets.cache.getRetained()).toEqual({
+            [`${basePath}textures/bunny.png`]: ['anonymous', 'menu'],
+        });
+
+        await Assets.unload('textures/bunny.png', 'anonymous');
+
+        expect(bunny.baseTexture).not.toBe(null);
+        expect(Assets.get('textures/bunny.png')).toBe(bunny);
+
+        await Assets.unload('textures/bunny.png', 'menu');
+
+        expect(bunny.baseTexture).toBe(null);
+        expect(Assets.cache.getRetained()).toEqual({});
+    });
+
+    it('should unload assets loaded several times with a single unload', async () =>
+    {
+        await Assets.init({
+            basePath,
+        });
+
+        const bunny = await Assets.load<Texture>('textures/bunny.png');
+
+        await Assets.load('textures/bunny.png');
+        await Assets.load('textures/bunny.png');
+        await Assets.unload('textures/bunny.png', 'anonymous');
+
+        expect(bunny.baseTexture).toBe(null);
+        expect(Assets.get('textures/bunny.png')).toBe(undefined);
+    });
+
+    it('should unload assets whoever retains them without an owner', async () =>
+    {
+        await Assets.init({
+            basePath,
+        });
+
+        const bunny = await Assets.load<Texture>('textures/bunny.png', { owner: 'menu' });
+
+        await Assets.load('textures/bunny.png', { owner: 'hud' });
+        await Assets.unload('textures/bunny.png');
+
+        expect(bunny.baseTexture).toBe(null);
+        expect(Assets.cache.getRetained()).toEqual({});
+    });
+
     it('should load TXT assets from data URL', async () =>
     {
         let txtDataURL1 = `
@@ -593,4 +650,17 @@ describe('Assets', () =>
 
         expect(Assets.cache.has(url)).toBeFalse();
     });
+
+    it('should set the retry preferences of the loader', () =>
+    {
+        const config = { ...Assets.loader.config };
+
+        Assets.setPreferences({ retryCount: 3, retryDelay: 100 });
+
+        expect(Assets.loader.config.retryCount).toBe(3);
+        expect(Assets.loader.config.retryDelay).toBe(100);
+        expect(Assets.loader.config.retryBackoff).toBe(config.retryBackoff);
+
+        Object.assign(Assets.loader.config, config);
+    });
 });
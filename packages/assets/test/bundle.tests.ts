@@ -59,9 +59,16 @@ describe('Assets bundles', () =>
         });
 
         const progressMock = jest.fn();
+        const emit = Assets.loader.emit.bind(Assets.loader);
+
+        // without the byte progress of the files, the progress is the fraction of assets loaded
+        const emitSpy = jest.spyOn(Assets.loader, 'emit')
+            .mockImplementation((event, ...args) => event !== 'progress' && emit(event, ...args));
 
         const assets = await Assets.loadBundle(['default', 'data'], progressMock);
 
+        emitSpy.mockRestore();
+
         expect(progressMock).toHaveBeenCalledTimes(4);
         expect(progressMock.mock.calls).toEqual([[0.25], [0.5], [0.75], [1]]);
         expect(assets.default.bunny).toBeInstanceOf(Texture);
@@ -71,6 +78,25 @@ describe('Assets bundles', () =>
         expect(assets.data[`test.json`]).toEqual({ testNumber: 23, testString: 'Test String 23' });
     });
 
+    it('should weight the progress of bundles by the size of the files', async () =>
+    {
+        await Assets.init({
+            basePath,
+            manifest: 'json/asset-manifest-2.json',
+        });
+
+        const progressMock = jest.fn();
+
+        await Assets.loadBundle(['default', 'data'], progressMock);
+
+        const progress = progressMock.mock.calls.map(([progress]) => progress);
+
+        // reported as the files download
+        expect(progress.length).toBeGreaterThanOrEqual(4);
+        expect(progress).toEqual([...progress].sort((a, b) => a - b));
+        expect(progress[progress.length - 1]).toBe(1);
+    });
+
     it('should background load bundles', async () =>
     {
         await Assets.init({
@@ -120,6 +146,56 @@ describe('Assets bundles', () =>
         expect(assets.bunny.baseTexture).toBe(null);
     });
 
+    it('should not unload assets retained by other bundles', async () =>
+    {
+        await Assets.init({
+            basePath,
+        });
+
+        Assets.addBundle('level1', {
+            bunny: 'textures/bunny.png',
+            spritesheet: 'spritesheet/spritesheet.json',
+        });
+        Assets.addBundle('level2', {
+            bunny: 'textures/bunny.png',
+        });
+
+        const level1 = await Assets.loadBundle('level1');
+        const level2 = await Assets.loadBundle('level2');
+
+        expect(level2.bunny).toBe(level1.bunny);
+        expect(Assets.cache.getRetained()[`${basePath}textures/bunny.png`])
+            .toEqual(['bundle:level1', 'bundle:level2']);
+
+        await Assets.unloadBundle('level1');
+
+        expect(level1.bunny.baseTexture).not.toBe(null);
+        expect(Assets.get('level1-spritesheet')).toBe(undefined);
+
+        await Assets.unloadBundle('level2');
+
+        expect(level1.bunny.baseTexture).toBe(null);
+    });
+
+    it('should unload assets loaded through a bundle', async () =>
+    {
+        await Assets.init({
+            basePath,
+        });
+
+        Assets.addBundle('testBundle', {
+            bunny: 'textures/bunny.png',
+        });
+
+        const assets = await Assets.loadBundle('testBundle');
+
+        await Assets.unload('bunny');
+
+        expect(assets.bunny.baseTexture).toBe(null);
+        expect(Assets.get('bunny')).toBe(undefined);
+        expect(Assets.cache.getRetained()).toEqual({});
+    });
+
     it('should load bundles with clashing names correctly', async () =>
     {
         const manifest = {
@@ -225,6 +301,25 @@ describe('Assets bundles', () =>
             .toBe(`${basePath}textures/bunny-2.png`);
     });
 
+    it('should unload assets loaded through a bundle', async () =>
+    {
+        await Assets.init({
+            basePath,
+        });
+
+        Assets.addBundle('testBundle', {
+            bunny: 'textures/bunny.png',
+        });
+
+        const assets = await Assets.loadBundle('testBundle');
+
+        await Assets.unload('bunny');
+
+        expect(assets.bunny.baseTexture).toBe(null);
+        expect(Assets.get('bunny')).toBe(undefined);
+        expect(Assets.cache.getRetained()).toEqual({});
+    });
+
     it('should load bundles with clashing names correctly', async () =>
     {
         const manifest = {
@@ -80,4 +80,37 @@ describe('Cache', () =>
 
         expect(chicken).toBe(undefined);
     });
+
+    it('should count references by owner', () =>
+    {
+        Cache.set(['test', 'chicken'], 'hello');
+
+        expect(Cache.retain('test')).toBe(1);
+        expect(Cache.retain('chicken', 'bundle')).toBe(2);
+        expect(Cache.retain('test', 'bundle')).toBe(2);
+
+        expect(Cache.getRetained()).toEqual({ test: ['anonymous', 'bundle'] });
+
+        expect(Cache.release('chicken')).toBe(1);
+        expect(Cache.release('test')).toBe(1);
+        expect(Cache.getRetained()).toEqual({ test: ['bundle'] });
+
+        expect(Cache.release('test', 'bundle')).toBe(0);
+        expect(Cache.getRetained()).toEqual({});
+
+        // releasing does not remove the entry
+        expect(Cache.get('test')).toBe('hello');
+    });
+
+    it('should clear the references of removed keys', () =>
+    {
+        Cache.set(['test', 'chicken'], 'hello');
+        Cache.retain('test');
+
+        Cache.remove('chicken');
+
+        expect(Cache.getReferenceCount('test')).toBe(0);
+        expect(Cache.getRetained()).toEqual({});
+        expect(Cache.retain('test')).toBe(0);
+    });
 });
@@ -1,8 +1,25 @@
-import { Cache, loadJson, loadSVG, loadTextures, loadWebFont } from '@pixi/assets';
-import { Texture } from '@pixi/core';
+import { Cache, LoaderAbortError, LoaderHttpError, loadJson, loadSVG, loadTextures, loadWebFont } from '@pixi/assets';
+import { Texture, utils } from '@pixi/core';
 import { Loader } from '../src/loader/Loader';
+import { LoadProgressTracker } from '../src/loader/LoadProgressTracker';
+import { WorkerManager } from '../src/loader/parsers/WorkerManager';
 
-import type { LoaderParser } from '@pixi/assets';
+import type { LoaderParser, LoaderParserOptions, ResolvedAsset } from '@pixi/assets';
+
+/** A parser whose loads only complete when the test resolves them. */
+function createPendingParser()
+{
+    const pending: { resolve: (asset: any) => void, signal: AbortSignal }[] = [];
+    const parser = {
+        name: 'pending',
+        test: () => true,
+        load: jest.fn((_url: string, _asset: unknown, _loader: Loader, options: LoaderParserOptions) =>
+            new Promise((resolve) => pending.push({ resolve, signal: options.signal }))),
+        unload: jest.fn(),
+    } as LoaderParser;
+
+    return { parser, pending };
+}
 
 describe('Loader', () =>
 {
@@ -314,4 +331,423 @@ describe('Loader', () =>
         expect(texture.width).toBe(26);
         expect(texture.height).toBe(37);
     });
+
+    describe('aborting', () =>
+    {
+        it('should reject with a LoaderAbortError and cancel the load when aborted', async () =>
+        {
+            const loader = new Loader();
+            const { parser, pending } = createPendingParser();
+            const controller = new AbortController();
+
+            loader['_parsers'].push(parser);
+
+            const promise = loader.load('foo.bar', { signal: controller.signal });
+
+            await new Promise((resolve) => setTimeout(resolve));
+            controller.abort();
+
+            const error = await promise.catch((e) => e);
+
+            expect(error).toBeInstanceOf(LoaderAbortError);
+            expect(error.name).toBe('AbortError');
+            expect(error.url).toBe(utils.path.toAbsolute('foo.bar'));
+            expect(error.timedOut).toBe(false);
+            expect(pending[0].signal.aborted).toBe(true);
+            expect(loader.promiseCache).toEqual({});
+        });
+
+        it('should reject immediately if the signal is already aborted', async () =>
+        {
+            const loader = new Loader();
+            const { parser } = createPendingParser();
+            const controller = new AbortController();
+
+            loader['_parsers'].push(parser);
+            controller.abort();
+
+            await expect(loader.load('foo.bar', { signal: controller.signal })).rejects.toThrow(LoaderAbortError);
+        });
+
+        it('should not run worker jobs if the signal is already aborted', async () =>
+        {
+            const getWorker = jest.spyOn(WorkerManager as any, 'getWorker');
+            const controller = new AbortController();
+
+            controller.abort();
+
+            const result = await WorkerManager.loadImageBitmap('foo.png', { signal: controller.signal })
+                .then(() => 'resolved', () => 'rejected');
+
+            expect(result).toEqual('rejected');
+            expect(getWorker).not.toHaveBeenCalled();
+            expect(WorkerManager['queue']).toHaveLength(0);
+
+            getWorker.mockRestore();
+        });
+
+        it('should stop listening to the signal once worker jobs complete', async () =>
+        {
+            const worker = { postMessage: jest.fn() };
+            const getWorker = jest.spyOn(WorkerManager as any, 'getWorker').mockReturnValue(worker);
+            const controller = new AbortController();
+            const removeEventListener = jest.spyOn(controller.signal, 'removeEventListener');
+            const bitmap = {};
+            const promise = WorkerManager.loadImageBitmap('foo.png', { signal: controller.signal });
+
+            await new Promise((resolve) => setTimeout(resolve, 0));
+
+            const { uuid } = worker.postMessage.mock.calls[0][0];
+
+            WorkerManager['complete']({ uuid, data: bitmap } as any);
+
+            await expect(promise).resolves.toBe(bitmap);
+            expect(removeEventListener).toHaveBeenCalledWith('abort', expect.any(Function));
+
+            getWorker.mockRestore();
+        });
+
+        it('should abort when the timeout is exceeded', async () =>
+        {
+            const loader = new Loader();
+            const { parser, pending } = createPendingParser();
+
+            loader['_parsers'].push(parser);
+
+            const error = await loader.load(['foo.bar', 'foo.baz'], { timeout: 10 }).catch((e) => e);
+
+            expect(error).toBeInstanceOf(LoaderAbortError);
+            expect(error.timedOut).toBe(true);
+            expect(pending.every(({ signal }) => signal.aborted)).toBe(true);
+        });
+
+        it('should not cancel a load another call is waiting for', async () =>
+        {
+            const loader = new Loader();
+            const { parser, pending } = createPendingParser();
+            const controller = new AbortController();
+
+            loader['_parsers'].push(parser);
+
+            const aborted = loader.load('foo.bar', { signal: controller.signal });
+            const kept = loader.load('foo.bar');
+
+            await new Promise((resolve) => setTimeout(resolve));
+            controller.abort();
+
+            await expect(aborted).rejects.toThrow(LoaderAbortError);
+            expect(pending[0].signal.aborted).toBe(false);
+
+            pending[0].resolve('asset');
+
+            expect(await kept).toBe('asset');
+            expect(parser.load).toHaveBeenCalledTimes(1);
+        });
+
+        it('should unload assets that finish loading after being aborted', async () =>
+        {
+            const loader = new Loader();
+            const { parser, pending } = createPendingParser();
+            const controller = new AbortController();
+
+            loader['_parsers'].push(parser);
+
+            const promise = loader.load('foo.bar', { signal: controller.signal });
+
+            await new Promise((resolve) => setTimeout(resolve));
+            controller.abort();
+            await expect(promise).rejects.toThrow(LoaderAbortError);
+
+            // the parser ignores the signal
+            pending[0].resolve('asset');
+            await new Promise((resolve) => setTimeout(resolve));
+
+            expect(parser.unload).toHaveBeenCalledWith('asset', expect.anything(), loader);
+        });
+
+        it('should load again after being aborted', async () =>
+        {
+            const loader = new Loader();
+            const { parser, pending } = createPendingParser();
+            const controller = new AbortController();
+
+            loader['_parsers'].push(parser);
+
+            const aborted = loader.load('foo.bar', { signal: controller.signal });
+
+            await new Promise((resolve) => setTimeout(resolve));
+            controller.abort();
+            await expect(aborted).rejects.toThrow(LoaderAbortError);
+
+            const promise = loader.load('foo.bar');
+
+            await new Promise((resolve) => setTimeout(resolve));
+            pending[1].resolve('asset');
+
+            expect(await promise).toBe('asset');
+        });
+    });
+
+    describe('retrying', () =>
+    {
+        /**
+         * Creates a parser which fails to load a number of times.
+         * @param failures - Errors to fail with, in order
+         */
+        function createFailingParser(failures: Error[])
+        {
+            return {
+                name: 'failing',
+                test: () => true,
+                load: jest.fn(async (url: string) =>
+                {
+                    const error = failures.shift();
+
+                    if (error) throw error;
+
+                    return url;
+                }),
+            } as LoaderParser;
+        }
+
+        function createLoader(parser: LoaderParser, config: Partial<Loader['config']> = {})
+        {
+            const loader = new Loader();
+
+            loader['_parsers'].push(parser);
+            Object.assign(loader.config, { retryDelay: 1 }, config);
+
+            return loader;
+        }
+
+        it('should not retry by default', async () =>
+        {
+            const parser = createFailingParser([new TypeError('Failed to fetch')]);
+            const loader = new Loader();
+
+            loader['_parsers'].push(parser);
+
+            await expect(loader.load('foo.bar')).rejects.toThrow('Failed to fetch');
+            expect(parser.load).toHaveBeenCalledTimes(1);
+        });
+
+        it('should retry network errors and retryable statuses', async () =>
+        {
+            const parser = createFailingParser([
+                new TypeError('Failed to fetch'),
+                new LoaderHttpError('foo.bar', 503, 'Service Unavailable'),
+            ]);
+            const loader = createLoader(parser, { retryCount: 2 });
+
+            expect(await loader.load('foo.bar')).toBe(utils.path.toAbsolute('foo.bar'));
+            expect(parser.load).toHaveBeenCalledTimes(3);
+        });
+
+        it('should give up after the retry count', async () =>
+        {
+            const parser = createFailingParser([
+                new TypeError('Failed to fetch'),
+                new TypeError('Failed to fetch'),
+                new TypeError('Failed to fetch'),
+            ]);
+            const loader = createLoader(parser, { retryCount: 2 });
+
+            await expect(loader.load('foo.bar')).rejects.toThrow('Failed to fetch');
+            expect(parser.load).toHaveBeenCalledTimes(3);
+        });
+
+        it('should not retry statuses which are not retryable', async () =>
+        {
+            const parser = createFailingParser([new LoaderHttpError('foo.bar', 404, 'Not Found')]);
+            const loader = createLoader(parser, { retryCount: 2 });
+
+            await expect(loader.load('foo.bar')).rejects.toThrow('404');
+            expect(parser.load).toHaveBeenCalledTimes(1);
+        });
+
+        it('should not retry errors which are not network errors or timeouts', async () =>
+        {
+            const parser = createFailingParser([new SyntaxError('Unexpected token < in JSON')]);
+            const loader = createLoader(parser, { retryCount: 2 });
+
+            await expect(loader.load('foo.bar')).rejects.toThrow('Unexpected token');
+            expect(parser.load).toHaveBeenCalledTimes(1);
+        });
+
+        it('should retry timeouts', async () =>
+        {
+            const timeout = new Error('The operation timed out');
+
+            timeout.name = 'TimeoutError';
+
+            const parser = createFailingParser([timeout]);
+            const loader = createLoader(parser, { retryCount: 2 });
+
+            expect(await loader.load('foo.bar')).toBe(utils.path.toAbsolute('foo.bar'));
+            expect(parser.load).toHaveBeenCalledTimes(2);
+        });
+
+        it('should use the retry test if set', async () =>
+        {
+            const parser = createFailingParser([new Error('retry me'), new Error('fatal')]);
+            const retryTest = jest.fn((error: Error) => error.message === 'retry me');
+            const loader = createLoader(parser, { retryCount: 5, retryTest });
+
+            await expect(loader.load('foo.bar')).rejects.toThrow('fatal');
+            expect(parser.load).toHaveBeenCalledTimes(2);
+            expect(retryTest).toHaveBeenCalledWith(expect.any(Error), utils.path.toAbsolute('foo.bar'));
+        });
+
+        it('should wait with an exponential backoff', async () =>
+        {
+            const parser = createFailingParser([new TypeError(), new TypeError(), new TypeError()]);
+            const loader = createLoader(parser, { retryCount: 3, retryDelay: 10, retryBackoff: 3 });
+            const start = performance.now();
+
+            await loader.load('foo.bar');
+
+            // 10 + 30 + 90
+            expect(performance.now() - start).toBeGreaterThanOrEqual(125);
+        });
+
+        it('should stop retrying when aborted', async () =>
+        {
+            const parser = createFailingParser([new TypeError(), new TypeError()]);
+            const loader = createLoader(parser, { retryCount: 2, retryDelay: 1000 });
+            const controller = new AbortController();
+            const promise = loader.load('foo.bar', { signal: controller.signal });
+
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            controller.abort();
+
+            await expect(promise).rejects.toThrow(LoaderAbortError);
+            expect(parser.load).toHaveBeenCalledTimes(1);
+        });
+
+        it('should try the fallbacks in order', async () =>
+        {
+            const parser = createFailingParser([
+                new LoaderHttpError('foo.bar', 404, 'Not Found'),
+                new TypeError('Failed to fetch'),
+            ]);
+            const loader = createLoader(parser);
+
+            const asset = await loader.load({
+                src: 'foo.bar',
+                fallbackSrc: ['http://mirror.com/foo.bar', 'http://backup.com/foo.bar'],
+            });
+
+            expect(asset).toBe('http://backup.com/foo.bar');
+            expect(parser.load).toHaveBeenCalledTimes(3);
+            expect(parser.load).toHaveBeenLastCalledWith(
+                'http://backup.com/foo.bar',
+                expect.objectContaining({ src: 'http://backup.com/foo.bar' }),
+                loader,
+                expect.anything(),
+            );
+        });
+    });
+
+    describe('events', () =>
+    {
+        /** A parser reporting the download progress of its assets, whose size is in their data. */
+        const progressParser = {
+            name: 'progress',
+            test: () => true,
+            async load(url: string, asset: ResolvedAsset, _loader: Loader, options: LoaderParserOptions)
+            {
+                const size: number = asset.data?.size ?? 0;
+
+                for (let loaded = 0; loaded <= size; loaded += 50)
+                {
+                    options.onProgress(loaded, size);
+                    await new Promise((resolve) => setTimeout(resolve));
+                }
+
+                if (asset.data?.fail) throw new Error('oops');
+
+                return url;
+            },
+            unload: jest.fn(),
+        } as LoaderParser;
+
+        it('should emit the events of each asset', async () =>
+        {
+            const loader = new Loader();
+            const events: any[][] = [];
+
+            loader['_parsers'].push(progressParser);
+            (['start', 'progress', 'complete', 'error', 'unload'] as const).forEach((event) =>
+                loader.on(event, (url: string, ...args: any[]) => events.push([event, url, ...args])));
+
+            const url = utils.path.toAbsolute('foo.bar');
+            const asset = { src: 'foo.bar', data: { size: 100 } };
+
+            await loader.load(asset);
+            await loader.unload(asset);
+            await loader.load({ src: 'foo.baz', data: { fail: true } }).catch(() => null);
+
+            expect(events).toEqual([
+                ['start', url, asset],
+                ['progress', url, 0, 100],
+                ['progress', url, 50, 100],
+                ['progress', url, 100, 100],
+                ['complete', url, url],
+                ['unload', url, url],
+                ['start', utils.path.toAbsolute('foo.baz'), expect.anything()],
+                ['progress', utils.path.toAbsolute('foo.baz'), 0, 0],
+                ['error', utils.path.toAbsolute('foo.baz'), expect.any(Error)],
+            ]);
+        });
+
+        it('should weight the progress by the size of the assets', async () =>
+        {
+            const loader = new Loader();
+            const onProgress = jest.fn();
+
+            loader['_parsers'].push(progressParser);
+
+            await loader.load([
+                { src: 'small', data: { size: 100 } },
+                { src: 'large', data: { size: 300 } },
+            ], { onProgress });
+
+            const progress = onProgress.mock.calls.map(([progress]) => progress);
+
+            expect(progress).toEqual([0.25, 0.375, 0.5, 0.625, 0.75, 0.875, 1]);
+        });
+
+        it('should count assets of unknown size as the average size', async () =>
+        {
+            const loader = new Loader();
+            const onProgress = jest.fn();
+
+            loader['_parsers'].push(progressParser);
+
+            await loader.load([
+                { src: 'unknown' },
+                { src: 'known', data: { size: 100 } },
+            ], { onProgress });
+
+            expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([0.5, 0.75, 1]);
+        });
+
+        it('should stop tracking the progress once the assets are loaded or failed to load', async () =>
+        {
+            const loader = new Loader();
+            const onProgress = jest.fn();
+            const tracker = new LoadProgressTracker(loader, onProgress);
+
+            loader['_parsers'].push(progressParser);
+            tracker.add([utils.path.toAbsolute('foo.bar'), utils.path.toAbsolute('foo.baz')]);
+
+            await loader.load('foo.bar');
+            await loader.load({ src: 'foo.baz', data: { fail: true } }).catch(() => null);
+
+            expect(onProgress.mock.calls).toEqual([[0.5]]);
+            expect(loader.listenerCount('progress')).toBe(0);
+            expect(loader.listenerCount('complete')).toBe(0);
+            expect(loader.listenerCount('error')).toBe(0);
+        });
+    });
 });
@@ -599,4 +599,41 @@ describe('Resolver', () =>
 
         expect(resolver.resolveUrl('my-image.png')).toBe('my-image.png?hello=world&lucky=23');
     });
+
+    it('should resolve fallback urls like the src', () =>
+    {
+        const resolver = new Resolver();
+
+        resolver.basePath = 'http://localhost:8080/';
+        resolver.setDefaultSearchParams('v=2');
+
+        resolver.add({
+            alias: 'test',
+            src: 'bunny.png',
+            fallbackSrc: ['https://mirror.com/bunny.png', 'backup/bunny.png'],
+        });
+
+        expect(resolver.resolve('test').fallbackSrc).toEqual([
+            'https://mirror.com/bunny.png?v=2',
+            'http://localhost:8080/backup/bunny.png?v=2',
+        ]);
+    });
+
+    it('should resolve the version of assets', () =>
+    {
+        const resolver = new Resolver();
+
+        resolver.addManifest({
+            bundles: [{
+                name: 'default',
+                assets: [
+                    { alias: 'bunny', src: 'bunny.{png,webp}', version: 'a1b2' },
+                    { alias: 'chicken', src: [{ src: 'chicken.png', version: 'c3d4' }], version: 'e5f6' },
+                ],
+            }],
+        });
+
+        expect(resolver.resolve('bunny').version).toBe('a1b2');
+        expect(resolver.resolve('chicken').version).toBe('c3d4');
+    });
 });
@@ -0,0 +1,155 @@
+import { fetchAsset, LoaderHttpError, loadJson, MemoryAssetStorage } from '@pixi/assets';
+import { settings } from '@pixi/core';
+import { Loader } from '../src/loader/Loader';
+
+import type { StoredAsset } from '@pixi/assets';
+
+/**
+ * Creates a stored file from a string.
+ * @param url - The URL of the file
+ * @param text - The content of the file
+ * @param version - The version of the file
+ */
+function createStoredAsset(url: string, text: string, version?: string): StoredAsset
+{
+    const data = new TextEncoder().encode(text).buffer;
+
+    return { url, version, type: 'text/plain', size: data.byteLength, data };
+}
+
+describe('AssetStorage', () =>
+{
+    let fetchMock: jest.SpyInstance;
+
+    beforeEach(() =>
+    {
+        fetchMock = jest.spyOn(settings.ADAPTER, 'fetch')
+            .mockImplementation(async (url: RequestInfo) => new Response(`fetched ${url}`, {
+                headers: { 'content-type': 'text/plain' },
+            }));
+    });
+
+    afterEach(() =>
+    {
+        fetchMock.mockRestore();
+    });
+
+    it('should evict the least recently used files from memory', async () =>
+    {
+        const storage = new MemoryAssetStorage(10);
+
+        await storage.set(createStoredAsset('a', '1234'));
+        await storage.set(createStoredAsset('b', '1234'));
+        await storage.get('a');
+        await storage.set(createStoredAsset('c', '1234'));
+
+        expect(await storage.get('a')).not.toBe(null);
+        expect(await storage.get('b')).toBe(null);
+        expect(await storage.get('c')).not.toBe(null);
+        expect(storage.size).toBe(8);
+
+        // too large to ever fit
+        await storage.set(createStoredAsset('d', '12345678901'));
+
+        expect(await storage.get('d')).toBe(null);
+    });
+
+    it('should store fetched files', async () =>
+    {
+        const storage = new MemoryAssetStorage();
+        const response = await fetchAsset('foo.txt', { storage, version: '1' });
+
+        expect(await response.text()).toBe('fetched foo.txt');
+
+        const stored = await storage.get('foo.txt');
+
+        expect(stored).toMatchObject({ url: 'foo.txt', version: '1', type: 'text/plain', size: 15 });
+        expect(new TextDecoder().decode(stored.data)).toBe('fetched foo.txt');
+    });
+
+    it('should load versioned files from the storage', async () =>
+    {
+        const storage = new MemoryAssetStorage();
+        const onProgress = jest.fn();
+
+        await storage.set(createStoredAsset('foo.txt', 'stored', '1'));
+
+        const response = await fetchAsset('foo.txt', { storage, version: '1', onProgress });
+
+        expect(await response.text()).toBe('stored');
+        expect(fetchMock).not.toHaveBeenCalled();
+        expect(onProgress).toHaveBeenCalledWith(6, 6);
+    });
+
+    it('should replace files of other versions', async () =>
+    {
+        const storage = new MemoryAssetStorage();
+
+        await storage.set(createStoredAsset('foo.txt', 'stored', '1'));
+
+        const response = await fetchAsset('foo.txt', { storage, version: '2' });
+
+        expect(await response.text()).toBe('fetched foo.txt');
+        expect((await storage.get('foo.txt')).version).toBe('2');
+    });
+
+    it('should only load unversioned files from the storage when they cannot be fetched', async () =>
+    {
+        const storage = new MemoryAssetStorage();
+
+        await storage.set(createStoredAsset('foo.txt', 'stored'));
+
+        expect(await (await fetchAsset('foo.txt', { storage })).text()).toBe('fetched foo.txt');
+
+        fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+
+        expect(await (await fetchAsset('foo.txt', { storage })).text()).toBe('fetched foo.txt');
+        await expect(fetchAsset('bar.txt', { storage })).rejects.toThrow(TypeError);
+
+        fetchMock.mockResolvedValue(new Response('', { status: 503 }));
+
+        expect(await (await fetchAsset('foo.txt', { storage })).text()).toBe('fetched foo.txt');
+        await expect(fetchAsset('bar.txt', { storage })).rejects.toThrow(LoaderHttpError);
+    });
+
+    it('should discard invalid files', async () =>
+    {
+        const storage = new MemoryAssetStorage();
+
+        await storage.set({ ...createStoredAsset('foo.txt', 'stored', '1'), size: 100 });
+
+        const response = await fetchAsset('foo.txt', { storage, version: '1' });
+
+        expect(await response.text()).toBe('fetched foo.txt');
+        expect((await storage.get('foo.txt')).size).toBe(15);
+    });
+
+    it('should keep working when the storage fails', async () =>
+    {
+        const storage = new MemoryAssetStorage();
+
+        jest.spyOn(storage, 'get').mockRejectedValue(new Error('blocked'));
+        jest.spyOn(storage, 'set').mockRejectedValue(new Error('blocked'));
+
+        const response = await fetchAsset('foo.txt', { storage, version: '1' });
+
+        expect(await response.text()).toBe('fetched foo.txt');
+    });
+
+    it('should load assets offline with the storage of the loader', async () =>
+    {
+        const loader = new Loader();
+
+        loader['_parsers'].push(loadJson);
+        loader.storage = new MemoryAssetStorage();
+        fetchMock.mockImplementation(async () => new Response('{ "foo": "bar" }'));
+
+        expect(await loader.load({ src: 'http://localhost/foo.json', version: 'abc' })).toEqual({ foo: 'bar' });
+
+        loader.reset();
+        fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+
+        expect(await loader.load({ src: 'http://localhost/foo.json', version: 'abc' })).toEqual({ foo: 'bar' });
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+});
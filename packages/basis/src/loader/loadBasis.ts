@@ -1,11 +1,11 @@
-import { checkExtension, createTexture, LoaderParserPriority } from '@pixi/assets';
+import { checkExtension, createTexture, fetchAsset, LoaderParserPriority } from '@pixi/assets';
 import { CompressedTextureResource } from '@pixi/compressed-textures';
-import { ALPHA_MODES, BaseTexture, extensions, ExtensionType, FORMATS, MIPMAP_MODES, settings } from '@pixi/core';
+import { ALPHA_MODES, BaseTexture, extensions, ExtensionType, FORMATS, MIPMAP_MODES } from '@pixi/core';
 import { BASIS_FORMAT_TO_TYPE, BASIS_FORMATS } from '../Basis';
 import { TranscoderWorker } from '../TranscoderWorker';
 import { BasisParser } from './BasisParser';
 
-import type { Loader, LoaderParser, ResolvedAsset } from '@pixi/assets';
+import type { Loader, LoaderParser, LoaderParserOptions, ResolvedAsset } from '@pixi/assets';
 import type { IBaseTextureOptions, Texture, TYPES } from '@pixi/core';
 
 /** Load BASIS textures! */
@@ -22,12 +22,16 @@ export const loadBasis = {
         return checkExtension(url, '.basis');
     },
 
-    async load(url: string, asset: ResolvedAsset, loader: Loader): Promise<Texture | Texture[]>
+    async load(
+        url: string,
+        asset: ResolvedAsset,
+        loader: Loader,
+        options?: LoaderParserOptions): Promise<Texture | Texture[]>
     {
         await TranscoderWorker.onTranscoderInitialized;
 
         // get an array buffer...
-        const response = await settings.ADAPTER.fetch(url);
+        const response = await fetchAsset(url, options);
 
         const arrayBuffer = await response.arrayBuffer();
 
@@ -1,8 +1,8 @@
-import { checkExtension, createTexture, LoaderParserPriority } from '@pixi/assets';
-import { ALPHA_MODES, BaseTexture, extensions, ExtensionType, MIPMAP_MODES, settings, utils } from '@pixi/core';
+import { checkExtension, createTexture, fetchAsset, LoaderParserPriority } from '@pixi/assets';
+import { ALPHA_MODES, BaseTexture, extensions, ExtensionType, MIPMAP_MODES, utils } from '@pixi/core';
 import { parseDDS } from '../parsers';
 
-import type { Loader, LoaderParser, ResolvedAsset } from '@pixi/assets';
+import type { Loader, LoaderParser, LoaderParserOptions, ResolvedAsset } from '@pixi/assets';
 import type { IBaseTextureOptions, Texture } from '@pixi/core';
 
 /** Load our DDS textures! */
@@ -19,10 +19,14 @@ export const loadDDS: LoaderParser = {
         return checkExtension(url, '.dds');
     },
 
-    async load(url: string, asset: ResolvedAsset, loader: Loader): Promise<Texture | Texture[]>
+    async load(
+        url: string,
+        asset: ResolvedAsset,
+        loader: Loader,
+        options?: LoaderParserOptions): Promise<Texture | Texture[]>
     {
         // get an array buffer...
-        const response = await settings.ADAPTER.fetch(url);
+        const response = await fetchAsset(url, options);
 
         const arrayBuffer = await response.arrayBuffer();
 
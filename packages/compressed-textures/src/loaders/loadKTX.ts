@@ -1,8 +1,8 @@
-import { checkExtension, createTexture, LoaderParserPriority } from '@pixi/assets';
-import { ALPHA_MODES, BaseTexture, extensions, ExtensionType, MIPMAP_MODES, settings, utils } from '@pixi/core';
+import { checkExtension, createTexture, fetchAsset, LoaderParserPriority } from '@pixi/assets';
+import { ALPHA_MODES, BaseTexture, extensions, ExtensionType, MIPMAP_MODES, utils } from '@pixi/core';
 import { parseKTX } from '../parsers';
 
-import type { Loader, LoaderParser, ResolvedAsset } from '@pixi/assets';
+import type { Loader, LoaderParser, LoaderParserOptions, ResolvedAsset } from '@pixi/assets';
 import type { IBaseTextureOptions, Texture } from '@pixi/core';
 
 /** Loads KTX textures! */
@@ -19,10 +19,14 @@ export const loadKTX = {
         return checkExtension(url, '.ktx');
     },
 
-    async load(url: string, asset: ResolvedAsset, loader: Loader): Promise<Texture | Texture[]>
+    async load(
+        url: string,
+        asset: ResolvedAsset,
+        loader: Loader,
+        loaderOptions?: LoaderParserOptions): Promise<Texture | Texture[]>
     {
         // get an array buffer...
-        const response = await settings.ADAPTER.fetch(url);
+        const response = await fetchAsset(url, loaderOptions);
 
         const arrayBuffer = await response.arrayBuffer();
 
@@ -85,6 +85,7 @@ export * from './textures/BaseTexture';
 export * from './textures/GLTexture';
 export * from './textures/resources';
 export * from './textures/Texture';
+export * from './textures/TextureAlphaMask';
 export * from './textures/TextureGCSystem';
 export * from './textures/TextureMatrix';
 export * from './textures/TextureSystem';
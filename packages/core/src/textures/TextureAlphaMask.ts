@@ -0,0 +1,196 @@
+import { FORMATS, TYPES } from '@pixi/constants';
+import { settings } from '@pixi/settings';
+import { BaseImageResource } from './resources/BaseImageResource';
+import { BufferResource } from './resources/BufferResource';
+
+import type { BaseTexture } from './BaseTexture';
+import type { Texture } from './Texture';
+
+/** The alpha masks of the base textures, with the dirty id of the base texture they were read at. */
+const masks: WeakMap<BaseTexture, { dirtyId: number, mask: TextureAlphaMask }> = new WeakMap();
+
+/**
+ * The alpha channel of a base texture, read from its resource into CPU memory, to hit-test
+ * the visible pixels of the textures using it.
+ *
+ * The alpha mask is read once per base texture, and again once the base texture is updated. It can be read from
+ * images, canvases, image bitmaps and videos, and from buffers of `RGBA` pixels. Images from other origins
+ * without CORS can not be read.
+ * @example
+ * import { Texture, TextureAlphaMask } from 'pixi.js';
+ *
+ * const texture = Texture.from('button.png');
+ *
+ * // the alpha at the center of the texture, from 0 to 1
+ * const alpha = TextureAlphaMask.sample(texture, texture.width / 2, texture.height / 2);
+ * @memberof PIXI
+ */
+export class TextureAlphaMask
+{
+    /** The width of the mask, in pixels of the base texture. */
+    public readonly width: number;
+
+    /** The height of the mask, in pixels of the base texture. */
+    public readonly height: number;
+
+    /** The alpha of the pixels, row by row, from 0 to 255. */
+    public readonly data: Uint8Array;
+
+    /**
+     * @param width - The width of the mask, in pixels of the base texture.
+     * @param height - The height of the mask, in pixels of the base texture.
+     * @param data - The alpha of the pixels, row by row, from 0 to 255.
+     */
+    constructor(width: number, height: number, data: Uint8Array)
+    {
+        this.width = width;
+        this.height = height;
+        this.data = data;
+    }
+
+    /**
+     * Gets the alpha of a pixel.
+     * @param x - The column of the pixel.
+     * @param y - The row of the pixel.
+     * @returns - The alpha of the pixel, from 0 to 1.
+     */
+    public getAlpha(x: number, y: number): number
+    {
+        x = Math.min(Math.max(Math.floor(x), 0), this.width - 1);
+        y = Math.min(Math.max(Math.floor(y), 0), this.height - 1);
+
+        return this.data[(y * this.width) + x] / 255;
+    }
+
+    /**
+     * Gets the alpha mask of the base texture, reading it from its resource if needed.
+     * @param baseTexture - The base texture.
+     * @returns - The alpha mask, or null if the resource of the base texture can not be read.
+     */
+    public static from(baseTexture: BaseTexture): TextureAlphaMask
+    {
+        if (!baseTexture.valid)
+        {
+            return null;
+        }
+
+        let entry = masks.get(baseTexture);
+
+        if (!entry || entry.dirtyId !== baseTexture.dirtyId)
+        {
+            entry = { dirtyId: baseTexture.dirtyId, mask: TextureAlphaMask.read(baseTexture) };
+            masks.set(baseTexture, entry);
+        }
+
+        return entry.mask;
+    }
+
+    /**
+     * Samples the alpha of a texture, respecting its frame, trim and rotation.
+     * @param texture - The texture.
+     * @param x - The x coordinate, in the original size of the texture.
+     * @param y - The y coordinate, in the original size of the texture.
+     * @returns - The alpha of the texture, from 0 to 1. This is 0 in the trimmed out areas, and 1 if
+     *  the resource of the texture can not be read.
+     */
+    public static sample(texture: Texture, x: number, y: number): number
+    {
+        const trim = texture.trim;
+        const width = trim ? trim.width : texture.orig.width;
+        const height = trim ? trim.height : texture.orig.height;
+
+        if (trim)
+        {
+            x -= trim.x;
+            y -= trim.y;
+        }
+
+        if (x < 0 || y < 0 || x >= width || y >= height)
+        {
+            return 0;
+        }
+
+        const mask = TextureAlphaMask.from(texture.baseTexture);
+
+        if (!mask)
+        {
+            return 1;
+        }
+
+        // the uvs of the corners map the frame to the base texture, rotated as in the atlas
+        const uvs = texture._uvs;
+        const u = x / width;
+        const v = y / height;
+        const uvX = uvs.x0 + (u * (uvs.x1 - uvs.x0)) + (v * (uvs.x3 - uvs.x0));
+        const uvY = uvs.y0 + (u * (uvs.y1 - uvs.y0)) + (v * (uvs.y3 - uvs.y0));
+
+        return mask.getAlpha(uvX * mask.width, uvY * mask.height);
+    }
+
+    /**
+     * Reads the alpha channel of the resource of the base texture.
+     * @param baseTexture - The base texture.
+     * @returns - The alpha mask, or null if the resource can not be read.
+     */
+    private static read(baseTexture: BaseTexture): TextureAlphaMask
+    {
+        const width = baseTexture.realWidth;
+        const height = baseTexture.realHeight;
+        const resource = baseTexture.resource;
+        let pixels: ArrayLike<number>;
+        let scale = 1;
+
+        if (resource instanceof BufferResource)
+        {
+            if (baseTexture.format !== FORMATS.RGBA || !resource.data)
+            {
+                return null;
+            }
+
+            pixels = resource.data;
+
+            if (baseTexture.type === TYPES.FLOAT)
+            {
+                scale = 255;
+            }
+            else if (baseTexture.type !== TYPES.UNSIGNED_BYTE)
+            {
+                return null;
+            }
+        }
+        else if (resource instanceof BaseImageResource && resource.source)
+        {
+            const canvas = settings.ADAPTER.createCanvas(width, height);
+            const context = canvas.getContext('2d', { willReadFrequently: true });
+
+            if (!context)
+            {
+                return null;
+            }
+
+            try
+            {
+                context.drawImage(resource.source as CanvasImageSource, 0, 0, width, height);
+                pixels = context.getImageData(0, 0, width, height).data;
+            }
+            catch (e)
+            {
+                // the image is from another origin, without CORS
+                return null;
+            }
+        }
+        else
+        {
+            return null;
+        }
+
+        const data = new Uint8Array(width * height);
+
+        for (let i = 0; i < data.length; i++)
+        {
+            data[i] = pixels[(i * 4) + 3] * scale;
+        }
+
+        return new TextureAlphaMask(width, height, data);
+    }
+}
@@ -0,0 +1,95 @@
+import { BaseTexture, groupD8, Rectangle, Texture, TextureAlphaMask } from '@pixi/core';
+
+describe('TextureAlphaMask', () =>
+{
+    /**
+     * Creates a 4x2 base texture, opaque on its left half and transparent on its right half.
+     * @returns - The base texture.
+     */
+    function createBaseTexture(): BaseTexture
+    {
+        const data = new Uint8Array(4 * 2 * 4);
+
+        for (let i = 0; i < 4 * 2; i++)
+        {
+            data[(i * 4) + 3] = (i % 4) < 2 ? 255 : 0;
+        }
+
+        return BaseTexture.fromBuffer(data, 4, 2);
+    }
+
+    it('should read the alpha of a buffer resource', () =>
+    {
+        const baseTexture = createBaseTexture();
+        const mask = TextureAlphaMask.from(baseTexture);
+
+        expect(mask.width).toEqual(4);
+        expect(mask.height).toEqual(2);
+        expect(mask.getAlpha(1, 1)).toEqual(1);
+        expect(mask.getAlpha(2, 1)).toEqual(0);
+        expect(mask.getAlpha(100, -100)).toEqual(0);
+
+        baseTexture.destroy();
+    });
+
+    it('should cache the mask until the base texture is updated', () =>
+    {
+        const baseTexture = createBaseTexture();
+        const mask = TextureAlphaMask.from(baseTexture);
+
+        expect(TextureAlphaMask.from(baseTexture)).toBe(mask);
+
+        baseTexture.update();
+
+        expect(TextureAlphaMask.from(baseTexture)).not.toBe(mask);
+
+        baseTexture.destroy();
+    });
+
+    it('should return null for an invalid base texture', () =>
+    {
+        expect(TextureAlphaMask.from(new BaseTexture())).toBeNull();
+    });
+
+    it('should sample the frame of a texture', () =>
+    {
+        const baseTexture = createBaseTexture();
+        const texture = new Texture(baseTexture, new Rectangle(1, 0, 2, 2));
+
+        expect(TextureAlphaMask.sample(texture, 0.5, 1)).toEqual(1);
+        expect(TextureAlphaMask.sample(texture, 1.5, 1)).toEqual(0);
+
+        baseTexture.destroy();
+    });
+
+    it('should sample a trimmed texture', () =>
+    {
+        const baseTexture = createBaseTexture();
+        const texture = new Texture(baseTexture, new Rectangle(0, 0, 4, 2),
+            new Rectangle(0, 0, 8, 4), new Rectangle(2, 1, 4, 2));
+
+        expect(TextureAlphaMask.sample(texture, 1, 1)).toEqual(0);
+        expect(TextureAlphaMask.sample(texture, 2.5, 1.5)).toEqual(1);
+        expect(TextureAlphaMask.sample(texture, 4.5, 1.5)).toEqual(0);
+
+        baseTexture.destroy();
+    });
+
+    it('should sample a rotated texture', () =>
+    {
+        const baseTexture = createBaseTexture();
+        const texture = new Texture(baseTexture, new Rectangle(0, 0, 4, 2),
+            new Rectangle(0, 0, 2, 4), null, groupD8.S);
+
+        expect(texture.width).toEqual(2);
+        expect(texture.height).toEqual(4);
+
+        const opaque = [0, 1, 2, 3].filter((y) => TextureAlphaMask.sample(texture, 1, y + 0.5) === 1);
+
+        expect(opaque.length).toEqual(2);
+        expect(TextureAlphaMask.sample(texture, 0.5, opaque[0] + 0.5)).toEqual(1);
+        expect(TextureAlphaMask.sample(texture, 1.5, opaque[0] + 0.5)).toEqual(1);
+
+        baseTexture.destroy();
+    });
+});
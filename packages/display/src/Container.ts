@@ -573,8 +573,9 @@ export class Container<T extends DisplayObject = DisplayObject> extends DisplayO
             bounds = this.cullArea;
             transform = this.worldTransform;
         }
-        // If the container doesn't override _render, we can skip the bounds calculation and intersection test.
-        else if (this._render !== Container.prototype._render)
+        // If the container doesn't override _render and the whole subtree isn't culled at once,
+        // we can skip the bounds calculation and intersection test.
+        else if (this._render !== Container.prototype._render || this.cullSubtree)
         {
             bounds = this.getBounds(true);
         }
@@ -600,8 +601,9 @@ export class Container<T extends DisplayObject = DisplayObject> extends DisplayO
         {
             this._render(renderer);
         }
-        // If the bounds are defined by cullArea and do not intersect with the source frame, stop rendering.
-        else if (this.cullArea)
+        // If the bounds are defined by cullArea or the subtree is culled as a whole
+        // and they do not intersect with the source frame, stop rendering.
+        else if (this.cullArea || this.cullSubtree)
         {
             return;
         }
@@ -637,7 +639,8 @@ export class Container<T extends DisplayObject = DisplayObject> extends DisplayO
      *
      * When your scene becomes large (especially when it is larger than can be viewed in a single screen), it is
      * advised to employ **culling** to automatically skip rendering objects outside of the current screen.
-     * See [cullable]{@link PIXI.DisplayObject#cullable} and [cullArea]{@link PIXI.DisplayObject#cullArea}.
+     * See [cullable]{@link PIXI.DisplayObject#cullable}, [cullArea]{@link PIXI.DisplayObject#cullArea}
+     * and [cullSubtree]{@link PIXI.DisplayObject#cullSubtree}.
      * Other culling methods might be better suited for a large number static objects; see
      * [@pixi-essentials/cull]{@link https://www.npmjs.com/package/@pixi-essentials/cull} and
      * [pixi-cull]{@link https://www.npmjs.com/package/pixi-cull}.
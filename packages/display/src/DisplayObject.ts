@@ -259,6 +259,15 @@ export abstract class DisplayObject extends utils.EventEmitter<DisplayObjectEven
      */
     public cullArea: Rectangle;
 
+    /**
+     * If set, the children of a [cullable]{@link PIXI.DisplayObject#cullable} object are skipped entirely
+     * when its bounds are out of frame, instead of being tested one by one. Only enable this if no
+     * descendant has filter padding that may reach into the frame while its bounds do not, because
+     * filter padding is not included in the bounds.
+     * @default false
+     */
+    public cullSubtree: boolean;
+
     /**
      * The area the filter is applied to. This is used as more of an optimization
      * rather than figuring out the dimensions of the displayObject each frame you can set this rectangle.
@@ -368,6 +377,7 @@ export abstract class DisplayObject extends utils.EventEmitter<DisplayObjectEven
         this.renderable = true;
         this.cullable = false;
         this.cullArea = null;
+        this.cullSubtree = false;
 
         this.parent = null;
         this.worldAlpha = 1;
@@ -1224,6 +1224,40 @@ describe('Container', () =>
             expect(filterPush).toBeCalled();
         });
 
+        it('cullable container with cullSubtree should not render its children if bounds do not intersect the frame', () =>
+        {
+            const container = new Container();
+            const graphics = container.addChild(new Graphics().beginFill().drawRect(0, 0, 10, 10).endFill());
+
+            container.cullable = true;
+            container.cullSubtree = true;
+            graphics.x = 0;
+            graphics.y = -10;
+
+            const renderGraphics = jest.spyOn(graphics, 'render');
+
+            renderer.render(container);
+
+            expect(renderGraphics).not.toBeCalled();
+        });
+
+        it('cullable container with cullSubtree should render its children if bounds intersect the frame', () =>
+        {
+            const container = new Container();
+            const graphics = container.addChild(new Graphics().beginFill().drawRect(0, 0, 10, 10).endFill());
+
+            container.cullable = true;
+            container.cullSubtree = true;
+            graphics.x = 0;
+            graphics.y = -9;
+
+            const _renderGraphics = jest.spyOn(graphics, '_render' as any);
+
+            renderer.render(container);
+
+            expect(_renderGraphics).toBeCalled();
+        });
+
         it('cullable container with cullArea should be rendered if the bounds intersect the frame', () =>
         {
             const container = new Container();
@@ -1,11 +1,15 @@
 import { Point, utils } from '@pixi/core';
 import { EventsTicker } from './EventTicker';
+import { FederatedDragEvent } from './FederatedDragEvent';
+import { FederatedKeyboardEvent } from './FederatedKeyboardEvent';
 import { FederatedMouseEvent } from './FederatedMouseEvent';
 import { FederatedPointerEvent } from './FederatedPointerEvent';
 import { FederatedWheelEvent } from './FederatedWheelEvent';
+import { FocusManager } from './FocusManager';
+import { GestureRecognizer } from './GestureRecognizer';
 
 import type { DisplayObject } from '@pixi/display';
-import type { EmitterListeners, TrackingData } from './EventBoundaryTypes';
+import type { DragData, EmitterListeners, TrackingData } from './EventBoundaryTypes';
 import type { FederatedEvent } from './FederatedEvent';
 import type {
     Cursor, EventMode, FederatedEventHandler,
@@ -77,6 +81,13 @@ const tempLocalMapping = new Point();
  */
 export class EventBoundary
 {
+    /**
+     * The display objects capturing the pointers, by pointer id. Pointer ids are unique in the document,
+     * so the pointer captures are shared by all the event boundaries, like in the DOM.
+     * @see PIXI.DisplayObject#setPointerCapture
+     */
+    public static readonly pointerCaptures: Map<number, FederatedEventTarget> = new Map();
+
     /**
      * The root event-target residing below the event boundary.
      *
@@ -109,11 +120,32 @@ export class EventBoundary
     /** Enables the global move events. `globalpointermove`, `globaltouchmove`, and `globalmousemove` */
     public enableGlobalMoveEvents = true;
 
+    /**
+     * The distance, in pixels, a pointer pressing a {@link PIXI.DisplayObject#draggable draggable} display object
+     * moves before dragging it. Shorter moves still end with a `click`.
+     */
+    public dragThreshold = 5;
+
+    /**
+     * Recognizes the gestures of the pointers pressed on the display objects, and dispatches their events:
+     * `pan`, `swipe`, `pinch`, `rotate`, `longpress` and `doubletap`.
+     * @see PIXI.GestureRecognizer
+     */
+    public readonly gestures: GestureRecognizer;
+
+    /**
+     * Manages the keyboard focus between the focusable display objects, which are the targets of
+     * the `keydown` and `keyup` events.
+     * @see PIXI.FocusManager
+     */
+    public readonly focus: FocusManager;
+
     /**
      * Maps event types to forwarding handles for them.
      *
      * {@link PIXI.EventBoundary EventBoundary} provides mapping for "pointerdown", "pointermove",
-     * "pointerout", "pointerleave", "pointerover", "pointerup", and "pointerupoutside" by default.
+     * "pointerout", "pointerleave", "pointerover", "pointerup", "pointerupoutside", "wheel", "keydown",
+     * and "keyup" by default.
      * @see PIXI.EventBoundary#addEventMapping
      */
     protected mappingTable: Record<string, Array<{
@@ -149,6 +181,8 @@ export class EventBoundary
     constructor(rootTarget?: DisplayObject)
     {
         this.rootTarget = rootTarget;
+        this.gestures = new GestureRecognizer(this);
+        this.focus = new FocusManager(this);
 
         this.hitPruneFn = this.hitPruneFn.bind(this);
         this.hitTestFn = this.hitTestFn.bind(this);
@@ -159,6 +193,8 @@ export class EventBoundary
         this.mapPointerUp = this.mapPointerUp.bind(this);
         this.mapPointerUpOutside = this.mapPointerUpOutside.bind(this);
         this.mapWheel = this.mapWheel.bind(this);
+        this.mapKeyDown = this.mapKeyDown.bind(this);
+        this.mapKeyUp = this.mapKeyUp.bind(this);
 
         this.mappingTable = {};
         this.addEventMapping('pointerdown', this.mapPointerDown);
@@ -169,6 +205,8 @@ export class EventBoundary
         this.addEventMapping('pointerup', this.mapPointerUp);
         this.addEventMapping('pointerupoutside', this.mapPointerUpOutside);
         this.addEventMapping('wheel', this.mapWheel);
+        this.addEventMapping('keydown', this.mapKeyDown);
+        this.addEventMapping('keyup', this.mapKeyUp);
     }
 
     /**
@@ -243,22 +281,27 @@ export class EventBoundary
      * The passed (x,y) coordinates are in the world space above this event boundary.
      * @param x
      * @param y
+     * @param exclude - A display object which is not hit, nor its children, e.g. the display object being dragged.
      */
     public hitTest(
         x: number,
         y: number,
+        exclude?: DisplayObject,
     ): DisplayObject
     {
         EventsTicker.pauseUpdate = true;
         // if we are using global move events, we need to hit test the whole scene graph
         const useMove = this._isPointerMoveEvent && this.enableGlobalMoveEvents;
         const fn = useMove ? 'hitTestMoveRecursive' : 'hitTestRecursive';
+        const pruneFn = exclude
+            ? (object: DisplayObject, location: Point) => object === exclude || this.hitPruneFn(object, location)
+            : this.hitPruneFn;
         const invertedPath = this[fn](
             this.rootTarget,
             this.rootTarget.eventMode,
             tempHitLocation.set(x, y),
             this.hitTestFn,
-            this.hitPruneFn,
+            pruneFn,
         );
 
         return invertedPath && invertedPath[0];
@@ -389,6 +432,9 @@ export class EventBoundary
         if (currentTarget.interactiveChildren && currentTarget.children)
         {
             const children = currentTarget.children;
+            // the children out of the index are only visited to gather the targets of global move events
+            const index = currentTarget.hitTestIndex;
+            const indexedChildren = index ? new Set(index.query(currentTarget, location)) : null;
 
             for (let i = children.length - 1; i >= 0; i--)
             {
@@ -400,7 +446,7 @@ export class EventBoundary
                     location,
                     testFn,
                     pruneFn,
-                    ignore || pruneFn(currentTarget, location)
+                    ignore || pruneFn(currentTarget, location) || (indexedChildren && !indexedChildren.has(child))
                 );
 
                 if (nestedHit)
@@ -489,7 +535,9 @@ export class EventBoundary
         // Find a child that passes the hit testing and return one, if any.
         if (currentTarget.interactiveChildren && currentTarget.children)
         {
-            const children = currentTarget.children;
+            const children = currentTarget.hitTestIndex
+                ? currentTarget.hitTestIndex.query(currentTarget, location)
+                : currentTarget.children;
 
             for (let i = children.length - 1; i >= 0; i--)
             {
@@ -697,7 +745,35 @@ export class EventBoundary
 
         trackingData.pressTargetsByButton[from.button] = e.composedPath();
 
+        // the most specific draggable display object pressed is dragged once the pointer moves
+        if (e.button === 0 && !trackingData.drag)
+        {
+            const path = e.composedPath();
+
+            for (let i = path.length - 1; i >= 0; i--)
+            {
+                if (path[i].draggable && path[i].isInteractive())
+                {
+                    trackingData.drag = {
+                        path: path.slice(0, i + 1),
+                        button: e.button,
+                        start: e.global.clone(),
+                        started: false,
+                        dropPath: null,
+                        data: null,
+                    };
+                    break;
+                }
+            }
+        }
+
+        this.focus.onPointerDown(e);
+        this.gestures.onPointerDown(e);
+
         this.freeEvent(e);
+
+        // the pointer may be captured by the listeners of pointerdown
+        this.processPointerCapture(from);
     }
 
     /**
@@ -716,6 +792,8 @@ export class EventBoundary
             return;
         }
 
+        this.processPointerCapture(from);
+
         this._allInteractiveElements.length = 0;
         this._hitElements.length = 0;
         this._isPointerMoveEvent = true;
@@ -839,6 +917,13 @@ export class EventBoundary
 
         trackingData.overTargets = e.composedPath();
 
+        if (trackingData.drag)
+        {
+            this.mapDragMove(e, trackingData);
+        }
+
+        this.gestures.onPointerMove(e);
+
         this.freeEvent(e);
     }
 
@@ -958,6 +1043,8 @@ export class EventBoundary
             return;
         }
 
+        this.processPointerCapture(from);
+
         const now = performance.now();
         const e = this.createPointerEvent(from);
 
@@ -1012,8 +1099,11 @@ export class EventBoundary
             clickTarget = currentTarget;
         }
 
+        // a drag ends without a click
+        const dragged = trackingData.drag?.button === from.button && this.mapDragEnd(e, trackingData, true);
+
         // click!
-        if (clickTarget)
+        if (clickTarget && !dragged)
         {
             const clickEvent = this.clonePointerEvent(e, 'click');
 
@@ -1062,7 +1152,13 @@ export class EventBoundary
             this.freeEvent(clickEvent);
         }
 
+        this.gestures.onPointerUp(e);
+
         this.freeEvent(e);
+
+        // the capture of the pointer ends when it is released
+        EventBoundary.pointerCaptures.delete(from.pointerId);
+        this.processPointerCapture(from);
     }
 
     /**
@@ -1085,6 +1181,8 @@ export class EventBoundary
             return;
         }
 
+        this.processPointerCapture(from);
+
         const trackingData = this.trackingData(from.pointerId);
         const pressTarget = this.findMountedTarget(trackingData.pressTargetsByButton[from.button]);
         const e = this.createPointerEvent(from);
@@ -1114,7 +1212,173 @@ export class EventBoundary
             delete trackingData.pressTargetsByButton[from.button];
         }
 
+        if (trackingData.drag?.button === from.button)
+        {
+            this.mapDragEnd(e, trackingData, false);
+        }
+
+        this.gestures.onPointerUp(e);
+
         this.freeEvent(e);
+
+        EventBoundary.pointerCaptures.delete(from.pointerId);
+        this.processPointerCapture(from);
+    }
+
+    /**
+     * Dispatches the `dragstart` event once the pointer dragging a display object moves beyond
+     * the {@link PIXI.EventBoundary#dragThreshold drag threshold}, and then the `dragmove` events.
+     *
+     * The display objects beneath the dragged one receive `dragenter` and `dragleave` events as the pointer moves
+     * over and out of them. The drag is cancelled if a listener of `dragstart` prevents its default, or removes
+     * the dragged display object from the scene.
+     * @param e - The downstream `pointermove` event.
+     * @param trackingData - The tracking data of the pointer.
+     */
+    protected mapDragMove(e: FederatedPointerEvent, trackingData: TrackingData): void
+    {
+        const drag = trackingData.drag;
+        const dragTarget = drag.path[drag.path.length - 1];
+
+        // the drag ends if the dragged display object is removed from the scene
+        if (!this.isMounted(dragTarget))
+        {
+            trackingData.drag = null;
+
+            return;
+        }
+
+        if (!drag.started)
+        {
+            if (Math.hypot(e.global.x - drag.start.x, e.global.y - drag.start.y) < this.dragThreshold)
+            {
+                return;
+            }
+
+            const startEvent = this.createDragEvent(e, 'dragstart', dragTarget, drag);
+
+            this.dispatchEvent(startEvent);
+
+            const prevented = startEvent.defaultPrevented;
+
+            drag.data = startEvent.dragData;
+            this.freeEvent(startEvent);
+
+            // a listener of dragstart may also cancel the drag by removing the dragged display object
+            if (prevented || !this.isMounted(dragTarget))
+            {
+                trackingData.drag = null;
+
+                return;
+            }
+
+            drag.started = true;
+        }
+
+        const moveEvent = this.createDragEvent(e, 'dragmove', dragTarget, drag);
+
+        this.dispatchEvent(moveEvent);
+        this.freeEvent(moveEvent);
+
+        this.updateDropTarget(e, drag);
+    }
+
+    /**
+     * Ends the drag of a pointer. If it is released over a display object, the `drop` event is dispatched to it,
+     * otherwise the display object it was over receives a `dragleave` event. The dragged display object then
+     * receives the `dragend` event, without propagation if a listener of `drop` removed it from the scene.
+     * @param e - The downstream `pointerup` or `pointerupoutside` event.
+     * @param trackingData - The tracking data of the pointer.
+     * @param drop - Whether the pointer was released within this boundary, so it can drop the display object.
+     * @returns - Whether the display object was dragged, as opposed to only pressed.
+     */
+    protected mapDragEnd(e: FederatedPointerEvent, trackingData: TrackingData, drop: boolean): boolean
+    {
+        const drag = trackingData.drag;
+
+        trackingData.drag = null;
+
+        if (!drag.started)
+        {
+            return false;
+        }
+
+        const dragTarget = drag.path[drag.path.length - 1];
+
+        if (drop)
+        {
+            this.updateDropTarget(e, drag);
+        }
+
+        const dropTarget = this.findMountedTarget(drag.dropPath);
+
+        if (dropTarget)
+        {
+            const dropEvent = this.createDragEvent(e, drop ? 'drop' : 'dragleave', dropTarget, drag);
+
+            this.dispatchEvent(dropEvent);
+            this.freeEvent(dropEvent);
+        }
+
+        if (!drop)
+        {
+            drag.dropPath = null;
+        }
+
+        const endEvent = this.createDragEvent(e, 'dragend', dragTarget, drag);
+
+        // a listener of drop may have removed the dragged display object, it then receives dragend without propagation
+        if (this.isMounted(dragTarget))
+        {
+            this.dispatchEvent(endEvent);
+        }
+        else
+        {
+            endEvent.path = [dragTarget];
+            endEvent.eventPhase = endEvent.AT_TARGET;
+            endEvent.currentTarget = dragTarget;
+            this.notifyTarget(endEvent);
+        }
+
+        this.freeEvent(endEvent);
+
+        return true;
+    }
+
+    /**
+     * Hit-tests the display object beneath the dragged one, and dispatches the `dragleave` and `dragenter` events
+     * if it changed.
+     * @param e - The downstream pointer event.
+     * @param drag - The drag of the pointer.
+     */
+    protected updateDropTarget(e: FederatedPointerEvent, drag: DragData): void
+    {
+        const dragTarget = drag.path[drag.path.length - 1];
+        const dropTarget = this.hitTest(e.global.x, e.global.y, dragTarget as DisplayObject) as FederatedEventTarget;
+        const prevDropTarget = this.findMountedTarget(drag.dropPath);
+
+        if (dropTarget === prevDropTarget)
+        {
+            return;
+        }
+
+        if (prevDropTarget)
+        {
+            const leaveEvent = this.createDragEvent(e, 'dragleave', prevDropTarget, drag);
+
+            this.dispatchEvent(leaveEvent);
+            this.freeEvent(leaveEvent);
+        }
+
+        drag.dropPath = dropTarget ? this.propagationPath(dropTarget) : null;
+
+        if (dropTarget)
+        {
+            const enterEvent = this.createDragEvent(e, 'dragenter', dropTarget, drag);
+
+            this.dispatchEvent(enterEvent);
+            this.freeEvent(enterEvent);
+        }
     }
 
     /**
@@ -1136,6 +1400,119 @@ export class EventBoundary
         this.freeEvent(wheelEvent);
     }
 
+    /**
+     * Maps the upstream `keydown` event to a downstream `keydown` event on the focused display object.
+     * The arrow keys then move the focus, unless the default of the downstream event is prevented.
+     * @param from - The upstream `keydown` event.
+     */
+    protected mapKeyDown(from: FederatedEvent): void
+    {
+        if (!(from instanceof FederatedKeyboardEvent))
+        {
+            console.warn('EventBoundary cannot map a non-keyboard event as a keyboard event');
+
+            return;
+        }
+
+        const keyEvent = this.createKeyboardEvent(from);
+
+        if (keyEvent.target)
+        {
+            this.dispatchEvent(keyEvent);
+            this.focus.onKeyDown(keyEvent);
+        }
+
+        this.freeEvent(keyEvent);
+    }
+
+    /**
+     * Maps the upstream `keyup` event to a downstream `keyup` event on the focused display object.
+     * @param from - The upstream `keyup` event.
+     */
+    protected mapKeyUp(from: FederatedEvent): void
+    {
+        if (!(from instanceof FederatedKeyboardEvent))
+        {
+            console.warn('EventBoundary cannot map a non-keyboard event as a keyboard event');
+
+            return;
+        }
+
+        const keyEvent = this.createKeyboardEvent(from);
+
+        if (keyEvent.target)
+        {
+            this.dispatchEvent(keyEvent);
+        }
+
+        this.freeEvent(keyEvent);
+    }
+
+    /**
+     * Dispatches the `lostpointercapture` event to the display object which had the capture of the pointer, and
+     * the `gotpointercapture` event to the one which has it now, if the capture changed since the previous
+     * pointer event.
+     * @param from - The upstream pointer event.
+     */
+    protected processPointerCapture(from: FederatedPointerEvent): void
+    {
+        const trackingData = this.trackingData(from.pointerId);
+        const captureTarget = this.findCaptureTarget(from.pointerId);
+        const lostTarget = trackingData.captureTarget;
+
+        if (lostTarget === captureTarget)
+        {
+            return;
+        }
+
+        trackingData.captureTarget = captureTarget;
+
+        if (lostTarget && this.isMounted(lostTarget))
+        {
+            const lostEvent = this.createPointerEvent(from, 'lostpointercapture', lostTarget);
+
+            this.dispatchEvent(lostEvent);
+            this.freeEvent(lostEvent);
+        }
+
+        if (captureTarget)
+        {
+            const gotEvent = this.createPointerEvent(from, 'gotpointercapture', captureTarget);
+
+            this.dispatchEvent(gotEvent);
+            this.freeEvent(gotEvent);
+        }
+    }
+
+    /**
+     * Finds the display object capturing the pointer, if it is mounted below the root target.
+     * @param pointerId - The id of the pointer.
+     * @returns - The display object capturing the pointer, or null if none does.
+     */
+    protected findCaptureTarget(pointerId: number): FederatedEventTarget
+    {
+        const captureTarget = EventBoundary.pointerCaptures.get(pointerId);
+
+        return captureTarget && this.isMounted(captureTarget) ? captureTarget : null;
+    }
+
+    /**
+     * Checks whether the event target is mounted below the root target.
+     * @param target - The event target.
+     */
+    public isMounted(target: FederatedEventTarget): boolean
+    {
+        for (let current = target; current; current = current.parent)
+        {
+            if (current === this.rootTarget)
+            {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
     /**
      * Finds the most specific event-target in the given propagation path that is still mounted in the scene graph.
      *
@@ -1192,9 +1569,21 @@ export class EventBoundary
 
         event.nativeEvent = from.nativeEvent;
         event.originalEvent = from;
-        event.target = target
-            ?? this.hitTest(event.global.x, event.global.y) as FederatedEventTarget
-            ?? this._hitElements[0];
+
+        const captureTarget = target ? null : this.findCaptureTarget(from.pointerId);
+
+        // the scene is still hit-tested for a captured pointer, to gather the targets of global move events
+        if (target || (captureTarget && !(this._isPointerMoveEvent && this.enableGlobalMoveEvents)))
+        {
+            event.target = target ?? captureTarget;
+        }
+        else
+        {
+            const hitTarget = this.hitTest(event.global.x, event.global.y) as FederatedEventTarget
+                ?? this._hitElements[0];
+
+            event.target = captureTarget ?? hitTarget;
+        }
 
         if (typeof type === 'string')
         {
@@ -1204,6 +1593,42 @@ export class EventBoundary
         return event;
     }
 
+    /**
+     * Creates a drag event whose {@code originalEvent} is {@code from}.
+     *
+     * The event is allocated using {@link PIXI.EventBoundary#allocateEvent this.allocateEvent}.
+     * @param from - The pointer event moving the dragged display object.
+     * @param type - The type of the returned event.
+     * @param target - The target of the returned event.
+     * @param drag - The drag of the pointer.
+     */
+    protected createDragEvent(
+        from: FederatedPointerEvent,
+        type: string,
+        target: FederatedEventTarget,
+        drag: DragData
+    ): FederatedDragEvent
+    {
+        const event = this.allocateEvent(FederatedDragEvent);
+
+        this.copyPointerData(from, event);
+        this.copyMouseData(from, event);
+        this.copyData(from, event);
+
+        event.nativeEvent = from.nativeEvent;
+        event.originalEvent = from;
+        event.type = type;
+        event.target = target;
+        // pooled events may have been prevented, which would cancel the next drag
+        event.defaultPrevented = false;
+        event.dragTarget = drag.path[drag.path.length - 1];
+        event.dropTarget = this.findMountedTarget(drag.dropPath);
+        event.dragData = drag.data;
+        event.dragStart.copyFrom(drag.start);
+
+        return event;
+    }
+
     /**
      * Creates a wheel event whose {@code originalEvent} is {@code from}.
      *
@@ -1225,6 +1650,28 @@ export class EventBoundary
         return event;
     }
 
+    /**
+     * Creates a keyboard event whose {@code originalEvent} is {@code from}, targeting the focused display object.
+     *
+     * The event is allocated using {@link PIXI.EventBoundary#allocateEvent this.allocateEvent}.
+     * @param from - The upstream keyboard event.
+     */
+    protected createKeyboardEvent(from: FederatedKeyboardEvent): FederatedKeyboardEvent
+    {
+        const event = this.allocateEvent(FederatedKeyboardEvent);
+
+        this.copyKeyboardData(from, event);
+        this.copyData(from, event);
+
+        event.nativeEvent = from.nativeEvent;
+        event.originalEvent = from;
+        event.target = this.focus.focused;
+        // a prevented event stops the arrow keys from moving the focus
+        event.defaultPrevented = false;
+
+        return event;
+    }
+
     /**
      * Clones the event {@code from}, with an optional {@code type} override.
      *
@@ -1270,6 +1717,35 @@ export class EventBoundary
         to.deltaZ = from.deltaZ;
     }
 
+    /**
+     * Copies keyboard {@link PIXI.FederatedKeyboardEvent} data from {@code from} into {@code to}.
+     *
+     * The following properties are copied:
+     * + altKey
+     * + ctrlKey
+     * + metaKey
+     * + shiftKey
+     * + key
+     * + code
+     * + location
+     * + repeat
+     * + isComposing
+     * @param from
+     * @param to
+     */
+    protected copyKeyboardData(from: FederatedKeyboardEvent, to: FederatedKeyboardEvent): void
+    {
+        to.altKey = from.altKey;
+        to.ctrlKey = from.ctrlKey;
+        to.metaKey = from.metaKey;
+        to.shiftKey = from.shiftKey;
+        to.key = from.key;
+        to.code = from.code;
+        to.location = from.location;
+        to.repeat = from.repeat;
+        to.isComposing = from.isComposing;
+    }
+
     /**
      * Copies pointer {@link PIXI.FederatedPointerEvent} data from {@code from} into {@code to}.
      *
@@ -1376,7 +1852,8 @@ export class EventBoundary
             this.mappingState.trackingData[id] = {
                 pressTargetsByButton: {},
                 clicksByButton: {},
-                overTarget: null
+                overTarget: null,
+                drag: null,
             };
         }
 
@@ -1390,7 +1867,7 @@ export class EventBoundary
      * boundary.
      * @param constructor - The event's constructor.
      */
-    protected allocateEvent<T extends FederatedEvent>(
+    public allocateEvent<T extends FederatedEvent>(
         constructor: { new(boundary: EventBoundary): T }
     ): T
     {
@@ -1421,7 +1898,7 @@ export class EventBoundary
      * @param event - The event to be freed.
      * @throws Error if the event is managed by another event boundary.
      */
-    protected freeEvent<T extends FederatedEvent>(event: T): void
+    public freeEvent<T extends FederatedEvent>(event: T): void
     {
         if (event.manager !== this) throw new Error('It is illegal to free an event not managed by this EventBoundary!');
 
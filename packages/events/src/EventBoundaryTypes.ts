@@ -1,5 +1,27 @@
+import type { Point } from '@pixi/core';
 import type { FederatedEventTarget } from './FederatedEventTarget';
 
+/**
+ * The drag of a {@link PIXI.DisplayObject#draggable draggable} display object by a pointer.
+ * @typedef {object} DragData
+ * @property {PIXI.FederatedEventTarget[]} path - The propagation path of the dragged display object.
+ * @property {number} button - The button pressed to drag.
+ * @property {PIXI.Point} start - Where the pointer was pressed, in world space.
+ * @property {boolean} started - Whether the pointer moved beyond the drag threshold, starting the drag.
+ * @property {PIXI.FederatedEventTarget[]} dropPath - The propagation path of the display object beneath
+ *  the dragged one, if any.
+ * @property {any} data - The data set by the listeners of `dragstart`.
+ * @memberof PIXI
+ */
+export type DragData = {
+    path: FederatedEventTarget[];
+    button: number;
+    start: Point;
+    started: boolean;
+    dropPath: FederatedEventTarget[];
+    data: any;
+};
+
 /**
  * The tracking data for each pointer held in the state of an {@link PIXI.EventBoundary}.
  *
@@ -15,12 +37,15 @@ import type { FederatedEventTarget } from './FederatedEventTarget';
  *     };
  * };
  * overTargets: FederatedEventTarget[];
+ * drag: DragData;
  * ```
  * @typedef {object} TrackingData
  * @property {Record.<number, PIXI.FederatedEventTarget>} pressTargetsByButton - The pressed display objects'
  *  propagation paths by each button of the pointer.
  * @property {Record.<number, object>} clicksByButton - Holds clicking data for each button of the pointer.
  * @property {PIXI.DisplayObject[]} overTargets - The DisplayObject propagation path over which the pointer is hovering.
+ * @property {PIXI.DragData} drag - The drag of the pointer, if it pressed a draggable display object.
+ * @property {PIXI.FederatedEventTarget} captureTarget - The display object which got the capture of the pointer.
  * @memberof PIXI
  */
 export type TrackingData = {
@@ -35,6 +60,8 @@ export type TrackingData = {
         }
     };
     overTargets: FederatedEventTarget[];
+    drag?: DragData;
+    captureTarget?: FederatedEventTarget;
 };
 
 /**
@@ -609,3 +636,163 @@ export type EmitterListeners = Record<string, EmitterListener | EmitterListener[
  * @event PIXI.DisplayObject#wheelcapture
  * @type {PIXI.FederatedWheelEvent}
  */
+
+/**
+ * Fired when a pointer is pressed and released twice at the same place on the display object.
+ * DisplayObject's `eventMode` property must be set to `static` or 'dynamic' to fire event.
+ *
+ * These events are recognized by the {@link PIXI.GestureRecognizer GestureRecognizer} in @pixi/events.
+ * @event PIXI.DisplayObject#doubletap
+ * @param {PIXI.FederatedGestureEvent} event - Event
+ */
+
+/**
+ * Fired when a pointer is held on the display object without moving.
+ * DisplayObject's `eventMode` property must be set to `static` or 'dynamic' to fire event.
+ *
+ * These events are recognized by the {@link PIXI.GestureRecognizer GestureRecognizer} in @pixi/events.
+ * @event PIXI.DisplayObject#longpress
+ * @param {PIXI.FederatedGestureEvent} event - Event
+ */
+
+/**
+ * Fired when the pointers pressed on the display object move together, from `start` to `end` of its `phase`.
+ * DisplayObject's `eventMode` property must be set to `static` or 'dynamic' to fire event.
+ *
+ * These events are recognized by the {@link PIXI.GestureRecognizer GestureRecognizer} in @pixi/events.
+ * @event PIXI.DisplayObject#pan
+ * @param {PIXI.FederatedGestureEvent} event - Event
+ */
+
+/**
+ * Fired when the distance between the pointers pressed on the display object changes, by its `scale`.
+ * DisplayObject's `eventMode` property must be set to `static` or 'dynamic' to fire event.
+ *
+ * These events are recognized by the {@link PIXI.GestureRecognizer GestureRecognizer} in @pixi/events.
+ * @event PIXI.DisplayObject#pinch
+ * @param {PIXI.FederatedGestureEvent} event - Event
+ */
+
+/**
+ * Fired when the pointers pressed on the display object turn around their center, by its `rotation`.
+ * DisplayObject's `eventMode` property must be set to `static` or 'dynamic' to fire event.
+ *
+ * These events are recognized by the {@link PIXI.GestureRecognizer GestureRecognizer} in @pixi/events.
+ * @event PIXI.DisplayObject#rotate
+ * @param {PIXI.FederatedGestureEvent} event - Event
+ */
+
+/**
+ * Fired when the pointers panning the display object are released fast enough, in its `direction`.
+ * DisplayObject's `eventMode` property must be set to `static` or 'dynamic' to fire event.
+ *
+ * These events are recognized by the {@link PIXI.GestureRecognizer GestureRecognizer} in @pixi/events.
+ * @event PIXI.DisplayObject#swipe
+ * @param {PIXI.FederatedGestureEvent} event - Event
+ */
+
+/**
+ * Fired when a pointer pressed on a {@link PIXI.DisplayObject#draggable draggable} display object moves
+ * beyond the {@link PIXI.EventBoundary#dragThreshold drag threshold}. Preventing its default cancels the drag.
+ *
+ * These events are propagating from the {@link PIXI.EventSystem EventSystem} in @pixi/events.
+ * @event PIXI.DisplayObject#dragstart
+ * @param {PIXI.FederatedDragEvent} event - Event
+ */
+
+/**
+ * Fired when the pointer dragging the display object moves.
+ *
+ * These events are propagating from the {@link PIXI.EventSystem EventSystem} in @pixi/events.
+ * @event PIXI.DisplayObject#dragmove
+ * @param {PIXI.FederatedDragEvent} event - Event
+ */
+
+/**
+ * Fired when the pointer dragging the display object is released, after the `drop` event.
+ *
+ * These events are propagating from the {@link PIXI.EventSystem EventSystem} in @pixi/events.
+ * @event PIXI.DisplayObject#dragend
+ * @param {PIXI.FederatedDragEvent} event - Event
+ */
+
+/**
+ * Fired when a dragged display object is moved over the display object.
+ * DisplayObject's `eventMode` property must be set to `static` or 'dynamic' to fire event.
+ *
+ * These events are propagating from the {@link PIXI.EventSystem EventSystem} in @pixi/events.
+ * @event PIXI.DisplayObject#dragenter
+ * @param {PIXI.FederatedDragEvent} event - Event
+ */
+
+/**
+ * Fired when a dragged display object is moved out of the display object, or its drag is cancelled.
+ * DisplayObject's `eventMode` property must be set to `static` or 'dynamic' to fire event.
+ *
+ * These events are propagating from the {@link PIXI.EventSystem EventSystem} in @pixi/events.
+ * @event PIXI.DisplayObject#dragleave
+ * @param {PIXI.FederatedDragEvent} event - Event
+ */
+
+/**
+ * Fired when a dragged display object is released over the display object.
+ * DisplayObject's `eventMode` property must be set to `static` or 'dynamic' to fire event.
+ *
+ * These events are propagating from the {@link PIXI.EventSystem EventSystem} in @pixi/events.
+ * @event PIXI.DisplayObject#drop
+ * @param {PIXI.FederatedDragEvent} event - Event
+ */
+
+/**
+ * Fired when a key is pressed while the display object is focused.
+ * DisplayObject's `eventMode` property must be set to `static` or 'dynamic' to fire event.
+ *
+ * These events are propagating from the {@link PIXI.EventSystem EventSystem} in @pixi/events.
+ * @event PIXI.DisplayObject#keydown
+ * @param {PIXI.FederatedKeyboardEvent} event - Event
+ */
+
+/**
+ * Fired when a key is released while the display object is focused.
+ * DisplayObject's `eventMode` property must be set to `static` or 'dynamic' to fire event.
+ *
+ * These events are propagating from the {@link PIXI.EventSystem EventSystem} in @pixi/events.
+ * @event PIXI.DisplayObject#keyup
+ * @param {PIXI.FederatedKeyboardEvent} event - Event
+ */
+
+/**
+ * Fired when the display object gains the focus.
+ * DisplayObject's `eventMode` property must be set to `static` or 'dynamic' to fire event.
+ *
+ * These events are dispatched by the {@link PIXI.FocusManager FocusManager} in @pixi/events.
+ * @event PIXI.DisplayObject#focus
+ * @param {PIXI.FederatedFocusEvent} event - Event
+ */
+
+/**
+ * Fired when the display object loses the focus.
+ * DisplayObject's `eventMode` property must be set to `static` or 'dynamic' to fire event.
+ *
+ * These events are dispatched by the {@link PIXI.FocusManager FocusManager} in @pixi/events.
+ * @event PIXI.DisplayObject#blur
+ * @param {PIXI.FederatedFocusEvent} event - Event
+ */
+
+/**
+ * Fired when the display object gets the capture of a pointer, before the next event of the pointer.
+ * DisplayObject's `eventMode` property must be set to `static` or 'dynamic' to fire event.
+ *
+ * These events are propagating from the {@link PIXI.EventSystem EventSystem} in @pixi/events.
+ * @event PIXI.DisplayObject#gotpointercapture
+ * @param {PIXI.FederatedPointerEvent} event - Event
+ */
+
+/**
+ * Fired when the display object loses the capture of a pointer, which is released or captured by another.
+ * DisplayObject's `eventMode` property must be set to `static` or 'dynamic' to fire event.
+ *
+ * These events are propagating from the {@link PIXI.EventSystem EventSystem} in @pixi/events.
+ * @event PIXI.DisplayObject#lostpointercapture
+ * @param {PIXI.FederatedPointerEvent} event - Event
+ */
@@ -1,6 +1,7 @@
 import { extensions, ExtensionType } from '@pixi/core';
 import { EventBoundary } from './EventBoundary';
 import { EventsTicker } from './EventTicker';
+import { FederatedKeyboardEvent } from './FederatedKeyboardEvent';
 import { FederatedPointerEvent } from './FederatedPointerEvent';
 import { FederatedWheelEvent } from './FederatedWheelEvent';
 
@@ -43,6 +44,8 @@ export interface EventSystemOptions
      *     globalMove: false,
      *     click: true,
      *     wheel: true,
+     *     gestures: true,
+     *     keyboard: true,
      *   },
      * });
      */
@@ -83,6 +86,22 @@ interface EventSystemFeatures
     click: boolean;
     /** - Enables wheel events. */
     wheel: boolean;
+    /**
+     * Enables the gesture events, recognized from the pointers pressed by the `click` events:
+     * - `pan` / `swipe`
+     * - `pinch` / `rotate`
+     * - `longpress` / `doubletap`
+     */
+    gestures: boolean;
+    /**
+     * Enables the keyboard events of the focused display object, and the focus events:
+     * - `keydown` / `keyup`
+     * - `focus` / `blur`
+     *
+     * It is disabled by default, as the keys are listened to on the window, and would be taken from the page.
+     * @default false
+     */
+    keyboard: boolean;
 }
 
 /**
@@ -111,6 +130,8 @@ export class EventSystem implements ISystem<EventSystemOptions>
         globalMove: true,
         click: true,
         wheel: true,
+        gestures: true,
+        keyboard: false,
     };
 
     private static _defaultEventMode: EventMode;
@@ -189,6 +210,8 @@ export class EventSystem implements ISystem<EventSystemOptions>
      *  globalMove: false,
      *  click: false,
      *  wheel: false,
+     *  gestures: false,
+     *  keyboard: false,
      * })
      */
     public readonly features: EventSystemFeatures;
@@ -196,6 +219,7 @@ export class EventSystem implements ISystem<EventSystemOptions>
     private currentCursor: string;
     private rootPointerEvent: FederatedPointerEvent;
     private rootWheelEvent: FederatedWheelEvent;
+    private rootKeyboardEvent: FederatedKeyboardEvent;
     private eventsAdded: boolean;
 
     /**
@@ -212,6 +236,7 @@ export class EventSystem implements ISystem<EventSystemOptions>
 
         this.rootPointerEvent = new FederatedPointerEvent(null);
         this.rootWheelEvent = new FederatedWheelEvent(null);
+        this.rootKeyboardEvent = new FederatedKeyboardEvent(null);
 
         this.cursorStyles = {
             default: 'inherit',
@@ -225,6 +250,19 @@ export class EventSystem implements ISystem<EventSystemOptions>
                 {
                     this.rootBoundary.enableGlobalMoveEvents = value;
                 }
+                if (key === 'gestures')
+                {
+                    this.rootBoundary.gestures.enabled = value;
+                }
+                if (key === 'keyboard')
+                {
+                    this.rootBoundary.focus.enabled = value;
+
+                    if (this.eventsAdded)
+                    {
+                        this.setKeyEvents(value);
+                    }
+                }
                 target[key as keyof EventSystemFeatures] = value;
 
                 return true;
@@ -236,6 +274,7 @@ export class EventSystem implements ISystem<EventSystemOptions>
         this.onPointerUp = this.onPointerUp.bind(this);
         this.onPointerOverOut = this.onPointerOverOut.bind(this);
         this.onWheel = this.onWheel.bind(this);
+        this.onKey = this.onKey.bind(this);
     }
 
     /**
@@ -251,6 +290,8 @@ export class EventSystem implements ISystem<EventSystemOptions>
         EventSystem._defaultEventMode = options.eventMode ?? 'auto';
         Object.assign(this.features, options.eventFeatures ?? {});
         this.rootBoundary.enableGlobalMoveEvents = this.features.globalMove;
+        this.rootBoundary.gestures.enabled = this.features.gestures;
+        this.rootBoundary.focus.enabled = this.features.keyboard;
     }
 
     /**
@@ -266,6 +307,7 @@ export class EventSystem implements ISystem<EventSystemOptions>
     destroy(): void
     {
         this.setTargetElement(null);
+        this.rootBoundary.gestures.reset();
         this.renderer = null;
     }
 
@@ -465,6 +507,30 @@ export class EventSystem implements ISystem<EventSystemOptions>
         this.rootBoundary.mapEvent(wheelEvent);
     }
 
+    /**
+     * Handler for `keydown` and `keyup` events on the window, mapped to the display object focused in
+     * the {@link PIXI.EventSystem#rootBoundary root boundary}.
+     *
+     * Keys pressed in editable DOM elements, like text inputs, are ignored.
+     * @param nativeEvent - The native keyboard event.
+     */
+    protected onKey(nativeEvent: KeyboardEvent): void
+    {
+        if (!this.features.keyboard) return;
+
+        const target = nativeEvent.target as HTMLElement;
+
+        if (target?.isContentEditable || (/^(INPUT|TEXTAREA|SELECT)$/).test(target?.tagName))
+        {
+            return;
+        }
+
+        const keyEvent = this.normalizeKeyboardEvent(nativeEvent);
+
+        this.rootBoundary.rootTarget = this.renderer.lastObjectRendered as DisplayObject;
+        this.rootBoundary.mapEvent(keyEvent);
+    }
+
     /**
      * Sets the {@link PIXI.EventSystem#domElement domElement} and binds event listeners.
      *
@@ -542,6 +608,8 @@ export class EventSystem implements ISystem<EventSystemOptions>
             capture: true,
         });
 
+        this.setKeyEvents(this.features.keyboard);
+
         this.eventsAdded = true;
     }
 
@@ -595,10 +663,31 @@ export class EventSystem implements ISystem<EventSystemOptions>
 
         this.domElement.removeEventListener('wheel', this.onWheel, true);
 
+        this.setKeyEvents(false);
+
         this.domElement = null;
         this.eventsAdded = false;
     }
 
+    /**
+     * Adds or removes the `keydown` and `keyup` listeners of the keyboard feature. The canvas is not focused
+     * by the keyboard, so keys are listened to on the window.
+     * @param enabled - Whether the keys are listened to.
+     */
+    private setKeyEvents(enabled: boolean): void
+    {
+        if (enabled)
+        {
+            globalThis.addEventListener('keydown', this.onKey);
+            globalThis.addEventListener('keyup', this.onKey);
+        }
+        else
+        {
+            globalThis.removeEventListener('keydown', this.onKey);
+            globalThis.removeEventListener('keyup', this.onKey);
+        }
+    }
+
     /**
      * Maps x and y coords from a DOM object and maps them correctly to the PixiJS view. The
      * resulting value is stored in the point. This takes into account the fact that the DOM
@@ -737,6 +826,38 @@ export class EventSystem implements ISystem<EventSystemOptions>
         return event;
     }
 
+    /**
+     * Normalizes the native {@link https://w3c.github.io/uievents/#interface-keyboardevent KeyboardEvent}.
+     *
+     * The returned {@link PIXI.FederatedKeyboardEvent} is a shared instance. It will not persist across
+     * multiple native keyboard events.
+     * @param nativeEvent - The native keyboard event.
+     * @returns A federated keyboard event.
+     */
+    protected normalizeKeyboardEvent(nativeEvent: KeyboardEvent): FederatedKeyboardEvent
+    {
+        const event = this.rootKeyboardEvent;
+
+        event.isTrusted = nativeEvent.isTrusted;
+        event.srcElement = nativeEvent.srcElement;
+        event.timeStamp = performance.now();
+        event.type = nativeEvent.type;
+
+        event.altKey = nativeEvent.altKey;
+        event.ctrlKey = nativeEvent.ctrlKey;
+        event.metaKey = nativeEvent.metaKey;
+        event.shiftKey = nativeEvent.shiftKey;
+        event.key = nativeEvent.key;
+        event.code = nativeEvent.code;
+        event.location = nativeEvent.location;
+        event.repeat = nativeEvent.repeat;
+        event.isComposing = nativeEvent.isComposing;
+
+        event.nativeEvent = nativeEvent;
+
+        return event;
+    }
+
     /**
      * Normalizes the `nativeEvent` into a federateed {@link PIXI.FederatedPointerEvent}.
      * @param event
@@ -0,0 +1,31 @@
+import { Point } from '@pixi/core';
+import { FederatedPointerEvent } from './FederatedPointerEvent';
+
+import type { FederatedEventTarget } from './FederatedEventTarget';
+
+/**
+ * A {@link PIXI.FederatedPointerEvent} for dragging {@link PIXI.DisplayObject#draggable draggable} display objects:
+ * `dragstart`, `dragmove` and `dragend` on the dragged display object, and `dragenter`, `dragleave` and `drop`
+ * on the display objects beneath it.
+ * @memberof PIXI
+ */
+export class FederatedDragEvent extends FederatedPointerEvent
+{
+    /** The dragged display object. */
+    public dragTarget: FederatedEventTarget;
+
+    /**
+     * The display object beneath the dragged one, which it is dropped on.
+     * For `dragend` events, this is null if the dragged display object was not dropped on any.
+     */
+    public dropTarget: FederatedEventTarget;
+
+    /**
+     * Data carried by the drag, set by the listeners of `dragstart` and passed on to the following events,
+     * e.g. the item of an inventory slot.
+     */
+    public dragData: any;
+
+    /** Where the pointer was pressed to start the drag, in world space. */
+    public dragStart: Point = new Point();
+}
@@ -1,8 +1,26 @@
+import type { FederatedDragEvent } from './FederatedDragEvent';
+import type { FederatedFocusEvent } from './FederatedFocusEvent';
+import type { FederatedGestureEvent } from './FederatedGestureEvent';
+import type { FederatedKeyboardEvent } from './FederatedKeyboardEvent';
 import type { FederatedPointerEvent } from './FederatedPointerEvent';
 import type { FederatedWheelEvent } from './FederatedWheelEvent';
 
 export type FederatedEventMap = {
+    blur: FederatedFocusEvent;
     click: FederatedPointerEvent;
+    doubletap: FederatedGestureEvent;
+    dragend: FederatedDragEvent;
+    dragenter: FederatedDragEvent;
+    dragleave: FederatedDragEvent;
+    dragmove: FederatedDragEvent;
+    dragstart: FederatedDragEvent;
+    drop: FederatedDragEvent;
+    focus: FederatedFocusEvent;
+    gotpointercapture: FederatedPointerEvent;
+    keydown: FederatedKeyboardEvent;
+    keyup: FederatedKeyboardEvent;
+    longpress: FederatedGestureEvent;
+    lostpointercapture: FederatedPointerEvent;
     mousedown: FederatedPointerEvent;
     mouseenter: FederatedPointerEvent;
     mouseleave: FederatedPointerEvent;
@@ -11,6 +29,8 @@ export type FederatedEventMap = {
     mouseover: FederatedPointerEvent;
     mouseup: FederatedPointerEvent;
     mouseupoutside: FederatedPointerEvent;
+    pan: FederatedGestureEvent;
+    pinch: FederatedGestureEvent;
     pointercancel: FederatedPointerEvent;
     pointerdown: FederatedPointerEvent;
     pointerenter: FederatedPointerEvent;
@@ -25,6 +45,8 @@ export type FederatedEventMap = {
     rightdown: FederatedPointerEvent;
     rightup: FederatedPointerEvent;
     rightupoutside: FederatedPointerEvent;
+    rotate: FederatedGestureEvent;
+    swipe: FederatedGestureEvent;
     tap: FederatedPointerEvent;
     touchcancel: FederatedPointerEvent;
     touchend: FederatedPointerEvent;
@@ -1,9 +1,15 @@
 import { utils } from '@pixi/core';
 import { DisplayObject } from '@pixi/display';
+import { EventBoundary } from './EventBoundary';
 import { EventSystem } from './EventSystem';
 import { FederatedEvent } from './FederatedEvent';
 
+import type { IPointData } from '@pixi/core';
+import type { FederatedDragEvent } from './FederatedDragEvent';
 import type { AllFederatedEventMap } from './FederatedEventMap';
+import type { FederatedFocusEvent } from './FederatedFocusEvent';
+import type { FederatedGestureEvent } from './FederatedGestureEvent';
+import type { FederatedKeyboardEvent } from './FederatedKeyboardEvent';
 import type { FederatedPointerEvent } from './FederatedPointerEvent';
 import type { FederatedWheelEvent } from './FederatedWheelEvent';
 
@@ -50,6 +56,23 @@ export interface IHitArea
     contains(x: number, y: number): boolean;
 }
 
+/**
+ * An index of the children of a container, to hit-test only the children which may contain a location,
+ * instead of all of them.
+ * @see PIXI.DisplayObject#hitTestIndex
+ * @memberof PIXI
+ */
+export interface IHitTestIndex
+{
+    /**
+     * Finds the children of the container which may contain the location.
+     * @param {PIXI.DisplayObject} container - The container whose children are indexed.
+     * @param {PIXI.IPointData} location - The location, in world space.
+     * @returns {PIXI.DisplayObject[]} - The children which may contain the location, in their order in the container.
+     */
+    query(container: DisplayObject, location: IPointData): DisplayObject[];
+}
+
 /**
  * Function type for handlers, e.g., onclick
  * @memberof PIXI
@@ -95,6 +118,24 @@ export interface FederatedEventTarget extends utils.EventEmitter, EventTarget
     /** The hit-area specifies the area for which pointer events should be captured by this event target. */
     hitArea: IHitArea | null;
 
+    /** Whether this event target can be dragged by pressing and moving a pointer over it. */
+    draggable: boolean;
+
+    /** Whether this event target can be focused, to receive keyboard events. */
+    focusable: boolean;
+
+    /** The index of the children which may contain a location, used to hit-test them. */
+    hitTestIndex: IHitTestIndex | null;
+
+    /** Captures the pointer, so this event target is the target of its events until it is released. */
+    setPointerCapture(pointerId: number): void;
+
+    /** Releases the pointer captured by this event target. */
+    releasePointerCapture(pointerId: number): void;
+
+    /** Whether this event target captures the pointer. */
+    hasPointerCapture(pointerId: number): boolean;
+
     // In Angular projects, zone.js is monkey patching the `EventTarget`
     // by adding its own `removeAllListeners(event?: string): void;` method,
     // so we have to override this signature when extending both `EventTarget` and `utils.EventEmitter`
@@ -104,8 +145,36 @@ export interface FederatedEventTarget extends utils.EventEmitter, EventTarget
     /** Remove all listeners, or those of the specified event. */
     removeAllListeners(event?: string | symbol): this;
 
+    /** Handler for 'blur' event */
+    onblur: FederatedEventHandler<FederatedFocusEvent> | null;
     /** Handler for 'click' event */
     onclick: FederatedEventHandler | null;
+    /** Handler for 'doubletap' event */
+    ondoubletap: FederatedEventHandler<FederatedGestureEvent> | null;
+    /** Handler for 'dragend' event */
+    ondragend: FederatedEventHandler<FederatedDragEvent> | null;
+    /** Handler for 'dragenter' event */
+    ondragenter: FederatedEventHandler<FederatedDragEvent> | null;
+    /** Handler for 'dragleave' event */
+    ondragleave: FederatedEventHandler<FederatedDragEvent> | null;
+    /** Handler for 'dragmove' event */
+    ondragmove: FederatedEventHandler<FederatedDragEvent> | null;
+    /** Handler for 'dragstart' event */
+    ondragstart: FederatedEventHandler<FederatedDragEvent> | null;
+    /** Handler for 'drop' event */
+    ondrop: FederatedEventHandler<FederatedDragEvent> | null;
+    /** Handler for 'focus' event */
+    onfocus: FederatedEventHandler<FederatedFocusEvent> | null;
+    /** Handler for 'gotpointercapture' event */
+    ongotpointercapture: FederatedEventHandler | null;
+    /** Handler for 'keydown' event */
+    onkeydown: FederatedEventHandler<FederatedKeyboardEvent> | null;
+    /** Handler for 'keyup' event */
+    onkeyup: FederatedEventHandler<FederatedKeyboardEvent> | null;
+    /** Handler for 'longpress' event */
+    onlongpress: FederatedEventHandler<FederatedGestureEvent> | null;
+    /** Handler for 'lostpointercapture' event */
+    onlostpointercapture: FederatedEventHandler | null;
     /** Handler for 'mousedown' event */
     onmousedown: FederatedEventHandler | null;
     /** Handler for 'mouseenter' event */
@@ -124,6 +193,10 @@ export interface FederatedEventTarget extends utils.EventEmitter, EventTarget
     onmouseup: FederatedEventHandler | null;
     /** Handler for 'mouseupoutside' event */
     onmouseupoutside: FederatedEventHandler | null;
+    /** Handler for 'pan' event */
+    onpan: FederatedEventHandler<FederatedGestureEvent> | null;
+    /** Handler for 'pinch' event */
+    onpinch: FederatedEventHandler<FederatedGestureEvent> | null;
     /** Handler for 'pointercancel' event */
     onpointercancel: FederatedEventHandler | null;
     /** Handler for 'pointerdown' event */
@@ -154,6 +227,10 @@ export interface FederatedEventTarget extends utils.EventEmitter, EventTarget
     onrightup: FederatedEventHandler | null;
     /** Handler for 'rightupoutside' event */
     onrightupoutside: FederatedEventHandler | null;
+    /** Handler for 'rotate' event */
+    onrotate: FederatedEventHandler<FederatedGestureEvent> | null;
+    /** Handler for 'swipe' event */
+    onswipe: FederatedEventHandler<FederatedGestureEvent> | null;
     /** Handler for 'tap' event */
     ontap: FederatedEventHandler | null;
     /** Handler for 'touchcancel' event */
@@ -207,6 +284,17 @@ function convertEventModeToInteractiveMode(mode: EventMode): boolean
 
 export const FederatedDisplayObject: IFederatedDisplayObject = {
 
+    /**
+     * Property-based event handler for the `blur` event.
+     * @memberof PIXI.DisplayObject#
+     * @default null
+     * @example
+     * this.onblur = (event) => {
+     *  //some function here that happens on blur
+     * }
+     */
+    onblur: null,
+
     /**
      * Property-based event handler for the `click` event.
      * @memberof PIXI.DisplayObject#
@@ -218,6 +306,149 @@ export const FederatedDisplayObject: IFederatedDisplayObject = {
      */
     onclick: null,
 
+    /**
+     * Property-based event handler for the `doubletap` event.
+     * @memberof PIXI.DisplayObject#
+     * @default null
+     * @example
+     * this.ondoubletap = (event) => {
+     *  //some function here that happens on doubletap
+     * }
+     */
+    ondoubletap: null,
+
+    /**
+     * Property-based event handler for the `dragend` event.
+     * @memberof PIXI.DisplayObject#
+     * @default null
+     * @example
+     * this.ondragend = (event) => {
+     *  //some function here that happens on dragend
+     * }
+     */
+    ondragend: null,
+
+    /**
+     * Property-based event handler for the `dragenter` event.
+     * @memberof PIXI.DisplayObject#
+     * @default null
+     * @example
+     * this.ondragenter = (event) => {
+     *  //some function here that happens on dragenter
+     * }
+     */
+    ondragenter: null,
+
+    /**
+     * Property-based event handler for the `dragleave` event.
+     * @memberof PIXI.DisplayObject#
+     * @default null
+     * @example
+     * this.ondragleave = (event) => {
+     *  //some function here that happens on dragleave
+     * }
+     */
+    ondragleave: null,
+
+    /**
+     * Property-based event handler for the `dragmove` event.
+     * @memberof PIXI.DisplayObject#
+     * @default null
+     * @example
+     * this.ondragmove = (event) => {
+     *  //some function here that happens on dragmove
+     * }
+     */
+    ondragmove: null,
+
+    /**
+     * Property-based event handler for the `dragstart` event.
+     * @memberof PIXI.DisplayObject#
+     * @default null
+     * @example
+     * this.ondragstart = (event) => {
+     *  //some function here that happens on dragstart
+     * }
+     */
+    ondragstart: null,
+
+    /**
+     * Property-based event handler for the `drop` event.
+     * @memberof PIXI.DisplayObject#
+     * @default null
+     * @example
+     * this.ondrop = (event) => {
+     *  //some function here that happens on drop
+     * }
+     */
+    ondrop: null,
+
+    /**
+     * Property-based event handler for the `focus` event.
+     * @memberof PIXI.DisplayObject#
+     * @default null
+     * @example
+     * this.onfocus = (event) => {
+     *  //some function here that happens on focus
+     * }
+     */
+    onfocus: null,
+
+    /**
+     * Property-based event handler for the `gotpointercapture` event.
+     * @memberof PIXI.DisplayObject#
+     * @default null
+     * @example
+     * this.ongotpointercapture = (event) => {
+     *  //some function here that happens on gotpointercapture
+     * }
+     */
+    ongotpointercapture: null,
+
+    /**
+     * Property-based event handler for the `keydown` event.
+     * @memberof PIXI.DisplayObject#
+     * @default null
+     * @example
+     * this.onkeydown = (event) => {
+     *  //some function here that happens on keydown
+     * }
+     */
+    onkeydown: null,
+
+    /**
+     * Property-based event handler for the `keyup` event.
+     * @memberof PIXI.DisplayObject#
+     * @default null
+     * @example
+     * this.onkeyup = (event) => {
+     *  //some function here that happens on keyup
+     * }
+     */
+    onkeyup: null,
+
+    /**
+     * Property-based event handler for the `longpress` event.
+     * @memberof PIXI.DisplayObject#
+     * @default null
+     * @example
+     * this.onlongpress = (event) => {
+     *  //some function here that happens on longpress
+     * }
+     */
+    onlongpress: null,
+
+    /**
+     * Property-based event handler for the `lostpointercapture` event.
+     * @memberof PIXI.DisplayObject#
+     * @default null
+     * @example
+     * this.onlostpointercapture = (event) => {
+     *  //some function here that happens on lostpointercapture
+     * }
+     */
+    onlostpointercapture: null,
+
     /**
      * Property-based event handler for the `mousedown` event.
      * @memberof PIXI.DisplayObject#
@@ -317,6 +548,28 @@ export const FederatedDisplayObject: IFederatedDisplayObject = {
      */
     onmouseupoutside:  null,
 
+    /**
+     * Property-based event handler for the `pan` event.
+     * @memberof PIXI.DisplayObject#
+     * @default null
+     * @example
+     * this.onpan = (event) => {
+     *  //some function here that happens on pan
+     * }
+     */
+    onpan: null,
+
+    /**
+     * Property-based event handler for the `pinch` event.
+     * @memberof PIXI.DisplayObject#
+     * @default null
+     * @example
+     * this.onpinch = (event) => {
+     *  //some function here that happens on pinch
+     * }
+     */
+    onpinch: null,
+
     /**
      * Property-based event handler for the `pointercancel` event.
      * @memberof PIXI.DisplayObject#
@@ -482,6 +735,28 @@ export const FederatedDisplayObject: IFederatedDisplayObject = {
      */
     onrightupoutside:  null,
 
+    /**
+     * Property-based event handler for the `rotate` event.
+     * @memberof PIXI.DisplayObject#
+     * @default null
+     * @example
+     * this.onrotate = (event) => {
+     *  //some function here that happens on rotate
+     * }
+     */
+    onrotate: null,
+
+    /**
+     * Property-based event handler for the `swipe` event.
+     * @memberof PIXI.DisplayObject#
+     * @default null
+     * @example
+     * this.onswipe = (event) => {
+     *  //some function here that happens on swipe
+     * }
+     */
+    onswipe: null,
+
     /**
      * Property-based event handler for the `tap` event.
      * @memberof PIXI.DisplayObject#
@@ -680,6 +955,58 @@ export const FederatedDisplayObject: IFederatedDisplayObject = {
      */
     hitArea: null,
 
+    /**
+     * Whether the display object can be dragged by pressing and moving the primary button of a pointer over it.
+     * The `dragstart`, `dragmove` and `dragend` events are then dispatched to it, and the `dragenter`,
+     * `dragleave` and `drop` events to the display objects beneath it. Preventing the default of
+     * the `dragstart` event cancels the drag.
+     *
+     * The display object must be interactive, and is not moved by dragging it: listen to `dragmove` for that.
+     * @example
+     * import { Sprite } from 'pixi.js';
+     *
+     * const item = new Sprite(texture);
+     * item.eventMode = 'static';
+     * item.draggable = true;
+     * item.on('dragstart', (event) => { event.dragData = 'sword'; });
+     * item.on('dragmove', (event) => { item.parent.toLocal(event.global, null, item.position); });
+     * slot.on('drop', (event) => { slot.equip(event.dragData); });
+     * @memberof PIXI.DisplayObject#
+     * @default false
+     */
+    draggable: false,
+
+    /**
+     * Whether the display object can be focused, by pressing a pointer over it or with the arrow keys,
+     * to receive the `keydown` and `keyup` events. It then receives the `focus` and `blur` events as
+     * it gains and loses the focus. The display object must be interactive.
+     * @example
+     * import { Sprite } from 'pixi.js';
+     *
+     * const button = new Sprite(texture);
+     * button.eventMode = 'static';
+     * button.focusable = true;
+     * button.on('keydown', (event) => { if (event.key === 'Enter') play(); });
+     * @see PIXI.FocusManager
+     * @memberof PIXI.DisplayObject#
+     * @default false
+     */
+    focusable: false,
+
+    /**
+     * An index of the children, to hit-test only those which may contain the location of a pointer instead of
+     * all of them. This speeds up the hit-testing of containers with many static interactive children,
+     * like the markers of a map. See {@link PIXI.SpatialHashIndex} for an index of the bounds of the children.
+     * @example
+     * import { SpatialHashIndex } from 'pixi.js';
+     *
+     * markers.hitTestIndex = new SpatialHashIndex();
+     * @memberof PIXI.DisplayObject#
+     * @type {PIXI.IHitTestIndex}
+     * @default null
+     */
+    hitTestIndex: null,
+
     /**
      * Unlike `on` or `addListener` which are methods from EventEmitter, `addEventListener`
      * seeks to be compatible with the DOM's `addEventListener` with support for options.
@@ -754,6 +1081,55 @@ export const FederatedDisplayObject: IFederatedDisplayObject = {
         (this as unknown as utils.EventEmitter).off(type, listener, context);
     },
 
+    /**
+     * Captures the pointer, like the DOM's `setPointerCapture`: the display object is then the target of its
+     * events, even when the pointer moves out of it, until the pointer is released or the capture is released.
+     * The display object receives the `gotpointercapture` event before the next event of the pointer, and the
+     * `lostpointercapture` event once its capture is released.
+     *
+     * **IMPORTANT:** _Only_ available if using the `@pixi/events` package.
+     * @memberof PIXI.DisplayObject
+     * @param pointerId - The id of the pointer.
+     * @example
+     * slider.on('pointerdown', (event) => slider.setPointerCapture(event.pointerId));
+     * slider.on('pointermove', (event) =>
+     * {
+     *     if (slider.hasPointerCapture(event.pointerId)) slider.value = slider.toLocal(event.global).x;
+     * });
+     */
+    setPointerCapture(pointerId: number): void
+    {
+        EventBoundary.pointerCaptures.set(pointerId, this as unknown as FederatedEventTarget);
+    },
+
+    /**
+     * Releases the pointer captured by this display object, like the DOM's `releasePointerCapture`.
+     *
+     * **IMPORTANT:** _Only_ available if using the `@pixi/events` package.
+     * @memberof PIXI.DisplayObject
+     * @param pointerId - The id of the pointer.
+     */
+    releasePointerCapture(pointerId: number): void
+    {
+        if (this.hasPointerCapture(pointerId))
+        {
+            EventBoundary.pointerCaptures.delete(pointerId);
+        }
+    },
+
+    /**
+     * Whether this display object captures the pointer, like the DOM's `hasPointerCapture`.
+     *
+     * **IMPORTANT:** _Only_ available if using the `@pixi/events` package.
+     * @memberof PIXI.DisplayObject
+     * @param pointerId - The id of the pointer.
+     * @returns - Whether this display object captures the pointer.
+     */
+    hasPointerCapture(pointerId: number): boolean
+    {
+        return EventBoundary.pointerCaptures.get(pointerId) === (this as unknown as FederatedEventTarget);
+    },
+
     /**
      * Dispatch the event on this {@link PIXI.DisplayObject} using the event's {@link PIXI.EventBoundary}.
      *
@@ -0,0 +1,18 @@
+import { FederatedEvent } from './FederatedEvent';
+
+import type { FederatedEventTarget } from './FederatedEventTarget';
+
+/**
+ * A {@link PIXI.FederatedEvent} for the focus moving between {@link PIXI.DisplayObject#focusable focusable}
+ * display objects: `focus` and `blur`.
+ * @see PIXI.FocusManager
+ * @memberof PIXI
+ */
+export class FederatedFocusEvent extends FederatedEvent
+{
+    /**
+     * The display object losing the focus, for `focus` events, or gaining it, for `blur` events.
+     * This is null if there is no such display object.
+     */
+    public relatedTarget: FederatedEventTarget = null;
+}
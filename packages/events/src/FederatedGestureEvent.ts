@@ -0,0 +1,82 @@
+import { Point } from '@pixi/core';
+import { FederatedEvent } from './FederatedEvent';
+
+import type { IPointData } from '@pixi/core';
+import type { DisplayObject } from '@pixi/display';
+import type { PixiTouch } from './FederatedEvent';
+
+/**
+ * The phase of a continuous gesture: `'start'` when it is recognized, `'move'` while the pointers move,
+ * and `'end'` when they are released.
+ * @memberof PIXI
+ */
+export type GesturePhase = 'start' | 'move' | 'end';
+
+/**
+ * The direction of a `swipe` gesture.
+ * @memberof PIXI
+ */
+export type GestureDirection = 'left' | 'right' | 'up' | 'down';
+
+/**
+ * A {@link PIXI.FederatedEvent} for the gestures recognized from the pointers pressed on a display object:
+ * `pan`, `swipe`, `pinch`, `rotate`, `longpress` and `doubletap`.
+ * @see PIXI.GestureRecognizer
+ * @memberof PIXI
+ */
+export class FederatedGestureEvent extends FederatedEvent<MouseEvent | PointerEvent | PixiTouch>
+{
+    /** The phase of continuous gestures, `'end'` for the others. */
+    public phase: GesturePhase = 'end';
+
+    /** The number of pointers pressed. */
+    public pointerCount = 0;
+
+    /** The center of the pressed pointers, in world space. */
+    public global: Point = new Point();
+
+    /** @readonly */
+    get globalX(): number { return this.global.x; }
+
+    /** @readonly */
+    get globalY(): number { return this.global.y; }
+
+    /** The movement of the center of the pointers since the previous event of the gesture. */
+    public delta: Point = new Point();
+
+    /** The movement of the center of the pointers since the start of the gesture. */
+    public translation: Point = new Point();
+
+    /** The velocity of the center of the pointers, in pixels per millisecond. */
+    public velocity: Point = new Point();
+
+    /** The scale of the distance between the pointers since the start of the gesture. */
+    public scale = 1;
+
+    /** The scale of the distance between the pointers since the previous event of the gesture. */
+    public deltaScale = 1;
+
+    /** The rotation of the pointers since the start of the gesture, in radians. */
+    public rotation = 0;
+
+    /** The rotation of the pointers since the previous event of the gesture, in radians. */
+    public deltaRotation = 0;
+
+    /** The direction of `swipe` gestures. */
+    public direction: GestureDirection = null;
+
+    /** The time since the first pointer was pressed, in milliseconds. */
+    public duration = 0;
+
+    /**
+     * Computes the local position of the center of the pointers relative to the display object.
+     * @param displayObject - The display object in whose coordinate space the position is computed.
+     * @param point - The point in which the position is stored.
+     * @param globalPos - A position in world space, other than the center of the pointers.
+     * @returns - The local position.
+     */
+    public getLocalPosition<P extends IPointData = Point>(displayObject: DisplayObject, point?: P, globalPos?: IPointData): P
+    {
+        return displayObject.worldTransform.applyInverse<P>(globalPos || this.global, point);
+    }
+}
@@ -0,0 +1,46 @@
+import { FederatedEvent } from './FederatedEvent';
+
+/**
+ * A {@link PIXI.FederatedEvent} for keyboard events: `keydown` and `keyup`. These target the display object
+ * focused by the {@link PIXI.FocusManager FocusManager}.
+ * @memberof PIXI
+ */
+export class FederatedKeyboardEvent extends FederatedEvent<KeyboardEvent>
+{
+    /** Whether the "alt" key was pressed when this keyboard event occurred. */
+    altKey: boolean;
+
+    /** Whether the "control" key was pressed when this keyboard event occurred. */
+    ctrlKey: boolean;
+
+    /** Whether the "meta" key was pressed when this keyboard event occurred. */
+    metaKey: boolean;
+
+    /** Whether the "shift" key was pressed when this keyboard event occurred. */
+    shiftKey: boolean;
+
+    /** The value of the key pressed, e.g. `"a"`, `"Enter"` or `"ArrowLeft"`. */
+    key: string;
+
+    /** The physical key pressed, regardless of the keyboard layout, e.g. `"KeyA"`. */
+    code: string;
+
+    /** The location of the key on the keyboard, e.g. to tell apart the left and right "shift" keys. */
+    location: number;
+
+    /** Whether the key is held down such that it is automatically repeating. */
+    repeat: boolean;
+
+    /** Whether this keyboard event occurred while composing text with an input method. */
+    isComposing: boolean;
+
+    /**
+     * Whether the modifier key was pressed when this keyboard event occurred.
+     * @param key - The modifier key, e.g. `"CapsLock"`.
+     * @returns - Whether the modifier key was pressed.
+     */
+    public getModifierState(key: string): boolean
+    {
+        return this.nativeEvent?.getModifierState(key) ?? false;
+    }
+}
@@ -0,0 +1,315 @@
+import { FederatedFocusEvent } from './FederatedFocusEvent';
+
+import type { DisplayObject } from '@pixi/display';
+import type { EventBoundary } from './EventBoundary';
+import type { FederatedEvent } from './FederatedEvent';
+import type { FederatedEventTarget } from './FederatedEventTarget';
+import type { FederatedKeyboardEvent } from './FederatedKeyboardEvent';
+import type { FederatedPointerEvent } from './FederatedPointerEvent';
+
+/**
+ * The direction in which the focus moves between focusable display objects.
+ * @memberof PIXI
+ */
+export type FocusDirection = 'left' | 'right' | 'up' | 'down';
+
+/** The directions in which the arrow keys move the focus. */
+const ARROW_KEYS: Record<string, FocusDirection> = {
+    ArrowLeft: 'left',
+    ArrowRight: 'right',
+    ArrowUp: 'up',
+    ArrowDown: 'down',
+};
+
+/**
+ * Manages the keyboard focus between the {@link PIXI.DisplayObject#focusable focusable} display objects below
+ * an {@link PIXI.EventBoundary}.
+ *
+ * The focused display object is the target of the `keydown` and `keyup` events, which propagate like
+ * pointer events. Moving the focus dispatches a `blur` event to the display object losing it, and then
+ * a `focus` event to the one gaining it. Pressing a pointer over a focusable display object focuses it,
+ * and pressing it elsewhere takes the focus away.
+ *
+ * Once a display object is focused, the arrow keys move the focus to the closest focusable display object
+ * in their direction, like the menus of TVs and game consoles. Preventing the default of a `keydown` event
+ * stops it from moving the focus.
+ *
+ * The focus of the {@link PIXI.EventSystem} is managed once its `keyboard` feature is enabled.
+ * @example
+ * import { Container, Graphics } from 'pixi.js';
+ *
+ * renderer.events.features.keyboard = true;
+ *
+ * const menu = new Container();
+ *
+ * for (let i = 0; i < 3; i++)
+ * {
+ *     const button = menu.addChild(new Graphics().beginFill(0xffffff).drawRect(0, i * 60, 200, 50));
+ *
+ *     button.eventMode = 'static';
+ *     button.focusable = true;
+ *     button.on('focus', () => { button.tint = 0xffcc00; });
+ *     button.on('blur', () => { button.tint = 0xffffff; });
+ *     button.on('keydown', (event) => { if (event.key === 'Enter') startLevel(i); });
+ * }
+ *
+ * // focus the first button, the arrow keys move the focus from there
+ * renderer.events.rootBoundary.focus.setFocus(menu.children[0]);
+ * @memberof PIXI
+ */
+export class FocusManager
+{
+    /** Whether the focus is managed. */
+    public enabled = true;
+
+    /** Whether the arrow keys move the focus between the focusable display objects. */
+    public spatialNavigation = true;
+
+    /** The event boundary whose display objects are focused. */
+    public readonly boundary: EventBoundary;
+
+    /** The focused display object. */
+    private _focused: FederatedEventTarget = null;
+
+    /**
+     * @param boundary - The event boundary whose display objects are focused.
+     */
+    constructor(boundary: EventBoundary)
+    {
+        this.boundary = boundary;
+    }
+
+    /**
+     * The focused display object, or null if none is. A display object removed from the scene loses the focus.
+     * @readonly
+     */
+    get focused(): FederatedEventTarget
+    {
+        if (this._focused && !this.boundary.isMounted(this._focused))
+        {
+            this._focused = null;
+        }
+
+        return this._focused;
+    }
+
+    /**
+     * Moves the focus to the display object, or takes it away.
+     * @param target - The focusable display object to focus, or null to take the focus away.
+     * @param from - The event moving the focus, if any.
+     */
+    public setFocus(target: FederatedEventTarget, from?: FederatedEvent): void
+    {
+        const focused = this.focused;
+
+        if (target === focused)
+        {
+            return;
+        }
+
+        this._focused = target;
+
+        if (focused)
+        {
+            this.dispatch('blur', focused, target, from);
+        }
+        if (target)
+        {
+            this.dispatch('focus', target, focused, from);
+        }
+    }
+
+    /** Takes the focus away from the focused display object. */
+    public blur(): void
+    {
+        this.setFocus(null);
+    }
+
+    /**
+     * Moves the focus to the closest focusable display object in the direction, by the centers of their bounds.
+     * If no display object is focused, the first focusable display object is focused.
+     * @param direction - The direction in which the focus moves.
+     * @param from - The event moving the focus, if any.
+     * @returns - The newly focused display object, or null if the focus did not move.
+     */
+    public navigate(direction: FocusDirection, from?: FederatedEvent): FederatedEventTarget
+    {
+        const focusables = this.getFocusables();
+        const focused = this.focused;
+
+        if (!focused)
+        {
+            this.setFocus(focusables[0] ?? null, from);
+
+            return focusables[0] ?? null;
+        }
+
+        const bounds = (focused as DisplayObject).getBounds();
+        const x = bounds.x + (bounds.width / 2);
+        const y = bounds.y + (bounds.height / 2);
+        const horizontal = direction === 'left' || direction === 'right';
+        const sign = direction === 'left' || direction === 'up' ? -1 : 1;
+        let closest: FederatedEventTarget = null;
+        let closestScore = Infinity;
+
+        for (let i = 0; i < focusables.length; i++)
+        {
+            if (focusables[i] === focused)
+            {
+                continue;
+            }
+
+            const candidate = (focusables[i] as DisplayObject).getBounds();
+            const dx = candidate.x + (candidate.width / 2) - x;
+            const dy = candidate.y + (candidate.height / 2) - y;
+            const distance = sign * (horizontal ? dx : dy);
+
+            if (distance <= 0)
+            {
+                continue;
+            }
+
+            // being out of line is penalized, so that the focus moves along rows and columns
+            const score = distance + (2 * Math.abs(horizontal ? dy : dx));
+
+            if (score < closestScore)
+            {
+                closest = focusables[i];
+                closestScore = score;
+            }
+        }
+
+        if (closest)
+        {
+            this.setFocus(closest, from);
+        }
+
+        return closest;
+    }
+
+    /**
+     * The focusable display objects that can be focused, in the order of the scene graph. These are
+     * visible and interactive, and not below display objects whose `eventMode` is `'none'`, or whose
+     * `interactiveChildren` is false.
+     * @returns - The focusable display objects.
+     */
+    public getFocusables(): FederatedEventTarget[]
+    {
+        const focusables: FederatedEventTarget[] = [];
+
+        if (this.boundary.rootTarget)
+        {
+            this.collectFocusables(this.boundary.rootTarget, focusables);
+        }
+
+        return focusables;
+    }
+
+    /**
+     * Focuses the most specific focusable display object pressed, or takes the focus away if there is none,
+     * unless the default of the `pointerdown` event was prevented.
+     * @param e - The downstream `pointerdown` event.
+     */
+    public onPointerDown(e: FederatedPointerEvent): void
+    {
+        if (!this.enabled || e.defaultPrevented)
+        {
+            return;
+        }
+
+        const path = e.composedPath();
+        let target: FederatedEventTarget = null;
+
+        for (let i = path.length - 1; i >= 0; i--)
+        {
+            if (path[i].focusable && path[i].isInteractive())
+            {
+                target = path[i];
+                break;
+            }
+        }
+
+        this.setFocus(target, e);
+    }
+
+    /**
+     * Moves the focus with the arrow keys, if the `keydown` event was not prevented.
+     * @param e - The downstream `keydown` event, dispatched to the focused display object.
+     */
+    public onKeyDown(e: FederatedKeyboardEvent): void
+    {
+        const direction = ARROW_KEYS[e.key];
+
+        if (!this.enabled || !this.spatialNavigation || !direction || e.defaultPrevented)
+        {
+            return;
+        }
+
+        if (this.navigate(direction, e))
+        {
+            // stops the arrow keys from scrolling the page
+            e.preventDefault();
+        }
+    }
+
+    /** Forgets the focused display object, without dispatching a `blur` event. */
+    public reset(): void
+    {
+        this._focused = null;
+    }
+
+    /**
+     * Dispatches a focus event.
+     * @param type - The type of the event, `focus` or `blur`.
+     * @param target - The display object gaining or losing the focus.
+     * @param relatedTarget - The display object losing or gaining the focus.
+     * @param from - The event moving the focus, if any.
+     */
+    protected dispatch(
+        type: string,
+        target: FederatedEventTarget,
+        relatedTarget: FederatedEventTarget,
+        from?: FederatedEvent
+    ): void
+    {
+        const event = this.boundary.allocateEvent(FederatedFocusEvent);
+
+        event.type = type;
+        event.target = target;
+        event.relatedTarget = relatedTarget;
+        event.nativeEvent = from?.nativeEvent ?? null;
+        event.originalEvent = from ?? null;
+        event.isTrusted = from?.isTrusted ?? false;
+        event.timeStamp = performance.now();
+        event.defaultPrevented = false;
+
+        this.boundary.dispatchEvent(event, type);
+        this.boundary.freeEvent(event);
+    }
+
+    /**
+     * Collects the focusable display objects below the display object.
+     * @param target - The display object to search.
+     * @param focusables - The array in which the focusable display objects are collected.
+     */
+    private collectFocusables(target: FederatedEventTarget, focusables: FederatedEventTarget[]): void
+    {
+        if (!(target as DisplayObject).visible || target.eventMode === 'none')
+        {
+            return;
+        }
+
+        if (target.focusable && target.isInteractive())
+        {
+            focusables.push(target);
+        }
+
+        if (target.interactiveChildren && target.children)
+        {
+            for (let i = 0; i < target.children.length; i++)
+            {
+                this.collectFocusables(target.children[i] as FederatedEventTarget, focusables);
+            }
+        }
+    }
+}
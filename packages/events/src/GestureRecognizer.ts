@@ -0,0 +1,560 @@
+import { Point } from '@pixi/core';
+import { FederatedGestureEvent } from './FederatedGestureEvent';
+
+import type { EventBoundary } from './EventBoundary';
+import type { PixiTouch } from './FederatedEvent';
+import type { FederatedEventTarget } from './FederatedEventTarget';
+import type { GesturePhase } from './FederatedGestureEvent';
+import type { FederatedPointerEvent } from './FederatedPointerEvent';
+
+/** A pointer pressed during a gesture. */
+interface GesturePointer
+{
+    /** Where the pointer was pressed, in world space. */
+    start: Point;
+    /** The current position of the pointer, in world space. */
+    position: Point;
+}
+
+/** A position of the center of the pointers, to measure their velocity. */
+interface GestureSample
+{
+    x: number;
+    y: number;
+    timeStamp: number;
+}
+
+/** The gestures which start, move and end. */
+type ContinuousGesture = 'pan' | 'pinch' | 'rotate';
+
+/** The duration over which the velocity of the pointers is measured, in milliseconds. */
+const VELOCITY_WINDOW = 100;
+
+/**
+ * Recognizes gestures from the pointers pressed on the display objects below an {@link PIXI.EventBoundary},
+ * and dispatches them as {@link PIXI.FederatedGestureEvent FederatedGestureEvents}:
+ * - `pan`: the pointers move together. Its `phase` is `'start'`, `'move'` and `'end'`.
+ * - `swipe`: the pointers are released while panning fast enough, in the `direction` of the pan.
+ * - `pinch`: the distance between several pointers changes, by `scale`. Its `phase` is `'start'`, `'move'` and `'end'`.
+ * - `rotate`: several pointers turn around their center, by `rotation`. Its `phase` is `'start'`, `'move'` and `'end'`.
+ * - `longpress`: a pointer is held without moving.
+ * - `doubletap`: a pointer is pressed and released twice at the same place.
+ *
+ * The gesture events target the most specific interactive display object pressed by all of its pointers, and
+ * propagate like pointer events, so they honor the `eventMode` of the display objects. Pointers pressed outside
+ * of any interactive display object do not take part in gestures.
+ * @example
+ * // zoom a map with two fingers
+ * map.eventMode = 'static';
+ * map.on('pinch', (event) =>
+ * {
+ *     const anchor = event.getLocalPosition(map);
+ *
+ *     map.scale.x *= event.deltaScale;
+ *     map.scale.y *= event.deltaScale;
+ *
+ *     // keep the point between the fingers in place, for a map on the stage
+ *     const moved = map.toGlobal(anchor);
+ *
+ *     map.x += event.global.x - moved.x;
+ *     map.y += event.global.y - moved.y;
+ * });
+ *
+ * // recognize pinches from a smaller change of distance
+ * renderer.events.rootBoundary.gestures.pinchThreshold = 5;
+ * @memberof PIXI
+ */
+export class GestureRecognizer
+{
+    /** Whether gestures are recognized. */
+    public enabled = true;
+
+    /** The distance, in pixels, the pointers move before a `pan` is recognized, and a tap is no longer possible. */
+    public panThreshold = 10;
+
+    /** The change of distance, in pixels, between the pointers before a `pinch` is recognized. */
+    public pinchThreshold = 10;
+
+    /** The angle, in radians, the pointers turn before a `rotate` is recognized. */
+    public rotateThreshold = 0.1;
+
+    /** The minimum velocity, in pixels per millisecond, of a pan ending with a `swipe`. */
+    public swipeVelocity = 0.5;
+
+    /** The time, in milliseconds, a pointer is held before a `longpress` is recognized. */
+    public longPressDuration = 500;
+
+    /** The maximum time, in milliseconds, between two taps of a `doubletap`. */
+    public doubleTapInterval = 300;
+
+    /** The event boundary whose pointers are tracked. */
+    public readonly boundary: EventBoundary;
+
+    /** The pressed pointers, by pointer id. */
+    private _pointers: Map<number, GesturePointer> = new Map();
+
+    /** The propagation path to the display objects pressed by all the pointers. */
+    private _path: FederatedEventTarget[] = null;
+
+    /** The native event of the latest pointer event. */
+    private _nativeEvent: MouseEvent | PointerEvent | PixiTouch = null;
+
+    private _startTime = 0;
+    private _moved = false;
+    private _multiple = false;
+    private _longPressed = false;
+    private _longPressTimer: ReturnType<typeof setTimeout> = null;
+    private _lastTap: { target: FederatedEventTarget, timeStamp: number, position: Point } = null;
+
+    /** Whether the `pan`, `pinch` and `rotate` gestures are recognized. */
+    private _recognized: Record<ContinuousGesture, boolean> = { pan: false, pinch: false, rotate: false };
+
+    // The state of the pointers when their number last changed, which the gesture continues from
+    private _baseCenter = new Point();
+    private _baseTranslation = new Point();
+    private _baseDistance = 0;
+    private _baseScale = 1;
+    private _baseAngle = 0;
+    private _baseRotation = 0;
+
+    // The state of the pointers
+    private _center = new Point();
+    private _translation = new Point();
+    private _velocity = new Point();
+    private _scale = 1;
+    private _rotation = 0;
+    private _samples: GestureSample[] = [];
+
+    // The state of the pointers at the previous event of each gesture
+    private _lastCenter = new Point();
+    private _lastScale = 1;
+    private _lastRotation = 0;
+
+    /**
+     * @param boundary - The event boundary whose pointers are tracked.
+     */
+    constructor(boundary: EventBoundary)
+    {
+        this.boundary = boundary;
+        this.onLongPress = this.onLongPress.bind(this);
+    }
+
+    /**
+     * Starts tracking a pressed pointer.
+     * @param e - The downstream `pointerdown` event.
+     */
+    public onPointerDown(e: FederatedPointerEvent): void
+    {
+        if (!this.enabled || !e.target || this._pointers.has(e.pointerId))
+        {
+            return;
+        }
+
+        const path = e.composedPath();
+
+        if (this._pointers.size === 0)
+        {
+            this._path = path.slice();
+            this._startTime = e.timeStamp;
+            this._moved = false;
+            this._multiple = false;
+            this._longPressed = false;
+            this._translation.set(0, 0);
+            this._scale = this._lastScale = 1;
+            this._rotation = this._lastRotation = 0;
+
+            // a long press is made with the primary button, not with the right or middle buttons
+            if (e.button === 0)
+            {
+                this._longPressTimer = setTimeout(this.onLongPress, this.longPressDuration);
+            }
+        }
+        else
+        {
+            // the gesture targets the display objects pressed by all the pointers
+            let common = 0;
+
+            while (common < this._path.length && this._path[common] === path[common]) common++;
+
+            this._path.length = common;
+            this._multiple = true;
+            this.cancelLongPress();
+        }
+
+        this._pointers.set(e.pointerId, { start: e.global.clone(), position: e.global.clone() });
+        this._nativeEvent = e.nativeEvent;
+        this.rebase(e.timeStamp);
+    }
+
+    /**
+     * Updates the gestures with a moved pointer.
+     * @param e - The downstream `pointermove` event.
+     */
+    public onPointerMove(e: FederatedPointerEvent): void
+    {
+        const pointer = this._pointers.get(e.pointerId);
+
+        if (!pointer)
+        {
+            return;
+        }
+
+        pointer.position.copyFrom(e.global);
+        this._nativeEvent = e.nativeEvent;
+
+        const { start, position } = pointer;
+
+        if (!this._moved && Math.hypot(position.x - start.x, position.y - start.y) > this.panThreshold)
+        {
+            this._moved = true;
+            this.cancelLongPress();
+        }
+
+        this.getCenter(this._center);
+        this._translation.set(
+            this._baseTranslation.x + this._center.x - this._baseCenter.x,
+            this._baseTranslation.y + this._center.y - this._baseCenter.y
+        );
+        this.addSample(e.timeStamp);
+
+        const { pan, pinch, rotate } = this._recognized;
+
+        if (pan || Math.hypot(this._translation.x, this._translation.y) > this.panThreshold)
+        {
+            this.dispatch('pan', pan ? 'move' : 'start');
+        }
+
+        if (this._pointers.size < 2)
+        {
+            return;
+        }
+
+        const distance = this.getDistance();
+
+        if (this._baseDistance > 0)
+        {
+            this._scale = this._baseScale * distance / this._baseDistance;
+        }
+
+        this._rotation = this._baseRotation + normalizeAngle(this.getAngle() - this._baseAngle);
+
+        if (pinch || Math.abs(distance - this._baseDistance) > this.pinchThreshold)
+        {
+            this.dispatch('pinch', pinch ? 'move' : 'start');
+        }
+
+        if (rotate || Math.abs(this._rotation - this._baseRotation) > this.rotateThreshold)
+        {
+            this.dispatch('rotate', rotate ? 'move' : 'start');
+        }
+    }
+
+    /**
+     * Stops tracking a released pointer, and ends the gestures once all the pointers are released.
+     * @param e - The downstream `pointerup` or `pointerupoutside` event.
+     */
+    public onPointerUp(e: FederatedPointerEvent): void
+    {
+        if (!this._pointers.has(e.pointerId))
+        {
+            return;
+        }
+
+        this._pointers.delete(e.pointerId);
+        this._nativeEvent = e.nativeEvent;
+
+        if (this._pointers.size > 0)
+        {
+            this.rebase(e.timeStamp);
+
+            return;
+        }
+
+        this.cancelLongPress();
+        this.getVelocity(e.timeStamp);
+
+        const { pan, pinch, rotate } = this._recognized;
+
+        if (pinch) this.dispatch('pinch', 'end');
+        if (rotate) this.dispatch('rotate', 'end');
+        if (pan)
+        {
+            this.dispatch('pan', 'end');
+
+            if (Math.hypot(this._velocity.x, this._velocity.y) >= this.swipeVelocity)
+            {
+                this.dispatch('swipe', 'end');
+            }
+        }
+        else if (!this._moved && !this._multiple && !this._longPressed && e.type === 'pointerup')
+        {
+            this.tap(e);
+        }
+
+        this._recognized.pan = this._recognized.pinch = this._recognized.rotate = false;
+        this._path = null;
+        this._nativeEvent = null;
+    }
+
+    /** Stops tracking the pointers, without ending their gestures. */
+    public reset(): void
+    {
+        this.cancelLongPress();
+        this._pointers.clear();
+        this._recognized.pan = this._recognized.pinch = this._recognized.rotate = false;
+        this._path = null;
+        this._nativeEvent = null;
+        this._lastTap = null;
+    }
+
+    /**
+     * Recognizes a `doubletap` if a tap at the same place and on the same target precedes this one.
+     * @param e - The `pointerup` event of the tap.
+     */
+    protected tap(e: FederatedPointerEvent): void
+    {
+        const target = this.getTarget();
+        const lastTap = this._lastTap;
+
+        if (lastTap
+            && lastTap.target === target
+            && e.timeStamp - lastTap.timeStamp <= this.doubleTapInterval
+            && Math.hypot(e.global.x - lastTap.position.x, e.global.y - lastTap.position.y) <= this.panThreshold)
+        {
+            this._lastTap = null;
+            this.dispatch('doubletap', 'end');
+        }
+        else
+        {
+            this._lastTap = { target, timeStamp: e.timeStamp, position: e.global.clone() };
+        }
+    }
+
+    /** Recognizes a `longpress` once a single pointer is held long enough without moving. */
+    protected onLongPress(): void
+    {
+        this._longPressTimer = null;
+
+        if (this._pointers.size === 1 && !this._moved)
+        {
+            this._longPressed = true;
+            this.dispatch('longpress', 'end');
+        }
+    }
+
+    /**
+     * Dispatches a gesture event to the target of the gesture.
+     * @param type - The type of gesture.
+     * @param phase - The phase of the gesture.
+     */
+    protected dispatch(type: string, phase: GesturePhase): void
+    {
+        if (type in this._recognized)
+        {
+            this._recognized[type as ContinuousGesture] = phase !== 'end';
+        }
+
+        const target = this.getTarget();
+
+        if (!target)
+        {
+            return;
+        }
+
+        const event = this.boundary.allocateEvent(FederatedGestureEvent);
+
+        event.type = type;
+        event.target = target;
+        event.phase = phase;
+        event.nativeEvent = this._nativeEvent;
+        event.timeStamp = performance.now();
+        event.duration = event.timeStamp - this._startTime;
+        event.pointerCount = this._pointers.size;
+        event.global.copyFrom(this._center);
+        event.translation.copyFrom(this._translation);
+        event.velocity.copyFrom(this._velocity);
+        event.scale = this._scale;
+        event.rotation = this._rotation;
+        event.delta.set(0, 0);
+        event.deltaScale = 1;
+        event.deltaRotation = 0;
+        event.direction = null;
+        event.defaultPrevented = false;
+
+        if (type === 'pan')
+        {
+            event.delta.set(this._center.x - this._lastCenter.x, this._center.y - this._lastCenter.y);
+            this._lastCenter.copyFrom(this._center);
+        }
+        else if (type === 'pinch')
+        {
+            event.deltaScale = this._scale / this._lastScale;
+            this._lastScale = this._scale;
+        }
+        else if (type === 'rotate')
+        {
+            event.deltaRotation = this._rotation - this._lastRotation;
+            this._lastRotation = this._rotation;
+        }
+        else if (type === 'swipe')
+        {
+            const { x, y } = this._velocity;
+
+            if (Math.abs(x) > Math.abs(y))
+            {
+                event.direction = x > 0 ? 'right' : 'left';
+            }
+            else
+            {
+                event.direction = y > 0 ? 'down' : 'up';
+            }
+        }
+
+        this.boundary.dispatchEvent(event, type);
+        this.boundary.freeEvent(event);
+    }
+
+    /**
+     * Finds the most specific interactive display object of the gesture that is still mounted in the scene graph.
+     * @returns - The target of the gesture events, or null if there is none.
+     */
+    protected getTarget(): FederatedEventTarget
+    {
+        const path = this._path ?? [];
+        let target: FederatedEventTarget = null;
+
+        for (let i = 0; i < path.length; i++)
+        {
+            if (i > 0 && path[i].parent !== path[i - 1])
+            {
+                break;
+            }
+
+            if (path[i].isInteractive())
+            {
+                target = path[i];
+            }
+        }
+
+        return target;
+    }
+
+    /**
+     * Starts the gestures over from the current pointers once their number changes,
+     * so that the gestures continue without jumping.
+     * @param timeStamp - The time of the change.
+     */
+    private rebase(timeStamp: number): void
+    {
+        this.getCenter(this._center);
+        this._baseCenter.copyFrom(this._center);
+        this._baseTranslation.copyFrom(this._translation);
+        this._baseDistance = this.getDistance();
+        this._baseScale = this._scale;
+        this._baseAngle = this.getAngle();
+        this._baseRotation = this._rotation;
+        this._lastCenter.copyFrom(this._center);
+        this._samples.length = 0;
+        this.addSample(timeStamp);
+    }
+
+    /** Cancels the pending `longpress`. */
+    private cancelLongPress(): void
+    {
+        if (this._longPressTimer !== null)
+        {
+            clearTimeout(this._longPressTimer);
+            this._longPressTimer = null;
+        }
+    }
+
+    /**
+     * Records the position of the center of the pointers, and measures their velocity.
+     * @param timeStamp - The time of the position.
+     */
+    private addSample(timeStamp: number): void
+    {
+        this._samples.push({ x: this._center.x, y: this._center.y, timeStamp });
+        this.getVelocity(timeStamp);
+    }
+
+    /**
+     * Measures the velocity of the center of the pointers over their latest positions.
+     * @param timeStamp - The current time.
+     */
+    private getVelocity(timeStamp: number): void
+    {
+        const samples = this._samples;
+
+        while (samples.length > 0 && timeStamp - samples[0].timeStamp > VELOCITY_WINDOW)
+        {
+            samples.shift();
+        }
+
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+
+        if (samples.length < 2 || last.timeStamp === first.timeStamp)
+        {
+            this._velocity.set(0, 0);
+        }
+        else
+        {
+            this._velocity.set(
+                (last.x - first.x) / (last.timeStamp - first.timeStamp),
+                (last.y - first.y) / (last.timeStamp - first.timeStamp)
+            );
+        }
+    }
+
+    /**
+     * Computes the center of the pointers.
+     * @param out - The point in which the center is stored.
+     */
+    private getCenter(out: Point): void
+    {
+        out.set(0, 0);
+
+        for (const { position } of this._pointers.values())
+        {
+            out.x += position.x / this._pointers.size;
+            out.y += position.y / this._pointers.size;
+        }
+    }
+
+    /** @returns - The average distance from the pointers to their center. */
+    private getDistance(): number
+    {
+        let distance = 0;
+
+        for (const { position } of this._pointers.values())
+        {
+            distance += Math.hypot(position.x - this._center.x, position.y - this._center.y) / this._pointers.size;
+        }
+
+        return distance;
+    }
+
+    /** @returns - The angle from the first pointer to the second one, or 0 if there is one pointer. */
+    private getAngle(): number
+    {
+        if (this._pointers.size < 2)
+        {
+            return 0;
+        }
+
+        const [first, second] = this._pointers.values();
+
+        return Math.atan2(second.position.y - first.position.y, second.position.x - first.position.x);
+    }
+}
+
+/**
+ * Wraps an angle to the range from -π to π.
+ * @param angle - The angle, in radians.
+ * @returns - The equivalent angle in the range.
+ */
+function normalizeAngle(angle: number): number
+{
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
@@ -0,0 +1,217 @@
+import { Point, Rectangle } from '@pixi/core';
+
+import type { IPointData } from '@pixi/core';
+import type { DisplayObject } from '@pixi/display';
+import type { IHitTestIndex } from './FederatedEventTarget';
+
+const tempPoint = new Point();
+const tempRect = new Rectangle();
+const tempCorner = new Point();
+
+/**
+ * A {@link PIXI.IHitTestIndex hit-test index} sorting the children of a container in the cells of a grid,
+ * by their bounds in the local space of the container. Only the children in the cell of a pointer are
+ * then hit-tested.
+ *
+ * The index is built once, and again when children are added or removed. The children are expected to be
+ * static: once they are moved, resized or sorted, the index must be {@link PIXI.SpatialHashIndex#invalidate
+ * invalidated}. Moving the container does not invalidate the index. The hit areas of the children are expected
+ * to be within their bounds.
+ * @example
+ * import { Container, SpatialHashIndex } from 'pixi.js';
+ *
+ * const markers = new Container();
+ *
+ * markers.hitTestIndex = new SpatialHashIndex(64);
+ *
+ * // once markers move
+ * markers.hitTestIndex.invalidate();
+ * @memberof PIXI
+ */
+export class SpatialHashIndex implements IHitTestIndex
+{
+    /** The size of the cells of the grid, in the local space of the container. */
+    public readonly cellSize: number;
+
+    /** The indexed container. An index is used by a single container. */
+    private _container: DisplayObject = null;
+
+    /** The children of the container, when the index was built. */
+    private _children: DisplayObject[] = [];
+
+    /** The indices of the children in each cell. */
+    private _cells: Map<string, number[]> = new Map();
+
+    private _dirty = true;
+
+    /**
+     * @param cellSize - The size of the cells of the grid, in the local space of the container. It is best about
+     *  the size of the children.
+     */
+    constructor(cellSize = 128)
+    {
+        this.cellSize = cellSize;
+        this.invalidate = this.invalidate.bind(this);
+    }
+
+    /** Marks the index to be built again, once the children moved. */
+    public invalidate(): void
+    {
+        this._dirty = true;
+    }
+
+    /**
+     * Finds the children of the container in the cell of the location.
+     * @param container - The container whose children are indexed.
+     * @param location - The location, in world space.
+     * @returns - The children in the cell of the location, in their order in the container.
+     */
+    public query(container: DisplayObject, location: IPointData): DisplayObject[]
+    {
+        if (container !== this._container)
+        {
+            this.attach(container);
+        }
+        if (this._dirty)
+        {
+            this.build();
+        }
+
+        container.worldTransform.applyInverse(location, tempPoint);
+
+        const cell = this._cells.get(this.getKey(
+            Math.floor(tempPoint.x / this.cellSize),
+            Math.floor(tempPoint.y / this.cellSize),
+        ));
+        const children: DisplayObject[] = [];
+
+        if (cell)
+        {
+            for (let i = 0; i < cell.length; i++)
+            {
+                const child = this._children[cell[i]];
+
+                // skip the children removed since the index was built
+                if (child.parent === container)
+                {
+                    children.push(child);
+                }
+            }
+        }
+
+        return children;
+    }
+
+    /** Stops indexing the container. */
+    public destroy(): void
+    {
+        this.attach(null);
+        this._children.length = 0;
+    }
+
+    /**
+     * Indexes the children of another container, invalidating the index as children are added or removed.
+     * @param container - The container to index.
+     */
+    private attach(container: DisplayObject): void
+    {
+        this._container?.off('childAdded', this.invalidate);
+        this._container?.off('childRemoved', this.invalidate);
+        this._container = container;
+        this._container?.on('childAdded', this.invalidate);
+        this._container?.on('childRemoved', this.invalidate);
+        this._dirty = true;
+    }
+
+    /** Sorts the children in the cells covered by their bounds. */
+    private build(): void
+    {
+        const cellSize = this.cellSize;
+
+        this._cells.clear();
+        this._children = (this._container.children ?? []).slice() as DisplayObject[];
+
+        for (let i = 0; i < this._children.length; i++)
+        {
+            const bounds = this.getChildBounds(this._children[i], tempRect);
+
+            if (bounds.width <= 0 && bounds.height <= 0)
+            {
+                continue;
+            }
+
+            const minX = Math.floor(bounds.left / cellSize);
+            const minY = Math.floor(bounds.top / cellSize);
+            const maxX = Math.floor(bounds.right / cellSize);
+            const maxY = Math.floor(bounds.bottom / cellSize);
+
+            for (let y = minY; y <= maxY; y++)
+            {
+                for (let x = minX; x <= maxX; x++)
+                {
+                    const key = this.getKey(x, y);
+                    const cell = this._cells.get(key);
+
+                    if (cell)
+                    {
+                        cell.push(i);
+                    }
+                    else
+                    {
+                        this._cells.set(key, [i]);
+                    }
+                }
+            }
+        }
+
+        this._dirty = false;
+    }
+
+    /**
+     * Computes the bounds of the child in the local space of the container.
+     * @param child - The child.
+     * @param out - The rectangle in which the bounds are stored.
+     * @returns - The bounds of the child.
+     */
+    private getChildBounds(child: DisplayObject, out: Rectangle): Rectangle
+    {
+        const local = child.getLocalBounds(out);
+        const transform = child.transform;
+
+        transform.updateLocalTransform();
+
+        const matrix = transform.localTransform;
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+
+        for (let i = 0; i < 4; i++)
+        {
+            tempCorner.set(i & 1 ? local.right : local.left, i & 2 ? local.bottom : local.top);
+            matrix.apply(tempCorner, tempCorner);
+
+            minX = Math.min(minX, tempCorner.x);
+            minY = Math.min(minY, tempCorner.y);
+            maxX = Math.max(maxX, tempCorner.x);
+            maxY = Math.max(maxY, tempCorner.y);
+        }
+
+        out.x = minX;
+        out.y = minY;
+        out.width = maxX - minX;
+        out.height = maxY - minY;
+
+        return out;
+    }
+
+    /**
+     * @param x - The column of the cell.
+     * @param y - The row of the cell.
+     * @returns - The key of the cell.
+     */
+    private getKey(x: number, y: number): string
+    {
+        return `${x},${y}`;
+    }
+}
@@ -1,9 +1,16 @@
 /// <reference path="../global.d.ts" />
 export * from './EventBoundary';
 export * from './EventSystem';
+export * from './FederatedDragEvent';
 export * from './FederatedEvent';
 export * from './FederatedEventMap';
 export * from './FederatedEventTarget';
+export * from './FederatedFocusEvent';
+export * from './FederatedGestureEvent';
+export * from './FederatedKeyboardEvent';
 export * from './FederatedMouseEvent';
 export * from './FederatedPointerEvent';
 export * from './FederatedWheelEvent';
+export * from './FocusManager';
+export * from './GestureRecognizer';
+export * from './SpatialHashIndex';
@@ -1,6 +1,46 @@
+import { BaseTexture, Texture } from '@pixi/core';
 import { Container } from '@pixi/display';
-import { EventBoundary, FederatedPointerEvent } from '@pixi/events';
+import {
+    EventBoundary,
+    FederatedDragEvent,
+    FederatedKeyboardEvent,
+    FederatedPointerEvent,
+    SpatialHashIndex
+} from '@pixi/events';
 import { Graphics } from '@pixi/graphics';
+import { Sprite } from '@pixi/sprite';
+
+import type { FederatedFocusEvent, FederatedGestureEvent } from '@pixi/events';
+
+/**
+ * Maps an upstream pointer event through the boundary.
+ * @param boundary - The event boundary
+ * @param type - The type of the event
+ * @param x - The x coordinate of the pointer
+ * @param y - The y coordinate of the pointer
+ * @param pointer - The pointer, the left button of the mouse by default
+ * @param pointer.pointerType - The type of the pointer
+ * @param pointer.pointerId - The id of the pointer
+ * @param pointer.button - The pressed button
+ */
+function mapPointerEvent(
+    boundary: EventBoundary,
+    type: string,
+    x: number,
+    y: number,
+    pointer: { pointerType?: string, pointerId?: number, button?: number } = {}
+): void
+{
+    const event = new FederatedPointerEvent(null);
+
+    event.type = type;
+    event.pointerType = pointer.pointerType ?? 'mouse';
+    event.pointerId = pointer.pointerId ?? 1;
+    event.button = pointer.button ?? 0;
+    event.global.set(x, y);
+
+    boundary.mapEvent(event);
+}
 
 describe('EventBoundary', () =>
 {
@@ -193,6 +233,37 @@ describe('EventBoundary', () =>
         expect(boundary.hitTest(87, 50)).toEqual(activeBlocker);
     });
 
+    it('should hit-test sprites through their transparent pixels with an alpha threshold', () =>
+    {
+        // opaque on the left half, transparent on the right half
+        const data = new Uint8Array(4 * 2 * 4);
+
+        for (let i = 0; i < 4 * 2; i++)
+        {
+            data[(i * 4) + 3] = (i % 4) < 2 ? 255 : 0;
+        }
+
+        const baseTexture = BaseTexture.fromBuffer(data, 4, 2);
+        const stage = new Container();
+        const boundary = new EventBoundary(stage);
+        const below = stage.addChild(new Graphics().beginFill(0).drawRect(0, 0, 100, 100));
+        const sprite = stage.addChild(new Sprite(new Texture(baseTexture)));
+
+        below.eventMode = 'static';
+        sprite.eventMode = 'static';
+        sprite.scale.set(10);
+        stage.getBounds();
+
+        expect(boundary.hitTest(30, 10)).toEqual(sprite);
+
+        sprite.hitAlphaThreshold = 0.5;
+
+        expect(boundary.hitTest(10, 10)).toEqual(sprite);
+        expect(boundary.hitTest(30, 10)).toEqual(below);
+
+        baseTexture.destroy();
+    });
+
     it('should fire pointerupoutside only on relevant & still mounted targets', () =>
     {
         const stage = new Container();
@@ -356,4 +427,796 @@ describe('EventBoundary', () =>
         expect(eventSpy3).toHaveBeenCalledTimes(2);
         expect(eventSpy4).toHaveBeenCalledTimes(2);
     });
+
+    describe('gestures', () =>
+    {
+        let now: number;
+
+        /**
+         * Creates a scene with an interactive square, recording its gesture events.
+         * @returns - The event boundary, the square and its events
+         */
+        function createScene(): { boundary: EventBoundary, target: Graphics, events: FederatedGestureEvent[] }
+        {
+            const stage = new Container();
+            const boundary = new EventBoundary(stage);
+            const target = stage.addChild(new Graphics().beginFill(0).drawRect(0, 0, 100, 100));
+            const events: FederatedGestureEvent[] = [];
+
+            target.eventMode = 'static';
+
+            // the events are pooled, so copies of them are recorded
+            for (const type of ['pan', 'swipe', 'pinch', 'rotate', 'longpress', 'doubletap'] as const)
+            {
+                target.on(type, (event: FederatedGestureEvent) => events.push({
+                    ...event,
+                    global: event.global.clone(),
+                    delta: event.delta.clone(),
+                    translation: event.translation.clone(),
+                    velocity: event.velocity.clone(),
+                } as FederatedGestureEvent));
+            }
+
+            return { boundary, target, events };
+        }
+
+        beforeEach(() =>
+        {
+            now = 0;
+            jest.spyOn(performance, 'now').mockImplementation(() => now);
+            jest.useFakeTimers();
+        });
+
+        afterEach(() =>
+        {
+            jest.restoreAllMocks();
+            jest.useRealTimers();
+        });
+
+        it('should dispatch pan events, and a swipe when released fast enough', () =>
+        {
+            const { boundary, target, events } = createScene();
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10, { pointerType: 'touch', pointerId: 1 });
+            now = 16;
+            mapPointerEvent(boundary, 'pointermove', 15, 10, { pointerType: 'touch', pointerId: 1 });
+
+            expect(events).toHaveLength(0);
+
+            now = 32;
+            mapPointerEvent(boundary, 'pointermove', 30, 10, { pointerType: 'touch', pointerId: 1 });
+            now = 48;
+            mapPointerEvent(boundary, 'pointermove', 60, 10, { pointerType: 'touch', pointerId: 1 });
+            now = 56;
+            mapPointerEvent(boundary, 'pointerup', 60, 10, { pointerType: 'touch', pointerId: 1 });
+
+            expect(events.map((event) => `${event.type}:${event.phase}`))
+                .toEqual(['pan:start', 'pan:move', 'pan:end', 'swipe:end']);
+            expect(events[0].target).toBe(target);
+            expect(events[0].delta.x).toEqual(20);
+            expect(events[1].delta.x).toEqual(30);
+            expect(events[1].translation.x).toEqual(50);
+            expect(events[1].global.x).toEqual(60);
+            expect(events[3].direction).toEqual('right');
+            expect(events[3].velocity.x).toBeCloseTo(50 / 48);
+        });
+
+        it('should not dispatch a swipe when the pointers stop before their release', () =>
+        {
+            const { boundary, events } = createScene();
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10, { pointerType: 'touch', pointerId: 1 });
+            now = 16;
+            mapPointerEvent(boundary, 'pointermove', 60, 10, { pointerType: 'touch', pointerId: 1 });
+            now = 300;
+            mapPointerEvent(boundary, 'pointerup', 60, 10, { pointerType: 'touch', pointerId: 1 });
+
+            expect(events.map((event) => event.type)).toEqual(['pan', 'pan']);
+            expect(events[1].velocity.x).toEqual(0);
+        });
+
+        it('should dispatch pinch and rotate events with several pointers', () =>
+        {
+            const { boundary, events } = createScene();
+
+            mapPointerEvent(boundary, 'pointerdown', 30, 50, { pointerType: 'touch', pointerId: 1 });
+            mapPointerEvent(boundary, 'pointerdown', 70, 50, { pointerType: 'touch', pointerId: 2 });
+            mapPointerEvent(boundary, 'pointermove', 110, 50, { pointerType: 'touch', pointerId: 2 });
+
+            const pinch = events.find((event) => event.type === 'pinch');
+
+            expect(pinch.phase).toEqual('start');
+            expect(pinch.pointerCount).toEqual(2);
+            expect(pinch.scale).toBeCloseTo(2);
+            expect(pinch.deltaScale).toBeCloseTo(2);
+            expect(events.some((event) => event.type === 'rotate')).toBe(false);
+
+            mapPointerEvent(boundary, 'pointermove', 30, 90, { pointerType: 'touch', pointerId: 2 });
+
+            const rotate = events.find((event) => event.type === 'rotate');
+
+            expect(rotate.phase).toEqual('start');
+            expect(rotate.rotation).toBeCloseTo(Math.PI / 2);
+            expect(events.filter((event) => event.type === 'pinch').pop().deltaScale).toBeCloseTo(0.5);
+
+            mapPointerEvent(boundary, 'pointerup', 30, 90, { pointerType: 'touch', pointerId: 2 });
+            mapPointerEvent(boundary, 'pointerup', 30, 50, { pointerType: 'touch', pointerId: 1 });
+
+            expect(events.filter((event) => event.phase === 'end').map((event) => event.type))
+                .toEqual(['pinch', 'rotate', 'pan']);
+        });
+
+        it('should continue the gestures when the number of pointers changes', () =>
+        {
+            const { boundary, events } = createScene();
+
+            mapPointerEvent(boundary, 'pointerdown', 30, 50, { pointerType: 'touch', pointerId: 1 });
+            mapPointerEvent(boundary, 'pointerdown', 70, 50, { pointerType: 'touch', pointerId: 2 });
+            mapPointerEvent(boundary, 'pointermove', 110, 50, { pointerType: 'touch', pointerId: 2 });
+            mapPointerEvent(boundary, 'pointerdown', 70, 90, { pointerType: 'touch', pointerId: 3 });
+            mapPointerEvent(boundary, 'pointermove', 70, 91, { pointerType: 'touch', pointerId: 3 });
+
+            const pinches = events.filter((event) => event.type === 'pinch');
+            const pans = events.filter((event) => event.type === 'pan');
+
+            expect(pinches).toHaveLength(2);
+            expect(pinches[1].phase).toEqual('move');
+            expect(pinches[1].pointerCount).toEqual(3);
+            expect(pinches[1].scale).toBeCloseTo(2, 1);
+            expect(pans).toHaveLength(2);
+            expect(pans[1].translation.x).toBeCloseTo(20);
+            expect(pans[1].delta.y).toBeCloseTo(1 / 3);
+        });
+
+        it('should dispatch a longpress when a pointer is held without moving', () =>
+        {
+            const { boundary, events } = createScene();
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10, { pointerType: 'touch', pointerId: 1 });
+            mapPointerEvent(boundary, 'pointermove', 15, 10, { pointerType: 'touch', pointerId: 1 });
+            now = 500;
+            jest.advanceTimersByTime(500);
+            mapPointerEvent(boundary, 'pointerup', 15, 10, { pointerType: 'touch', pointerId: 1 });
+
+            expect(events.map((event) => event.type)).toEqual(['longpress']);
+            expect(events[0].duration).toEqual(500);
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10, { pointerType: 'touch', pointerId: 1 });
+            mapPointerEvent(boundary, 'pointermove', 50, 10, { pointerType: 'touch', pointerId: 1 });
+            jest.advanceTimersByTime(500);
+
+            expect(events.map((event) => event.type)).toEqual(['longpress', 'pan']);
+        });
+
+        it('should only dispatch a longpress when the primary button is held', () =>
+        {
+            const { boundary, events } = createScene();
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10, { button: 2 });
+            jest.advanceTimersByTime(500);
+
+            expect(events).toHaveLength(0);
+        });
+
+        it('should dispatch the gesture events from the event pool', () =>
+        {
+            const { boundary, target } = createScene();
+            const dispatched: FederatedGestureEvent[] = [];
+
+            target.on('pan', (event) => dispatched.push(event));
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10, { pointerType: 'touch', pointerId: 1 });
+            mapPointerEvent(boundary, 'pointermove', 30, 10, { pointerType: 'touch', pointerId: 1 });
+            mapPointerEvent(boundary, 'pointermove', 40, 10, { pointerType: 'touch', pointerId: 1 });
+
+            expect(dispatched).toHaveLength(2);
+            expect(dispatched[1]).toBe(dispatched[0]);
+            expect(dispatched[1].delta.x).toEqual(10);
+        });
+
+        it('should dispatch a doubletap when tapping twice at the same place', () =>
+        {
+            const { boundary, events } = createScene();
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10, { pointerType: 'touch', pointerId: 1 });
+            mapPointerEvent(boundary, 'pointerup', 10, 10, { pointerType: 'touch', pointerId: 1 });
+            now = 200;
+            mapPointerEvent(boundary, 'pointerdown', 12, 10, { pointerType: 'touch', pointerId: 1 });
+            mapPointerEvent(boundary, 'pointerup', 12, 10, { pointerType: 'touch', pointerId: 1 });
+            now = 400;
+            mapPointerEvent(boundary, 'pointerdown', 12, 10, { pointerType: 'touch', pointerId: 1 });
+            mapPointerEvent(boundary, 'pointerup', 12, 10, { pointerType: 'touch', pointerId: 1 });
+            now = 1000;
+            mapPointerEvent(boundary, 'pointerdown', 12, 10, { pointerType: 'touch', pointerId: 1 });
+            mapPointerEvent(boundary, 'pointerup', 12, 10, { pointerType: 'touch', pointerId: 1 });
+
+            expect(events.map((event) => event.type)).toEqual(['doubletap']);
+        });
+
+        it('should target the interactive ancestor pressed by all the pointers', () =>
+        {
+            const { boundary, target, events } = createScene();
+            const child1 = target.addChild(new Graphics().beginFill(0).drawRect(0, 0, 50, 50));
+            const child2 = target.addChild(new Graphics().beginFill(0).drawRect(50, 0, 50, 50));
+            const childSpy = jest.fn();
+
+            child1.eventMode = 'static';
+            child2.eventMode = 'static';
+            child1.on('pinch', childSpy);
+
+            mapPointerEvent(boundary, 'pointerdown', 20, 20, { pointerType: 'touch', pointerId: 1 });
+            mapPointerEvent(boundary, 'pointerdown', 80, 20, { pointerType: 'touch', pointerId: 2 });
+            mapPointerEvent(boundary, 'pointermove', 110, 20, { pointerType: 'touch', pointerId: 2 });
+
+            expect(childSpy).not.toHaveBeenCalled();
+            expect(events.find((event) => event.type === 'pinch').target).toBe(target);
+        });
+
+        it('should honor the event mode and the enabled flag', () =>
+        {
+            const { boundary, target, events } = createScene();
+
+            target.eventMode = 'none';
+            mapPointerEvent(boundary, 'pointerdown', 10, 10, { pointerType: 'touch', pointerId: 1 });
+            mapPointerEvent(boundary, 'pointermove', 60, 10, { pointerType: 'touch', pointerId: 1 });
+            mapPointerEvent(boundary, 'pointerup', 60, 10, { pointerType: 'touch', pointerId: 1 });
+
+            target.eventMode = 'static';
+            boundary.gestures.enabled = false;
+            mapPointerEvent(boundary, 'pointerdown', 10, 10, { pointerType: 'touch', pointerId: 1 });
+            mapPointerEvent(boundary, 'pointermove', 60, 10, { pointerType: 'touch', pointerId: 1 });
+            mapPointerEvent(boundary, 'pointerup', 60, 10, { pointerType: 'touch', pointerId: 1 });
+
+            expect(events).toHaveLength(0);
+        });
+    });
+
+    describe('drag and drop', () =>
+    {
+        /**
+         * Creates a scene with a draggable item over a slot, recording the type, target and data of their events.
+         * @returns - The event boundary, the item, the slot and the events
+         */
+        function createScene(): {
+            boundary: EventBoundary, item: Graphics, slot: Graphics, events: string[], drops: FederatedDragEvent[]
+        }
+        {
+            const stage = new Container();
+            const boundary = new EventBoundary(stage);
+            const slot = stage.addChild(new Graphics().beginFill(0).drawRect(100, 0, 100, 100));
+            const item = stage.addChild(new Graphics().beginFill(0).drawRect(0, 0, 50, 50));
+            const events: string[] = [];
+            const drops: FederatedDragEvent[] = [];
+
+            slot.eventMode = 'static';
+            item.eventMode = 'static';
+            item.draggable = true;
+
+            for (const type of ['dragstart', 'dragmove', 'dragend', 'dragenter', 'dragleave', 'drop', 'click'] as const)
+            {
+                const record = (event: FederatedPointerEvent) =>
+                {
+                    events.push(`${event.currentTarget === item ? 'item' : 'slot'}:${type}`);
+
+                    if (event instanceof FederatedDragEvent && (type === 'drop' || type === 'dragend'))
+                    {
+                        drops.push(Object.assign(Object.create(event), {
+                            dragData: event.dragData,
+                            dragTarget: event.dragTarget,
+                            dropTarget: event.dropTarget,
+                        }));
+                    }
+                };
+
+                item.on(type, record);
+                slot.on(type, record);
+            }
+
+            return { boundary, item, slot, events, drops };
+        }
+
+        it('should not start dragging until the pointer moves beyond the threshold', () =>
+        {
+            const { boundary, events } = createScene();
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10);
+            mapPointerEvent(boundary, 'pointermove', 13, 10);
+            mapPointerEvent(boundary, 'pointerup', 13, 10);
+
+            expect(events).toEqual(['item:click']);
+        });
+
+        it('should dispatch drag events to the dragged object, and drop events beneath it', () =>
+        {
+            const { boundary, item, slot, events, drops } = createScene();
+
+            item.on('dragmove', (event) =>
+            {
+                item.position.set(event.global.x - event.dragStart.x, event.global.y - event.dragStart.y);
+            });
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10);
+            mapPointerEvent(boundary, 'pointermove', 30, 10);
+            mapPointerEvent(boundary, 'pointermove', 120, 10);
+            mapPointerEvent(boundary, 'pointerup', 120, 10);
+
+            expect(events).toEqual([
+                'item:dragstart',
+                'item:dragmove',
+                'item:dragmove',
+                'slot:dragenter',
+                'slot:drop',
+                'item:dragend',
+            ]);
+            expect(item.x).toEqual(110);
+            expect(drops[0].dragTarget).toBe(item);
+            expect(drops[1].dropTarget).toBe(slot);
+        });
+
+        it('should dispatch dragleave when the dragged object leaves a drop target', () =>
+        {
+            const { boundary, events, drops } = createScene();
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10);
+            mapPointerEvent(boundary, 'pointermove', 120, 10);
+            mapPointerEvent(boundary, 'pointermove', 300, 10);
+            mapPointerEvent(boundary, 'pointerup', 300, 10);
+
+            expect(events).toEqual([
+                'item:dragstart',
+                'item:dragmove',
+                'slot:dragenter',
+                'item:dragmove',
+                'slot:dragleave',
+                'item:dragend',
+            ]);
+            expect(drops[0].dropTarget).toBeNull();
+        });
+
+        it('should carry the data set in dragstart to the drop target', () =>
+        {
+            const { boundary, item, drops } = createScene();
+
+            item.on('dragstart', (event) => { event.dragData = 'sword'; });
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10);
+            mapPointerEvent(boundary, 'pointermove', 120, 10);
+            mapPointerEvent(boundary, 'pointerup', 120, 10);
+
+            expect(drops.map((event) => event.dragData)).toEqual(['sword', 'sword']);
+        });
+
+        it('should cancel the drag if dragstart is prevented', () =>
+        {
+            const { boundary, item, events } = createScene();
+
+            item.on('dragstart', (event) => event.preventDefault());
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10);
+            mapPointerEvent(boundary, 'pointermove', 120, 10);
+            mapPointerEvent(boundary, 'pointerup', 120, 10);
+
+            expect(events).toEqual(['item:dragstart']);
+        });
+
+        it('should not cancel the next drag once dragstart was prevented', () =>
+        {
+            const { boundary, item, events } = createScene();
+
+            item.once('dragstart', (event) => event.preventDefault());
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10);
+            mapPointerEvent(boundary, 'pointermove', 120, 10);
+            mapPointerEvent(boundary, 'pointerup', 120, 10);
+            mapPointerEvent(boundary, 'pointerdown', 10, 10);
+            mapPointerEvent(boundary, 'pointermove', 120, 10);
+
+            expect(events).toEqual(['item:dragstart', 'item:dragstart', 'item:dragmove', 'slot:dragenter']);
+        });
+
+        it('should end the drag without dropping when released outside', () =>
+        {
+            const { boundary, events, drops } = createScene();
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10);
+            mapPointerEvent(boundary, 'pointermove', 120, 10);
+            mapPointerEvent(boundary, 'pointerupoutside', 120, 10);
+
+            expect(events).toEqual([
+                'item:dragstart',
+                'item:dragmove',
+                'slot:dragenter',
+                'slot:dragleave',
+                'item:dragend',
+            ]);
+            expect(drops[0].dropTarget).toBeNull();
+        });
+
+        it('should end the drag of an item removed by a listener of drop', () =>
+        {
+            const { boundary, item, slot, events, drops } = createScene();
+
+            slot.on('drop', () => item.removeFromParent());
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10);
+            mapPointerEvent(boundary, 'pointermove', 120, 10);
+
+            expect(() => mapPointerEvent(boundary, 'pointerup', 120, 10)).not.toThrow();
+            expect(events).toEqual([
+                'item:dragstart',
+                'item:dragmove',
+                'slot:dragenter',
+                'slot:drop',
+                'item:dragend',
+            ]);
+            expect(drops[1].dragTarget).toBe(item);
+            expect(drops[1].dropTarget).toBe(slot);
+
+            mapPointerEvent(boundary, 'pointerdown', 120, 10);
+            mapPointerEvent(boundary, 'pointerup', 120, 10);
+
+            expect(events.pop()).toEqual('slot:click');
+        });
+
+        it('should cancel the drag of an item removed by a listener of dragstart', () =>
+        {
+            const { boundary, item, events } = createScene();
+
+            item.once('dragstart', () => item.removeFromParent());
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10);
+            mapPointerEvent(boundary, 'pointermove', 120, 10);
+
+            expect(() => mapPointerEvent(boundary, 'pointerup', 120, 10)).not.toThrow();
+            expect(events).toEqual(['item:dragstart']);
+        });
+    });
+
+    describe('focus', () =>
+    {
+        /**
+         * Maps an upstream keyboard event through the boundary.
+         * @param boundary - The event boundary
+         * @param type - The type of the event
+         * @param key - The key pressed
+         */
+        function key(boundary: EventBoundary, type: string, key: string): void
+        {
+            const event = new FederatedKeyboardEvent(null);
+
+            event.type = type;
+            event.key = key;
+
+            boundary.mapEvent(event);
+        }
+
+        /**
+         * Creates a menu with a grid of 2x2 focusable buttons.
+         * @returns - The event boundary, the menu and its buttons
+         */
+        function createScene(): { boundary: EventBoundary, menu: Container, buttons: Graphics[] }
+        {
+            const stage = new Container();
+            const boundary = new EventBoundary(stage);
+            const menu = stage.addChild(new Container());
+            const buttons: Graphics[] = [];
+
+            for (let i = 0; i < 4; i++)
+            {
+                const button = menu.addChild(new Graphics().beginFill(0).drawRect((i % 2) * 100, (i >> 1) * 100, 50, 50));
+
+                button.eventMode = 'static';
+                button.focusable = true;
+                buttons.push(button);
+            }
+
+            return { boundary, menu, buttons };
+        }
+
+        it('should focus the display object pressed, and blur it when pressing elsewhere', () =>
+        {
+            const { boundary, buttons } = createScene();
+            const events: string[] = [];
+
+            buttons[0].on('focus', (event: FederatedFocusEvent) => events.push(`focus:${event.relatedTarget}`));
+            buttons[0].on('blur', (event: FederatedFocusEvent) => events.push(`blur:${event.relatedTarget}`));
+            buttons[1].on('focus', (event: FederatedFocusEvent) =>
+                events.push(`focus1:${event.relatedTarget === buttons[0]}`));
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10);
+            expect(boundary.focus.focused).toBe(buttons[0]);
+
+            mapPointerEvent(boundary, 'pointerdown', 110, 10);
+            expect(boundary.focus.focused).toBe(buttons[1]);
+
+            mapPointerEvent(boundary, 'pointerdown', 300, 300);
+            expect(boundary.focus.focused).toBeNull();
+
+            expect(events).toEqual(['focus:null', 'blur:[object Object]', 'focus1:true']);
+        });
+
+        it('should dispatch the focus events from the event pool', () =>
+        {
+            const { boundary, buttons } = createScene();
+            const dispatched: FederatedFocusEvent[] = [];
+
+            buttons[0].on('focus', (event: FederatedFocusEvent) => dispatched.push(event));
+            buttons[1].on('focus', (event: FederatedFocusEvent) => dispatched.push(event));
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10);
+            mapPointerEvent(boundary, 'pointerdown', 110, 10);
+
+            expect(dispatched).toHaveLength(2);
+            expect(dispatched[1]).toBe(dispatched[0]);
+            expect(dispatched[1].relatedTarget).toBe(buttons[0]);
+        });
+
+        it('should dispatch key events to the focused display object, bubbling to its ancestors', () =>
+        {
+            const { boundary, menu, buttons } = createScene();
+            const events: string[] = [];
+
+            menu.eventMode = 'static';
+            menu.on('keydown', (event) => events.push(`menu:${event.type}:${event.key}`));
+            menu.on('keyup', (event) => events.push(`menu:${event.type}:${event.key}`));
+            buttons[2].on('keydown', (event) => events.push(`button:${event.type}:${event.key}`));
+
+            key(boundary, 'keydown', 'a');
+            expect(events).toHaveLength(0);
+
+            boundary.focus.setFocus(buttons[2]);
+            key(boundary, 'keydown', 'Enter');
+            key(boundary, 'keyup', 'Enter');
+
+            expect(events).toEqual(['button:keydown:Enter', 'menu:keydown:Enter', 'menu:keyup:Enter']);
+        });
+
+        it('should move the focus with the arrow keys to the closest display object', () =>
+        {
+            const { boundary, buttons } = createScene();
+            const focused = () => buttons.indexOf(boundary.focus.focused as Graphics);
+
+            boundary.focus.setFocus(buttons[0]);
+
+            key(boundary, 'keydown', 'ArrowRight');
+            expect(focused()).toEqual(1);
+            key(boundary, 'keydown', 'ArrowRight');
+            expect(focused()).toEqual(1);
+            key(boundary, 'keydown', 'ArrowDown');
+            expect(focused()).toEqual(3);
+            key(boundary, 'keydown', 'ArrowLeft');
+            expect(focused()).toEqual(2);
+            key(boundary, 'keydown', 'ArrowUp');
+            expect(focused()).toEqual(0);
+        });
+
+        it('should not move the focus if the keydown event is prevented', () =>
+        {
+            const { boundary, menu, buttons } = createScene();
+
+            menu.eventMode = 'static';
+            menu.on('keydown', (event) => event.preventDefault());
+            boundary.focus.setFocus(buttons[0]);
+            key(boundary, 'keydown', 'ArrowRight');
+
+            expect(boundary.focus.focused).toBe(buttons[0]);
+
+            menu.removeAllListeners();
+            key(boundary, 'keydown', 'ArrowRight');
+
+            expect(boundary.focus.focused).toBe(buttons[1]);
+        });
+
+        it('should only focus visible and interactive display objects', () =>
+        {
+            const { boundary, buttons } = createScene();
+
+            buttons[0].visible = false;
+            buttons[1].eventMode = 'passive';
+
+            expect(boundary.focus.getFocusables()).toEqual([buttons[2], buttons[3]]);
+
+            boundary.focus.navigate('right');
+            expect(boundary.focus.focused).toBe(buttons[2]);
+            boundary.focus.navigate('up');
+            expect(boundary.focus.focused).toBe(buttons[2]);
+        });
+
+        it('should lose the focus when the focused display object is removed', () =>
+        {
+            const { boundary, menu, buttons } = createScene();
+            const onKeyDown = jest.fn();
+
+            buttons[0].on('keydown', onKeyDown);
+            boundary.focus.setFocus(buttons[0]);
+            menu.removeChild(buttons[0]);
+            key(boundary, 'keydown', 'a');
+
+            expect(boundary.focus.focused).toBeNull();
+            expect(onKeyDown).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('pointer capture', () =>
+    {
+        /**
+         * Creates a scene with a slider thumb beside a button, recording the events of the thumb.
+         * @returns - The event boundary, the thumb, the button and the events
+         */
+        function createScene(): { boundary: EventBoundary, thumb: Graphics, button: Graphics, events: string[] }
+        {
+            const stage = new Container();
+            const boundary = new EventBoundary(stage);
+            const thumb = stage.addChild(new Graphics().beginFill(0).drawRect(0, 0, 50, 50));
+            const button = stage.addChild(new Graphics().beginFill(0).drawRect(100, 0, 50, 50));
+            const events: string[] = [];
+
+            thumb.eventMode = 'static';
+            button.eventMode = 'static';
+
+            for (const type of ['pointermove', 'pointerup', 'gotpointercapture', 'lostpointercapture'] as const)
+            {
+                thumb.on(type, () => events.push(type));
+            }
+
+            return { boundary, thumb, button, events };
+        }
+
+        afterEach(() =>
+        {
+            EventBoundary.pointerCaptures.clear();
+        });
+
+        it('should target the events of a captured pointer to the display object capturing it', () =>
+        {
+            const { boundary, thumb, button, events } = createScene();
+            const buttonMove = jest.fn();
+
+            button.on('pointermove', buttonMove);
+            thumb.on('pointerdown', (event) => thumb.setPointerCapture(event.pointerId));
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10);
+            expect(thumb.hasPointerCapture(1)).toBe(true);
+            expect(button.hasPointerCapture(1)).toBe(false);
+
+            mapPointerEvent(boundary, 'pointermove', 120, 10);
+            mapPointerEvent(boundary, 'pointerup', 120, 10);
+
+            expect(events).toEqual(['gotpointercapture', 'pointermove', 'pointerup', 'lostpointercapture']);
+            expect(buttonMove).not.toHaveBeenCalled();
+            expect(thumb.hasPointerCapture(1)).toBe(false);
+        });
+
+        it('should hit-test the pointer again once its capture is released', () =>
+        {
+            const { boundary, thumb, button, events } = createScene();
+            const buttonMove = jest.fn();
+
+            button.on('pointermove', buttonMove);
+            thumb.on('pointerdown', (event) => thumb.setPointerCapture(event.pointerId));
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10);
+            mapPointerEvent(boundary, 'pointermove', 120, 10);
+            thumb.releasePointerCapture(1);
+            mapPointerEvent(boundary, 'pointermove', 125, 10);
+
+            expect(events).toEqual(['gotpointercapture', 'pointermove', 'lostpointercapture']);
+            expect(buttonMove).toHaveBeenCalledTimes(1);
+        });
+
+        it('should still dispatch global move events while the pointer is captured', () =>
+        {
+            const { boundary, thumb, button } = createScene();
+            const globalMove = jest.fn();
+
+            button.on('globalpointermove', globalMove);
+            thumb.on('pointerdown', (event) => thumb.setPointerCapture(event.pointerId));
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10);
+            mapPointerEvent(boundary, 'pointermove', 20, 10);
+
+            expect(globalMove).toHaveBeenCalledTimes(1);
+        });
+
+        it('should ignore the capture of a display object removed from the scene', () =>
+        {
+            const { boundary, thumb, button, events } = createScene();
+            const buttonMove = jest.fn();
+
+            button.on('pointermove', buttonMove);
+            thumb.on('pointerdown', (event) => thumb.setPointerCapture(event.pointerId));
+
+            mapPointerEvent(boundary, 'pointerdown', 10, 10);
+            thumb.parent.removeChild(thumb);
+            mapPointerEvent(boundary, 'pointermove', 120, 10);
+
+            expect(events).toEqual(['gotpointercapture']);
+            expect(buttonMove).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('hit-test index', () =>
+    {
+        /**
+         * Creates a grid of 10x10 interactive markers, indexed by a spatial hash.
+         * @returns - The event boundary, the container of the markers and the markers
+         */
+        function createScene(): { boundary: EventBoundary, markers: Container, grid: Graphics[] }
+        {
+            const stage = new Container();
+            const boundary = new EventBoundary(stage);
+            const markers = stage.addChild(new Container());
+            const grid: Graphics[] = [];
+
+            markers.position.set(1000, 0);
+            markers.hitTestIndex = new SpatialHashIndex(50);
+
+            for (let i = 0; i < 100; i++)
+            {
+                const marker = markers.addChild(new Graphics().beginFill(0).drawRect(0, 0, 20, 20));
+
+                marker.position.set((i % 10) * 50, Math.floor(i / 10) * 50);
+                marker.eventMode = 'static';
+                grid.push(marker);
+            }
+
+            // updates the transforms
+            stage.getBounds();
+
+            return { boundary, markers, grid };
+        }
+
+        it('should only hit-test the children in the cell of the location', () =>
+        {
+            const { boundary, grid } = createScene();
+            const hitTestFn = jest.spyOn(boundary as any, 'hitTestFn');
+
+            expect(boundary.hitTest(1000 + 260, 310)).toBe(grid[65]);
+            expect(boundary.hitTest(1000 + 240, 310)).toBeFalsy();
+            expect(hitTestFn.mock.calls.length).toBeLessThan(10);
+        });
+
+        it('should index the children added to the container', () =>
+        {
+            const { boundary, markers, grid } = createScene();
+            const marker = markers.addChild(new Graphics().beginFill(0).drawRect(0, 0, 20, 20));
+
+            marker.position.set(5, 5);
+            marker.eventMode = 'static';
+            markers.getBounds();
+
+            expect(boundary.hitTest(1000 + 2, 2)).toBe(grid[0]);
+            expect(boundary.hitTest(1000 + 10, 10)).toBe(marker);
+            expect(boundary.hitTest(1000 + 22, 22)).toBe(marker);
+
+            markers.removeChild(marker);
+
+            expect(boundary.hitTest(1000 + 22, 22)).toBeFalsy();
+        });
+
+        it('should index the moved children once invalidated', () =>
+        {
+            const { boundary, markers, grid } = createScene();
+
+            expect(boundary.hitTest(1000 + 10, 10)).toBe(grid[0]);
+
+            grid[0].position.set(530, 0);
+            markers.getBounds();
+            (markers.hitTestIndex as SpatialHashIndex).invalidate();
+
+            expect(boundary.hitTest(1000 + 10, 10)).toBeFalsy();
+            expect(boundary.hitTest(1000 + 540, 10)).toBe(grid[0]);
+        });
+
+        it('should still dispatch global move events to the children out of the cell', () =>
+        {
+            const { boundary, grid } = createScene();
+            const globalMove = jest.fn();
+
+            grid[99].on('globalpointermove', globalMove);
+            mapPointerEvent(boundary, 'pointermove', 1000 + 10, 10);
+
+            expect(globalMove).toHaveBeenCalledTimes(1);
+        });
+    });
 });
@@ -831,6 +831,52 @@ describe('EventSystem', () =>
         expect(eventSpy).toHaveBeenCalledTimes(3);
     });
 
+    it('should stop recognizing the gestures when destroyed', () =>
+    {
+        jest.useFakeTimers();
+
+        const renderer = createRenderer();
+        const [stage, graphics] = createScene(false);
+        const eventSpy = jest.fn();
+
+        renderer.render(stage);
+        graphics.on('longpress', eventSpy);
+
+        renderer.events.onPointerDown(
+            new PointerEvent('pointerdown', { clientX: 25, clientY: 25 })
+        );
+        renderer.destroy();
+        jest.advanceTimersByTime(1000);
+        jest.useRealTimers();
+
+        expect(eventSpy).not.toHaveBeenCalled();
+    });
+
+    it('should only listen to the keys once the keyboard feature is enabled', () =>
+    {
+        const addSpy = jest.spyOn(globalThis, 'addEventListener');
+        const removeSpy = jest.spyOn(globalThis, 'removeEventListener');
+        const renderer = createRenderer();
+        const events = renderer.events as EventSystem;
+
+        expect(events.features.keyboard).toBe(false);
+        expect(addSpy).not.toHaveBeenCalledWith('keydown', expect.anything());
+
+        events.features.keyboard = true;
+
+        expect(addSpy).toHaveBeenCalledWith('keydown', expect.anything());
+        expect(addSpy).toHaveBeenCalledWith('keyup', expect.anything());
+
+        events.features.keyboard = false;
+
+        expect(removeSpy).toHaveBeenCalledWith('keydown', expect.anything());
+        expect(removeSpy).toHaveBeenCalledWith('keyup', expect.anything());
+
+        addSpy.mockRestore();
+        removeSpy.mockRestore();
+        renderer.destroy();
+    });
+
     it('should dispatch global pointer move event with custom hitArea', () =>
     {
         const renderer = createRenderer();
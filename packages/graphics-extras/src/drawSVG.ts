@@ -0,0 +1,487 @@
+import { Circle, Color, Ellipse, Matrix, Polygon, Rectangle, RoundedRectangle, settings } from '@pixi/core';
+import { FillStyle, LINE_CAP, LINE_JOIN, LineStyle } from '@pixi/graphics';
+import { parseSVGPath } from './svg/parseSVGPath';
+
+import type { IShape } from '@pixi/core';
+import type { Graphics } from '@pixi/graphics';
+import type { ISVGSubpath } from './svg/parseSVGPath';
+
+/**
+ * Resolved presentation attributes of an SVG element.
+ * @ignore
+ */
+interface ISVGStyle
+{
+    fill: string;
+    fillOpacity: number;
+    fillRule: string;
+    stroke: string;
+    strokeOpacity: number;
+    strokeWidth: number;
+    strokeLinecap: string;
+    strokeLinejoin: string;
+    strokeMiterlimit: number;
+    color: string;
+    /** Opacity including the opacity of all ancestors, unlike the other properties it is not inherited */
+    opacity: number;
+    /** Transform to the coordinate system of the root element */
+    matrix: Matrix;
+}
+
+/** Initial values of the presentation attributes. */
+const DEFAULT_STYLE: ISVGStyle = {
+    fill: 'black',
+    fillOpacity: 1,
+    fillRule: 'nonzero',
+    stroke: 'none',
+    strokeOpacity: 1,
+    strokeWidth: 1,
+    strokeLinecap: LINE_CAP.BUTT,
+    strokeLinejoin: LINE_JOIN.MITER,
+    strokeMiterlimit: 4,
+    color: 'black',
+    opacity: 1,
+    matrix: null,
+};
+
+/** Elements whose children are drawn. */
+const CONTAINER_ELEMENTS = ['svg', 'g', 'a', 'switch'];
+
+/**
+ * Draws flattened subpaths, turning the subpaths that are inside another subpath into holes
+ * according to the fill rule.
+ * @ignore
+ * @param subpaths - The subpaths of a path
+ * @param fillRule - Either 'nonzero' or 'evenodd'
+ * @param drawShape - Draws a filled shape or a hole of the last filled shape
+ */
+function drawSubpaths(
+    subpaths: ISVGSubpath[],
+    fillRule: string,
+    drawShape: (shape: Polygon, hole: boolean) => void): void
+{
+    const polygons = subpaths
+        .filter((subpath) => subpath.points.length >= 4)
+        .map((subpath) =>
+        {
+            const polygon = new Polygon(subpath.points);
+
+            polygon.closeStroke = subpath.closed;
+
+            return polygon;
+        });
+    const count = polygons.length;
+    const areas = polygons.map((polygon) => signedArea(polygon.points));
+    const parents: number[] = [];
+    const depths: number[] = [];
+    const holes: boolean[] = [];
+
+    // the parent of a subpath is the innermost subpath containing it
+    for (let i = 0; i < count; i++)
+    {
+        const [x, y] = polygons[i].points;
+
+        parents[i] = -1;
+        depths[i] = 0;
+
+        for (let j = 0; j < count; j++)
+        {
+            if (i !== j && polygons[j].contains(x, y) && Math.abs(areas[j]) > Math.abs(areas[i]))
+            {
+                depths[i]++;
+
+                if (parents[i] === -1 || Math.abs(areas[j]) < Math.abs(areas[parents[i]]))
+                {
+                    parents[i] = j;
+                }
+            }
+        }
+    }
+
+    for (let i = 0; i < count; i++)
+    {
+        const parent = parents[i];
+
+        if (fillRule === 'evenodd')
+        {
+            holes[i] = depths[i] % 2 === 1;
+        }
+        else
+        {
+            // with the nonzero rule, only subpaths winding the other way than their filled parent cut holes
+            holes[i] = parent !== -1 && !holes[parent] && Math.sign(areas[i]) !== Math.sign(areas[parent]);
+        }
+    }
+
+    for (let i = 0; i < count; i++)
+    {
+        if (holes[i])
+        {
+            continue;
+        }
+
+        drawShape(polygons[i], false);
+
+        for (let j = 0; j < count; j++)
+        {
+            if (holes[j] && parents[j] === i)
+            {
+                drawShape(polygons[j], true);
+            }
+        }
+    }
+}
+
+/**
+ * Signed area of a polygon, the sign gives its winding direction.
+ * @ignore
+ */
+function signedArea(points: number[]): number
+{
+    let area = 0;
+
+    for (let i = 0, j = points.length - 2; i < points.length; j = i, i += 2)
+    {
+        area += (points[j] * points[i + 1]) - (points[i] * points[j + 1]);
+    }
+
+    return area / 2;
+}
+
+/**
+ * Parses the `transform` attribute of an element.
+ * @ignore
+ */
+function parseTransform(value: string): Matrix
+{
+    const matrix = new Matrix();
+    const regex = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match: RegExpExecArray;
+
+    while ((match = regex.exec(value)))
+    {
+        const args = match[2].split(/[\s,]+/).filter((arg) => arg).map(parseFloat);
+        const transform = new Matrix();
+
+        switch (match[1])
+        {
+            case 'matrix':
+                transform.set(args[0], args[1], args[2], args[3], args[4], args[5]);
+                break;
+            case 'translate':
+                transform.translate(args[0], args[1] ?? 0);
+                break;
+            case 'scale':
+                transform.scale(args[0], args[1] ?? args[0]);
+                break;
+            case 'rotate':
+            {
+                const angle = args[0] * Math.PI / 180;
+                const cos = Math.cos(angle);
+                const sin = Math.sin(angle);
+                const cx = args[1] ?? 0;
+                const cy = args[2] ?? 0;
+
+                transform.set(cos, sin, -sin, cos,
+                    cx - (cos * cx) + (sin * cy),
+                    cy - (sin * cx) - (cos * cy));
+                break;
+            }
+            case 'skewX':
+                transform.c = Math.tan(args[0] * Math.PI / 180);
+                break;
+            case 'skewY':
+                transform.b = Math.tan(args[0] * Math.PI / 180);
+                break;
+        }
+
+        matrix.append(transform);
+    }
+
+    return matrix;
+}
+
+/**
+ * Resolves the presentation attributes of an element, from its `style` and its attributes,
+ * the `style` taking precedence.
+ * @ignore
+ */
+function resolveStyle(element: Element, parent: ISVGStyle): ISVGStyle
+{
+    const declarations: Record<string, string> = {};
+
+    (element.getAttribute('style') ?? '').split(';').forEach((declaration) =>
+    {
+        const [name, value] = declaration.split(':');
+
+        if (name && value)
+        {
+            declarations[name.trim()] = value.trim();
+        }
+    });
+
+    const read = (name: string): string =>
+    {
+        const value = declarations[name] ?? element.getAttribute(name);
+
+        return value === null || value === 'inherit' ? null : value.trim();
+    };
+    const readNumber = (name: string, inherited: number): number =>
+    {
+        const value = parseFloat(read(name));
+
+        return isNaN(value) ? inherited : value;
+    };
+
+    const transform = element.getAttribute('transform');
+    let matrix = parent.matrix;
+
+    if (transform)
+    {
+        matrix = (matrix ? matrix.clone() : new Matrix()).append(parseTransform(transform));
+    }
+
+    return {
+        fill: read('fill') ?? parent.fill,
+        fillOpacity: readNumber('fill-opacity', parent.fillOpacity),
+        fillRule: read('fill-rule') ?? parent.fillRule,
+        stroke: read('stroke') ?? parent.stroke,
+        strokeOpacity: readNumber('stroke-opacity', parent.strokeOpacity),
+        strokeWidth: readNumber('stroke-width', parent.strokeWidth),
+        strokeLinecap: read('stroke-linecap') ?? parent.strokeLinecap,
+        strokeLinejoin: read('stroke-linejoin') ?? parent.strokeLinejoin,
+        strokeMiterlimit: readNumber('stroke-miterlimit', parent.strokeMiterlimit),
+        color: read('color') ?? parent.color,
+        opacity: readNumber('opacity', 1) * parent.opacity,
+        matrix,
+    };
+}
+
+/**
+ * Applies an SVG paint to a fill or line style.
+ * Paint servers like gradients and patterns are not supported, and are not painted.
+ * @ignore
+ * @returns `true` if the paint is visible
+ */
+function applyPaint(style: FillStyle, paint: string, alpha: number, currentColor: string): boolean
+{
+    if (!paint || paint === 'none' || paint.startsWith('url('))
+    {
+        return false;
+    }
+
+    try
+    {
+        const color = Color.shared.setValue(paint === 'currentColor' ? currentColor : paint);
+
+        style.color = color.toNumber();
+        style.alpha = color.alpha * alpha;
+    }
+    catch (e)
+    {
+        return false;
+    }
+
+    style.visible = style.alpha > 0;
+
+    return style.visible;
+}
+
+/**
+ * Reads the value of a string enum, falling back to a default for values which are not supported.
+ * @ignore
+ */
+function readEnum<T extends string>(values: Record<string, T>, value: string, defaultValue: T): T
+{
+    return Object.values(values).includes(value as T) ? value as T : defaultValue;
+}
+
+/**
+ * Reads a list of numbers from an attribute, like the points of a `<polygon>`.
+ * @ignore
+ */
+function readNumbers(element: Element, name: string): number[]
+{
+    return (element.getAttribute(name) ?? '')
+        .split(/[\s,]+/)
+        .filter((value) => value)
+        .map(parseFloat);
+}
+
+/**
+ * Draws an SVG element and its children to a Graphics.
+ * @ignore
+ */
+function drawElement(graphics: Graphics, element: Element, parentStyle: ISVGStyle): void
+{
+    const tagName = element.tagName.toLowerCase();
+
+    if (element.getAttribute('display') === 'none' || element.getAttribute('visibility') === 'hidden')
+    {
+        return;
+    }
+
+    const style = resolveStyle(element, parentStyle);
+
+    if (CONTAINER_ELEMENTS.includes(tagName))
+    {
+        for (let i = 0; i < element.children.length; i++)
+        {
+            drawElement(graphics, element.children[i], style);
+        }
+
+        return;
+    }
+
+    const attribute = (name: string, defaultValue = 0): number =>
+    {
+        const value = parseFloat(element.getAttribute(name));
+
+        return isNaN(value) ? defaultValue : value;
+    };
+    let shape: IShape = null;
+    let subpaths: ISVGSubpath[] = null;
+    let fillable = true;
+
+    switch (tagName)
+    {
+        case 'path':
+            subpaths = parseSVGPath(element.getAttribute('d') ?? '');
+            break;
+        case 'rect':
+        {
+            const radius = attribute('rx', attribute('ry'));
+            const [x, y, width, height] = [attribute('x'), attribute('y'), attribute('width'), attribute('height')];
+
+            shape = radius > 0
+                ? new RoundedRectangle(x, y, width, height, radius)
+                : new Rectangle(x, y, width, height);
+            break;
+        }
+        case 'circle':
+            shape = new Circle(attribute('cx'), attribute('cy'), attribute('r'));
+            break;
+        case 'ellipse':
+            shape = new Ellipse(attribute('cx'), attribute('cy'), attribute('rx'), attribute('ry'));
+            break;
+        case 'line':
+            subpaths = [{ points: [attribute('x1'), attribute('y1'), attribute('x2'), attribute('y2')], closed: false }];
+            fillable = false;
+            break;
+        case 'polyline':
+        case 'polygon':
+            subpaths = [{ points: readNumbers(element, 'points'), closed: tagName === 'polygon' }];
+            break;
+        default:
+            // not a shape, e.g. <defs>, <title> or <text>
+            return;
+    }
+
+    const fillStyle = new FillStyle();
+    const lineStyle = new LineStyle();
+
+    if (fillable)
+    {
+        applyPaint(fillStyle, style.fill, style.fillOpacity * style.opacity, style.color);
+    }
+
+    if (style.strokeWidth > 0
+        && applyPaint(lineStyle, style.stroke, style.strokeOpacity * style.opacity, style.color))
+    {
+        lineStyle.width = style.strokeWidth;
+        lineStyle.cap = readEnum(LINE_CAP, style.strokeLinecap, LINE_CAP.BUTT);
+        lineStyle.join = readEnum(LINE_JOIN, style.strokeLinejoin, LINE_JOIN.MITER);
+        lineStyle.miterLimit = style.strokeMiterlimit;
+    }
+
+    if (!fillStyle.visible && !lineStyle.visible)
+    {
+        return;
+    }
+
+    const geometry = graphics.geometry;
+    const matrix = style.matrix;
+
+    if (shape)
+    {
+        geometry.drawShape(shape, fillStyle, lineStyle, matrix);
+    }
+    else
+    {
+        drawSubpaths(subpaths, style.fillRule, (polygon, hole) =>
+        {
+            if (hole)
+            {
+                geometry.drawHole(polygon, matrix);
+            }
+            else
+            {
+                geometry.drawShape(polygon, fillStyle.clone(), lineStyle.clone(), matrix);
+            }
+        });
+    }
+}
+
+/**
+ * Draw SVG content: either path data, as found in the `d` attribute of a `<path>` element,
+ * or an SVG document, as a string or an element.
+ *
+ * Path data is drawn with the current fill and line style, subpaths inside of another subpath are drawn
+ * as holes. Holes are determined using the `nonzero` fill rule, like in SVG.
+ *
+ * In an SVG document, `<path>`, `<rect>`, `<circle>`, `<ellipse>`, `<line>`, `<polyline>` and `<polygon>`
+ * are drawn using their own `fill`, `stroke` and other presentation attributes. Those are inherited from `<g>`
+ * elements, and `transform` attributes are applied. The current fill and line style are not used nor changed.
+ * Gradients, patterns, text, `<use>` and CSS stylesheets are not supported.
+ * The `viewBox` of the root element is ignored: the content is drawn in user units.
+ *
+ * _Note: Only available with **@pixi/graphics-extras**._
+ * @example
+ * const icon = new Graphics().drawSVG(`<svg xmlns="http://www.w3.org/2000/svg">
+ *     <path d="M10 10 h80 v80 h-80 Z M30 30 v40 h40 v-40 Z" fill="#ff0000" fill-rule="evenodd" />
+ * </svg>`);
+ *
+ * const arrow = new Graphics()
+ *     .beginFill(0xffffff)
+ *     .drawSVG('M0 0 l10 5 l-10 5 z')
+ *     .endFill();
+ * @method PIXI.Graphics#drawSVG
+ * @param this
+ * @param svg - SVG path data, an SVG document or an SVG element
+ * @returns - This Graphics object. Good for chaining method calls
+ */
+export function drawSVG(this: Graphics, svg: string | Element): Graphics
+{
+    // complete the current path so that the SVG content is drawn on top of it
+    this.finishPoly();
+
+    if (typeof svg === 'string')
+    {
+        svg = svg.trim();
+
+        if (!svg.startsWith('<'))
+        {
+            drawSubpaths(parseSVGPath(svg), DEFAULT_STYLE.fillRule, (polygon, hole) =>
+            {
+                if (hole)
+                {
+                    this.beginHole();
+                    this.drawShape(polygon);
+                    this.endHole();
+                }
+                else
+                {
+                    this.drawShape(polygon);
+                }
+            });
+
+            return this;
+        }
+
+        svg = settings.ADAPTER.parseXML(svg).documentElement;
+    }
+
+    drawElement(this, svg, DEFAULT_STYLE);
+
+    return this;
+}
@@ -6,6 +6,7 @@ import { drawRegularPolygon } from './drawRegularPolygon';
 import { drawRoundedPolygon } from './drawRoundedPolygon';
 import { drawRoundedShape } from './drawRoundedShape';
 import { drawStar } from './drawStar';
+import { drawSVG } from './drawSVG';
 import { drawTorus } from './drawTorus';
 
 export interface IGraphicsExtras
@@ -17,6 +18,7 @@ export interface IGraphicsExtras
     drawRoundedPolygon: typeof drawRoundedPolygon;
     drawRoundedShape: typeof drawRoundedShape;
     drawStar: typeof drawStar;
+    drawSVG: typeof drawSVG;
 }
 
 // Assign extras to Graphics
@@ -28,4 +30,8 @@ Object.defineProperties(Graphics.prototype, {
     drawRoundedPolygon: { value: drawRoundedPolygon },
     drawRoundedShape: { value: drawRoundedShape },
     drawStar: { value: drawStar },
+    drawSVG: { value: drawSVG },
 });
+
+export * from './loadSVGGraphics';
+export * from './svg/parseSVGPath';
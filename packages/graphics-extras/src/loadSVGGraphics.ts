@@ -0,0 +1,46 @@
+import { fetchAsset, LoaderHttpError, LoaderParserPriority } from '@pixi/assets';
+import { ExtensionType } from '@pixi/core';
+import { Graphics } from '@pixi/graphics';
+
+import type { Loader, LoaderParser, LoaderParserOptions, ResolvedAsset } from '@pixi/assets';
+
+/**
+ * Loads SVG documents into Graphics, using {@link PIXI.Graphics#drawSVG}. Unlike textures loaded
+ * with `loadSVG`, the result stays crisp at any scale.
+ *
+ * The parser is not added to Assets by importing **@pixi/graphics-extras**, it must be added with
+ * `extensions.add`. SVG files are still loaded as textures by default, so it must also be requested
+ * with `loadParser`.
+ *
+ * _Note: Only available with **@pixi/graphics-extras**._
+ * @example
+ * import { Assets, extensions } from 'pixi.js';
+ * import { loadSVGGraphics } from '@pixi/graphics-extras';
+ *
+ * extensions.add(loadSVGGraphics);
+ *
+ * const icon = await Assets.load({ src: 'icon.svg', loadParser: 'loadSVGGraphics' });
+ * @memberof PIXI
+ */
+export const loadSVGGraphics = {
+    extension: {
+        type: ExtensionType.LoadParser,
+        priority: LoaderParserPriority.High,
+    },
+
+    name: 'loadSVGGraphics',
+
+    async load(url: string, _asset: ResolvedAsset, _loader: Loader, options?: LoaderParserOptions): Promise<Graphics>
+    {
+        const response = await fetchAsset(url, options);
+
+        LoaderHttpError.check(url, response);
+
+        return new Graphics().drawSVG(await response.text());
+    },
+
+    unload(graphics: Graphics): void
+    {
+        graphics.destroy();
+    },
+} as LoaderParser<Graphics>;
@@ -0,0 +1,412 @@
+import { DEG_TO_RAD, PI_2 } from '@pixi/core';
+import { Graphics, graphicsUtils } from '@pixi/graphics';
+
+/**
+ * A single flattened subpath of SVG path data.
+ * @memberof PIXI
+ */
+export interface ISVGSubpath
+{
+    /** Flattened points of the subpath as `[x0, y0, x1, y1, ...]` */
+    points: number[];
+    /** `true` if the subpath was closed with a `Z` command */
+    closed: boolean;
+}
+
+/**
+ * Sequential reader for the numbers, flags and commands in SVG path data.
+ * @ignore
+ */
+class PathDataReader
+{
+    private static readonly COMMAND = /[MLHVCSQTAZ]/i;
+    private static readonly NUMBER = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+    private static readonly SEPARATOR = /[\s,]/;
+
+    private _data: string;
+    private _index: number;
+
+    constructor(data: string)
+    {
+        this._data = data;
+        this._index = 0;
+    }
+
+    /** `true` once all of the path data has been read. */
+    get done(): boolean
+    {
+        this.skipSeparators();
+
+        return this._index >= this._data.length;
+    }
+
+    /** Reads a command letter, or returns `null` if the next token is not a command. */
+    readCommand(): string
+    {
+        this.skipSeparators();
+
+        const char = this._data[this._index];
+
+        if (char && PathDataReader.COMMAND.test(char))
+        {
+            this._index++;
+
+            return char;
+        }
+
+        return null;
+    }
+
+    /**
+     * Reads a number, returns `NaN` if the data is malformed.
+     * Flags are single characters which may not be separated from the following number.
+     * @param flag - Read a single `0` or `1` arc flag instead of a number
+     */
+    readNumber(flag = false): number
+    {
+        this.skipSeparators();
+
+        if (flag)
+        {
+            const char = this._data[this._index];
+
+            if (char === '0' || char === '1')
+            {
+                this._index++;
+
+                return char === '1' ? 1 : 0;
+            }
+
+            return NaN;
+        }
+
+        const regex = PathDataReader.NUMBER;
+
+        regex.lastIndex = this._index;
+
+        const match = regex.exec(this._data);
+
+        if (!match)
+        {
+            return NaN;
+        }
+
+        this._index = regex.lastIndex;
+
+        return parseFloat(match[0]);
+    }
+
+    /**
+     * Reads the arguments of a command.
+     * @param count - Number of arguments to read
+     * @param flags - Indices of the arguments that are flags
+     * @returns The arguments, or `null` if the data is malformed
+     */
+    readArguments(count: number, flags?: number[]): number[]
+    {
+        const args = [];
+
+        for (let i = 0; i < count; i++)
+        {
+            const value = this.readNumber(flags?.includes(i));
+
+            if (isNaN(value))
+            {
+                return null;
+            }
+
+            args.push(value);
+        }
+
+        return args;
+    }
+
+    private skipSeparators(): void
+    {
+        while (this._index < this._data.length && PathDataReader.SEPARATOR.test(this._data[this._index]))
+        {
+            this._index++;
+        }
+    }
+}
+
+/**
+ * The arguments of each command, as the axis of the coordinate they specify.
+ * Arguments that are not coordinates are `null`, and are not offset by relative commands.
+ */
+const ARGUMENT_AXES: Record<string, ('x' | 'y')[]> = {
+    M: ['x', 'y'],
+    L: ['x', 'y'],
+    H: ['x'],
+    V: ['y'],
+    C: ['x', 'y', 'x', 'y', 'x', 'y'],
+    S: ['x', 'y', 'x', 'y'],
+    Q: ['x', 'y', 'x', 'y'],
+    T: ['x', 'y'],
+    A: [null, null, null, null, null, 'x', 'y'],
+    Z: [],
+};
+
+/** The large-arc and sweep arguments of the arc command are flags. */
+const ARC_FLAGS = [3, 4];
+
+/**
+ * Adds the points of an SVG elliptical arc to the end of `points`, whose last point is the start of the arc.
+ * Implements the endpoint to center parameterization conversion of the SVG specification.
+ * @ignore
+ * @see https://www.w3.org/TR/SVG2/implnote.html#ArcConversionEndpointToCenter
+ */
+function arcToPoints(
+    points: number[],
+    rx: number, ry: number,
+    xAxisRotation: number,
+    largeArc: number, sweep: number,
+    x: number, y: number): void
+{
+    const fromX = points[points.length - 2];
+    const fromY = points[points.length - 1];
+
+    if (fromX === x && fromY === y)
+    {
+        return;
+    }
+
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+
+    if (rx === 0 || ry === 0)
+    {
+        points.push(x, y);
+
+        return;
+    }
+
+    const phi = xAxisRotation * DEG_TO_RAD;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const halfX = (fromX - x) / 2;
+    const halfY = (fromY - y) / 2;
+    const x1 = (cos * halfX) + (sin * halfY);
+    const y1 = (-sin * halfX) + (cos * halfY);
+
+    // scale up the radii if they cannot span the two points
+    const lambda = ((x1 * x1) / (rx * rx)) + ((y1 * y1) / (ry * ry));
+
+    if (lambda > 1)
+    {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const rx2 = rx * rx;
+    const ry2 = ry * ry;
+    const numerator = Math.max(0, (rx2 * ry2) - (rx2 * y1 * y1) - (ry2 * x1 * x1));
+    let coefficient = Math.sqrt(numerator / ((rx2 * y1 * y1) + (ry2 * x1 * x1)));
+
+    if (largeArc === sweep)
+    {
+        coefficient = -coefficient;
+    }
+
+    const cx1 = coefficient * rx * y1 / ry;
+    const cy1 = -coefficient * ry * x1 / rx;
+    const cx = (cos * cx1) - (sin * cy1) + ((fromX + x) / 2);
+    const cy = (sin * cx1) + (cos * cy1) + ((fromY + y) / 2);
+
+    const ux = (x1 - cx1) / rx;
+    const uy = (y1 - cy1) / ry;
+    const vx = (-x1 - cx1) / rx;
+    const vy = (-y1 - cy1) / ry;
+    const startAngle = Math.atan2(uy, ux);
+    let deltaAngle = Math.atan2((ux * vy) - (uy * vx), (ux * vx) + (uy * vy));
+
+    if (!sweep && deltaAngle > 0)
+    {
+        deltaAngle -= PI_2;
+    }
+    else if (sweep && deltaAngle < 0)
+    {
+        deltaAngle += PI_2;
+    }
+
+    const segments = Graphics.curves._segmentsCount(Math.abs(deltaAngle) * (rx + ry) / 2);
+
+    for (let i = 1; i < segments; i++)
+    {
+        const angle = startAngle + (deltaAngle * i / segments);
+        const ex = rx * Math.cos(angle);
+        const ey = ry * Math.sin(angle);
+
+        points.push(
+            (cos * ex) - (sin * ey) + cx,
+            (sin * ex) + (cos * ey) + cy
+        );
+    }
+
+    points.push(x, y);
+}
+
+/**
+ * Parses SVG path data (the `d` attribute of a `<path>` element) into flattened subpaths.
+ * All commands are supported, in both absolute and relative form. Curves and elliptical arcs are
+ * flattened using the precision set in {@link PIXI.Graphics.curves}.
+ *
+ * Like browsers do, malformed path data is rendered up to the first error.
+ * @memberof PIXI
+ * @param data - The SVG path data
+ * @returns The subpaths of the path
+ */
+export function parseSVGPath(data: string): ISVGSubpath[]
+{
+    const reader = new PathDataReader(data);
+    const subpaths: ISVGSubpath[] = [];
+    let current: ISVGSubpath = null;
+    let command: string = null;
+    let previous: string = null;
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+    let controlX = 0;
+    let controlY = 0;
+
+    while (!reader.done)
+    {
+        const next = reader.readCommand();
+
+        if (next)
+        {
+            command = next;
+        }
+        else if (!command || command === 'Z' || command === 'z')
+        {
+            // numbers without a command
+            break;
+        }
+
+        const type = command.toUpperCase();
+        const relative = command !== type;
+        const axes = ARGUMENT_AXES[type];
+        const args = reader.readArguments(axes.length, type === 'A' ? ARC_FLAGS : null);
+
+        if (!args)
+        {
+            break;
+        }
+
+        if (relative)
+        {
+            // all coordinates of relative commands are relative to the current point
+            for (let i = 0; i < args.length; i++)
+            {
+                if (axes[i] === 'x')
+                {
+                    args[i] += x;
+                }
+                else if (axes[i] === 'y')
+                {
+                    args[i] += y;
+                }
+            }
+        }
+
+        if (type === 'M')
+        {
+            current = { points: [args[0], args[1]], closed: false };
+            subpaths.push(current);
+            x = startX = args[0];
+            y = startY = args[1];
+            // subsequent coordinate pairs are implicit line commands
+            command = relative ? 'l' : 'L';
+            previous = type;
+            continue;
+        }
+
+        if (type === 'Z')
+        {
+            if (current)
+            {
+                const points = current.points;
+                const length = points.length;
+
+                // the closing segment is implicit, so an explicit one back to the start is redundant
+                if (length > 2 && points[length - 2] === points[0] && points[length - 1] === points[1])
+                {
+                    points.length -= 2;
+                }
+
+                current.closed = true;
+                current = null;
+            }
+
+            x = startX;
+            y = startY;
+            previous = type;
+            continue;
+        }
+
+        if (!current)
+        {
+            // a drawing command after a closed subpath starts a new subpath at the current point
+            current = { points: [x, y], closed: false };
+            subpaths.push(current);
+        }
+
+        const points = current.points;
+
+        switch (type)
+        {
+            case 'L':
+                [x, y] = args;
+                break;
+            case 'H':
+                x = args[0];
+                break;
+            case 'V':
+                y = args[0];
+                break;
+            case 'C':
+                graphicsUtils.BezierUtils.curveTo(args[0], args[1], args[2], args[3], args[4], args[5], points);
+                [, , controlX, controlY, x, y] = args;
+                break;
+            case 'S':
+            {
+                const reflect = previous === 'C' || previous === 'S';
+                const cpX = reflect ? (2 * x) - controlX : x;
+                const cpY = reflect ? (2 * y) - controlY : y;
+
+                graphicsUtils.BezierUtils.curveTo(cpX, cpY, args[0], args[1], args[2], args[3], points);
+                [controlX, controlY, x, y] = args;
+                break;
+            }
+            case 'Q':
+                graphicsUtils.QuadraticUtils.curveTo(args[0], args[1], args[2], args[3], points);
+                [controlX, controlY, x, y] = args;
+                break;
+            case 'T':
+            {
+                const reflect = previous === 'Q' || previous === 'T';
+
+                controlX = reflect ? (2 * x) - controlX : x;
+                controlY = reflect ? (2 * y) - controlY : y;
+                graphicsUtils.QuadraticUtils.curveTo(controlX, controlY, args[0], args[1], points);
+                [x, y] = args;
+                break;
+            }
+            case 'A':
+                arcToPoints(points, args[0], args[1], args[2], args[3], args[4], args[5], args[6]);
+                [, , , , , x, y] = args;
+                break;
+        }
+
+        // curves already added their end point
+        if (points[points.length - 2] !== x || points[points.length - 1] !== y)
+        {
+            points.push(x, y);
+        }
+
+        previous = type;
+    }
+
+    return subpaths;
+}
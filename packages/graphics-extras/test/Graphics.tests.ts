@@ -13,6 +13,7 @@ describe('Graphics', () =>
         expect(g.drawRoundedPolygon).toBeTruthy();
         expect(g.drawStar).toBeTruthy();
         expect(g.drawTorus).toBeTruthy();
+        expect(g.drawSVG).toBeTruthy();
 
         g.destroy();
     });
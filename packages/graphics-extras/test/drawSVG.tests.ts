@@ -0,0 +1,214 @@
+import { Assets } from '@pixi/assets';
+import { Circle, extensions, Matrix, Polygon, Rectangle, settings } from '@pixi/core';
+import { Graphics } from '@pixi/graphics';
+import { loadSVGGraphics, parseSVGPath } from '@pixi/graphics-extras';
+
+describe('parseSVGPath', () =>
+{
+    it('should parse absolute and relative lines', () =>
+    {
+        const subpaths = parseSVGPath('M10 10 L20 10 l0 10 H10 v-5 z');
+
+        expect(subpaths).toEqual([
+            { points: [10, 10, 20, 10, 20, 20, 10, 20, 10, 15], closed: true },
+        ]);
+    });
+
+    it('should treat coordinates following a move as lines', () =>
+    {
+        const subpaths = parseSVGPath('m1,1 2,0 0,2');
+
+        expect(subpaths).toEqual([
+            { points: [1, 1, 3, 1, 3, 3], closed: false },
+        ]);
+    });
+
+    it('should parse compact numbers', () =>
+    {
+        const subpaths = parseSVGPath('M.5.5-1-1L1e1,0');
+
+        expect(subpaths[0].points).toEqual([0.5, 0.5, -1, -1, 10, 0]);
+    });
+
+    it('should start a new subpath at the start point after a close', () =>
+    {
+        const subpaths = parseSVGPath('M0 0 L10 0 L10 10 Z L0 10');
+
+        expect(subpaths.length).toEqual(2);
+        expect(subpaths[1]).toEqual({ points: [0, 0, 0, 10], closed: false });
+    });
+
+    it('should remove an explicit closing segment', () =>
+    {
+        const subpaths = parseSVGPath('M0 0 L10 0 L10 10 L0 0 Z');
+
+        expect(subpaths[0].points).toEqual([0, 0, 10, 0, 10, 10]);
+    });
+
+    it('should flatten curves ending at their end point', () =>
+    {
+        const [cubic] = parseSVGPath('M0 0 C0 10 10 10 10 0 S20 -10 20 0');
+        const [quadratic] = parseSVGPath('M0 0 q5 10 10 0 t10 0');
+
+        expect(cubic.points.length).toBeGreaterThan(6);
+        expect(cubic.points.slice(-2)).toEqual([20, 0]);
+        expect(quadratic.points.length).toBeGreaterThan(6);
+        expect(quadratic.points.slice(-2)).toEqual([20, 0]);
+    });
+
+    it('should flatten elliptical arcs', () =>
+    {
+        const [arc] = parseSVGPath('M0 0 A10 10 0 0 1 20 0');
+        const { points } = arc;
+
+        expect(points.slice(-2)).toEqual([20, 0]);
+
+        for (let i = 0; i < points.length; i += 2)
+        {
+            expect(Math.hypot(points[i] - 10, points[i + 1])).toBeCloseTo(10);
+            // sweeping clockwise in a y-down coordinate system goes through negative y
+            expect(points[i + 1]).toBeLessThanOrEqual(1e-6);
+        }
+    });
+
+    it('should parse arc flags without separators', () =>
+    {
+        const [arc] = parseSVGPath('M0 0 a10 10 0 0020 0');
+
+        expect(arc.points.slice(-2)).toEqual([20, 0]);
+        expect(arc.points[3]).toBeGreaterThan(0);
+    });
+
+    it('should stop at malformed data', () =>
+    {
+        const subpaths = parseSVGPath('M0 0 L10 0 L10 # L20 20');
+
+        expect(subpaths[0].points).toEqual([0, 0, 10, 0]);
+    });
+});
+
+describe('Graphics.drawSVG', () =>
+{
+    it('should draw path data with the current fill', () =>
+    {
+        const g = new Graphics()
+            .beginFill(0xff0000)
+            .drawSVG('M0 0 h100 v100 h-100 Z M25 25 v50 h50 v-50 Z')
+            .endFill();
+        const { graphicsData } = g.geometry;
+
+        expect(graphicsData.length).toEqual(1);
+        expect(graphicsData[0].fillStyle.color).toEqual(0xff0000);
+        expect(graphicsData[0].holes.length).toEqual(1);
+        expect(g.containsPoint({ x: 10, y: 10 })).toBe(true);
+        expect(g.containsPoint({ x: 50, y: 50 })).toBe(false);
+
+        g.destroy();
+    });
+
+    it('should not cut holes from subpaths winding the same way with the nonzero rule', () =>
+    {
+        const g = new Graphics()
+            .beginFill(0xff0000)
+            .drawSVG('M0 0 h100 v100 h-100 Z M25 25 h50 v50 h-50 Z');
+
+        expect(g.geometry.graphicsData.length).toEqual(2);
+        expect(g.containsPoint({ x: 50, y: 50 })).toBe(true);
+
+        g.destroy();
+    });
+
+    it('should draw elements of an SVG document with their attributes', () =>
+    {
+        const g = new Graphics().drawSVG(`
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">
+                <title>Icon</title>
+                <g fill="#00ff00" stroke="blue" stroke-width="2" opacity="0.5">
+                    <rect x="0" y="0" width="10" height="10" />
+                    <circle cx="50" cy="50" r="5" style="fill: red; stroke: none" />
+                    <polygon points="0,0 10,0 10,10" fill-opacity="0.5" />
+                    <line x1="0" y1="0" x2="10" y2="10" />
+                </g>
+                <path d="M0 0 h100 v100 h-100 Z M25 25 h50 v50 h-50 Z" fill-rule="evenodd" />
+                <rect width="10" height="10" fill="none" />
+            </svg>`);
+        const [rect, circle, polygon, line, path] = g.geometry.graphicsData;
+
+        expect(g.geometry.graphicsData.length).toEqual(5);
+
+        expect(rect.shape).toBeInstanceOf(Rectangle);
+        expect(rect.fillStyle.color).toEqual(0x00ff00);
+        expect(rect.fillStyle.alpha).toEqual(0.5);
+        expect(rect.lineStyle.color).toEqual(0x0000ff);
+        expect(rect.lineStyle.width).toEqual(2);
+
+        expect(circle.shape).toBeInstanceOf(Circle);
+        expect(circle.fillStyle.color).toEqual(0xff0000);
+        expect(circle.lineStyle.visible).toBe(false);
+
+        expect(polygon.shape).toBeInstanceOf(Polygon);
+        expect(polygon.fillStyle.alpha).toEqual(0.25);
+
+        expect(line.fillStyle.visible).toBe(false);
+        expect(line.lineStyle.visible).toBe(true);
+
+        expect(path.fillStyle.color).toEqual(0);
+        expect(path.holes.length).toEqual(1);
+
+        g.destroy();
+    });
+
+    it('should apply transforms of elements and their ancestors', () =>
+    {
+        const g = new Graphics().drawSVG(`
+            <svg xmlns="http://www.w3.org/2000/svg">
+                <g transform="translate(10, 20)">
+                    <rect width="10" height="10" transform="scale(2)" />
+                </g>
+            </svg>`);
+        const [rect] = g.geometry.graphicsData;
+
+        expect(rect.matrix).toEqual(new Matrix(2, 0, 0, 2, 10, 20));
+        expect(g.containsPoint({ x: 29, y: 39 })).toBe(true);
+        expect(g.containsPoint({ x: 31, y: 41 })).toBe(false);
+
+        g.destroy();
+    });
+
+    it('should not change the current fill and line style', () =>
+    {
+        const g = new Graphics()
+            .beginFill(0xff0000)
+            .lineStyle(4, 0x00ff00)
+            .drawSVG('<svg xmlns="http://www.w3.org/2000/svg"><rect width="1" height="1" fill="blue" /></svg>');
+
+        expect(g.fill.color).toEqual(0xff0000);
+        expect(g.line.width).toEqual(4);
+
+        g.destroy();
+    });
+});
+
+describe('loadSVGGraphics', () =>
+{
+    it('should not be added to the loader by importing the package', () =>
+    {
+        expect(Assets.loader.parsers).not.toContain(loadSVGGraphics);
+
+        extensions.add(loadSVGGraphics);
+
+        expect(Assets.loader.parsers).toContain(loadSVGGraphics);
+
+        extensions.remove(loadSVGGraphics);
+    });
+
+    it('should reject responses with an error status', async () =>
+    {
+        const fetch = jest.spyOn(settings.ADAPTER, 'fetch')
+            .mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found' } as Response);
+
+        await expect(loadSVGGraphics.load('icon.svg', null, null)).rejects.toThrow('404');
+
+        fetch.mockRestore();
+    });
+});
@@ -18,6 +18,7 @@ import {
 import { Container } from '@pixi/display';
 import { curves, LINE_CAP, LINE_JOIN } from './const';
 import { GraphicsGeometry } from './GraphicsGeometry';
+import { FillGradient } from './styles/FillGradient';
 import { FillStyle } from './styles/FillStyle';
 import { LineStyle } from './styles/LineStyle';
 import { ArcUtils, BezierUtils, QuadraticUtils } from './utils';
@@ -48,6 +49,8 @@ export interface IFillStyleOptions
     alpha?: number;
     texture?: Texture;
     matrix?: Matrix;
+    /** A gradient to fill with, replaces the texture and the matrix */
+    gradient?: FillGradient;
 }
 
 export interface ILineStyleOptions extends IFillStyleOptions
@@ -306,6 +309,7 @@ export class Graphics extends Container
      *  Default 0xFFFFFF if texture present.
      * @param {number} [options.alpha=1] - alpha of the line to draw, will update the objects stored style
      * @param {PIXI.Matrix} [options.matrix=null] - Texture matrix to transform texture
+     * @param {PIXI.FillGradient} [options.gradient=null] - Gradient to use, replaces the texture and the matrix
      * @param {number} [options.alignment=0.5] - alignment of the line to draw, (0 = inner, 0.5 = middle, 1 = outer).
      *        WebGL only.
      * @param {boolean} [options.native=false] - If true the lines will be draw using LINES instead of TRIANGLE_STRIP
@@ -320,8 +324,9 @@ export class Graphics extends Container
         const defaultLineStyleOptions: ILineStyleOptions = {
             width: 0,
             texture: Texture.WHITE,
-            color: options?.texture ? 0xFFFFFF : 0x0,
+            color: options?.texture || options?.gradient ? 0xFFFFFF : 0x0,
             matrix: null,
+            gradient: null,
             alignment: 0.5,
             native: false,
             cap: LINE_CAP.BUTT,
@@ -346,11 +351,7 @@ export class Graphics extends Container
         }
         else
         {
-            if (options.matrix)
-            {
-                options.matrix = options.matrix.clone();
-                options.matrix.invert();
-            }
+            this.applyTextureOptions(options);
 
             Object.assign(this._lineStyle, { visible }, options);
         }
@@ -615,14 +616,19 @@ export class Graphics extends Container
     }
 
     /**
-     * Specifies a simple one-color fill that subsequent calls to other Graphics methods
+     * Specifies a simple one-color fill or a gradient fill that subsequent calls to other Graphics methods
      * (such as lineTo() or drawCircle()) use when drawing.
-     * @param {PIXI.ColorSource} color - the color of the fill
+     * @param {PIXI.ColorSource|PIXI.FillGradient} color - the color or the gradient of the fill
      * @param alpha - the alpha of the fill, will override the color's alpha
      * @returns - This Graphics object. Suitable for chaining method calls
      */
-    public beginFill(color: ColorSource = 0, alpha?: number): this
+    public beginFill(color: ColorSource | FillGradient = 0, alpha?: number): this
     {
+        if (color instanceof FillGradient)
+        {
+            return this.beginTextureFill({ gradient: color, alpha });
+        }
+
         return this.beginTextureFill({ texture: Texture.WHITE, color, alpha });
     }
 
@@ -638,6 +644,24 @@ export class Graphics extends Container
         options.alpha ??= temp.alpha;
     }
 
+    /**
+     * Resolve the texture and the matrix from options for line style or fill.
+     * @param {PIXI.IFillStyleOptions} options - Fill style object.
+     */
+    private applyTextureOptions(options: IFillStyleOptions): void
+    {
+        if (options.gradient)
+        {
+            options.texture = options.gradient.texture;
+            options.matrix = options.gradient.getTextureMatrix();
+        }
+        else if (options.matrix)
+        {
+            options.matrix = options.matrix.clone();
+            options.matrix.invert();
+        }
+    }
+
     /**
      * Begin the texture fill.
      * Note: The wrap mode of the texture is forced to REPEAT on render.
@@ -646,6 +670,7 @@ export class Graphics extends Container
      * @param {PIXI.ColorSource} [options.color=0xffffff] - Background to fill behind texture
      * @param {number} [options.alpha] - Alpha of fill, overrides the color's alpha
      * @param {PIXI.Matrix} [options.matrix=null] - Transform matrix
+     * @param {PIXI.FillGradient} [options.gradient=null] - Gradient to fill with, replaces the texture and the matrix
      * @returns {PIXI.Graphics} This Graphics object. Good for chaining method calls
      */
     beginTextureFill(options?: IFillStyleOptions): this
@@ -655,6 +680,7 @@ export class Graphics extends Container
             texture: Texture.WHITE,
             color: 0xFFFFFF,
             matrix: null,
+            gradient: null,
         };
 
         options = Object.assign(defaultOptions, options);
@@ -674,11 +700,7 @@ export class Graphics extends Container
         }
         else
         {
-            if (options.matrix)
-            {
-                options.matrix = options.matrix.clone();
-                options.matrix.invert();
-            }
+            this.applyTextureOptions(options);
 
             Object.assign(this._fillStyle, { visible }, options);
         }
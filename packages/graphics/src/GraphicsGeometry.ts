@@ -380,7 +380,8 @@ export class GraphicsGeometry extends BatchGeometry
                 const index = this.indices.length;
                 const attribIndex = this.points.length / 2;
 
-                nextTexture.wrapMode = WRAP_MODES.REPEAT;
+                // gradients extend the colors at their ends
+                nextTexture.wrapMode = style.gradient ? WRAP_MODES.CLAMP : WRAP_MODES.REPEAT;
 
                 if (j === 0)
                 {
@@ -650,7 +651,7 @@ export class GraphicsGeometry extends BatchGeometry
 
                     nextTexture._batchEnabled = TICK;
                     nextTexture._batchLocation = textureCount;
-                    nextTexture.wrapMode = WRAP_MODES.REPEAT;
+                    nextTexture.wrapMode = style.gradient ? WRAP_MODES.CLAMP : WRAP_MODES.REPEAT;
 
                     currentGroup.texArray.elements[currentGroup.texArray.count++] = nextTexture;
                     textureCount++;
@@ -22,6 +22,7 @@ export * from './const';
 export * from './Graphics';
 export * from './GraphicsData';
 export * from './GraphicsGeometry';
+export * from './styles/FillGradient';
 export * from './styles/FillStyle';
 export * from './styles/LineStyle';
 
@@ -0,0 +1,264 @@
+import { Color, Matrix, settings, Texture } from '@pixi/core';
+
+import type { ColorSource, ICanvas, ICanvasRenderingContext2D } from '@pixi/core';
+
+/**
+ * The shape of a {@link PIXI.FillGradient}.
+ * @memberof PIXI
+ */
+export type GradientType = 'linear' | 'radial';
+
+/**
+ * A color stop of a {@link PIXI.FillGradient}.
+ * @memberof PIXI
+ */
+export interface IGradientColorStop
+{
+    /** Position of the stop along the gradient, between 0 and 1 */
+    offset: number;
+    /** Color of the stop, its alpha is used too */
+    color: ColorSource;
+}
+
+/**
+ * A linear or radial gradient, which can be used to fill shapes and lines of a {@link PIXI.Graphics}
+ * by passing it to `beginFill`, `beginTextureFill` or `lineStyle`.
+ *
+ * Gradients are rendered from a texture generated from the color stops, so shapes filled with gradients
+ * are batched like shapes filled with textures. The texture is regenerated when the gradient changes,
+ * shapes drawn before the change are not updated though. Each texture size gets its own texture, so the
+ * shapes drawn before changing the size keep theirs until the gradient is destroyed.
+ *
+ * Like in the Canvas API, gradients are defined in the local coordinates of the Graphics, and
+ * the colors of the first and last stops extend beyond the ends of the gradient.
+ * @example
+ * import { FillGradient, Graphics } from 'pixi.js';
+ *
+ * const gradient = new FillGradient('linear', 0, 0, 100, 0)
+ *     .addColorStop(0, 0xff0000)
+ *     .addColorStop(1, 'rgba(0, 0, 255, 0.5)');
+ *
+ * const graphics = new Graphics()
+ *     .beginFill(gradient)
+ *     .drawRect(0, 0, 100, 100)
+ *     .endFill();
+ * @memberof PIXI
+ */
+export class FillGradient
+{
+    /** Size in pixels of the generated texture along the gradient. */
+    public static defaultTextureSize = 256;
+
+    /** The shape of the gradient. */
+    public readonly type: GradientType;
+
+    /** X coordinate of the start point, or of the center of the start circle of a radial gradient. */
+    public x0: number;
+
+    /** Y coordinate of the start point, or of the center of the start circle of a radial gradient. */
+    public y0: number;
+
+    /** Radius of the start circle of a radial gradient. */
+    public r0: number;
+
+    /** X coordinate of the end point, or of the center of the end circle of a radial gradient. */
+    public x1: number;
+
+    /** Y coordinate of the end point, or of the center of the end circle of a radial gradient. */
+    public y1: number;
+
+    /** Radius of the end circle of a radial gradient. */
+    public r1: number;
+
+    /** The color stops, sorted by offset. */
+    public readonly colorStops: IGradientColorStop[] = [];
+
+    /**
+     * Transform applied to the gradient, from the coordinates of the gradient to
+     * the local coordinates of the Graphics.
+     * @default null
+     */
+    public transform: Matrix = null;
+
+    /** Size in pixels of the generated texture along the gradient. */
+    public textureSize: number;
+
+    private _texture: Texture = null;
+    private _canvas: ICanvas = null;
+    private _textureDirty = true;
+
+    /** The textures generated for each size, and their canvases. The shapes drawn before resizing still use them. */
+    private _textures: Map<string, { texture: Texture, canvas: ICanvas }> = new Map();
+
+    /**
+     * @param type - The shape of the gradient
+     * @param x0 - X coordinate of the start point, or of the center of the start circle
+     * @param y0 - Y coordinate of the start point, or of the center of the start circle
+     * @param x1 - X coordinate of the end point, or of the center of the end circle
+     * @param y1 - Y coordinate of the end point, or of the center of the end circle
+     * @param r0 - Radius of the start circle, radial gradients only
+     * @param r1 - Radius of the end circle, radial gradients only
+     */
+    constructor(type: GradientType, x0: number, y0: number, x1: number, y1: number, r0 = 0, r1 = 0)
+    {
+        this.type = type;
+        this.x0 = x0;
+        this.y0 = y0;
+        this.r0 = r0;
+        this.x1 = x1;
+        this.y1 = y1;
+        this.r1 = r1;
+        this.textureSize = FillGradient.defaultTextureSize;
+    }
+
+    /**
+     * Creates a radial gradient between two circles.
+     * @param cx - X coordinate of the center of the end circle
+     * @param cy - Y coordinate of the center of the end circle
+     * @param radius - Radius of the end circle
+     * @param fx - X coordinate of the center of the start circle, defaults to `cx`
+     * @param fy - Y coordinate of the center of the start circle, defaults to `cy`
+     * @param focalRadius - Radius of the start circle
+     * @returns - The new gradient
+     */
+    public static radial(cx: number, cy: number, radius: number, fx = cx, fy = cy, focalRadius = 0): FillGradient
+    {
+        return new FillGradient('radial', fx, fy, cx, cy, focalRadius, radius);
+    }
+
+    /**
+     * Adds a color stop to the gradient.
+     * @param offset - Position of the stop along the gradient, between 0 and 1
+     * @param color - Color of the stop, its alpha is used too
+     * @returns - This gradient. Good for chaining method calls
+     */
+    public addColorStop(offset: number, color: ColorSource): this
+    {
+        this.colorStops.push({ offset: Math.min(Math.max(offset, 0), 1), color });
+        this.colorStops.sort((a, b) => a.offset - b.offset);
+        this.invalidate();
+
+        return this;
+    }
+
+    /** Marks the texture to be regenerated, call this after changing the stops or the texture size directly. */
+    public invalidate(): void
+    {
+        this._textureDirty = true;
+    }
+
+    /** The texture generated from the color stops. */
+    public get texture(): Texture
+    {
+        if (this._textureDirty)
+        {
+            this._textureDirty = false;
+            this.updateTexture();
+        }
+
+        return this._texture;
+    }
+
+    /**
+     * Computes the matrix mapping local coordinates of the Graphics to the pixels of the texture,
+     * for use as the matrix of a {@link PIXI.FillStyle}.
+     * @param out - Matrix to write the result to
+     * @returns - The matrix
+     */
+    public getTextureMatrix(out = new Matrix()): Matrix
+    {
+        const size = this.textureSize;
+
+        if (this.type === 'linear')
+        {
+            // project on the gradient line, the texture is a single row of pixels
+            const dx = this.x1 - this.x0;
+            const dy = this.y1 - this.y0;
+            const scale = size / (((dx * dx) + (dy * dy)) || 1);
+
+            out.set(
+                dx * scale, 0,
+                dy * scale, 0,
+                -((this.x0 * dx) + (this.y0 * dy)) * scale, 0.5
+            );
+        }
+        else
+        {
+            // the texture covers the bounding box of the end circle
+            const scale = size / ((2 * this.r1) || 1);
+
+            out.set(scale, 0, 0, scale, (this.r1 - this.x1) * scale, (this.r1 - this.y1) * scale);
+        }
+
+        if (this.transform)
+        {
+            out.append(this.transform.clone().invert());
+        }
+
+        return out;
+    }
+
+    /** Destroys the gradient and its textures. */
+    public destroy(): void
+    {
+        this._textures.forEach(({ texture }) => texture.destroy(true));
+        this._textures.clear();
+        this._texture = null;
+        this._canvas = null;
+        this.transform = null;
+        this.colorStops.length = 0;
+    }
+
+    /** Draws the color stops to the texture of the current size, creating it the first time. */
+    private updateTexture(): void
+    {
+        const size = this.textureSize;
+        const width = size;
+        const height = this.type === 'linear' ? 1 : size;
+        const key = `${width}x${height}`;
+        const cached = this._textures.get(key);
+
+        this._texture = cached?.texture ?? null;
+        this._canvas = cached?.canvas ?? settings.ADAPTER.createCanvas(width, height);
+
+        const context = this._canvas.getContext('2d') as ICanvasRenderingContext2D;
+        const gradient = this.type === 'linear'
+            ? context.createLinearGradient(0, 0, width, 0)
+            : this.createRadialGradient(context);
+
+        for (const { offset, color } of this.colorStops)
+        {
+            gradient.addColorStop(offset, Color.shared.setValue(color).toRgbaString());
+        }
+
+        context.clearRect(0, 0, width, height);
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, width, height);
+
+        if (this._texture)
+        {
+            this._texture.baseTexture.update();
+        }
+        else
+        {
+            this._texture = Texture.from(this._canvas);
+            this._textures.set(key, { texture: this._texture, canvas: this._canvas });
+        }
+    }
+
+    /**
+     * Creates the canvas gradient of a radial gradient in the coordinates of the texture.
+     * @param context - The context of the texture canvas
+     */
+    private createRadialGradient(context: ICanvasRenderingContext2D): CanvasGradient
+    {
+        const scale = this.textureSize / ((2 * this.r1) || 1);
+        const offsetX = this.r1 - this.x1;
+        const offsetY = this.r1 - this.y1;
+
+        return context.createRadialGradient(
+            (this.x0 + offsetX) * scale, (this.y0 + offsetY) * scale, this.r0 * scale,
+            this.r1 * scale, this.r1 * scale, this.r1 * scale
+        );
+    }
+}
@@ -1,6 +1,7 @@
 import { Texture } from '@pixi/core';
 
 import type { Matrix } from '@pixi/core';
+import type { FillGradient } from './FillGradient';
 
 /**
  * Fill style object for Graphics.
@@ -29,6 +30,12 @@ export class FillStyle
      */
     public matrix: Matrix = null;
 
+    /**
+     * The gradient the texture was generated from, if any.
+     * @default null
+     */
+    public gradient: FillGradient = null;
+
     /** If the current fill is visible. */
     public visible = false;
 
@@ -46,6 +53,7 @@ export class FillStyle
         obj.alpha = this.alpha;
         obj.texture = this.texture;
         obj.matrix = this.matrix;
+        obj.gradient = this.gradient;
         obj.visible = this.visible;
 
         return obj;
@@ -58,6 +66,7 @@ export class FillStyle
         this.alpha = 1;
         this.texture = Texture.WHITE;
         this.matrix = null;
+        this.gradient = null;
         this.visible = false;
     }
 
@@ -66,5 +75,6 @@ export class FillStyle
     {
         this.texture = null;
         this.matrix = null;
+        this.gradient = null;
     }
 }
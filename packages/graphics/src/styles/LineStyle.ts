@@ -42,6 +42,7 @@ export class LineStyle extends FillStyle
         obj.alpha = this.alpha;
         obj.texture = this.texture;
         obj.matrix = this.matrix;
+        obj.gradient = this.gradient;
         obj.visible = this.visible;
         obj.width = this.width;
         obj.alignment = this.alignment;
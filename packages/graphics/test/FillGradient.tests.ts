@@ -0,0 +1,109 @@
+import { Matrix, Point } from '@pixi/core';
+import { FillGradient, Graphics } from '@pixi/graphics';
+
+describe('FillGradient', () =>
+{
+    it('should sort and clamp color stops', () =>
+    {
+        const gradient = new FillGradient('linear', 0, 0, 100, 0)
+            .addColorStop(1, 'blue')
+            .addColorStop(-1, 'red')
+            .addColorStop(0.5, 'green');
+
+        expect(gradient.colorStops.map((stop) => stop.offset)).toEqual([0, 0.5, 1]);
+        expect(gradient.colorStops[0].color).toEqual('red');
+
+        gradient.destroy();
+    });
+
+    it('should generate a single row texture for linear gradients', () =>
+    {
+        const gradient = new FillGradient('linear', 0, 0, 100, 0).addColorStop(0, 'red');
+
+        expect(gradient.texture.width).toEqual(FillGradient.defaultTextureSize);
+        expect(gradient.texture.height).toEqual(1);
+
+        gradient.destroy();
+    });
+
+    it('should regenerate the texture when invalidated', () =>
+    {
+        const gradient = new FillGradient('radial', 0, 0, 0, 0, 0, 10).addColorStop(0, 'red');
+        const texture = gradient.texture;
+
+        expect(texture.width).toEqual(texture.height);
+        expect(gradient.texture).toBe(texture);
+
+        gradient.textureSize = 64;
+        gradient.invalidate();
+
+        expect(gradient.texture).not.toBe(texture);
+        expect(gradient.texture.width).toEqual(64);
+
+        gradient.destroy();
+    });
+
+    it('should keep the texture of shapes drawn before changing the size', () =>
+    {
+        const gradient = new FillGradient('linear', 0, 0, 100, 0).addColorStop(0, 'red');
+        const graphics = new Graphics()
+            .beginFill(gradient)
+            .drawRect(0, 0, 100, 100)
+            .endFill();
+        const texture = graphics.geometry.graphicsData[0].fillStyle.texture;
+        const baseTexture = texture.baseTexture;
+
+        gradient.textureSize = 64;
+        gradient.invalidate();
+
+        expect(gradient.texture).not.toBe(texture);
+        expect(baseTexture.destroyed).toBe(false);
+        expect(texture.valid).toBe(true);
+
+        gradient.textureSize = 256;
+        gradient.invalidate();
+
+        expect(gradient.texture).toBe(texture);
+
+        graphics.destroy();
+        gradient.destroy();
+
+        expect(baseTexture.destroyed).toBe(true);
+    });
+
+    it('should map the gradient line of a linear gradient to the texture', () =>
+    {
+        const gradient = new FillGradient('linear', 10, 10, 10, 110);
+        const matrix = gradient.getTextureMatrix();
+        const size = gradient.textureSize;
+
+        expect(matrix.apply(new Point(50, 10)).x).toBeCloseTo(0);
+        expect(matrix.apply(new Point(-50, 60)).x).toBeCloseTo(size / 2);
+        expect(matrix.apply(new Point(0, 110)).x).toBeCloseTo(size);
+        expect(matrix.apply(new Point(0, 110)).y).toBeCloseTo(0.5);
+    });
+
+    it('should map the end circle of a radial gradient to the texture', () =>
+    {
+        const gradient = FillGradient.radial(50, 50, 25);
+        const matrix = gradient.getTextureMatrix();
+        const size = gradient.textureSize;
+
+        expect(gradient.x0).toEqual(50);
+        expect(gradient.r1).toEqual(25);
+        expect(matrix.apply(new Point(25, 25))).toEqual(new Point(0, 0));
+        expect(matrix.apply(new Point(50, 50))).toEqual(new Point(size / 2, size / 2));
+        expect(matrix.apply(new Point(75, 75))).toEqual(new Point(size, size));
+    });
+
+    it('should apply the transform of the gradient', () =>
+    {
+        const gradient = new FillGradient('linear', 0, 0, 100, 0);
+
+        gradient.transform = new Matrix().scale(2, 2);
+
+        const matrix = gradient.getTextureMatrix();
+
+        expect(matrix.apply(new Point(200, 0)).x).toBeCloseTo(gradient.textureSize);
+    });
+});
@@ -1,5 +1,5 @@
-import { BLEND_MODES, Matrix, Point, Polygon, SHAPES, Texture } from '@pixi/core';
-import { FillStyle, Graphics, graphicsUtils, LINE_CAP, LINE_JOIN, LineStyle } from '@pixi/graphics';
+import { BLEND_MODES, Matrix, Point, Polygon, SHAPES, Texture, WRAP_MODES } from '@pixi/core';
+import { FillGradient, FillStyle, Graphics, graphicsUtils, LINE_CAP, LINE_JOIN, LineStyle } from '@pixi/graphics';
 
 const { FILL_COMMANDS, buildLine } = graphicsUtils;
 
@@ -235,6 +235,69 @@ describe('Graphics', () =>
         });
     });
 
+    describe('gradients', () =>
+    {
+        it('should fill with a gradient', () =>
+        {
+            const gradient = new FillGradient('linear', 0, 0, 10, 0).addColorStop(0, 'red').addColorStop(1, 'blue');
+            const graphics = new Graphics();
+
+            graphics.beginFill(gradient, 0.5);
+
+            expect(graphics.fill.gradient).toBe(gradient);
+            expect(graphics.fill.texture).toBe(gradient.texture);
+            expect(graphics.fill.matrix).toEqual(gradient.getTextureMatrix());
+            expect(graphics.fill.color).toEqual(0xFFFFFF);
+            expect(graphics.fill.alpha).toEqual(0.5);
+
+            graphics.beginFill(0xff0000);
+
+            expect(graphics.fill.gradient).toBeNull();
+            expect(graphics.fill.texture).toBe(Texture.WHITE);
+
+            graphics.destroy();
+            gradient.destroy();
+        });
+
+        it('should stroke with a gradient', () =>
+        {
+            const gradient = FillGradient.radial(0, 0, 10).addColorStop(0, 'red');
+            const graphics = new Graphics();
+
+            graphics.lineStyle({ width: 2, gradient });
+
+            expect(graphics.line.gradient).toBe(gradient);
+            expect(graphics.line.texture).toBe(gradient.texture);
+            expect(graphics.line.color).toEqual(0xFFFFFF);
+
+            graphics.destroy();
+            gradient.destroy();
+        });
+
+        it('should clamp gradient textures and batch them like textures', () =>
+        {
+            const gradient = new FillGradient('linear', 0, 0, 10, 0).addColorStop(0, 'red');
+            const graphics = new Graphics()
+                .beginFill(gradient)
+                .drawRect(0, 0, 10, 10)
+                .drawRect(20, 0, 10, 10)
+                .beginFill(0xff0000)
+                .drawRect(40, 0, 10, 10);
+
+            graphics.geometry.updateBatches();
+
+            const batches = graphics.geometry.batches;
+
+            expect(batches.length).toEqual(2);
+            expect(batches[0].style.texture).toBe(gradient.texture);
+            expect(gradient.texture.baseTexture.wrapMode).toEqual(WRAP_MODES.CLAMP);
+            expect(Texture.WHITE.baseTexture.wrapMode).toEqual(WRAP_MODES.REPEAT);
+
+            graphics.destroy();
+            gradient.destroy();
+        });
+    });
+
     describe('utils', () =>
     {
         it('FILL_COMMADS should be filled', () =>
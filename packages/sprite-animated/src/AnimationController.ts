@@ -0,0 +1,349 @@
+import { utils } from '@pixi/core';
+
+import type { Texture } from '@pixi/core';
+import type { AnimatedSprite, FrameObject } from './AnimatedSprite';
+
+/**
+ * A named animation of an {@link PIXI.AnimationController}.
+ * @memberof PIXI
+ */
+export interface IAnimationClip
+{
+    /** The textures or the frame objects of the clip. */
+    frames: Texture[] | FrameObject[];
+    /**
+     * The speed the clip plays at, see {@link PIXI.AnimatedSprite#animationSpeed}.
+     * @default 1
+     */
+    speed?: number;
+    /**
+     * Whether the clip repeats after playing.
+     * @default true
+     */
+    loop?: boolean;
+    /**
+     * Whether the clip plays forward then backward, without repeating the first and last frames.
+     * @default false
+     */
+    pingPong?: boolean;
+    /**
+     * Whether the clip plays from the last frame to the first one.
+     * @default false
+     */
+    reverse?: boolean;
+    /** Names of the events fired when frames are displayed, by index of the frame in `frames`. */
+    events?: Record<number, string | string[]>;
+    /** Name of the clip played once this clip completes, if it does not loop. */
+    next?: string;
+}
+
+/**
+ * When an {@link PIXI.AnimationController} switches to a clip.
+ * - `'immediate'`: the clip is played now.
+ * - `'complete'`: the clip is played once the current clip completes, or loops around,
+ *   replacing the clips waiting to be played.
+ * - `'queue'`: the clip is played after the clips waiting to be played.
+ * @memberof PIXI
+ */
+export type AnimationTransition = 'immediate' | 'complete' | 'queue';
+
+/**
+ * Events emitted by an {@link PIXI.AnimationController}. Frames are indices in the `frames` of the clip.
+ * @memberof PIXI
+ */
+export interface AnimationControllerEvents
+{
+    /** A clip started playing. */
+    start: [clip: string];
+    /** A frame of the clip is displayed. */
+    frame: [clip: string, frame: number];
+    /** A frame with events in its clip is displayed, fired for each of its events. */
+    event: [name: string, clip: string, frame: number];
+    /** A looping clip looped around. */
+    loop: [clip: string];
+    /** A clip which does not loop finished playing. */
+    complete: [clip: string];
+}
+
+/**
+ * Plays named clips on a single {@link PIXI.AnimatedSprite}, switching between them without recreating the sprite.
+ *
+ * Clips have their own speed, looping and direction, and can fire named events on given frames.
+ * The controller takes over the `onFrameChange`, `onLoop` and `onComplete` callbacks of the sprite,
+ * listen to the {@link PIXI.AnimationControllerEvents} of the controller instead.
+ * @example
+ * import { AnimatedSprite, AnimationController } from 'pixi.js';
+ *
+ * const sprite = new AnimatedSprite(sheet.animationFrames.idle);
+ * const controller = new AnimationController(sprite, {
+ *     idle: { frames: sheet.animationFrames.idle },
+ *     walk: { frames: sheet.animationFrames.walk, events: { 3: 'footstep', 7: 'footstep' } },
+ *     jump: { frames: sheet.animationFrames.jump, loop: false, next: 'idle' },
+ * });
+ *
+ * controller.on('event', (name) => name === 'footstep' && playFootstep());
+ * controller.play('walk');
+ * // lands in the idle clip once the jump completes
+ * controller.play('jump', 'complete');
+ * @memberof PIXI
+ */
+export class AnimationController extends utils.EventEmitter<AnimationControllerEvents>
+{
+    /** The sprite the clips are played on. */
+    public sprite: AnimatedSprite;
+
+    /** The clips by name. */
+    private _clips: Map<string, IAnimationClip> = new Map();
+
+    /** Name of the clip being played, or null. */
+    private _current: string = null;
+
+    /** Index in the frames of the current clip of each frame the sprite plays. */
+    private _sequence: number[] = [];
+
+    /** Names of the clips waiting for the current clip to complete. */
+    private _queue: string[] = [];
+
+    /** Incremented each time a clip starts, to know if listeners started another one. */
+    private _startCount = 0;
+
+    /**
+     * @param sprite - The sprite to play the clips on
+     * @param clips - The clips by name
+     */
+    constructor(sprite: AnimatedSprite, clips: Record<string, IAnimationClip> = {})
+    {
+        super();
+
+        this.sprite = sprite;
+        this.sprite.onFrameChange = this._onFrameChange.bind(this);
+        this.sprite.onLoop = () => this._onCycleEnd(true);
+        this.sprite.onComplete = () => this._onCycleEnd(false);
+
+        for (const name in clips)
+        {
+            this.add(name, clips[name]);
+        }
+    }
+
+    /**
+     * Adds a clip, replacing any clip with the same name. The clip is only applied when played.
+     * @param name - Name of the clip
+     * @param clip - The clip
+     * @returns - This controller. Good for chaining method calls
+     */
+    public add(name: string, clip: IAnimationClip): this
+    {
+        if (clip.frames.length === 0)
+        {
+            throw new Error(`[AnimationController] clip ${name} has no frames`);
+        }
+
+        this._clips.set(name, clip);
+
+        return this;
+    }
+
+    /**
+     * Removes a clip. The clip keeps playing if it is the current clip.
+     * @param name - Name of the clip
+     * @returns - This controller. Good for chaining method calls
+     */
+    public remove(name: string): this
+    {
+        this._clips.delete(name);
+        this._queue = this._queue.filter((queued) => queued !== name);
+
+        return this;
+    }
+
+    /**
+     * Checks if there is a clip with a name.
+     * @param name - Name of the clip
+     */
+    public has(name: string): boolean
+    {
+        return this._clips.has(name);
+    }
+
+    /**
+     * Gets a clip.
+     * @param name - Name of the clip
+     * @returns - The clip, or undefined
+     */
+    public get(name: string): IAnimationClip
+    {
+        return this._clips.get(name);
+    }
+
+    /**
+     * Plays a clip. Clips waiting for the current clip to complete are played right away if the sprite is stopped.
+     * @param name - Name of the clip
+     * @param transition - When to switch to the clip
+     * @returns - This controller. Good for chaining method calls
+     */
+    public play(name: string, transition: AnimationTransition = 'immediate'): this
+    {
+        if (!this._clips.has(name))
+        {
+            throw new Error(`[AnimationController] there is no clip named ${name}`);
+        }
+
+        if (transition === 'immediate' || !this.sprite.playing)
+        {
+            this._queue.length = 0;
+            this._start(name);
+        }
+        else if (transition === 'complete')
+        {
+            this._queue = [name];
+        }
+        else
+        {
+            this._queue.push(name);
+        }
+
+        return this;
+    }
+
+    /**
+     * Stops the current clip on its current frame, and forgets the clips waiting to be played.
+     * @returns - This controller. Good for chaining method calls
+     */
+    public stop(): this
+    {
+        this._queue.length = 0;
+        this.sprite.stop();
+
+        return this;
+    }
+
+    /** Name of the current clip, or null if no clip was played. */
+    get currentClip(): string
+    {
+        return this._current;
+    }
+
+    /** Index of the displayed frame in the frames of the current clip, or -1 if no clip was played. */
+    get currentFrame(): number
+    {
+        return this._current === null ? -1 : this._sequence[this.sprite.currentFrame];
+    }
+
+    /**
+     * Names of the clips waiting for the current clip to complete, in the order they play.
+     * @readonly
+     */
+    get queue(): readonly string[]
+    {
+        return this._queue;
+    }
+
+    /** Stops the sprite and releases it. The sprite itself is not destroyed. */
+    public destroy(): void
+    {
+        this.removeAllListeners();
+
+        if (this.sprite)
+        {
+            this.sprite.stop();
+            this.sprite.onFrameChange = null;
+            this.sprite.onLoop = null;
+            this.sprite.onComplete = null;
+            this.sprite = null;
+        }
+
+        this._clips.clear();
+        this._queue.length = 0;
+        this._sequence = [];
+        this._current = null;
+    }
+
+    /**
+     * Applies a clip to the sprite and plays it from its first frame.
+     * @param name - Name of the clip
+     */
+    private _start(name: string): void
+    {
+        const clip = this._clips.get(name);
+        const frames = clip.frames as (Texture | FrameObject)[];
+        const sequence = frames.map((_frame, i) => i);
+
+        if (clip.reverse)
+        {
+            sequence.reverse();
+        }
+
+        if (clip.pingPong)
+        {
+            sequence.push(...sequence.slice(1, -1).reverse());
+        }
+
+        const sprite = this.sprite;
+
+        this._current = name;
+        this._sequence = sequence;
+        this._startCount++;
+
+        // stopped first, the sprite only reports the frames of the new clip
+        sprite.stop();
+        sprite.animationSpeed = clip.speed ?? 1;
+        sprite.loop = clip.loop ?? true;
+
+        this.emit('start', name);
+
+        sprite.textures = sequence.map((i) => frames[i]) as Texture[] | FrameObject[];
+        sprite.play();
+    }
+
+    /**
+     * Fires the events of a frame of the current clip.
+     * @param sequenceIndex - The frame played by the sprite
+     */
+    private _onFrameChange(sequenceIndex: number): void
+    {
+        const name = this._current;
+
+        if (name === null) return;
+
+        const frame = this._sequence[sequenceIndex];
+        const events = this._clips.get(name)?.events?.[frame];
+
+        this.emit('frame', name, frame);
+
+        if (events)
+        {
+            for (const event of typeof events === 'string' ? [events] : events)
+            {
+                this.emit('event', event, name, frame);
+            }
+        }
+    }
+
+    /**
+     * Called when the current clip completes or loops around, to play the next clip.
+     * @param looped - Whether the clip looped around
+     */
+    private _onCycleEnd(looped: boolean): void
+    {
+        const name = this._current;
+        const startCount = this._startCount;
+
+        if (name === null) return;
+
+        this.emit(looped ? 'loop' : 'complete', name);
+
+        // listeners may have played another clip already
+        if (this._startCount !== startCount || !this.sprite)
+        {
+            return;
+        }
+
+        const next = this._queue.shift() ?? (looped ? undefined : this._clips.get(name)?.next);
+
+        if (next !== undefined && this._clips.has(next))
+        {
+            this._start(next);
+        }
+    }
+}
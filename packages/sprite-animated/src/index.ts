@@ -1 +1,2 @@
 export * from './AnimatedSprite';
+export * from './AnimationController';
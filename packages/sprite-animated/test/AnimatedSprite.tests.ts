@@ -1,4 +1,4 @@
-import { Texture } from '@pixi/core';
+import { BaseTexture, Point, Rectangle, Texture } from '@pixi/core';
 import { AnimatedSprite } from '@pixi/sprite-animated';
 
 describe('AnimatedSprite', () =>
@@ -507,4 +507,35 @@ describe('AnimatedSprite', () =>
             expect(count).toBe(2);
         });
     });
+
+    describe('.containsPoint()', () =>
+    {
+        it('should hit test the visible pixels of the current frame', () =>
+        {
+            // opaque on the left half, transparent on the right half
+            const data = new Uint8Array(4 * 2 * 4);
+
+            for (let i = 0; i < 4 * 2; i++)
+            {
+                data[(i * 4) + 3] = (i % 4) < 2 ? 255 : 0;
+            }
+
+            const baseTexture = BaseTexture.fromBuffer(data, 4, 2);
+            const sprite = new AnimatedSprite([
+                new Texture(baseTexture, new Rectangle(0, 0, 2, 2)),
+                new Texture(baseTexture, new Rectangle(2, 0, 2, 2)),
+            ], false);
+
+            sprite.hitAlphaThreshold = 0.5;
+
+            expect(sprite.containsPoint(new Point(1, 1))).toBe(true);
+
+            sprite.gotoAndStop(1);
+
+            expect(sprite.containsPoint(new Point(1, 1))).toBe(false);
+
+            sprite.destroy();
+            baseTexture.destroy();
+        });
+    });
 });
@@ -0,0 +1,177 @@
+import { Texture } from '@pixi/core';
+import { AnimatedSprite, AnimationController } from '@pixi/sprite-animated';
+
+import type { IAnimationClip } from '@pixi/sprite-animated';
+
+describe('AnimationController', () =>
+{
+    let sprite: AnimatedSprite;
+    let controller: AnimationController;
+    let frames: string[];
+
+    /**
+     * Creates a clip of textures.
+     * @param length - Number of frames
+     * @param options - Other properties of the clip
+     */
+    function createClip(length: number, options: Partial<IAnimationClip> = {}): IAnimationClip
+    {
+        return { frames: Array.from({ length }, () => Texture.EMPTY), ...options };
+    }
+
+    /**
+     * Advances the animation by a number of frames.
+     * @param count - Number of frames
+     */
+    function advance(count: number): void
+    {
+        for (let i = 0; i < count; i++)
+        {
+            sprite.update(1);
+        }
+    }
+
+    beforeEach(() =>
+    {
+        sprite = new AnimatedSprite([Texture.EMPTY], false);
+        controller = new AnimationController(sprite, {
+            idle: createClip(3),
+            walk: createClip(4, { events: { 1: 'footstep', 3: ['footstep', 'dust'] } }),
+            jump: createClip(3, { loop: false, next: 'idle' }),
+            spin: createClip(4, { pingPong: true, speed: 2 }),
+            rewind: createClip(3, { reverse: true, loop: false }),
+        });
+        frames = [];
+        controller.on('frame', (clip, frame) => frames.push(`${clip}:${frame}`));
+    });
+
+    afterEach(() =>
+    {
+        controller.destroy();
+        sprite.destroy();
+    });
+
+    it('should switch clips immediately', () =>
+    {
+        controller.play('idle');
+        advance(4);
+        controller.play('walk');
+        advance(1);
+
+        expect(frames).toEqual(['idle:0', 'idle:1', 'idle:2', 'idle:0', 'idle:1', 'walk:0', 'walk:1']);
+        expect(controller.currentClip).toEqual('walk');
+        expect(controller.currentFrame).toEqual(1);
+        expect(sprite.totalFrames).toEqual(4);
+    });
+
+    it('should fire the events of frames', () =>
+    {
+        const events: string[] = [];
+
+        controller.on('event', (name, clip, frame) => events.push(`${name}:${clip}:${frame}`));
+        controller.play('walk');
+        advance(4);
+
+        expect(events).toEqual(['footstep:walk:1', 'footstep:walk:3', 'dust:walk:3']);
+    });
+
+    it('should play clips in ping-pong and in reverse', () =>
+    {
+        controller.play('spin');
+        advance(3);
+        controller.play('rewind');
+        advance(3);
+
+        expect(frames).toEqual(['spin:0', 'spin:2', 'spin:2', 'spin:0', 'rewind:2', 'rewind:1', 'rewind:0']);
+        expect(sprite.animationSpeed).toEqual(1);
+    });
+
+    it('should play the next clip once a clip completes', () =>
+    {
+        const complete = jest.fn();
+
+        controller.on('complete', complete);
+        controller.play('jump');
+        advance(3);
+
+        expect(complete).toHaveBeenCalledWith('jump');
+        expect(controller.currentClip).toEqual('idle');
+        expect(sprite.playing).toBe(true);
+        expect(frames).toEqual(['jump:0', 'jump:1', 'jump:2', 'idle:0']);
+    });
+
+    it('should switch clips once the current clip loops around', () =>
+    {
+        const loop = jest.fn();
+
+        controller.on('loop', loop);
+        controller.play('idle');
+        advance(1);
+        controller.play('walk', 'complete');
+        advance(1);
+
+        expect(controller.currentClip).toEqual('idle');
+
+        advance(1);
+
+        expect(loop).toHaveBeenCalledWith('idle');
+        expect(controller.currentClip).toEqual('walk');
+        expect(controller.currentFrame).toEqual(0);
+    });
+
+    it('should play queued clips in order', () =>
+    {
+        controller.play('rewind');
+        controller.play('jump', 'queue');
+        controller.play('walk', 'queue');
+
+        expect(controller.queue).toEqual(['jump', 'walk']);
+
+        advance(3);
+
+        expect(controller.currentClip).toEqual('jump');
+
+        advance(3);
+
+        // the queue takes precedence over the next clip of the jump
+        expect(controller.currentClip).toEqual('walk');
+        expect(controller.queue).toEqual([]);
+    });
+
+    it('should play right away when stopped', () =>
+    {
+        controller.play('idle');
+        controller.stop();
+        controller.play('walk', 'queue');
+
+        expect(controller.currentClip).toEqual('walk');
+        expect(sprite.playing).toBe(true);
+    });
+
+    it('should throw for unknown clips', () =>
+    {
+        expect(() => controller.play('fly')).toThrow('no clip named fly');
+        expect(() => controller.add('empty', createClip(0))).toThrow('has no frames');
+    });
+
+    it('should play frame objects', () =>
+    {
+        controller.add('timed', {
+            frames: [{ texture: Texture.EMPTY, time: 100 }, { texture: Texture.EMPTY, time: 50 }],
+            reverse: true,
+        });
+        controller.play('timed');
+
+        expect(sprite['_durations']).toEqual([50, 100]);
+    });
+
+    it('should release the sprite when destroyed', () =>
+    {
+        controller.play('idle');
+        controller.destroy();
+
+        expect(sprite.playing).toBe(false);
+        expect(sprite.onFrameChange).toBeNull();
+        expect(controller.sprite).toBeNull();
+    });
+});
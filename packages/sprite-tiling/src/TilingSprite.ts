@@ -1,4 +1,4 @@
-import { Point, Rectangle, Texture, TextureMatrix, Transform } from '@pixi/core';
+import { Point, Rectangle, Texture, TextureAlphaMask, TextureMatrix, Transform } from '@pixi/core';
 import { Sprite } from '@pixi/sprite';
 
 import type { IBaseTextureOptions, IPoint, IPointData, ISize, ObservablePoint, Renderer, TextureSource } from '@pixi/core';
@@ -194,13 +194,40 @@ export class TilingSprite extends Sprite
 
             if (tempPoint.y >= y1 && tempPoint.y < y1 + height)
             {
-                return true;
+                return this.hitAlphaThreshold <= 0 || this.sampleTileAlpha(tempPoint, x1, y1) >= this.hitAlphaThreshold;
             }
         }
 
         return false;
     }
 
+    /**
+     * Samples the alpha of the tiled texture at a local point, for the
+     * {@link PIXI.Sprite#hitAlphaThreshold alpha threshold} of the hit test.
+     * @param point - The local point inside the tiling sprite, it is modified.
+     * @param x1 - The left edge of the tiling sprite.
+     * @param y1 - The top edge of the tiling sprite.
+     * @returns - The alpha of the texture, from 0 to 1.
+     */
+    protected sampleTileAlpha(point: Point, x1: number, y1: number): number
+    {
+        const orig = this._texture.orig;
+
+        if (!this.uvRespectAnchor)
+        {
+            point.x -= x1;
+            point.y -= y1;
+        }
+
+        this.tileTransform.updateLocalTransform();
+        this.tileTransform.localTransform.applyInverse(point, point);
+
+        const x = ((point.x % orig.width) + orig.width) % orig.width;
+        const y = ((point.y % orig.height) + orig.height) % orig.height;
+
+        return TextureAlphaMask.sample(this._texture, x, y);
+    }
+
     /**
      * Destroys this sprite and optionally its texture and children
      * @param {object|boolean} [options] - Options parameter. A boolean will act as if all options
@@ -156,6 +156,41 @@ describe('TilingSprite', () =>
         expect(tilingSprite.containsPoint(new Point(300, 400))).toEqual(false);
     });
 
+    it('checks if tilingSprite contains a point with an alpha threshold', () =>
+    {
+        // opaque on the left half, transparent on the right half
+        const data = new Uint8Array(4 * 2 * 4);
+
+        for (let i = 0; i < 4 * 2; i++)
+        {
+            data[(i * 4) + 3] = (i % 4) < 2 ? 255 : 0;
+        }
+
+        const baseTexture = BaseTexture.fromBuffer(data, 4, 2);
+        const tilingSprite = new TilingSprite(new Texture(baseTexture), 20, 20);
+
+        tilingSprite.hitAlphaThreshold = 0.5;
+
+        expect(tilingSprite.containsPoint(new Point(1, 1))).toEqual(true);
+        expect(tilingSprite.containsPoint(new Point(3, 1))).toEqual(false);
+        expect(tilingSprite.containsPoint(new Point(9, 15))).toEqual(true);
+        expect(tilingSprite.containsPoint(new Point(11, 15))).toEqual(false);
+
+        tilingSprite.tilePosition.x = 2;
+
+        expect(tilingSprite.containsPoint(new Point(1, 1))).toEqual(false);
+        expect(tilingSprite.containsPoint(new Point(3, 1))).toEqual(true);
+
+        tilingSprite.tilePosition.x = 0;
+        tilingSprite.tileScale.x = 2;
+
+        expect(tilingSprite.containsPoint(new Point(3, 1))).toEqual(true);
+        expect(tilingSprite.containsPoint(new Point(5, 1))).toEqual(false);
+
+        tilingSprite.destroy();
+        baseTexture.destroy();
+    });
+
     it('gets and sets height and width correctly', () =>
     {
         const texture = new Texture(new BaseTexture());
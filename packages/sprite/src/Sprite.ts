@@ -1,4 +1,14 @@
-import { BLEND_MODES, Color, ObservablePoint, Point, Rectangle, settings, Texture, utils } from '@pixi/core';
+import {
+    BLEND_MODES,
+    Color,
+    ObservablePoint,
+    Point,
+    Rectangle,
+    settings,
+    Texture,
+    TextureAlphaMask,
+    utils
+} from '@pixi/core';
 import { Bounds, Container } from '@pixi/display';
 
 import type { ColorSource, IBaseTextureOptions, IPointData, Renderer, TextureSource } from '@pixi/core';
@@ -49,6 +59,24 @@ export class Sprite extends Container
      */
     public pluginName: string;
 
+    /**
+     * The minimum alpha of the texture, from 0 to 1, where the sprite is hit by {@link PIXI.Sprite#containsPoint
+     * containsPoint}, so that it only reacts to pointers over its visible pixels. A value of 0 disables it,
+     * and the sprite is hit anywhere in its bounds.
+     *
+     * The alpha is read from the resource of the base texture by {@link PIXI.TextureAlphaMask}, the first time
+     * the sprite is hit-tested. Set a `hitArea` to bypass it.
+     * @example
+     * import { Sprite } from 'pixi.js';
+     *
+     * const button = Sprite.from('round-button.png');
+     *
+     * button.eventMode = 'static';
+     * button.hitAlphaThreshold = 0.5;
+     * @default 0
+     */
+    public hitAlphaThreshold: number;
+
     /**
      * The width of the sprite (this is initially set by the texture).
      * @protected
@@ -175,6 +203,7 @@ export class Sprite extends Container
         this.indices = indices;
 
         this.pluginName = 'batch';
+        this.hitAlphaThreshold = 0;
 
         /**
          * Used to fast check if a sprite is.. a sprite!
@@ -432,7 +461,8 @@ export class Sprite extends Container
     }
 
     /**
-     * Tests if a point is inside this sprite
+     * Tests if a point is inside this sprite, and over a visible pixel of its texture if the
+     * {@link PIXI.Sprite#hitAlphaThreshold hitAlphaThreshold} is set.
      * @param point - the point to test
      * @returns The result of the test
      */
@@ -451,7 +481,8 @@ export class Sprite extends Container
 
             if (tempPoint.y >= y1 && tempPoint.y < y1 + height)
             {
-                return true;
+                return this.hitAlphaThreshold <= 0
+                    || TextureAlphaMask.sample(this._texture, tempPoint.x - x1, tempPoint.y - y1) >= this.hitAlphaThreshold;
             }
         }
 
@@ -172,6 +172,33 @@ describe('Sprite', () =>
 
             expect(sprite.containsPoint(point)).toBe(false);
         });
+
+        it('should only contain the visible pixels with an alpha threshold', () =>
+        {
+            // opaque on the left half, transparent on the right half
+            const data = new Uint8Array(4 * 2 * 4);
+
+            for (let i = 0; i < 4 * 2; i++)
+            {
+                data[(i * 4) + 3] = (i % 4) < 2 ? 255 : 0;
+            }
+
+            const baseTexture = BaseTexture.fromBuffer(data, 4, 2);
+            const sprite = new Sprite(new Texture(baseTexture));
+
+            sprite.anchor.set(0.5);
+
+            expect(sprite.containsPoint(new Point(1, 0))).toBe(true);
+
+            sprite.hitAlphaThreshold = 0.5;
+
+            expect(sprite.containsPoint(new Point(-1, 0))).toBe(true);
+            expect(sprite.containsPoint(new Point(1, 0))).toBe(false);
+            expect(sprite.containsPoint(new Point(-3, 0))).toBe(false);
+
+            sprite.destroy();
+            baseTexture.destroy();
+        });
     });
 
     interface EETexture extends Texture
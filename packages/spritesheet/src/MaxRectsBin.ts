@@ -0,0 +1,146 @@
+import { Rectangle } from '@pixi/core';
+
+/**
+ * Where a rectangle was placed in a {@link MaxRectsBin}.
+ * @ignore
+ */
+export interface IBinPlacement
+{
+    x: number;
+    y: number;
+    /** `true` if the rectangle was rotated by 90 degrees to fit, swapping its width and height */
+    rotated: boolean;
+}
+
+/**
+ * Packs rectangles in a fixed size area with the MaxRects algorithm, as described in
+ * "A Thousand Ways to Pack the Bin" by Jukka Jylänki. All the maximal free rectangles are kept track of,
+ * and each rectangle is placed where the bounds of the placed rectangles grow the least, then in the free
+ * rectangle it fits best (best short side fit). This keeps the used area compact when the area is larger
+ * than needed.
+ * @ignore
+ */
+export class MaxRectsBin
+{
+    /** Width of the area. */
+    public readonly width: number;
+
+    /** Height of the area. */
+    public readonly height: number;
+
+    /** Right edge of the placed rectangles. */
+    public usedWidth = 0;
+
+    /** Bottom edge of the placed rectangles. */
+    public usedHeight = 0;
+
+    /** The maximal free rectangles, which may overlap each other. */
+    private _freeRects: Rectangle[];
+
+    /**
+     * @param width - Width of the area
+     * @param height - Height of the area
+     */
+    constructor(width: number, height: number)
+    {
+        this.width = width;
+        this.height = height;
+        this._freeRects = [new Rectangle(0, 0, width, height)];
+    }
+
+    /**
+     * Places a rectangle in the area.
+     * @param width - Width of the rectangle
+     * @param height - Height of the rectangle
+     * @param allowRotation - Whether the rectangle can be rotated by 90 degrees to fit better
+     * @returns - Where the rectangle was placed, or null if it does not fit
+     */
+    public insert(width: number, height: number, allowRotation = false): IBinPlacement
+    {
+        let best: IBinPlacement = null;
+        let bestArea = Infinity;
+        let bestShortSide = Infinity;
+
+        const score = (free: Rectangle, w: number, h: number, rotated: boolean) =>
+        {
+            if (w > free.width || h > free.height) return;
+
+            const area = Math.max(this.usedWidth, free.x + w) * Math.max(this.usedHeight, free.y + h);
+            const shortSide = Math.min(free.width - w, free.height - h);
+
+            if (area < bestArea || (area === bestArea && shortSide < bestShortSide))
+            {
+                best = { x: free.x, y: free.y, rotated };
+                bestArea = area;
+                bestShortSide = shortSide;
+            }
+        };
+
+        for (const free of this._freeRects)
+        {
+            score(free, width, height, false);
+
+            if (allowRotation && width !== height)
+            {
+                score(free, height, width, true);
+            }
+        }
+
+        if (best)
+        {
+            this._place(best.rotated
+                ? new Rectangle(best.x, best.y, height, width)
+                : new Rectangle(best.x, best.y, width, height));
+        }
+
+        return best;
+    }
+
+    /**
+     * Removes a placed rectangle from the free rectangles, splitting those it overlaps.
+     * @param used - The placed rectangle
+     */
+    private _place(used: Rectangle): void
+    {
+        const freeRects: Rectangle[] = [];
+
+        for (const free of this._freeRects)
+        {
+            if (used.x >= free.right || used.right <= free.x || used.y >= free.bottom || used.bottom <= free.y)
+            {
+                freeRects.push(free);
+                continue;
+            }
+
+            // the free space left on each side of the placed rectangle
+            if (used.x > free.x)
+            {
+                freeRects.push(new Rectangle(free.x, free.y, used.x - free.x, free.height));
+            }
+            if (used.right < free.right)
+            {
+                freeRects.push(new Rectangle(used.right, free.y, free.right - used.right, free.height));
+            }
+            if (used.y > free.y)
+            {
+                freeRects.push(new Rectangle(free.x, free.y, free.width, used.y - free.y));
+            }
+            if (used.bottom < free.bottom)
+            {
+                freeRects.push(new Rectangle(free.x, used.bottom, free.width, free.bottom - used.bottom));
+            }
+        }
+
+        // only keep the maximal rectangles
+        this._freeRects = freeRects.filter((rect, i) => !freeRects.some((other, j) =>
+            i !== j
+            && other.x <= rect.x && other.y <= rect.y
+            && other.right >= rect.right && other.bottom >= rect.bottom
+            // of identical rectangles, keep the first one
+            && (j < i || other.width !== rect.width || other.height !== rect.height
+                || other.x !== rect.x || other.y !== rect.y)));
+
+        this.usedWidth = Math.max(this.usedWidth, used.right);
+        this.usedHeight = Math.max(this.usedHeight, used.bottom);
+    }
+}
@@ -1,4 +1,4 @@
-import { BaseTexture, Rectangle, Texture, utils } from '@pixi/core';
+import { BaseTexture, Point, Rectangle, Texture, utils } from '@pixi/core';
 
 import type { ImageResource, IPointData, ITextureBorders } from '@pixi/core';
 
@@ -28,6 +28,57 @@ export interface ISpritesheetFrameData
     };
     anchor?: IPointData;
     borders?: ITextureBorders;
+    /** Name of the frame, when the frames are an array as in the array variant exported by Aseprite */
+    filename?: string;
+    /** Duration of the frame in milliseconds, exported by Aseprite */
+    duration?: number;
+}
+
+/**
+ * A frame of an animation with its own duration, which can be given to an {@link PIXI.AnimatedSprite} as is.
+ * @memberof PIXI
+ */
+export interface ISpritesheetAnimationFrame
+{
+    /** The texture of the frame. */
+    texture: Texture;
+    /** The duration of the frame, in milliseconds. */
+    time: number;
+}
+
+/**
+ * A key of a {@link PIXI.ISpritesheetSlice}, giving the slice its bounds from a frame on.
+ * Sizes are in the coordinates of the textures of the frames, like their `orig` rectangle.
+ * @memberof PIXI
+ */
+export interface ISpritesheetSliceKey
+{
+    /** Index of the frame from which the key applies. */
+    frame: number;
+    /** Bounds of the slice. */
+    bounds: Rectangle;
+    /** The center of a 9-slice slice, relative to its bounds. */
+    center?: Rectangle;
+    /** The borders of a 9-slice slice, as used by {@link PIXI.NineSlicePlane}. */
+    borders?: ITextureBorders;
+    /** The pivot of the slice, relative to its bounds. */
+    pivot?: Point;
+}
+
+/**
+ * A named area of the frames of a spritesheet, exported by Aseprite.
+ * @memberof PIXI
+ */
+export interface ISpritesheetSlice
+{
+    /** Name of the slice. */
+    name: string;
+    /** The color of the slice in the editor. */
+    color?: string;
+    /** User data of the slice. */
+    data?: string;
+    /** The keys of the slice, sorted by frame. */
+    keys: ISpritesheetSliceKey[];
 }
 
 /**
@@ -37,6 +88,7 @@ export interface ISpritesheetFrameData
 export interface ISpritesheetData
 {
     animations?: utils.Dict<string[]>;
+    /** The frames by name. Frames exported by Aseprite as an array, with a `filename` each, are accepted too. */
     frames: utils.Dict<ISpritesheetFrameData>;
     meta: {
         app?: string;
@@ -45,7 +97,12 @@ export interface ISpritesheetData
             from: number;
             name: string;
             to: number;
+            /** One of `'forward'`, `'reverse'`, `'pingpong'` or `'pingpong_reverse'` */
             direction: string;
+            /** The number of passes the tag plays, each way of a ping-pong tag counting as one pass */
+            repeat?: string;
+            color?: string;
+            data?: string;
         }[];
         image?: string;
         layers?: {
@@ -61,6 +118,7 @@ export interface ISpritesheetData
         slices?: {
             color: string;
             name: string;
+            data?: string;
             keys: {
                 frame: number,
                 bounds: {
@@ -69,6 +127,16 @@ export interface ISpritesheetData
                     w: number;
                     h: number;
                 };
+                center?: {
+                    x: number;
+                    y: number;
+                    w: number;
+                    h: number;
+                };
+                pivot?: {
+                    x: number;
+                    y: number;
+                };
             }[];
         }[];
         // eslint-disable-next-line camelcase
@@ -146,6 +214,17 @@ export interface ISpritesheetData
  * Default anchor points (see {@link PIXI.Texture#defaultAnchor}), default 9-slice borders
  * (see {@link PIXI.Texture#defaultBorders}) and grouping of animation sprites are currently only
  * supported by TexturePacker.
+ *
+ * The JSON exported by {@link https://www.aseprite.org/|Aseprite} is also supported, with frames as a hash
+ * or as an array. Its tags become animations, played in their direction and with the duration of each
+ * frame in {@link PIXI.Spritesheet#animationFrames}, and its slices are in {@link PIXI.Spritesheet#slices}.
+ * The frames of tags played a number of times are repeated in their animation, which is meant to be played
+ * without looping.
+ * @example
+ * import { AnimatedSprite, NineSlicePlane } from 'pixi.js';
+ *
+ * const walk = new AnimatedSprite(sheet.animationFrames.walk);
+ * const { bounds, borders } = sheet.slices.button.keys[0];
  * @memberof PIXI
  */
 export class Spritesheet<S extends ISpritesheetData = ISpritesheetData>
@@ -179,6 +258,20 @@ export class Spritesheet<S extends ISpritesheetData = ISpritesheetData>
      */
     public animations: Record<keyof S['animations'], Texture[]>;
 
+    /**
+     * A map containing the frames for each animation, with their duration in milliseconds.
+     * Frames without a duration last 100 milliseconds, the default of Aseprite.
+     * Can be used to create an {@link PIXI.AnimatedSprite|AnimatedSprite} playing at the pace of the animation:
+     * @example
+     * import { AnimatedSprite } from 'pixi.js';
+     *
+     * new AnimatedSprite(sheet.animationFrames['anim_name']);
+     */
+    public animationFrames: Record<string, ISpritesheetAnimationFrame[]>;
+
+    /** A map containing the slices exported by Aseprite, by name. */
+    public slices: Record<string, ISpritesheetSlice>;
+
     /**
      * Reference to the original JSON data.
      * @type {object}
@@ -225,17 +318,41 @@ export class Spritesheet<S extends ISpritesheetData = ISpritesheetData>
         this.baseTexture = texture instanceof BaseTexture ? texture : this._texture.baseTexture;
         this.textures = {} as Record<keyof S['frames'], Texture>;
         this.animations = {} as Record<keyof S['animations'], Texture[]>;
+        this.animationFrames = {};
+        this.slices = {};
         this.data = data;
 
         const resource = this.baseTexture.resource as ImageResource;
 
         this.resolution = this._updateResolution(resolutionFilename || (resource ? resource.url : null));
-        this._frames = this.data.frames;
+        this._frames = this._normalizeFrames(this.data.frames);
         this._frameKeys = Object.keys(this._frames);
         this._batchIndex = 0;
         this._callback = null;
     }
 
+    /**
+     * Converts the frames exported as an array, as in the array variant of Aseprite, to a map by name.
+     * @param frames - The frames of the data
+     * @returns - The frames by name
+     */
+    private _normalizeFrames(frames: S['frames'] | ISpritesheetFrameData[]): S['frames']
+    {
+        if (!Array.isArray(frames))
+        {
+            return frames;
+        }
+
+        const map: utils.Dict<ISpritesheetFrameData> = {};
+
+        frames.forEach((frame, i) =>
+        {
+            map[frame.filename ?? `${i}`] = frame;
+        });
+
+        return map as S['frames'];
+    }
+
     /**
      * Generate the resolution from the filename or fallback
      * to the meta.scale field of the JSON data.
@@ -282,6 +399,7 @@ export class Spritesheet<S extends ISpritesheetData = ISpritesheetData>
             {
                 this._processFrames(0);
                 this._processAnimations();
+                this._processSlices();
                 this._parseComplete();
             }
             else
@@ -383,6 +501,135 @@ export class Spritesheet<S extends ISpritesheetData = ISpritesheetData>
                 this.animations[animName].push(this.textures[frameName]);
             }
         }
+
+        const frameTags = this.data.meta.frameTags || [];
+
+        for (const { name, from, to, direction, repeat } of frameTags)
+        {
+            const indices = [];
+
+            for (let i = from; i <= to; i++)
+            {
+                indices.push(i);
+            }
+
+            if (direction === 'reverse' || direction === 'pingpong_reverse')
+            {
+                indices.reverse();
+            }
+
+            const pingPong = direction === 'pingpong' || direction === 'pingpong_reverse';
+            const times = parseInt(repeat, 10);
+
+            if (times > 1)
+            {
+                const pass = indices.slice();
+
+                // ping-pong goes the other way each time, without playing the frame it turns on twice
+                for (let i = 1; i < times; i++)
+                {
+                    if (pingPong)
+                    {
+                        pass.reverse();
+                        indices.push(...pass.slice(1));
+                    }
+                    else
+                    {
+                        indices.push(...pass);
+                    }
+                }
+            }
+            // ping-pong plays back to the first frame without repeating the ends, as the animation loops
+            else if (pingPong && times !== 1)
+            {
+                indices.push(...indices.slice(1, -1).reverse());
+            }
+
+            const frames = indices
+                .map((index) => this._frameKeys[index])
+                .filter((key) => this.textures[key])
+                .map((key) => ({
+                    texture: this.textures[key],
+                    time: this._frames[key].duration ?? 100,
+                }));
+
+            this.animations[name as keyof S['animations']] = frames.map(({ texture }) => texture);
+            this.animationFrames[name] = frames;
+        }
+    }
+
+    /** Parse the slices exported by Aseprite. */
+    private _processSlices(): void
+    {
+        const slices = this.data.meta.slices || [];
+        const resolution = this.resolution;
+
+        for (const { name, color, data, keys } of slices)
+        {
+            this.slices[name] = {
+                name,
+                color,
+                data,
+                keys: keys
+                    .map(({ frame, bounds, center, pivot }) =>
+                    {
+                        const key: ISpritesheetSliceKey = {
+                            frame,
+                            bounds: new Rectangle(
+                                bounds.x / resolution,
+                                bounds.y / resolution,
+                                bounds.w / resolution,
+                                bounds.h / resolution
+                            ),
+                        };
+
+                        if (center)
+                        {
+                            key.center = new Rectangle(
+                                center.x / resolution,
+                                center.y / resolution,
+                                center.w / resolution,
+                                center.h / resolution
+                            );
+                            key.borders = {
+                                left: key.center.left,
+                                top: key.center.top,
+                                right: key.bounds.width - key.center.right,
+                                bottom: key.bounds.height - key.center.bottom,
+                            };
+                        }
+
+                        if (pivot)
+                        {
+                            key.pivot = new Point(pivot.x / resolution, pivot.y / resolution);
+                        }
+
+                        return key;
+                    })
+                    .sort((a, b) => a.frame - b.frame),
+            };
+        }
+    }
+
+    /**
+     * Gets the key of a slice which applies to a frame, the last key starting at or before the frame.
+     * @param name - Name of the slice
+     * @param frame - Index of the frame
+     * @returns - The key, or null if there is no such slice or it starts after the frame
+     */
+    public getSliceKey(name: string, frame = 0): ISpritesheetSliceKey
+    {
+        const keys = this.slices[name]?.keys ?? [];
+        let result: ISpritesheetSliceKey = null;
+
+        for (const key of keys)
+        {
+            if (key.frame > frame) break;
+
+            result = key;
+        }
+
+        return result;
     }
 
     /** The parse has completed. */
@@ -409,6 +656,7 @@ export class Spritesheet<S extends ISpritesheetData = ISpritesheetData>
             else
             {
                 this._processAnimations();
+                this._processSlices();
                 this._parseComplete();
             }
         }, 0);
@@ -428,6 +676,8 @@ export class Spritesheet<S extends ISpritesheetData = ISpritesheetData>
         this._frameKeys = null;
         this.data = null;
         this.textures = null;
+        this.animationFrames = null;
+        this.slices = null;
         if (destroyBase)
         {
             this._texture?.destroy();
@@ -0,0 +1,405 @@
+import { BaseTexture, Rectangle, RenderTexture, SCALE_MODES, Texture, utils } from '@pixi/core';
+import { Container } from '@pixi/display';
+import { Sprite } from '@pixi/sprite';
+import { MaxRectsBin } from './MaxRectsBin';
+import { Spritesheet } from './Spritesheet';
+
+import type { IRenderer } from '@pixi/core';
+import type { ISpritesheetData, ISpritesheetFrameData } from './Spritesheet';
+
+/**
+ * Rounds down to a power of two.
+ * @param value - The number to round, at least 1
+ * @returns - The largest power of two which is not greater than the number
+ */
+function floorPow2(value: number): number
+{
+    return utils.isPow2(value) ? value : utils.nextPow2(value) >> 1;
+}
+
+/**
+ * Options for {@link PIXI.SpritesheetPacker}.
+ * @memberof PIXI
+ */
+export interface ISpritesheetPackerOptions
+{
+    /** Maximum width in pixels of the atlas pages. */
+    maxWidth?: number;
+    /** Maximum height in pixels of the atlas pages. */
+    maxHeight?: number;
+    /** Space in pixels between the frames. */
+    padding?: number;
+    /**
+     * Number of pixels the edges of the frames are repeated around them, which prevents neighbouring
+     * frames from bleeding in when the textures are scaled or drawn at fractional positions.
+     */
+    extrude?: number;
+    /** Whether frames can be rotated by 90 degrees, to pack them more tightly. */
+    allowRotation?: boolean;
+    /**
+     * Whether the size of the atlas pages is rounded up to a power of two. The pages are then at most
+     * the largest powers of two within the maximum size.
+     */
+    powerOfTwo?: boolean;
+    /** Resolution of the atlas pages. */
+    resolution?: number;
+}
+
+/**
+ * A frame placed in an atlas page.
+ * @ignore
+ */
+interface IPackedFrame
+{
+    name: string;
+    texture: Texture;
+    /** Position of the frame content in the page, in pixels */
+    x: number;
+    y: number;
+    /** Size of the frame content before rotation, in pixels */
+    width: number;
+    height: number;
+    rotated: boolean;
+}
+
+/**
+ * An atlas page and its frames.
+ * @ignore
+ */
+interface IPackedPage
+{
+    width: number;
+    height: number;
+    frames: IPackedFrame[];
+}
+
+/**
+ * Packs textures into atlas pages at runtime, for instance to batch user-generated content.
+ *
+ * Textures are placed with the MaxRects algorithm in as few pages as needed, and rendered into a
+ * {@link PIXI.RenderTexture} for each page. The result is a {@link PIXI.Spritesheet} per page, whose frames
+ * are named like the packed textures and keep their trim, default anchor and default borders.
+ *
+ * Any texture can be packed, including render textures. The edges of textures which are themselves
+ * rotated in their base texture are not extruded.
+ * @example
+ * import { SpritesheetPacker } from 'pixi.js';
+ *
+ * const packer = new SpritesheetPacker({ padding: 2, extrude: 1 });
+ *
+ * avatars.forEach((avatar) => packer.add(avatar.id, avatar.texture));
+ *
+ * const [sheet] = await packer.pack(app.renderer);
+ *
+ * new Sprite(sheet.textures[avatars[0].id]);
+ * @memberof PIXI
+ */
+export class SpritesheetPacker
+{
+    /** The default options of packers. */
+    public static defaultOptions: ISpritesheetPackerOptions = {
+        maxWidth: 2048,
+        maxHeight: 2048,
+        padding: 1,
+        extrude: 0,
+        allowRotation: false,
+        powerOfTwo: false,
+        resolution: 1,
+    };
+
+    /** The options of the packer. */
+    public readonly options: ISpritesheetPackerOptions;
+
+    /** The textures to pack, by frame name. */
+    private readonly _textures: Map<string, Texture> = new Map();
+
+    /** @param options - Options of the packer, see {@link PIXI.SpritesheetPacker.defaultOptions} */
+    constructor(options: ISpritesheetPackerOptions = {})
+    {
+        this.options = { ...SpritesheetPacker.defaultOptions, ...options };
+    }
+
+    /**
+     * Adds a texture to pack. The texture must be loaded by the time it is packed.
+     * @param name - Name of the frame in the spritesheets, replacing any texture added with this name
+     * @param texture - The texture to pack, base textures are packed whole
+     * @returns - This packer. Good for chaining method calls
+     */
+    public add(name: string, texture: Texture | BaseTexture): this
+    {
+        this._textures.set(name, texture instanceof BaseTexture ? new Texture(texture) : texture);
+
+        return this;
+    }
+
+    /**
+     * Removes a texture added to pack.
+     * @param name - Name of the frame
+     * @returns - This packer. Good for chaining method calls
+     */
+    public remove(name: string): this
+    {
+        this._textures.delete(name);
+
+        return this;
+    }
+
+    /**
+     * Places the textures in atlas pages, without rendering them.
+     * @returns - The spritesheet data of each page
+     */
+    public layout(): ISpritesheetData[]
+    {
+        return this._layout().map((page) => this._createData(page));
+    }
+
+    /**
+     * Packs the textures into atlas pages.
+     * The first spritesheet links to the spritesheets of the other pages in `linkedSheets`.
+     * @param renderer - The renderer to draw the pages with
+     * @returns - The spritesheet of each page, destroy them with `destroy(true)` to release the pages
+     */
+    public async pack(renderer: IRenderer): Promise<Spritesheet[]>
+    {
+        const { resolution } = this.options;
+        const pages = this._layout();
+        const scaleModes = new Map<BaseTexture, SCALE_MODES>();
+
+        // edges are sampled from single pixels, which must not be blended with their neighbours
+        this._textures.forEach(({ baseTexture }) =>
+        {
+            scaleModes.set(baseTexture, baseTexture.scaleMode);
+            baseTexture.scaleMode = SCALE_MODES.NEAREST;
+        });
+
+        const sheets = pages.map((page) =>
+        {
+            const renderTexture = RenderTexture.create({
+                width: page.width / resolution,
+                height: page.height / resolution,
+                resolution,
+            });
+            const container = new Container();
+            const subTextures: Texture[] = [];
+
+            page.frames.forEach((frame) => container.addChild(this._createFrameContainer(frame, subTextures)));
+            renderer.render(container, { renderTexture, clear: true });
+            container.destroy({ children: true });
+            subTextures.forEach((texture) => texture.destroy());
+
+            return new Spritesheet(renderTexture, this._createData(page));
+        });
+
+        scaleModes.forEach((scaleMode, baseTexture) =>
+        {
+            baseTexture.scaleMode = scaleMode;
+        });
+
+        await Promise.all(sheets.map((sheet) => sheet.parse()));
+
+        if (sheets.length > 0)
+        {
+            sheets[0].linkedSheets = sheets.slice(1);
+        }
+
+        return sheets;
+    }
+
+    /** Places the textures in as few pages as possible, largest first. */
+    private _layout(): IPackedPage[]
+    {
+        const { maxWidth, maxHeight, padding, extrude, allowRotation, powerOfTwo, resolution } = this.options;
+        const frames: IPackedFrame[] = [];
+
+        this._textures.forEach((texture, name) =>
+        {
+            if (!texture.valid)
+            {
+                throw new Error(`[SpritesheetPacker] texture ${name} is not loaded`);
+            }
+
+            const content = texture.trim ?? texture.orig;
+
+            frames.push({
+                name,
+                texture,
+                x: 0,
+                y: 0,
+                width: Math.ceil(content.width * resolution),
+                height: Math.ceil(content.height * resolution),
+                rotated: false,
+            });
+        });
+
+        frames.sort((a, b) => (Math.max(b.width, b.height) - Math.max(a.width, a.height))
+            || ((b.width * b.height) - (a.width * a.height)));
+
+        // rounding up the size of the pages must not exceed the maximum size
+        const pageWidth = powerOfTwo ? floorPow2(maxWidth) : maxWidth;
+        const pageHeight = powerOfTwo ? floorPow2(maxHeight) : maxHeight;
+        // the padding after the last frames can be beyond the edges of the page
+        const bins: MaxRectsBin[] = [];
+        const pages: IPackedPage[] = [];
+        const border = (extrude * 2) + padding;
+
+        for (const frame of frames)
+        {
+            const width = frame.width + border;
+            const height = frame.height + border;
+            let index = 0;
+            let placement = null;
+
+            for (; index < bins.length && !placement; index++)
+            {
+                placement = bins[index].insert(width, height, allowRotation);
+            }
+
+            if (!placement)
+            {
+                const bin = new MaxRectsBin(pageWidth + padding, pageHeight + padding);
+
+                placement = bin.insert(width, height, allowRotation);
+
+                if (!placement)
+                {
+                    throw new Error(`[SpritesheetPacker] texture ${frame.name} does not fit in `
+                        + `the maximum size of the pages (${pageWidth}x${pageHeight})`);
+                }
+
+                bins.push(bin);
+                pages.push({ width: 0, height: 0, frames: [] });
+                index++;
+            }
+
+            frame.x = placement.x + extrude;
+            frame.y = placement.y + extrude;
+            frame.rotated = placement.rotated;
+            pages[index - 1].frames.push(frame);
+        }
+
+        pages.forEach((page, i) =>
+        {
+            page.width = bins[i].usedWidth - padding;
+            page.height = bins[i].usedHeight - padding;
+
+            if (powerOfTwo)
+            {
+                page.width = utils.nextPow2(page.width);
+                page.height = utils.nextPow2(page.height);
+            }
+        });
+
+        return pages;
+    }
+
+    /**
+     * Creates the spritesheet data of a page.
+     * @param page - The page
+     */
+    private _createData(page: IPackedPage): ISpritesheetData
+    {
+        const { resolution } = this.options;
+        const frames: utils.Dict<ISpritesheetFrameData> = {};
+
+        page.frames.forEach(({ name, texture, x, y, width, height, rotated }) =>
+        {
+            const { orig, trim, defaultAnchor, defaultBorders } = texture;
+
+            frames[name] = {
+                frame: { x, y, w: width, h: height },
+                rotated,
+                trimmed: !!trim,
+                sourceSize: {
+                    w: Math.ceil(orig.width * resolution),
+                    h: Math.ceil(orig.height * resolution),
+                },
+                spriteSourceSize: {
+                    x: trim ? Math.round(trim.x * resolution) : 0,
+                    y: trim ? Math.round(trim.y * resolution) : 0,
+                    w: width,
+                    h: height,
+                },
+                anchor: { x: defaultAnchor.x, y: defaultAnchor.y },
+                borders: defaultBorders ? { ...defaultBorders } : undefined,
+            };
+        });
+
+        return {
+            frames,
+            meta: {
+                app: 'PixiJS SpritesheetPacker',
+                format: 'RGBA8888',
+                size: { w: page.width, h: page.height },
+                scale: `${resolution}`,
+            },
+        };
+    }
+
+    /**
+     * Creates the sprites drawing a frame in its page.
+     * @param frame - The frame
+     * @param subTextures - Where to keep the textures created for the edges, to destroy them once drawn
+     */
+    private _createFrameContainer(frame: IPackedFrame, subTextures: Texture[]): Container
+    {
+        const { extrude, resolution } = this.options;
+        const { texture } = frame;
+        const container = new Container();
+        const sprite = new Sprite(texture);
+        const width = frame.width / resolution;
+        const height = frame.height / resolution;
+
+        // the content is drawn from the origin, without the transparent space trimmed around it
+        sprite.anchor.set(0);
+        sprite.pivot.set(texture.trim?.x ?? 0, texture.trim?.y ?? 0);
+        container.addChild(sprite);
+
+        if (extrude > 0 && texture.rotate === 0)
+        {
+            const { frame: source, baseTexture } = texture;
+            const pixel = 1 / baseTexture.resolution;
+            const size = extrude / resolution;
+            const left = source.x;
+            const top = source.y;
+            const right = source.right - pixel;
+            const bottom = source.bottom - pixel;
+
+            // the edges, then the corners, as [x, y, width, height] in the source and in the frame
+            const edges = [
+                [left, top, pixel, source.height, -size, 0, size, height],
+                [right, top, pixel, source.height, width, 0, size, height],
+                [left, top, source.width, pixel, 0, -size, width, size],
+                [left, bottom, source.width, pixel, 0, height, width, size],
+                [left, top, pixel, pixel, -size, -size, size, size],
+                [right, top, pixel, pixel, width, -size, size, size],
+                [left, bottom, pixel, pixel, -size, height, size, size],
+                [right, bottom, pixel, pixel, width, height, size, size],
+            ];
+
+            for (const [sx, sy, sw, sh, x, y, w, h] of edges)
+            {
+                const edgeTexture = new Texture(baseTexture, new Rectangle(sx, sy, sw, sh));
+                const edge = new Sprite(edgeTexture);
+
+                edge.position.set(x, y);
+                edge.width = w;
+                edge.height = h;
+                container.addChildAt(edge, 0);
+                subTextures.push(edgeTexture);
+            }
+        }
+
+        if (frame.rotated)
+        {
+            // rotated clockwise, the top left corner of the content is at the top right corner of its place
+            container.position.set((frame.x / resolution) + height, frame.y / resolution);
+            container.rotation = Math.PI / 2;
+        }
+        else
+        {
+            container.position.set(frame.x / resolution, frame.y / resolution);
+        }
+
+        return container;
+    }
+}
@@ -2,7 +2,7 @@ import { copySearchParams, LoaderParserPriority } from '@pixi/assets';
 import { extensions, ExtensionType, settings, utils } from '@pixi/core';
 import { Spritesheet } from './Spritesheet';
 
-import type { AssetExtension, Loader, ResolvedAsset, UnresolvedAsset } from '@pixi/assets';
+import type { AssetExtension, Loader, LoaderParserOptions, ResolvedAsset, UnresolvedAsset } from '@pixi/assets';
 import type { Texture } from '@pixi/core';
 import type { ISpritesheetData } from './Spritesheet';
 
@@ -101,7 +101,11 @@ export const spritesheetAsset = {
             return (utils.path.extname(options.src).toLowerCase() === '.json' && !!asset.frames);
         },
 
-        async parse(asset: SpriteSheetJson, options: ResolvedAsset, loader: Loader): Promise<Spritesheet>
+        async parse(
+            asset: SpriteSheetJson,
+            options: ResolvedAsset,
+            loader: Loader,
+            loaderOptions?: LoaderParserOptions): Promise<Spritesheet>
         {
             let basePath = utils.path.dirname(options.src);
 
@@ -114,7 +118,7 @@ export const spritesheetAsset = {
 
             imagePath = copySearchParams(imagePath, options.src);
 
-            const assets = await loader.load<Texture>([imagePath]);
+            const assets = await loader.load<Texture>([imagePath], { signal: loaderOptions?.signal });
             const texture = assets[imagePath];
             const spritesheet = new Spritesheet(
                 texture.baseTexture,
@@ -155,7 +159,7 @@ export const spritesheetAsset = {
                         data: {
                             ignoreMultiPack: true,
                         }
-                    }));
+                    }, { signal: loaderOptions?.signal }));
                 }
 
                 const res = await Promise.all(promises);
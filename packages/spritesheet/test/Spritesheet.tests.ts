@@ -1,5 +1,5 @@
 import path from 'path';
-import { BaseTexture, Texture } from '@pixi/core';
+import { BaseRenderTexture, BaseTexture, Point, Rectangle, Texture } from '@pixi/core';
 import { Spritesheet } from '@pixi/spritesheet';
 
 import type { ImageResource } from '@pixi/core';
@@ -230,4 +230,128 @@ describe('Spritesheet', () =>
             done();
         });
     });
+
+    describe('Aseprite', () =>
+    {
+        /**
+         * Creates the data of a strip of four 10x10 frames, as exported by Aseprite.
+         * @param asArray - Whether the frames are exported as an array, instead of a hash
+         */
+        function createAsepriteData(asArray: boolean): ISpritesheetData
+        {
+            const frames = [0, 1, 2, 3].map((i) => ({
+                filename: `hero ${i}.aseprite`,
+                frame: { x: i * 10, y: 0, w: 10, h: 10 },
+                rotated: false,
+                trimmed: false,
+                spriteSourceSize: { x: 0, y: 0, w: 10, h: 10 },
+                sourceSize: { w: 10, h: 10 },
+                duration: (i + 1) * 50,
+            }));
+
+            return {
+                frames: asArray
+                    ? frames
+                    : Object.fromEntries(frames.map(({ filename, ...frame }) => [filename, frame])),
+                meta: {
+                    app: 'https://www.aseprite.org/',
+                    image: 'hero.png',
+                    format: 'RGBA8888',
+                    size: { w: 40, h: 10 },
+                    scale: '1',
+                    frameTags: [
+                        { name: 'walk', from: 0, to: 3, direction: 'forward' },
+                        { name: 'back', from: 1, to: 3, direction: 'reverse' },
+                        { name: 'idle', from: 0, to: 3, direction: 'pingpong' },
+                    ],
+                    slices: [{
+                        name: 'button',
+                        color: '#0000ffff',
+                        keys: [
+                            {
+                                frame: 2,
+                                bounds: { x: 0, y: 0, w: 10, h: 10 },
+                            },
+                            {
+                                frame: 0,
+                                bounds: { x: 1, y: 1, w: 8, h: 8 },
+                                center: { x: 2, y: 3, w: 4, h: 2 },
+                                pivot: { x: 4, y: 8 },
+                            },
+                        ],
+                    }],
+                },
+            } as unknown as ISpritesheetData;
+        }
+
+        [false, true].forEach((asArray) =>
+        {
+            it(`should parse frame tags with frames as ${asArray ? 'an array' : 'a hash'}`, async () =>
+            {
+                const sheet = new Spritesheet(new BaseRenderTexture({ width: 40, height: 10 }), createAsepriteData(asArray));
+
+                await sheet.parse();
+
+                const names = Object.keys(sheet.textures);
+                const frameOf = (texture: Texture) => names.indexOf(names.find((name) => sheet.textures[name] === texture));
+
+                expect(names).toEqual([0, 1, 2, 3].map((i) => `hero ${i}.aseprite`));
+                expect(sheet.textures['hero 2.aseprite'].frame.x).toEqual(20);
+                expect(sheet.animations.walk.map(frameOf)).toEqual([0, 1, 2, 3]);
+                expect(sheet.animations.back.map(frameOf)).toEqual([3, 2, 1]);
+                expect(sheet.animations.idle.map(frameOf)).toEqual([0, 1, 2, 3, 2, 1]);
+                expect(sheet.animationFrames.walk.map(({ time }) => time)).toEqual([50, 100, 150, 200]);
+                expect(sheet.animationFrames.back[0]).toEqual({ texture: sheet.textures['hero 3.aseprite'], time: 200 });
+
+                sheet.destroy(true);
+            });
+        });
+
+        it('should repeat the frames of tags played a number of times', async () =>
+        {
+            const data = createAsepriteData(false);
+
+            data.meta.frameTags = [
+                { name: 'jump', from: 1, to: 2, direction: 'forward', repeat: '3' },
+                { name: 'bounce', from: 0, to: 2, direction: 'pingpong', repeat: '3' },
+                { name: 'once', from: 0, to: 2, direction: 'pingpong', repeat: '1' },
+            ];
+
+            const sheet = new Spritesheet(new BaseRenderTexture({ width: 40, height: 10 }), data);
+
+            await sheet.parse();
+
+            const names = Object.keys(sheet.textures);
+            const frameOf = (texture: Texture) => names.indexOf(names.find((name) => sheet.textures[name] === texture));
+
+            expect(sheet.animations.jump.map(frameOf)).toEqual([1, 2, 1, 2, 1, 2]);
+            expect(sheet.animations.bounce.map(frameOf)).toEqual([0, 1, 2, 1, 0, 1, 2]);
+            expect(sheet.animations.once.map(frameOf)).toEqual([0, 1, 2]);
+            expect(sheet.animationFrames.jump).toHaveLength(6);
+
+            sheet.destroy(true);
+        });
+
+        it('should parse slices', async () =>
+        {
+            const sheet = new Spritesheet(new BaseRenderTexture({ width: 40, height: 10 }), createAsepriteData(false));
+
+            await sheet.parse();
+
+            const { button } = sheet.slices;
+
+            expect(button.color).toEqual('#0000ffff');
+            expect(button.keys.map(({ frame }) => frame)).toEqual([0, 2]);
+            expect(button.keys[0].bounds).toEqual(new Rectangle(1, 1, 8, 8));
+            expect(button.keys[0].center).toEqual(new Rectangle(2, 3, 4, 2));
+            expect(button.keys[0].borders).toEqual({ left: 2, top: 3, right: 2, bottom: 3 });
+            expect(button.keys[0].pivot).toEqual(new Point(4, 8));
+            expect(button.keys[1].borders).toBeUndefined();
+            expect(sheet.getSliceKey('button', 1)).toBe(button.keys[0]);
+            expect(sheet.getSliceKey('button', 3)).toBe(button.keys[1]);
+            expect(sheet.getSliceKey('missing')).toBeNull();
+
+            sheet.destroy(true);
+        });
+    });
 });
@@ -0,0 +1,308 @@
+import { BaseRenderTexture, Rectangle, Renderer, RenderTexture, Texture, utils } from '@pixi/core';
+import { Container } from '@pixi/display';
+import { Sprite } from '@pixi/sprite';
+import { SpritesheetPacker } from '@pixi/spritesheet';
+
+import type { ISpritesheetData, ISpritesheetFrameData } from '@pixi/spritesheet';
+
+describe('SpritesheetPacker', () =>
+{
+    /**
+     * Gets the area a frame takes in its page.
+     * @param data - The frame
+     * @param margin - Pixels around the frame content
+     */
+    function getBounds(data: ISpritesheetFrameData, margin = 0): Rectangle
+    {
+        const { x, y, w, h } = data.frame;
+
+        return data.rotated
+            ? new Rectangle(x - margin, y - margin, h + (margin * 2), w + (margin * 2))
+            : new Rectangle(x - margin, y - margin, w + (margin * 2), h + (margin * 2));
+    }
+
+    /**
+     * Checks that the frames of a page are within the page, and apart from each other.
+     * @param data - The page
+     * @param gap - Pixels required between the frames
+     */
+    function expectValidPage(data: ISpritesheetData, gap = 0): void
+    {
+        const frames = Object.values(data.frames);
+
+        frames.forEach((frame, i) =>
+        {
+            const a = getBounds(frame);
+
+            expect(a.x).toBeGreaterThanOrEqual(0);
+            expect(a.y).toBeGreaterThanOrEqual(0);
+            expect(a.right).toBeLessThanOrEqual(data.meta.size.w);
+            expect(a.bottom).toBeLessThanOrEqual(data.meta.size.h);
+
+            frames.slice(i + 1).forEach((other) =>
+            {
+                const a = getBounds(frame, gap);
+                const b = getBounds(other);
+
+                expect(a.right <= b.x || b.right <= a.x || a.bottom <= b.y || b.bottom <= a.y).toBe(true);
+            });
+        });
+    }
+
+    it('should pack textures in a single page', () =>
+    {
+        const packer = new SpritesheetPacker({ padding: 0 });
+
+        packer
+            .add('a', RenderTexture.create({ width: 64, height: 64 }))
+            .add('b', RenderTexture.create({ width: 64, height: 32 }))
+            .add('c', RenderTexture.create({ width: 32, height: 32 }))
+            .add('d', new BaseRenderTexture({ width: 32, height: 32 }));
+
+        const pages = packer.layout();
+
+        expect(pages).toHaveLength(1);
+        expect(Object.keys(pages[0].frames).sort()).toEqual(['a', 'b', 'c', 'd']);
+        expect(pages[0].frames.a.frame).toEqual({ x: 0, y: 0, w: 64, h: 64 });
+        // the area of the textures, which fits exactly
+        expect(pages[0].meta.size.w * pages[0].meta.size.h).toBe(64 * 128);
+        expectValidPage(pages[0]);
+    });
+
+    it('should pack textures in several pages', () =>
+    {
+        const packer = new SpritesheetPacker({ maxWidth: 100, maxHeight: 100, padding: 2 });
+
+        for (let i = 0; i < 10; i++)
+        {
+            packer.add(`frame${i}`, RenderTexture.create({ width: 40, height: 30 }));
+        }
+
+        const pages = packer.layout();
+
+        expect(pages).toHaveLength(2);
+        expect(Object.keys(pages[0].frames)).toHaveLength(6);
+        expect(Object.keys(pages[1].frames)).toHaveLength(4);
+        pages.forEach((page) =>
+        {
+            expect(page.meta.size.w).toBeLessThanOrEqual(100);
+            expect(page.meta.size.h).toBeLessThanOrEqual(100);
+            expectValidPage(page, 2);
+        });
+    });
+
+    it('should leave room to extrude the edges', () =>
+    {
+        const packer = new SpritesheetPacker({ padding: 1, extrude: 2 });
+
+        packer
+            .add('a', RenderTexture.create({ width: 10, height: 10 }))
+            .add('b', RenderTexture.create({ width: 10, height: 10 }));
+
+        const [page] = packer.layout();
+
+        expect(page.frames.a.frame).toEqual({ x: 2, y: 2, w: 10, h: 10 });
+        // the extruded edges and the padding are between the frames
+        expect(page.meta.size.w * page.meta.size.h).toBe(14 * 29);
+        expectValidPage(page, 5);
+    });
+
+    it('should rotate textures to fit them', () =>
+    {
+        const packer = new SpritesheetPacker({ maxWidth: 100, maxHeight: 60, padding: 0, allowRotation: true });
+
+        packer
+            .add('wide', RenderTexture.create({ width: 100, height: 40 }))
+            .add('tall', RenderTexture.create({ width: 20, height: 100 }));
+
+        const [page, ...others] = packer.layout();
+
+        expect(others).toHaveLength(0);
+        expect(page.frames.wide.rotated).toBe(false);
+        expect(page.frames.tall.rotated).toBe(true);
+        expect(page.frames.tall.frame).toEqual({ x: 0, y: 40, w: 20, h: 100 });
+        expectValidPage(page);
+    });
+
+    it('should keep the trim, anchor and borders of textures', () =>
+    {
+        const base = new BaseRenderTexture({ width: 64, height: 64 });
+        const texture = new Texture(
+            base,
+            new Rectangle(10, 10, 20, 30),
+            new Rectangle(0, 0, 40, 50),
+            new Rectangle(5, 8, 20, 30),
+            0,
+            { x: 0.5, y: 1 },
+            { left: 1, top: 2, right: 3, bottom: 4 },
+        );
+        const packer = new SpritesheetPacker({ resolution: 2 });
+
+        packer.add('trimmed', texture);
+
+        const [page] = packer.layout();
+
+        expect(page.meta.scale).toBe('2');
+        expect(page.frames.trimmed).toMatchObject({
+            frame: { x: 0, y: 0, w: 40, h: 60 },
+            trimmed: true,
+            sourceSize: { w: 80, h: 100 },
+            spriteSourceSize: { x: 10, y: 16, w: 40, h: 60 },
+            anchor: { x: 0.5, y: 1 },
+            borders: { left: 1, top: 2, right: 3, bottom: 4 },
+        });
+    });
+
+    it('should round the size of the pages up to a power of two', () =>
+    {
+        const packer = new SpritesheetPacker({ maxWidth: 100, maxHeight: 100, padding: 2, powerOfTwo: true });
+
+        for (let i = 0; i < 10; i++)
+        {
+            packer.add(`frame${i}`, RenderTexture.create({ width: 40, height: 30 }));
+        }
+
+        const pages = packer.layout();
+
+        // the pages are at most 64x64, the largest power of two within the maximum size
+        expect(pages).toHaveLength(5);
+        pages.forEach((page) =>
+        {
+            expect(utils.isPow2(page.meta.size.w)).toBe(true);
+            expect(utils.isPow2(page.meta.size.h)).toBe(true);
+            expect(page.meta.size.w).toBeLessThanOrEqual(64);
+            expect(page.meta.size.h).toBeLessThanOrEqual(64);
+            expectValidPage(page, 2);
+        });
+    });
+
+    it('should throw if a texture is too large', () =>
+    {
+        const packer = new SpritesheetPacker({ maxWidth: 64, maxHeight: 64 });
+
+        packer.add('large', RenderTexture.create({ width: 65, height: 10 }));
+
+        expect(() => packer.layout()).toThrow('does not fit');
+    });
+
+    it('should render the pages into spritesheets', async () =>
+    {
+        const renderer = new Renderer();
+        const packer = new SpritesheetPacker({ maxWidth: 64, maxHeight: 64, extrude: 1 });
+
+        packer
+            .add('a', RenderTexture.create({ width: 60, height: 60 }))
+            .add('b', RenderTexture.create({ width: 20, height: 10 }));
+
+        const sheets = await packer.pack(renderer);
+
+        expect(sheets).toHaveLength(2);
+        expect(sheets[0].linkedSheets).toHaveLength(1);
+        expect(sheets[0].linkedSheets[0]).toBe(sheets[1]);
+        expect(sheets[0].baseTexture).toBeInstanceOf(BaseRenderTexture);
+        expect(sheets[0].textures.a.width).toBe(60);
+        expect(sheets[1].textures.b.width).toBe(20);
+        expect(sheets[1].textures.b.height).toBe(10);
+
+        sheets.forEach((sheet) => sheet.destroy(true));
+        renderer.destroy();
+    });
+
+    describe('pixels', () =>
+    {
+        /**
+         * Creates a texture whose first half is red and second half is blue.
+         * @param renderer - The renderer
+         * @param width - The width of the texture
+         * @param height - The height of the texture
+         */
+        function createTwoColorTexture(renderer: Renderer, width: number, height: number): RenderTexture
+        {
+            const renderTexture = RenderTexture.create({ width, height });
+            const container = new Container();
+            const wide = width > height;
+
+            [0xff0000, 0x0000ff].forEach((tint, i) =>
+            {
+                const half = new Sprite(Texture.WHITE);
+
+                half.tint = tint;
+                half.width = wide ? width / 2 : width;
+                half.height = wide ? height : height / 2;
+                half.position.set(wide ? i * width / 2 : 0, wide ? 0 : i * height / 2);
+                container.addChild(half);
+            });
+
+            renderer.render(container, { renderTexture });
+            container.destroy({ children: true });
+
+            return renderTexture;
+        }
+
+        /**
+         * Reads the color of a pixel of a render texture.
+         * @param renderer - The renderer
+         * @param renderTexture - The render texture
+         * @param x - The x coordinate of the pixel
+         * @param y - The y coordinate of the pixel
+         */
+        function readPixel(renderer: Renderer, renderTexture: RenderTexture, x: number, y: number): number[]
+        {
+            const gl = renderer.gl;
+            const pixel = new Uint8Array(4);
+
+            renderer.renderTexture.bind(renderTexture);
+            gl.readPixels(x, y, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+
+            return Array.from(pixel);
+        }
+
+        const red = [255, 0, 0, 255];
+        const blue = [0, 0, 255, 255];
+
+        it('should draw rotated and extruded frames', async () =>
+        {
+            const renderer = new Renderer();
+            const wide = createTwoColorTexture(renderer, 60, 20);
+            const tall = createTwoColorTexture(renderer, 10, 60);
+            const packer = new SpritesheetPacker({
+                maxWidth: 64,
+                maxHeight: 64,
+                padding: 0,
+                extrude: 1,
+                allowRotation: true,
+            });
+
+            packer.add('wide', wide).add('tall', tall);
+
+            const [sheet] = await packer.pack(renderer);
+            const page = sheet.baseTexture as BaseRenderTexture;
+            const pageTexture = new RenderTexture(page);
+
+            expect(sheet.data.frames.wide).toMatchObject({ frame: { x: 1, y: 1 }, rotated: false });
+            expect(sheet.data.frames.tall).toMatchObject({ frame: { x: 1, y: 23 }, rotated: true });
+
+            // the edges of the wide frame are repeated around it
+            expect(readPixel(renderer, pageTexture, 0, 10)).toEqual(red);
+            expect(readPixel(renderer, pageTexture, 61, 10)).toEqual(blue);
+            expect(readPixel(renderer, pageTexture, 45, 0)).toEqual(blue);
+            // the tall frame is rotated clockwise, its top is on the right
+            expect(readPixel(renderer, pageTexture, 45, 28)).toEqual(red);
+            expect(readPixel(renderer, pageTexture, 15, 28)).toEqual(blue);
+            expect(readPixel(renderer, pageTexture, 61, 28)).toEqual(red);
+            expect(readPixel(renderer, pageTexture, 0, 28)).toEqual(blue);
+
+            // the textures of the spritesheet are drawn as the original textures
+            const renderTexture = RenderTexture.create({ width: 10, height: 60 });
+
+            renderer.render(new Sprite(sheet.textures.tall), { renderTexture });
+
+            expect(readPixel(renderer, renderTexture, 5, 5)).toEqual(red);
+            expect(readPixel(renderer, renderTexture, 5, 55)).toEqual(blue);
+
+            [wide, tall, renderTexture].forEach((texture) => texture.destroy(true));
+            sheet.destroy(true);
+            renderer.destroy();
+        });
+    });
+});
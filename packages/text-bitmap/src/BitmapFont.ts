@@ -1,11 +1,14 @@
-import { ALPHA_MODES, BaseTexture, MIPMAP_MODES, Rectangle, settings, Texture, utils } from '@pixi/core';
-import { TextMetrics, TextStyle } from '@pixi/text';
+import { ALPHA_MODES, MIPMAP_MODES, Rectangle, Texture, utils } from '@pixi/core';
+import { TextStyle } from '@pixi/text';
 import { BitmapFontData } from './BitmapFontData';
 import { autoDetectFormat } from './formats';
-import { drawGlyph, extractCharCode, resolveCharacters } from './utils';
+import { GlyphAtlas } from './GlyphAtlas';
+import { extractCharCode, resolveCharacters } from './utils';
 
-import type { IBaseTextureOptions, ICanvas, ICanvasRenderingContext2D, SCALE_MODES } from '@pixi/core';
+import type { IBaseTextureOptions, ICanvasRenderingContext2D, SCALE_MODES } from '@pixi/core';
 import type { ITextStyle } from '@pixi/text';
+import type { BitmapFontSourceData } from './BitmapFontData';
+import type { IGlyphPlacement } from './GlyphAtlas';
 
 export interface IBitmapFontCharacter
 {
@@ -17,6 +20,13 @@ export interface IBitmapFontCharacter
     kerning: utils.Dict<number>;
 }
 
+/**
+ * An object displaying the glyphs of a dynamic {@link PIXI.BitmapFont}, such as a {@link PIXI.BitmapText}.
+ * The glyphs it displays are kept where they are in the atlas of the font.
+ * @memberof PIXI
+ */
+export type IBitmapFontUser = object;
+
 type BaseOptions = Pick<IBaseTextureOptions, 'scaleMode' | 'mipmap' | 'anisotropicLevel' | 'alphaMode'>;
 
 /** @memberof PIXI */
@@ -85,14 +95,93 @@ export interface IBitmapFontOptions extends BaseOptions
     /**
      * Skip generation of kerning information for the BitmapFont.
      * If true, this could potentially increase the performance, but may impact the rendered text appearance.
+     * It is true by default for dynamic fonts, as each glyph they draw is measured against every glyph of the font.
      * @default false
      */
     skipKerning?: boolean;
+
+    /**
+     * Whether the glyphs of characters missing from `chars` are drawn when a {@link PIXI.BitmapText} displays them.
+     * Glyphs no text displays are evicted to keep within `maxPages`.
+     * @default false
+     */
+    dynamic?: boolean;
+
+    /**
+     * Number of atlas pages dynamic fonts try to keep within, by evicting the glyphs no text displays.
+     * More pages are added if the displayed glyphs need them. Set to 0 to never evict glyphs.
+     * @default 4
+     */
+    maxPages?: number;
+
+    /**
+     * Type of distance field the glyphs are replaced with, `'sdf'` to generate a signed distance field
+     * which keeps the text sharp at any scale. Only the shape of the glyphs is kept, color the text with its tint.
+     * @default 'none'
+     */
+    distanceFieldType?: 'none' | 'sdf';
+
+    /**
+     * Range of the distance field in pixels of the glyphs, the distances are encoded between
+     * half the range inside and half the range outside the glyphs. Larger ranges allow effects farther
+     * from the glyphs, at the cost of precision.
+     * @default 4
+     */
+    distanceFieldRange?: number;
+}
+
+/**
+ * Measures the width of a character, once.
+ * @param context - A context with the font of the character
+ * @param char - The character
+ * @param widths - The widths of the characters already measured
+ * @returns - The width, in pixels
+ */
+function measureWidth(context: ICanvasRenderingContext2D, char: string, widths: Map<string, number>): number
+{
+    let width = widths.get(char);
+
+    if (width === undefined)
+    {
+        width = context.measureText(char).width;
+        widths.set(char, width);
+    }
+
+    return width;
+}
+
+/**
+ * Measures the kerning between two characters.
+ * @param context - A context with the font of the characters
+ * @param first - The first character
+ * @param second - The second character
+ * @param widths - The widths of the characters already measured, which the new widths are added to
+ * @returns - The kerning, in pixels
+ */
+function measureKerning(
+    context: ICanvasRenderingContext2D,
+    first: string,
+    second: string,
+    widths: Map<string, number>
+): number
+{
+    const total = context.measureText(first + second).width;
+
+    return total - (measureWidth(context, first, widths) + measureWidth(context, second, widths));
 }
 
 /**
  * BitmapFont represents a typeface available for use with the BitmapText class. Use the `install`
  * method for adding a font to be used.
+ *
+ * Fonts generated with `dynamic` enabled draw the glyphs of characters as texts display them, which
+ * allows texts with any character, such as CJK or user-generated text, without drawing them all up front.
+ * @example
+ * import { BitmapFont, BitmapText } from 'pixi.js';
+ *
+ * BitmapFont.from('ChatFont', { fontFamily: 'Arial', fontSize: 16 }, { chars: BitmapFont.ASCII, dynamic: true });
+ *
+ * const message = new BitmapText('こんにちは 👋', { fontName: 'ChatFont' });
  * @memberof PIXI
  */
 export class BitmapFont
@@ -133,6 +222,10 @@ export class BitmapFont
      * @property {number} [textureHeight=512] -
      * @property {number} [padding=4] -
      * @property {string|string[]|string[][]} chars = PIXI.BitmapFont.ALPHANUMERIC
+     * @property {boolean} [dynamic=false] -
+     * @property {number} [maxPages=4] -
+     * @property {string} [distanceFieldType='none'] -
+     * @property {number} [distanceFieldRange=4] -
      */
     public static readonly defaultOptions: IBitmapFontOptions = {
         resolution: 1,
@@ -140,6 +233,10 @@ export class BitmapFont
         textureHeight: 512,
         padding: 4,
         chars: BitmapFont.ALPHANUMERIC,
+        dynamic: false,
+        maxPages: 4,
+        distanceFieldType: 'none',
+        distanceFieldRange: 4,
     };
 
     /** Collection of available/installed fonts. */
@@ -168,6 +265,21 @@ export class BitmapFont
 
     private _ownsTextures: boolean;
 
+    /** The atlas the glyphs of a dynamic font are drawn in, or null. */
+    private _atlas: GlyphAtlas = null;
+
+    /** Number of pages a dynamic font tries to keep within. */
+    private _maxPages = 0;
+
+    /** Whether kerning is measured for the glyphs drawn on demand. */
+    private _skipKerning = false;
+
+    /** The widths of the characters measured for kerning, by character. */
+    private _charWidths: Map<string, number> = new Map();
+
+    /** The character codes displayed by each user of a dynamic font. */
+    private _users: Map<IBitmapFontUser, Set<number>> = new Map();
+
     /**
      * @param data
      * @param textures
@@ -261,6 +373,218 @@ export class BitmapFont
         this.distanceFieldType = distanceField?.fieldType?.toLowerCase() ?? 'none';
     }
 
+    /** Whether the glyphs of missing characters are drawn on demand. */
+    get dynamic(): boolean
+    {
+        return this._atlas !== null;
+    }
+
+    /**
+     * Draws the glyphs of characters missing from a dynamic font, for instance to prepare the characters
+     * of texts about to be displayed. Glyphs are only kept while pages are available.
+     * @param chars - The characters, with the same format as the `chars` option of {@link PIXI.BitmapFont.from}
+     * @returns - Whether glyphs were drawn, always `false` for fonts which are not dynamic
+     */
+    public addCharacters(chars: string | (string | string[])[]): boolean
+    {
+        if (!this._atlas || chars.length === 0)
+        {
+            return false;
+        }
+
+        return this._addGlyphs(new Set(resolveCharacters(chars).map(extractCharCode)));
+    }
+
+    /**
+     * Sets the characters displayed by a user of a dynamic font, replacing the characters it displayed before,
+     * and draws the glyphs missing. Glyphs displayed by users are not evicted. Does nothing for other fonts.
+     * @param user - The user
+     * @param chars - The characters displayed, as split by {@link PIXI.BitmapText}
+     */
+    public useCharacters(user: IBitmapFontUser, chars: string[]): void
+    {
+        if (!this._atlas)
+        {
+            return;
+        }
+
+        const codes = new Set<number>();
+
+        for (const char of chars)
+        {
+            if (char !== '\n' && char !== '\r')
+            {
+                codes.add(extractCharCode(char));
+            }
+        }
+
+        this._users.set(user, codes);
+        this._addGlyphs(codes);
+    }
+
+    /**
+     * Forgets the characters displayed by a user, their glyphs can then be evicted.
+     * @param user - The user
+     */
+    public releaseCharacters(user: IBitmapFontUser): void
+    {
+        this._users.delete(user);
+    }
+
+    /**
+     * Draws the glyphs missing from a dynamic font. When the budget of pages is reached,
+     * the glyphs which are not needed are evicted to make room.
+     * @param codes - The character codes needed
+     * @returns - Whether glyphs were drawn
+     */
+    private _addGlyphs(codes: Set<number>): boolean
+    {
+        const atlas = this._atlas;
+        const added: number[] = [];
+        const pages = new Set<number>();
+        let evicted = false;
+
+        codes.forEach((code) =>
+        {
+            if (this.chars[code])
+            {
+                return;
+            }
+
+            const char = String.fromCodePoint(code);
+            let glyph = atlas.draw(char, this._canAddPage());
+
+            if (!glyph && !evicted)
+            {
+                this._evict(codes);
+                evicted = true;
+                glyph = atlas.draw(char, this._canAddPage());
+            }
+
+            if (!glyph)
+            {
+                if (process.env.DEBUG)
+                {
+                    console.warn(`[BitmapFont] the glyphs of "${this.font}" do not fit in ${this._maxPages} pages`);
+                }
+
+                glyph = atlas.draw(char, true);
+            }
+
+            this._setGlyph(code, glyph, {});
+            added.push(code);
+            pages.add(glyph.page);
+        });
+
+        if (added.length === 0)
+        {
+            return false;
+        }
+
+        if (!this._skipKerning)
+        {
+            const context = atlas.currentPage.context;
+
+            for (const code of added)
+            {
+                const char = String.fromCodePoint(code);
+
+                for (const id in this.chars)
+                {
+                    const other = String.fromCodePoint(Number(id));
+                    const before = measureKerning(context, other, char, this._charWidths);
+                    const after = measureKerning(context, char, other, this._charWidths);
+
+                    if (before)
+                    {
+                        this.chars[code].kerning[id] = before;
+                    }
+                    if (after)
+                    {
+                        this.chars[id].kerning[code] = after;
+                    }
+                }
+            }
+        }
+
+        pages.forEach((page) => atlas.pages[page].baseTexture.update());
+
+        return true;
+    }
+
+    /**
+     * Evicts the glyphs no user displays, their areas of the atlas are then drawn in again.
+     * The glyphs displayed do not move, the users display them as they are.
+     * @param keep - Character codes to keep besides those of the users
+     */
+    private _evict(keep: Set<number>): void
+    {
+        const atlas = this._atlas;
+        const evicted = Object.keys(this.chars).map(Number).filter((code) =>
+        {
+            if (keep.has(code)) return false;
+
+            for (const codes of this._users.values())
+            {
+                if (codes.has(code)) return false;
+            }
+
+            return true;
+        });
+        const pages = new Set<number>();
+
+        for (const code of evicted)
+        {
+            const { texture, page } = this.chars[code];
+
+            atlas.free(page, texture.frame);
+            texture.destroy();
+            pages.add(page);
+            delete this.chars[code];
+            this._charWidths.delete(String.fromCodePoint(code));
+        }
+
+        // kerning with evicted glyphs is measured again when they are drawn again
+        for (const id in this.chars)
+        {
+            const kerning = this.chars[id].kerning;
+
+            for (const code of evicted)
+            {
+                delete kerning[code];
+            }
+        }
+
+        pages.forEach((page) => atlas.pages[page].baseTexture.update());
+    }
+
+    /** Whether a dynamic font can add a page to its atlas. */
+    private _canAddPage(): boolean
+    {
+        return this._maxPages <= 0 || this._atlas.pages.length < this._maxPages;
+    }
+
+    /**
+     * Adds a glyph drawn in the atlas of a dynamic font.
+     * @param code - The character code
+     * @param glyph - Where the glyph was drawn
+     * @param kerning - The kerning of the character
+     */
+    private _setGlyph(code: number, glyph: IGlyphPlacement, kerning: utils.Dict<number>): void
+    {
+        const { baseTexture, texture } = this._atlas.pages[glyph.page];
+
+        this.pageTextures[glyph.page] = texture;
+        this.chars[code] = {
+            xOffset: glyph.xOffset,
+            yOffset: glyph.yOffset,
+            xAdvance: glyph.xAdvance,
+            kerning,
+            texture: new Texture(baseTexture, new Rectangle(glyph.x, glyph.y, glyph.width, glyph.height)),
+            page: glyph.page,
+        };
+    }
+
     /** Remove references to created glyph textures. */
     public destroy(): void
     {
@@ -280,6 +604,10 @@ export class BitmapFont
             this.pageTextures[id] = null;
         }
 
+        this._atlas = null;
+        this._users.clear();
+        this._charWidths.clear();
+
         // Set readonly null.
         (this as any).chars = null;
         (this as any).pageTextures = null;
@@ -288,7 +616,7 @@ export class BitmapFont
     /**
      * Register a new bitmap font.
      * @param data - The
-     *        characters map that could be provided as xml or raw string.
+     *        characters map that could be provided as xml, raw string, binary .fnt content or JSON data.
      * @param textures - List of textures for each page.
      * @param ownsTextures - Set to `true` to destroy page textures
      *        when the font is uninstalled. By default fonts created with
@@ -297,7 +625,7 @@ export class BitmapFont
      *         and char fields.
      */
     public static install(
-        data: string | XMLDocument | BitmapFontData,
+        data: BitmapFontSourceData,
         textures: Texture | Texture[] | utils.Dict<Texture>,
         ownsTextures?: boolean
     ): BitmapFont
@@ -386,6 +714,11 @@ export class BitmapFont
      * });
      *
      * const title = new BitmapText('This is the title', { fontName: 'TitleFont' });
+     *
+     * // a signed distance field stays sharp when the text is scaled up
+     * BitmapFont.from('ScalableFont', { fontFamily: 'Arial', fontSize: 32 }, { distanceFieldType: 'sdf' });
+     *
+     * const banner = new BitmapText('Sharp at any size', { fontName: 'ScalableFont', fontSize: 200, tint: 'gold' });
      */
     public static from(name: string, textStyle?: TextStyle | Partial<ITextStyle>, options?: IBitmapFontOptions): BitmapFont
     {
@@ -400,13 +733,25 @@ export class BitmapFont
             resolution,
             textureWidth,
             textureHeight,
+            dynamic,
+            maxPages,
+            distanceFieldType,
+            distanceFieldRange,
             ...baseOptions
         } = Object.assign({}, BitmapFont.defaultOptions, options);
 
-        const charsList = resolveCharacters(chars);
+        // dynamic fonts can start without any glyph
+        const charsList = dynamic && chars.length === 0 ? [] : resolveCharacters(chars);
         const style = textStyle instanceof TextStyle ? textStyle : new TextStyle(textStyle);
-        const lineWidth = textureWidth;
         const fontData = new BitmapFontData();
+        const atlas = new GlyphAtlas(style, {
+            resolution,
+            padding,
+            textureWidth,
+            textureHeight,
+            distanceFieldRange: distanceFieldType === 'sdf' ? distanceFieldRange : 0,
+            baseTextureOptions: baseOptions,
+        });
 
         fontData.info[0] = {
             face: style.fontFamily as string,
@@ -416,115 +761,47 @@ export class BitmapFont
             lineHeight: style.fontSize as number,
         };
 
-        let positionX = 0;
-        let positionY = 0;
+        if (distanceFieldType === 'sdf')
+        {
+            fontData.distanceField[0] = {
+                fieldType: 'sdf',
+                distanceRange: distanceFieldRange,
+            };
+        }
 
-        let canvas: ICanvas;
-        let context: ICanvasRenderingContext2D;
-        let baseTexture: BaseTexture;
-        let maxCharHeight = 0;
-        const baseTextures: BaseTexture[] = [];
-        const textures: Texture[] = [];
+        if (dynamic)
+        {
+            atlas.nextPage();
+        }
 
         for (let i = 0; i < charsList.length; i++)
         {
-            if (!canvas)
-            {
-                canvas = settings.ADAPTER.createCanvas();
-                canvas.width = textureWidth;
-                canvas.height = textureHeight;
-
-                context = canvas.getContext('2d');
-                baseTexture = new BaseTexture(canvas, { resolution, ...baseOptions });
-
-                baseTextures.push(baseTexture);
-                textures.push(new Texture(baseTexture));
-
-                fontData.page.push({
-                    id: textures.length - 1,
-                    file: '',
-                });
-            }
-
-            // Measure glyph dimensions
-            const character = charsList[i];
-            const metrics = TextMetrics.measureText(character, style, false, canvas);
-            const width = metrics.width;
-            const height = Math.ceil(metrics.height);
-
-            // This is ugly - but italics are given more space so they don't overlap
-            const textureGlyphWidth = Math.ceil((style.fontStyle === 'italic' ? 2 : 1) * width);
-
-            // Can't fit char anymore: next canvas please!
-            if (positionY >= textureHeight - (height * resolution))
-            {
-                if (positionY === 0)
-                {
-                    // We don't want user debugging an infinite loop (or do we? :)
-                    throw new Error(`[BitmapFont] textureHeight ${textureHeight}px is too small `
-                        + `(fontFamily: '${style.fontFamily}', fontSize: ${style.fontSize}px, char: '${character}')`);
-                }
-
-                --i;
-
-                // Create new atlas once current has filled up
-                canvas = null;
-                context = null;
-                baseTexture = null;
-                positionY = 0;
-                positionX = 0;
-                maxCharHeight = 0;
-
-                continue;
-            }
-
-            maxCharHeight = Math.max(height + metrics.fontProperties.descent, maxCharHeight);
-
-            // Wrap line once full row has been rendered
-            if ((textureGlyphWidth * resolution) + positionX >= lineWidth)
-            {
-                if (positionX === 0)
-                {
-                    // Avoid infinite loop (There can be some very wide char like '\uFDFD'!)
-                    throw new Error(`[BitmapFont] textureWidth ${textureWidth}px is too small `
-                        + `(fontFamily: '${style.fontFamily}', fontSize: ${style.fontSize}px, char: '${character}')`);
-                }
-
-                --i;
-                positionY += maxCharHeight * resolution;
-                positionY = Math.ceil(positionY);
-                positionX = 0;
-                maxCharHeight = 0;
-
-                continue;
-            }
-
-            drawGlyph(canvas, context, metrics, positionX, positionY, resolution, style);
-
-            // Unique (numeric) ID mapping to this glyph
-            const id = extractCharCode(metrics.text);
+            const glyph = atlas.draw(charsList[i]);
 
             // Create a texture holding just the glyph
             fontData.char.push({
-                id,
-                page: textures.length - 1,
-                x: positionX / resolution,
-                y: positionY / resolution,
-                width: textureGlyphWidth,
-                height,
-                xoffset: 0,
-                yoffset: 0,
-                xadvance: width
-                        - (style.dropShadow ? style.dropShadowDistance : 0)
-                        - (style.stroke ? style.strokeThickness : 0),
+                // Unique (numeric) ID mapping to this glyph
+                id: extractCharCode(charsList[i]),
+                page: glyph.page,
+                x: glyph.x,
+                y: glyph.y,
+                width: glyph.width,
+                height: glyph.height,
+                xoffset: glyph.xOffset,
+                yoffset: glyph.yOffset,
+                xadvance: glyph.xAdvance,
             });
-
-            positionX += (textureGlyphWidth + (2 * padding)) * resolution;
-            positionX = Math.ceil(positionX);
         }
 
-        if (!options?.skipKerning)
+        atlas.pages.forEach((_page, id) => fontData.page.push({ id, file: '' }));
+
+        const skipKerning = options?.skipKerning ?? dynamic;
+        const charWidths = new Map<string, number>();
+
+        if (!skipKerning)
         {
+            const context = atlas.currentPage?.context;
+
             // Brute-force kerning info, this can be expensive b/c it's an O(n²),
             // but we're using measureText which is native and fast.
             for (let i = 0, len = charsList.length; i < len; i++)
@@ -534,10 +811,7 @@ export class BitmapFont
                 for (let j = 0; j < len; j++)
                 {
                     const second = charsList[j];
-                    const c1 = context.measureText(first).width;
-                    const c2 = context.measureText(second).width;
-                    const total = context.measureText(first + second).width;
-                    const amount = total - (c1 + c2);
+                    const amount = measureKerning(context, first, second, charWidths);
 
                     if (amount)
                     {
@@ -551,7 +825,15 @@ export class BitmapFont
             }
         }
 
-        const font = new BitmapFont(fontData, textures, true);
+        const font = new BitmapFont(fontData, atlas.pages.map((page) => page.texture), true);
+
+        if (dynamic)
+        {
+            font._atlas = atlas;
+            font._maxPages = maxPages;
+            font._skipKerning = skipKerning;
+            font._charWidths = charWidths;
+        }
 
         // Make it easier to replace a font
         if (BitmapFont.available[name] !== undefined)
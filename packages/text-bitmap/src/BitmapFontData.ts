@@ -1,5 +1,7 @@
 /* eslint-disable max-len */
 
+import type { IBitmapFontJSON } from './formats/JSONFormat';
+
 /**
  * Normalized parsed data from .fnt files.
  * @memberof PIXI
@@ -35,6 +37,13 @@ export class BitmapFontData
     }
 }
 
+/**
+ * Bitmap font data in any of the supported formats: the content of a text, XML or binary .fnt file,
+ * an XML document, JSON data, or data already parsed.
+ * @memberof PIXI
+ */
+export type BitmapFontSourceData = string | XMLDocument | ArrayBuffer | IBitmapFontJSON | BitmapFontData;
+
 /** @memberof PIXI */
 export interface IBitmapFontDataInfo
 {
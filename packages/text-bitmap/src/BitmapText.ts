@@ -1,15 +1,16 @@
-import { BLEND_MODES, Color, ObservablePoint, Point, Program, settings, Texture, utils } from '@pixi/core';
+import { BLEND_MODES, Color, ObservablePoint, Point, Program, Rectangle, settings, Texture, utils } from '@pixi/core';
 import { Container } from '@pixi/display';
 import { Mesh, MeshGeometry, MeshMaterial } from '@pixi/mesh';
+import { TextMetrics } from '@pixi/text';
 import { BitmapFont } from './BitmapFont';
 import msdfFrag from './shader/msdf.frag';
 import msdfVert from './shader/msdf.vert';
-import { extractCharCode, splitTextToCharacters } from './utils';
+import { extractCharCode, parseMarkup, splitTextToCharacters } from './utils';
 
-import type { ColorSource, Rectangle, Renderer } from '@pixi/core';
+import type { ColorSource, Renderer } from '@pixi/core';
 import type { IDestroyOptions } from '@pixi/display';
-import type { TextStyleAlign } from '@pixi/text';
-import type { IBitmapTextStyle } from './BitmapTextStyle';
+import type { TextStyleAlign, TextStyleDirection, TextStyleLineBreak, TextStyleTextOverflow } from '@pixi/text';
+import type { IBitmapTextCharStyle, IBitmapTextGlyph, IBitmapTextRunStyle, IBitmapTextStyle } from './BitmapTextStyle';
 
 interface PageMeshData
 {
@@ -22,6 +23,14 @@ interface PageMeshData
     vertices?: Float32Array;
     uvs?: Float32Array;
     indices?: Uint16Array;
+    /** Whether the mesh renders with the distance field shader. */
+    distanceField?: boolean;
+    /** Range of the distance field, in pixels of the font. */
+    distanceFieldRange?: number;
+    /** Scale of the font, from its size to the displayed size. */
+    fontScale?: number;
+    /** Tint of the run, or null for the tint of the BitmapText. */
+    tint?: number;
 }
 interface CharRenderData
 {
@@ -30,6 +39,34 @@ interface CharRenderData
     charCode: number;
     position: Point;
     prevSpaces: number;
+    /** The font of the glyph, or null for icons. */
+    font: BitmapFont;
+    /** Scale of the texture, relative to the font of the BitmapText. */
+    scale: number;
+    /** Height of the line of the run, relative to the font of the BitmapText. */
+    lineHeight: number;
+    /** Tint of the run, or null for the tint of the BitmapText. */
+    tint: number;
+    /** Key of the mesh of the glyph in the page meshes. */
+    meshKey: string;
+    /** Index of the character in the characters of the text. */
+    index: number;
+    /** Distance from the pen position of the glyph to the pen position of the next one. */
+    advance: number;
+}
+/** A character of the text, with the style of its run. */
+interface CharInputData
+{
+    char: string;
+    font: BitmapFont;
+    /** The name the font is installed with. */
+    fontName: string;
+    /** Scale of the glyph, or of the icon, relative to the font of the BitmapText. */
+    scale: number;
+    lineHeight: number;
+    tint: number;
+    letterSpacing: number;
+    icon: Texture;
 }
 
 // If we ever need more than two pools, please make a Dict or something better.
@@ -37,13 +74,97 @@ const pageMeshDataDefaultPageMeshData: PageMeshData[] = [];
 const pageMeshDataMSDFPageMeshData: PageMeshData[] = [];
 const charRenderDataPool: CharRenderData[] = [];
 
+/** Creates the render data of a glyph, with default values. */
+function createCharRenderData(): CharRenderData
+{
+    return {
+        texture: Texture.EMPTY,
+        line: 0,
+        charCode: 0,
+        prevSpaces: 0,
+        position: new Point(),
+        font: null,
+        scale: 1,
+        lineHeight: 0,
+        tint: null,
+        meshKey: null,
+        index: 0,
+        advance: 0,
+    };
+}
+
+/**
+ * Sets the vertices of a glyph in its page mesh, with the transform of its character style.
+ * @param vertices - The vertices of the page mesh
+ * @param index - Index of the glyph in the page mesh
+ * @param x - The left of the glyph, without its character style
+ * @param y - The top of the glyph, without its character style
+ * @param width - The width of the glyph
+ * @param height - The height of the glyph
+ * @param charStyle - The style of the character of the glyph, if any
+ */
+function setGlyphVertices(
+    vertices: Float32Array,
+    index: number,
+    x: number,
+    y: number,
+    width: number,
+    height: number,
+    charStyle?: IBitmapTextCharStyle
+): void
+{
+    if (charStyle)
+    {
+        const centerX = x + (width / 2) + (charStyle.offset?.x ?? 0);
+        const centerY = y + (height / 2) + (charStyle.offset?.y ?? 0);
+        const rotation = charStyle.rotation ?? 0;
+        const cos = Math.cos(rotation) * (charStyle.scale ?? 1);
+        const sin = Math.sin(rotation) * (charStyle.scale ?? 1);
+
+        // the corners, clockwise from the top left one, transformed around the center
+        for (let j = 0; j < 4; j++)
+        {
+            const cornerX = (j === 1 || j === 2 ? 0.5 : -0.5) * width;
+            const cornerY = (j >= 2 ? 0.5 : -0.5) * height;
+
+            vertices[(index * 8) + (j * 2)] = centerX + (cornerX * cos) - (cornerY * sin);
+            vertices[(index * 8) + (j * 2) + 1] = centerY + (cornerX * sin) + (cornerY * cos);
+        }
+    }
+    else
+    {
+        vertices[(index * 8) + 0] = x;
+        vertices[(index * 8) + 1] = y;
+
+        vertices[(index * 8) + 2] = x + width;
+        vertices[(index * 8) + 3] = y;
+
+        vertices[(index * 8) + 4] = x + width;
+        vertices[(index * 8) + 5] = y + height;
+
+        vertices[(index * 8) + 6] = x;
+        vertices[(index * 8) + 7] = y + height;
+    }
+}
+
+/**
+ * Gets the tint of a character style, to compare it with others.
+ * @param charStyle - The style of a character, if any
+ * @returns - The tint, or null if the style has none
+ */
+function getCharTint(charStyle?: IBitmapTextCharStyle): number
+{
+    return charStyle?.tint === undefined ? null : Color.shared.setValue(charStyle.tint).toNumber();
+}
+
 /**
  * A BitmapText object will create a line or multiple lines of text using bitmap font.
  *
  * The primary advantage of this class over Text is that all of your textures are pre-generated and loading,
  * meaning that rendering is fast, and changing text has no performance implications.
  *
- * Supporting character sets other than latin, such as CJK languages, may be impractical due to the number of characters.
+ * Supporting character sets other than latin, such as CJK languages, may be impractical due to the number of characters,
+ * unless the font is generated by {@link PIXI.BitmapFont.from} with the `dynamic` option, drawing the glyphs on demand.
  *
  * To split a line you can use '\n', '\r' or '\r\n' in your string.
  *
@@ -56,6 +177,10 @@ const charRenderDataPool: CharRenderData[] = [];
  * https://github.com/Chlumsky/msdf-atlas-gen for SDF, MSDF and MTSDF json files
  *
  * A BitmapText can only be created when the font is loaded.
+ *
+ * With the `markup` option, parts of the text can be styled with tags, see {@link PIXI.BitmapText#markup}.
+ * The glyphs can be hit-tested and animated one by one, see {@link PIXI.BitmapText#getGlyphs}
+ * and {@link PIXI.BitmapText#setCharStyle}.
  * @example
  * import { BitmapText } from 'pixi.js';
  *
@@ -73,7 +198,13 @@ export class BitmapText extends Container
         align: 'left',
         tint: 0xFFFFFF,
         maxWidth: 0,
+        maxLines: 0,
+        maxHeight: 0,
+        textOverflow: 'clip',
         letterSpacing: 0,
+        markup: false,
+        direction: 'ltr',
+        lineBreak: 'normal',
     };
 
     /** Set to `true` if the BitmapText needs to be redrawn. */
@@ -121,6 +252,30 @@ export class BitmapText extends Container
      */
     protected _maxLineHeight: number;
 
+    /**
+     * The maximum number of lines, 0 for no limit.
+     * @private
+     */
+    protected _maxLines: number;
+
+    /**
+     * The height the text is truncated to, 0 for no limit.
+     * @private
+     */
+    protected _maxHeight: number;
+
+    /**
+     * Private tracker for how truncated text is shown.
+     * @private
+     */
+    protected _textOverflow: TextStyleTextOverflow;
+
+    /**
+     * Private tracker for whether the text was truncated.
+     * @private
+     */
+    protected _truncated: boolean;
+
     /**
      * Letter spacing. This is useful for setting the space between characters.
      * @private
@@ -174,9 +329,60 @@ export class BitmapText extends Container
      */
     protected _roundPixels: boolean;
 
+    /**
+     * Private tracker for the base direction of the text.
+     * @private
+     */
+    protected _direction: TextStyleDirection;
+
+    /**
+     * Private tracker for where lines can be wrapped.
+     * @private
+     */
+    protected _lineBreak: TextStyleLineBreak;
+
+    /**
+     * Private tracker for whether the text is parsed for tags.
+     * @private
+     */
+    protected _markup: boolean;
+
+    /**
+     * Private tracker for the styles of the custom tags.
+     * @private
+     */
+    protected _tagStyles: Record<string, Partial<IBitmapTextRunStyle>>;
+
+    /**
+     * Private tracker for the textures of the icons.
+     * @private
+     */
+    protected _icons: Record<string, Texture>;
+
+    /**
+     * Private tracker for the styles of the characters.
+     * @private
+     */
+    protected _charStyles: Map<number, IBitmapTextCharStyle>;
+
+    /**
+     * Private tracker for the displayed glyphs.
+     * @private
+     */
+    protected _glyphs: IBitmapTextGlyph[];
+
+    /** Where the vertices of each displayed glyph are, in the order of the glyphs. */
+    private _glyphVertices: { pageMesh: PageMeshData, index: number }[];
+
+    /** The indices of the displayed glyphs of each character, by character index. */
+    private _charGlyphs: Map<number, number[]>;
+
     /** Cached char texture is destroyed when BitmapText is destroyed. */
     private _textureCache: Record<number, Texture>;
 
+    /** The fonts of the displayed glyphs, by name. */
+    private _usedFonts: Map<string, BitmapFont>;
+
     /**
      * @param text - A string that you would like the text to display.
      * @param style - The style parameters.
@@ -188,14 +394,24 @@ export class BitmapText extends Container
      * @param {PIXI.ColorSource} [style.tint=0xFFFFFF] - The tint color.
      * @param {number} [style.letterSpacing=0] - The amount of spacing between letters.
      * @param {number} [style.maxWidth=0] - The max width of the text before line wrapping.
+     * @param {number} [style.maxLines=0] - The maximum number of lines, 0 for no limit.
+     * @param {number} [style.maxHeight=0] - The height the text is truncated to, 0 for no limit.
+     * @param {string} [style.textOverflow='clip'] - How truncated text is shown ('clip' or 'ellipsis').
+     * @param {string} [style.direction='ltr'] - The base direction of the text ('ltr', 'rtl' or 'auto').
+     * @param {string} [style.lineBreak='normal'] - Where lines can be wrapped ('normal' or 'unicode').
+     * @param {boolean} [style.markup=false] - Whether the text is parsed for style tags.
+     * @param {Record<string, Partial<PIXI.IBitmapTextRunStyle>>} [style.tagStyles] - The styles of the custom tags.
+     * @param {Record<string, PIXI.Texture>} [style.icons] - The textures of the `<icon>` tags, by name.
      */
     constructor(text: string, style: Partial<IBitmapTextStyle> = {})
     {
         super();
 
         // Apply the defaults
-        const { align, tint, maxWidth, letterSpacing, fontName, fontSize } = Object.assign(
-            {}, BitmapText.styleDefaults, style);
+        const {
+            align, tint, maxWidth, maxLines, maxHeight, textOverflow, letterSpacing, fontName, fontSize,
+            direction, lineBreak, markup, tagStyles, icons,
+        } = Object.assign({}, BitmapText.styleDefaults, style);
 
         if (!BitmapFont.available[fontName])
         {
@@ -213,13 +429,27 @@ export class BitmapText extends Container
         this.text = text;
         this._maxWidth = maxWidth;
         this._maxLineHeight = 0;
+        this._maxLines = maxLines;
+        this._maxHeight = maxHeight;
+        this._textOverflow = textOverflow;
+        this._truncated = false;
         this._letterSpacing = letterSpacing;
         this._anchor = new ObservablePoint((): void => { this.dirty = true; }, this, 0, 0);
         this._roundPixels = settings.ROUND_PIXELS;
         this.dirty = true;
         this._resolution = settings.RESOLUTION;
         this._autoResolution = true;
+        this._direction = direction;
+        this._lineBreak = lineBreak;
+        this._markup = markup;
+        this._tagStyles = tagStyles ?? {};
+        this._icons = icons ?? {};
+        this._charStyles = new Map();
+        this._glyphs = [];
+        this._glyphVertices = [];
+        this._charGlyphs = new Map();
         this._textureCache = {};
+        this._usedFonts = new Map();
     }
 
     /** Renders text and updates it when needed. This should only be called if the BitmapFont is regenerated. */
@@ -232,98 +462,122 @@ export class BitmapText extends Container
         const chars: CharRenderData[] = [];
         const lineWidths = [];
         const lineSpaces = [];
+        const lineHeights: number[] = [];
         const text = this._text.replace(/(?:\r\n|\r)/g, '\n') || ' ';
-        const charsInput = splitTextToCharacters(text);
+        const charsInput = this._getCharsInput(text, scale);
         const maxWidth = this._maxWidth * data.size / fontSize;
-        const pageMeshDataPool = data.distanceFieldType === 'none'
-            ? pageMeshDataDefaultPageMeshData : pageMeshDataMSDFPageMeshData;
+        const breaks = this._lineBreak === 'unicode'
+            ? TextMetrics.getLineBreaks(charsInput.map((input) => input.char))
+            : null;
+        const levels = this._getBidiLevels(charsInput);
+
+        this._useFonts(charsInput);
 
         let prevCharCode = null;
+        let prevFont: BitmapFont = null;
         let lastLineWidth = 0;
         let maxLineWidth = 0;
         let line = 0;
         let lastBreakPos = -1;
         let lastBreakWidth = 0;
-        let spacesRemoved = 0;
+        let lastBreakCharCount = 0;
         let maxLineHeight = 0;
         let spaceCount = 0;
 
         for (let i = 0; i < charsInput.length; i++)
         {
-            const char = charsInput[i];
+            const { char, font, scale: charScale, icon } = charsInput[i];
             const charCode = extractCharCode(char);
 
             if ((/(?:\s)/).test(char))
             {
                 lastBreakPos = i;
                 lastBreakWidth = lastLineWidth;
+                lastBreakCharCount = chars.length;
                 spaceCount++;
             }
+            else if (breaks?.[i] && !(/(?:\s)/).test(charsInput[i - 1].char))
+            {
+                // break opportunity between two characters, such as ideographs
+                lastBreakPos = i - 1;
+                lastBreakWidth = lastLineWidth;
+                lastBreakCharCount = chars.length;
+            }
 
             if (char === '\r' || char === '\n')
             {
                 lineWidths.push(lastLineWidth);
                 lineSpaces.push(-1);
+                lineHeights[line] = charsInput[i].lineHeight;
                 maxLineWidth = Math.max(maxLineWidth, lastLineWidth);
                 ++line;
-                ++spacesRemoved;
 
                 pos.x = 0;
-                pos.y += data.lineHeight;
                 prevCharCode = null;
                 spaceCount = 0;
                 continue;
             }
 
-            const charData = data.chars[charCode];
+            const charData = icon ? null : font.chars[charCode];
+            const texture = icon ?? charData?.texture;
 
-            if (!charData)
+            if (!texture)
             {
                 continue;
             }
 
-            if (prevCharCode && charData.kerning[prevCharCode])
+            // the metrics of the glyph, relative to the font of the BitmapText
+            const xOffset = (icon ? (icon.trim?.x ?? 0) : charData.xOffset) * charScale;
+            const yOffset = icon
+                ? ((charsInput[i].lineHeight - (icon.orig.height * charScale)) / 2) + ((icon.trim?.y ?? 0) * charScale)
+                : charData.yOffset * charScale;
+            const xAdvance = (icon ? icon.orig.width : charData.xAdvance) * charScale;
+            const letterSpacing = charsInput[i].letterSpacing * charScale;
+
+            if (prevCharCode && prevFont === font && charData?.kerning[prevCharCode])
             {
-                pos.x += charData.kerning[prevCharCode];
+                pos.x += charData.kerning[prevCharCode] * charScale;
+                chars[chars.length - 1].advance += charData.kerning[prevCharCode] * charScale;
             }
 
-            const charRenderData: CharRenderData = charRenderDataPool.pop() || {
-                texture: Texture.EMPTY,
-                line: 0,
-                charCode: 0,
-                prevSpaces: 0,
-                position: new Point(),
-            };
+            const charRenderData = charRenderDataPool.pop() || createCharRenderData();
 
-            charRenderData.texture = charData.texture;
+            charRenderData.texture = texture;
             charRenderData.line = line;
             charRenderData.charCode = charCode;
-            charRenderData.position.x = Math.round(pos.x + charData.xOffset + (this._letterSpacing / 2));
-            charRenderData.position.y = Math.round(pos.y + charData.yOffset);
+            charRenderData.position.x = Math.round(pos.x + xOffset + (letterSpacing / 2));
+            // from the top of the line of the run, moved to the line once its height is known
+            charRenderData.position.y = yOffset;
             charRenderData.prevSpaces = spaceCount;
+            charRenderData.font = icon ? null : font;
+            charRenderData.scale = charScale;
+            charRenderData.lineHeight = charsInput[i].lineHeight;
+            charRenderData.tint = charsInput[i].tint;
+            charRenderData.index = i;
+            charRenderData.advance = xAdvance + letterSpacing;
 
             chars.push(charRenderData);
 
             lastLineWidth = charRenderData.position.x
-                + Math.max(charData.xAdvance - charData.xOffset, charData.texture.orig.width);
-            pos.x += charData.xAdvance + this._letterSpacing;
-            maxLineHeight = Math.max(maxLineHeight, (charData.yOffset + charData.texture.height));
-            prevCharCode = charCode;
+                + Math.max(xAdvance - xOffset, texture.orig.width * charScale);
+            pos.x += xAdvance + letterSpacing;
+            maxLineHeight = Math.max(maxLineHeight, yOffset + (texture.height * charScale));
+            prevCharCode = icon ? null : charCode;
+            prevFont = font;
 
             if (lastBreakPos !== -1 && maxWidth > 0 && pos.x > maxWidth)
             {
-                ++spacesRemoved;
-                utils.removeItems(chars, 1 + lastBreakPos - spacesRemoved, 1 + i - lastBreakPos);
+                utils.removeItems(chars, lastBreakCharCount, chars.length - lastBreakCharCount);
                 i = lastBreakPos;
                 lastBreakPos = -1;
 
                 lineWidths.push(lastBreakWidth);
                 lineSpaces.push(chars.length > 0 ? chars[chars.length - 1].prevSpaces : 0);
+                lineHeights[line] = charsInput[i].lineHeight;
                 maxLineWidth = Math.max(maxLineWidth, lastBreakWidth);
                 line++;
 
                 pos.x = 0;
-                pos.y += data.lineHeight;
                 prevCharCode = null;
                 spaceCount = 0;
             }
@@ -331,9 +585,9 @@ export class BitmapText extends Container
 
         const lastChar = charsInput[charsInput.length - 1];
 
-        if (lastChar !== '\r' && lastChar !== '\n')
+        if (lastChar.char !== '\r' && lastChar.char !== '\n')
         {
-            if ((/(?:\s)/).test(lastChar))
+            if ((/(?:\s)/).test(lastChar.char))
             {
                 lastLineWidth = lastBreakWidth;
             }
@@ -343,6 +597,51 @@ export class BitmapText extends Container
             lineSpaces.push(-1);
         }
 
+        lineHeights[line] = lastChar.lineHeight;
+
+        // lines are as high as their highest run, or as the run they end with if they are empty
+        const lineMaxHeights = lineHeights.map(() => 0);
+
+        for (let i = 0; i < chars.length; i++)
+        {
+            lineMaxHeights[chars[i].line] = Math.max(lineMaxHeights[chars[i].line], chars[i].lineHeight);
+        }
+
+        for (let i = 0; i <= line; i++)
+        {
+            lineHeights[i] = lineMaxHeights[i] || lineHeights[i];
+        }
+
+        this._truncated = this._truncate(chars, charsInput, lineWidths, lineSpaces, lineHeights, maxWidth, scale);
+
+        if (this._truncated)
+        {
+            line = lineHeights.length - 1;
+            maxLineWidth = Math.max(0, ...lineWidths);
+        }
+
+        const lineTops = [];
+
+        for (let i = 0; i <= line; i++)
+        {
+            lineTops.push(pos.y);
+            pos.y += lineHeights[i];
+        }
+
+        // lines are laid out in logical order, then their right-to-left runs are reversed
+        if (levels)
+        {
+            this._reorderLines(chars, levels);
+        }
+
+        // runs are aligned on the bottom of their line
+        for (let i = 0; i < chars.length; i++)
+        {
+            const char = chars[i];
+
+            char.position.y = Math.round(lineTops[char.line] + lineHeights[char.line] - char.lineHeight + char.position.y);
+        }
+
         const lineAlignOffsets = [];
 
         for (let i = 0; i <= line; i++)
@@ -367,21 +666,42 @@ export class BitmapText extends Container
 
         const lenChars = chars.length;
 
-        const pagesMeshData: Record<number, PageMeshData> = {};
+        // glyphs with their own tint are rendered by the meshes of this tint
+        for (let i = 0; i < lenChars; i++)
+        {
+            const charStyle = this._charStyles.get(chars[i].index);
+
+            if (charStyle?.tint !== undefined)
+            {
+                chars[i].tint = Color.shared.setValue(charStyle.tint).toNumber();
+            }
+        }
+
+        const pagesMeshData: Record<string, PageMeshData> = {};
 
         const newPagesMeshData: PageMeshData[] = [];
 
         const activePagesMeshData = this._activePagesMeshData;
 
-        pageMeshDataPool.push(...activePagesMeshData);
+        for (let i = 0; i < activePagesMeshData.length; i++)
+        {
+            (activePagesMeshData[i].distanceField ? pageMeshDataMSDFPageMeshData : pageMeshDataDefaultPageMeshData)
+                .push(activePagesMeshData[i]);
+        }
 
         for (let i = 0; i < lenChars; i++)
         {
-            const texture = chars[i].texture;
+            const { texture, font, scale: charScale, tint } = chars[i];
             const baseTextureUid = texture.baseTexture.uid;
+            const distanceField = !!font && font.distanceFieldType !== 'none';
+            // the distance field shader depends on the size of the glyphs
+            const key = distanceField ? `${baseTextureUid}:${tint}:${charScale}` : `${baseTextureUid}:${tint}`;
+
+            chars[i].meshKey = key;
 
-            if (!pagesMeshData[baseTextureUid])
+            if (!pagesMeshData[key])
             {
+                const pageMeshDataPool = distanceField ? pageMeshDataMSDFPageMeshData : pageMeshDataDefaultPageMeshData;
                 let pageMeshData = pageMeshDataPool.pop();
 
                 if (!pageMeshData)
@@ -390,7 +710,7 @@ export class BitmapText extends Container
                     let material: MeshMaterial;
                     let meshBlendMode: BLEND_MODES;
 
-                    if (data.distanceFieldType === 'none')
+                    if (!distanceField)
                     {
                         material = new MeshMaterial(Texture.EMPTY);
                         meshBlendMode = BLEND_MODES.NORMAL;
@@ -416,6 +736,7 @@ export class BitmapText extends Container
                         vertices: null,
                         uvs: null,
                         indices: null,
+                        distanceField,
                     };
                 }
 
@@ -425,6 +746,9 @@ export class BitmapText extends Container
                 pageMeshData.vertexCount = 0;
                 pageMeshData.uvsCount = 0;
                 pageMeshData.total = 0;
+                pageMeshData.distanceFieldRange = distanceField ? font.distanceFieldRange : 0;
+                pageMeshData.fontScale = scale * charScale;
+                pageMeshData.tint = tint;
 
                 // TODO need to get page texture here somehow..
                 const { _textureCache } = this;
@@ -432,14 +756,14 @@ export class BitmapText extends Container
                 _textureCache[baseTextureUid] = _textureCache[baseTextureUid] || new Texture(texture.baseTexture);
                 pageMeshData.mesh.texture = _textureCache[baseTextureUid];
 
-                pageMeshData.mesh.tint = this._tintColor.value;
+                pageMeshData.mesh.tint = tint ?? this._tintColor.value;
 
                 newPagesMeshData.push(pageMeshData);
 
-                pagesMeshData[baseTextureUid] = pageMeshData;
+                pagesMeshData[key] = pageMeshData;
             }
 
-            pagesMeshData[baseTextureUid].total++;
+            pagesMeshData[key].total++;
         }
 
         // lets find any previously active pageMeshDatas that are no longer required for
@@ -495,6 +819,10 @@ export class BitmapText extends Container
             pageMeshData.mesh.size = 6 * total;
         }
 
+        const glyphs: IBitmapTextGlyph[] = [];
+        const glyphVertices: { pageMesh: PageMeshData, index: number }[] = [];
+        const charGlyphs = new Map<number, number[]>();
+
         for (let i = 0; i < lenChars; i++)
         {
             const char = chars[i];
@@ -508,11 +836,15 @@ export class BitmapText extends Container
             const xPos = offset * scale;
             const yPos = char.position.y * scale;
             const texture = char.texture;
+            const charScale = char.scale * scale;
 
-            const pageMesh = pagesMeshData[texture.baseTexture.uid];
+            const pageMesh = pagesMeshData[char.meshKey];
 
             const textureFrame = texture.frame;
             const textureUvs = texture._uvs;
+            const width = textureFrame.width * charScale;
+            const height = textureFrame.height * charScale;
+            const charStyle = this._charStyles.get(char.index);
 
             const index = pageMesh.index++;
 
@@ -523,17 +855,22 @@ export class BitmapText extends Container
             pageMesh.indices[(index * 6) + 4] = 2 + (index * 4);
             pageMesh.indices[(index * 6) + 5] = 3 + (index * 4);
 
-            pageMesh.vertices[(index * 8) + 0] = xPos;
-            pageMesh.vertices[(index * 8) + 1] = yPos;
-
-            pageMesh.vertices[(index * 8) + 2] = xPos + (textureFrame.width * scale);
-            pageMesh.vertices[(index * 8) + 3] = yPos;
+            setGlyphVertices(pageMesh.vertices, index, xPos, yPos, width, height, charStyle);
 
-            pageMesh.vertices[(index * 8) + 4] = xPos + (textureFrame.width * scale);
-            pageMesh.vertices[(index * 8) + 5] = yPos + (textureFrame.height * scale);
+            if (!charGlyphs.has(char.index))
+            {
+                charGlyphs.set(char.index, []);
+            }
 
-            pageMesh.vertices[(index * 8) + 6] = xPos;
-            pageMesh.vertices[(index * 8) + 7] = yPos + (textureFrame.height * scale);
+            charGlyphs.get(char.index).push(glyphs.length);
+            glyphVertices.push({ pageMesh, index });
+            glyphs.push({
+                index: char.index,
+                charCode: char.charCode,
+                line: char.line,
+                position: new Point(xPos + (width / 2), yPos + (height / 2)),
+                bounds: new Rectangle(xPos, yPos, width, height),
+            });
 
             pageMesh.uvs[(index * 8) + 0] = textureUvs.x0;
             pageMesh.uvs[(index * 8) + 1] = textureUvs.y0;
@@ -549,7 +886,21 @@ export class BitmapText extends Container
         }
 
         this._textWidth = maxLineWidth * scale;
-        this._textHeight = (pos.y + data.lineHeight) * scale;
+        this._textHeight = pos.y * scale;
+
+        for (let i = 0; i < glyphs.length; i++)
+        {
+            const { position, bounds } = glyphs[i];
+
+            position.x -= this._textWidth * this.anchor.x;
+            position.y -= this._textHeight * this.anchor.y;
+            bounds.x -= this._textWidth * this.anchor.x;
+            bounds.y -= this._textHeight * this.anchor.y;
+        }
+
+        this._glyphs = glyphs;
+        this._glyphVertices = glyphVertices;
+        this._charGlyphs = charGlyphs;
 
         for (const i in pagesMeshData)
         {
@@ -603,6 +954,361 @@ export class BitmapText extends Container
         this.dirty = false;
     }
 
+    /**
+     * Splits the text into characters, with the style of the run they belong to.
+     * @param text - The text, with markup if enabled
+     * @param scale - Scale of the font of the BitmapText, from its size to the displayed size
+     */
+    private _getCharsInput(text: string, scale: number): CharInputData[]
+    {
+        const runs = this._markup ? parseMarkup(text, this._tagStyles) : [{ text, style: {}, icon: undefined }];
+        const charsInput: CharInputData[] = [];
+
+        for (const { text, style, icon } of runs)
+        {
+            const fontName = style.fontName ?? this._fontName;
+            const font = BitmapFont.available[fontName];
+
+            if (!font)
+            {
+                throw new Error(`Missing BitmapFont "${fontName}"`);
+            }
+
+            const fontSize = style.fontSize ?? this.fontSize;
+            // relative to the font of the BitmapText, exactly 1 for its own runs
+            const fontScale = fontSize / font.size / scale;
+            const tint = style.tint === undefined ? null : new Color(style.tint).toNumber();
+            const letterSpacing = style.letterSpacing ?? this._letterSpacing;
+
+            if (icon !== undefined)
+            {
+                const texture = this._icons[icon];
+
+                if (texture)
+                {
+                    charsInput.push({
+                        char: '\uFFFC',
+                        font,
+                        fontName,
+                        // icons are as high as the font size
+                        scale: fontSize / scale / texture.orig.height,
+                        lineHeight: font.lineHeight * fontScale,
+                        tint,
+                        letterSpacing,
+                        icon: texture,
+                    });
+                }
+
+                continue;
+            }
+
+            for (const char of splitTextToCharacters(text))
+            {
+                charsInput.push({
+                    char,
+                    font,
+                    fontName,
+                    scale: fontScale,
+                    lineHeight: font.lineHeight * fontScale,
+                    tint,
+                    letterSpacing,
+                    icon: null,
+                });
+            }
+        }
+
+        if (charsInput.length === 0)
+        {
+            const font = BitmapFont.available[this._fontName];
+
+            charsInput.push({
+                char: ' ',
+                font,
+                fontName: this._fontName,
+                scale: 1,
+                lineHeight: font.lineHeight,
+                tint: null,
+                letterSpacing: this._letterSpacing,
+                icon: null,
+            });
+        }
+
+        return charsInput;
+    }
+
+    /**
+     * Resolves the bidirectional levels of the characters paragraph by paragraph, and mirrors the characters
+     * displayed right-to-left, such as parentheses, if their fonts have the mirrored glyphs.
+     * @param charsInput - The characters of the text
+     * @returns - The level of each character, or null if the text is only left-to-right
+     */
+    private _getBidiLevels(charsInput: CharInputData[]): number[]
+    {
+        const chars = charsInput.map((input) => input.char);
+        const text = chars.join('');
+
+        if (this._direction === 'ltr' && !TextMetrics.hasRightToLeft(text))
+        {
+            return null;
+        }
+
+        const direction = TextMetrics.resolveDirection(text, this._direction);
+        const levels: number[] = [];
+
+        for (let start = 0; start < chars.length;)
+        {
+            const newline = chars.indexOf('\n', start);
+            const end = newline === -1 ? chars.length : newline + 1;
+
+            levels.push(...TextMetrics.getBidiLevels(chars.slice(start, end), direction));
+            start = end;
+        }
+
+        for (let i = 0; i < charsInput.length; i++)
+        {
+            const { char, font, icon } = charsInput[i];
+            const mirrored = levels[i] % 2 && !icon ? TextMetrics.getMirroredChar(char) : char;
+
+            if (mirrored !== char && (font.dynamic || font.chars[extractCharCode(mirrored)]))
+            {
+                charsInput[i].char = mirrored;
+            }
+        }
+
+        return levels;
+    }
+
+    /**
+     * Removes the lines exceeding the max lines or the max height. With the "ellipsis" text overflow,
+     * the last line then ends with an ellipsis, as well as the lines wider than the max width.
+     * @param chars - The glyphs, in logical order
+     * @param charsInput - The characters of the text
+     * @param lineWidths - The widths of the lines
+     * @param lineSpaces - The spaces of the lines, for the justify alignment
+     * @param lineHeights - The heights of the lines
+     * @param maxWidth - The max width, relative to the font of the BitmapText
+     * @param scale - The scale of the font of the BitmapText
+     * @returns - Whether the text was truncated
+     */
+    private _truncate(chars: CharRenderData[], charsInput: CharInputData[], lineWidths: number[],
+        lineSpaces: number[], lineHeights: number[], maxWidth: number, scale: number): boolean
+    {
+        let maxLines = this._maxLines > 0 ? this._maxLines : Infinity;
+
+        if (this._maxHeight > 0)
+        {
+            let height = 0;
+            let fittingLines = 0;
+
+            while (fittingLines < lineHeights.length
+                && (height + lineHeights[fittingLines]) * scale <= this._maxHeight)
+            {
+                height += lineHeights[fittingLines++];
+            }
+
+            maxLines = Math.min(maxLines, Math.max(1, fittingLines));
+        }
+
+        let truncated = false;
+
+        if (lineHeights.length > maxLines)
+        {
+            const removed = chars.findIndex((char) => char.line >= maxLines);
+
+            if (removed !== -1)
+            {
+                charRenderDataPool.push(...chars.splice(removed));
+            }
+
+            lineWidths.length = Math.min(lineWidths.length, maxLines);
+            lineSpaces.length = Math.min(lineSpaces.length, maxLines);
+            lineHeights.length = maxLines;
+            // the last line is not justified
+            lineSpaces[maxLines - 1] = -1;
+            truncated = true;
+        }
+
+        if (this._textOverflow !== 'ellipsis')
+        {
+            return truncated;
+        }
+
+        for (let line = 0; line < lineHeights.length; line++)
+        {
+            if ((truncated && line === lineHeights.length - 1) || (maxWidth > 0 && lineWidths[line] > maxWidth))
+            {
+                lineWidths[line] = this._addEllipsis(chars, charsInput, line, maxWidth);
+                truncated = true;
+            }
+        }
+
+        return truncated;
+    }
+
+    /**
+     * Ends a line with an ellipsis, in the style of its last character. The characters after which the ellipsis
+     * does not fit in the max width are removed, as well as the trailing whitespaces. Fonts without the `'…'` glyph
+     * use three dots, or no ellipsis if they have none.
+     * @param chars - The glyphs, in logical order
+     * @param charsInput - The characters of the text
+     * @param line - The line
+     * @param maxWidth - The max width, relative to the font of the BitmapText
+     * @returns - The width of the line
+     */
+    private _addEllipsis(chars: CharRenderData[], charsInput: CharInputData[], line: number, maxWidth: number): number
+    {
+        let start = chars.findIndex((char) => char.line >= line);
+
+        start = start === -1 ? chars.length : start;
+
+        let end = start;
+        let pen = 0;
+
+        while (end < chars.length && chars[end].line === line)
+        {
+            pen += chars[end++].advance;
+        }
+
+        const last = end > start ? charsInput[chars[end - 1].index] : null;
+        const index = last ? chars[end - 1].index : 0;
+        const font = last?.font ?? BitmapFont.available[this._fontName];
+        const fontScale = last ? last.lineHeight / font.lineHeight : 1;
+        const letterSpacing = (last?.letterSpacing ?? this._letterSpacing) * fontScale;
+        const ellipsis = TextMetrics.ELLIPSIS;
+        let charCodes: number[] = [];
+
+        if (font.chars[extractCharCode(ellipsis)])
+        {
+            charCodes = [extractCharCode(ellipsis)];
+        }
+        else if (font.chars[46])
+        {
+            charCodes = [46, 46, 46];
+        }
+
+        const ellipsisWidth = charCodes.reduce((width, charCode) =>
+            width + (font.chars[charCode].xAdvance * fontScale) + letterSpacing, 0);
+
+        const limit = maxWidth > 0 ? maxWidth : Infinity;
+
+        while (end > start && ((/(?:\s)/).test(charsInput[chars[end - 1].index].char) || pen + ellipsisWidth > limit))
+        {
+            end--;
+            pen -= chars[end].advance;
+            charRenderDataPool.push(...chars.splice(end, 1));
+        }
+
+        const prevSpaces = end > start ? chars[end - 1].prevSpaces : 0;
+        let width = pen;
+
+        for (let i = 0; i < charCodes.length; i++)
+        {
+            const charData = font.chars[charCodes[i]];
+            const charRenderData = charRenderDataPool.pop() || createCharRenderData();
+
+            charRenderData.texture = charData.texture;
+            charRenderData.line = line;
+            charRenderData.charCode = charCodes[i];
+            charRenderData.position.x = Math.round(pen + (charData.xOffset * fontScale) + (letterSpacing / 2));
+            charRenderData.position.y = charData.yOffset * fontScale;
+            charRenderData.prevSpaces = prevSpaces;
+            charRenderData.font = font;
+            charRenderData.scale = fontScale;
+            charRenderData.lineHeight = font.lineHeight * fontScale;
+            charRenderData.tint = last?.tint ?? null;
+            charRenderData.index = index;
+            charRenderData.advance = (charData.xAdvance * fontScale) + letterSpacing;
+
+            chars.splice(end++, 0, charRenderData);
+
+            width = charRenderData.position.x
+                + Math.max((charData.xAdvance - charData.xOffset) * fontScale, charData.texture.orig.width * fontScale);
+            pen += charRenderData.advance;
+        }
+
+        return width;
+    }
+
+    /**
+     * Moves the glyphs of each line to their visual order.
+     * @param chars - The glyphs, in logical order
+     * @param levels - The bidirectional levels of the characters of the text
+     */
+    private _reorderLines(chars: CharRenderData[], levels: number[]): void
+    {
+        for (let start = 0; start < chars.length;)
+        {
+            let end = start;
+
+            while (end < chars.length && chars[end].line === chars[start].line) end++;
+
+            const lineChars = chars.slice(start, end);
+            const order = TextMetrics.getBidiOrder(lineChars.map((char) => levels[char.index]));
+            const offsets: number[] = [];
+            let pen = 0;
+
+            // offsets of the glyphs from their pen positions, which are then advanced in visual order
+            for (let i = 0; i < lineChars.length; i++)
+            {
+                offsets.push(lineChars[i].position.x - pen);
+                pen += lineChars[i].advance;
+            }
+
+            pen = 0;
+
+            for (let i = 0; i < order.length; i++)
+            {
+                const char = lineChars[order[i]];
+
+                char.position.x = Math.round(pen + offsets[order[i]]);
+                pen += char.advance;
+            }
+
+            start = end;
+        }
+    }
+
+    /**
+     * Draws the glyphs missing from dynamic fonts, and releases the fonts which are no longer displayed.
+     * @param charsInput - The characters to display
+     */
+    private _useFonts(charsInput: CharInputData[]): void
+    {
+        const fontChars = new Map<BitmapFont, string[]>();
+        const usedFonts = new Map<string, BitmapFont>();
+
+        for (const { char, font, fontName, icon } of charsInput)
+        {
+            if (!fontChars.has(font))
+            {
+                fontChars.set(font, []);
+                usedFonts.set(fontName, font);
+            }
+
+            if (!icon)
+            {
+                fontChars.get(font).push(char);
+            }
+        }
+
+        if (this._textOverflow === 'ellipsis')
+        {
+            fontChars.forEach((chars) => chars.push(TextMetrics.ELLIPSIS));
+        }
+
+        for (const font of this._usedFonts.values())
+        {
+            if (!fontChars.has(font))
+            {
+                font.releaseCharacters(this);
+            }
+        }
+
+        fontChars.forEach((chars, font) => font.useCharacters(this, chars));
+
+        this._usedFonts = usedFonts;
+    }
+
     updateTransform(): void
     {
         this.validate();
@@ -618,9 +1324,7 @@ export class BitmapText extends Container
         }
 
         // Update the uniform
-        const { distanceFieldRange, distanceFieldType, size } = BitmapFont.available[this._fontName];
-
-        if (distanceFieldType !== 'none')
+        if (this._activePagesMeshData.some((mesh) => mesh.distanceField))
         {
             // Inject the shader code with the correct value
             const { a, b, c, d } = this.worldTransform;
@@ -629,13 +1333,14 @@ export class BitmapText extends Container
             const dy = Math.sqrt((c * c) + (d * d));
             const worldScale = (Math.abs(dx) + Math.abs(dy)) / 2;
 
-            const fontScale = this.fontSize / size;
-
             const resolution = renderer._view.resolution;
 
             for (const mesh of this._activePagesMeshData)
             {
-                mesh.mesh.shader.uniforms.uFWidth = worldScale * distanceFieldRange * fontScale * resolution;
+                if (mesh.distanceField)
+                {
+                    mesh.mesh.shader.uniforms.uFWidth = worldScale * mesh.distanceFieldRange * mesh.fontScale * resolution;
+                }
             }
         }
 
@@ -653,6 +1358,124 @@ export class BitmapText extends Container
         return super.getLocalBounds();
     }
 
+    /**
+     * Gets the glyphs displayed by the text, in the order of its characters, to animate or hit-test them.
+     * Characters without glyphs, such as spaces and line breaks, are not included.
+     * @example
+     * // the bounds of the first word
+     * const bounds = new Rectangle();
+     *
+     * bitmapText.getGlyphs()
+     *     .filter((glyph) => glyph.index < bitmapText.text.indexOf(' '))
+     *     .forEach((glyph, i) => (i === 0 ? bounds.copyFrom(glyph.bounds) : bounds.enlarge(glyph.bounds)));
+     * @returns - The glyphs, which must not be modified
+     */
+    public getGlyphs(): readonly IBitmapTextGlyph[]
+    {
+        this.validate();
+
+        return this._glyphs;
+    }
+
+    /**
+     * Sets the transform and tint of a character, applied to its glyph in addition to the layout.
+     * Character styles are kept when the text changes, until they are removed.
+     *
+     * Changing the offset, scale or rotation of a character only moves its glyph, and can be done every frame.
+     * Changing its tint lays out the text again.
+     * @example
+     * // wave text
+     * app.ticker.add(() =>
+     * {
+     *     for (const { index } of bitmapText.getGlyphs())
+     *     {
+     *         bitmapText.setCharStyle(index, { offset: { x: 0, y: Math.sin((performance.now() / 200) + index) * 5 } });
+     *     }
+     * });
+     * @param index - Index of the character, see {@link PIXI.IBitmapTextGlyph#index}
+     * @param style - The style of the character, or null to remove it
+     */
+    public setCharStyle(index: number, style: IBitmapTextCharStyle | null): void
+    {
+        const previous = this._charStyles.get(index);
+
+        if (style)
+        {
+            this._charStyles.set(index, { ...style });
+        }
+        else if (!previous)
+        {
+            return;
+        }
+        else
+        {
+            this._charStyles.delete(index);
+        }
+
+        // glyphs are rendered by the meshes of their tint
+        if (this.dirty || getCharTint(previous) !== getCharTint(style))
+        {
+            this.dirty = true;
+        }
+        else
+        {
+            this._updateCharVertices(index);
+        }
+    }
+
+    /**
+     * Gets the style of a character.
+     * @param index - Index of the character
+     * @returns - The style of the character, or null if it has none
+     */
+    public getCharStyle(index: number): IBitmapTextCharStyle | null
+    {
+        return this._charStyles.get(index) ?? null;
+    }
+
+    /** Removes the styles of all the characters. */
+    public clearCharStyles(): void
+    {
+        const indices = [...this._charStyles.keys()];
+        const tinted = [...this._charStyles.values()].some((charStyle) => getCharTint(charStyle) !== null);
+
+        this._charStyles.clear();
+
+        if (this.dirty || tinted)
+        {
+            this.dirty = true;
+        }
+        else
+        {
+            indices.forEach((index) => this._updateCharVertices(index));
+        }
+    }
+
+    /**
+     * Moves the glyphs of a character as set by its style, without laying out the text again.
+     * @param index - Index of the character
+     */
+    private _updateCharVertices(index: number): void
+    {
+        const charGlyphs = this._charGlyphs.get(index);
+
+        if (!charGlyphs)
+        {
+            return;
+        }
+
+        const charStyle = this._charStyles.get(index);
+
+        for (const i of charGlyphs)
+        {
+            const { x, y, width, height } = this._glyphs[i].bounds;
+            const { pageMesh, index: vertexIndex } = this._glyphVertices[i];
+
+            setGlyphVertices(pageMesh.vertices, vertexIndex, x, y, width, height, charStyle);
+            pageMesh.mesh.geometry.getBuffer('aVertexPosition').update();
+        }
+    }
+
     /**
      * Updates text when needed
      * @private
@@ -669,6 +1492,13 @@ export class BitmapText extends Container
         {
             this.dirty = true;
         }
+        for (const [name, usedFont] of this._usedFonts)
+        {
+            if (BitmapFont.available[name] !== usedFont)
+            {
+                this.dirty = true;
+            }
+        }
 
         if (this.dirty)
         {
@@ -693,7 +1523,11 @@ export class BitmapText extends Container
 
         for (let i = 0; i < this._activePagesMeshData.length; i++)
         {
-            this._activePagesMeshData[i].mesh.tint = value;
+            // runs with a color keep it
+            if (this._activePagesMeshData[i].tint === null)
+            {
+                this._activePagesMeshData[i].mesh.tint = value;
+            }
         }
     }
 
@@ -815,6 +1649,75 @@ export class BitmapText extends Container
         this.dirty = true;
     }
 
+    /**
+     * The maximum number of lines, the next lines being removed. Disable by setting the value to 0.
+     * @default 0
+     */
+    public get maxLines(): number
+    {
+        return this._maxLines;
+    }
+
+    public set maxLines(value: number)
+    {
+        if (this._maxLines !== value)
+        {
+            this._maxLines = value;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * The height the text is truncated to, in pixels. The lines which do not fit are removed,
+     * at least one line being kept. Disable by setting the value to 0.
+     * @default 0
+     */
+    public get maxHeight(): number
+    {
+        return this._maxHeight;
+    }
+
+    public set maxHeight(value: number)
+    {
+        if (this._maxHeight !== value)
+        {
+            this._maxHeight = value;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * How text truncated by {@link PIXI.BitmapText#maxLines} or {@link PIXI.BitmapText#maxHeight} is shown.
+     * `'clip'` only removes the lines, and `'ellipsis'` also ends the last line with an ellipsis,
+     * as well as the lines wider than {@link PIXI.BitmapText#maxWidth}, which have no whitespace to wrap at.
+     * The ellipsis is the `'…'` glyph of the font, or three dots.
+     * @default 'clip'
+     */
+    public get textOverflow(): TextStyleTextOverflow
+    {
+        return this._textOverflow;
+    }
+
+    public set textOverflow(value: TextStyleTextOverflow)
+    {
+        if (this._textOverflow !== value)
+        {
+            this._textOverflow = value;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * Whether lines were removed, or shortened with an ellipsis, to fit the limits of the text.
+     * @readonly
+     */
+    public get truncated(): boolean
+    {
+        this.validate();
+
+        return this._truncated;
+    }
+
     /**
      * The max line height. This is useful when trying to use the total height of the Text,
      * i.e. when trying to vertically align.
@@ -854,6 +1757,113 @@ export class BitmapText extends Container
         }
     }
 
+    /**
+     * The base direction of the text. Right-to-left runs, such as Arabic or Hebrew, are displayed in their order
+     * with the Unicode Bidirectional Algorithm, and their mirrored characters are swapped if the fonts have them.
+     * `'auto'` uses the direction of the first strong character of the text.
+     * @default 'ltr'
+     */
+    public get direction(): TextStyleDirection
+    {
+        return this._direction;
+    }
+
+    public set direction(value: TextStyleDirection)
+    {
+        if (this._direction !== value)
+        {
+            this._direction = value;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * Where lines can be wrapped when the text is wider than {@link PIXI.BitmapText#maxWidth}.
+     * `'normal'` wraps at whitespaces, and `'unicode'` also wraps at the line break opportunities of
+     * the Unicode Line Breaking Algorithm, such as between ideographs or after hyphens.
+     * @default 'normal'
+     */
+    public get lineBreak(): TextStyleLineBreak
+    {
+        return this._lineBreak;
+    }
+
+    public set lineBreak(value: TextStyleLineBreak)
+    {
+        if (this._lineBreak !== value)
+        {
+            this._lineBreak = value;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * Whether the text is parsed for tags styling parts of it. Styles apply until the closing tag,
+     * tags can be nested, and lines wrap across the styled runs.
+     * - `<color=#ff0>`: the tint of the run, any {@link PIXI.ColorSource} string.
+     * - `<size=24>`: the font size of the run, in pixels.
+     * - `<font=Name>`: the installed BitmapFont of the run.
+     * - `<b>`, `<i>` and the other tags of {@link PIXI.BitmapText#tagStyles}: the style given to the tag.
+     *   `<b>` and `<i>` have no style of their own, give them the bold and italic fonts to switch to.
+     * - `<icon=name>`: displays a texture of {@link PIXI.BitmapText#icons} as high as the font size, with no closing tag.
+     *
+     * Runs of different sizes are aligned on the bottom of their line. Unrecognized tags, and tags with an invalid
+     * value such as `<color=nope>`, are displayed as text.
+     * @example
+     * import { BitmapText } from 'pixi.js';
+     *
+     * const text = new BitmapText('Found <color=#ffcc00>12 <icon=coin></color> in the <b>chest</b>!', {
+     *     fontName: 'Regular',
+     *     markup: true,
+     *     tagStyles: { b: { fontName: 'Bold' } },
+     *     icons: { coin: Texture.from('coin.png') },
+     * });
+     * @default false
+     */
+    public get markup(): boolean
+    {
+        return this._markup;
+    }
+
+    public set markup(value: boolean)
+    {
+        if (this._markup !== value)
+        {
+            this._markup = value;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * The styles of the custom tags of the markup, by tag name, such as `{ b: { fontName: 'Bold' } }`.
+     * Set it again, or set `dirty`, after changing the styles.
+     */
+    public get tagStyles(): Record<string, Partial<IBitmapTextRunStyle>>
+    {
+        return this._tagStyles;
+    }
+
+    public set tagStyles(value: Record<string, Partial<IBitmapTextRunStyle>>)
+    {
+        this._tagStyles = value ?? {};
+        this.dirty = true;
+    }
+
+    /**
+     * The textures displayed by the `<icon=name>` tags of the markup, by name.
+     * Set it again, or set `dirty`, after changing the textures.
+     */
+    public get icons(): Record<string, Texture>
+    {
+        return this._icons;
+    }
+
+    public set icons(value: Record<string, Texture>)
+    {
+        this._icons = value ?? {};
+        this.dirty = true;
+    }
+
     /**
      * If true PixiJS will Math.floor() x/y values when rendering, stopping pixel interpolation.
      * Advantages can include sharper image quality (like text) and faster rendering on canvas.
@@ -914,19 +1924,17 @@ export class BitmapText extends Container
     destroy(options?: boolean | IDestroyOptions): void
     {
         const { _textureCache } = this;
-        const data = BitmapFont.available[this._fontName];
-        const pageMeshDataPool = data.distanceFieldType === 'none'
-            ? pageMeshDataDefaultPageMeshData : pageMeshDataMSDFPageMeshData;
 
-        pageMeshDataPool.push(...this._activePagesMeshData);
         for (const pageMeshData of this._activePagesMeshData)
         {
+            (pageMeshData.distanceField ? pageMeshDataMSDFPageMeshData : pageMeshDataDefaultPageMeshData)
+                .push(pageMeshData);
             this.removeChild(pageMeshData.mesh);
         }
         this._activePagesMeshData = [];
 
         // Release references to any cached textures in page pool
-        pageMeshDataPool
+        [...pageMeshDataDefaultPageMeshData, ...pageMeshDataMSDFPageMeshData]
             .filter((page) => _textureCache[page.mesh.texture.baseTexture.uid])
             .forEach((page) =>
             {
@@ -941,6 +1949,12 @@ export class BitmapText extends Container
             delete _textureCache[id];
         }
 
+        this._usedFonts.forEach((font) => font.releaseCharacters(this));
+        this._usedFonts.clear();
+        this._charStyles.clear();
+        this._glyphs = null;
+        this._glyphVertices = null;
+        this._charGlyphs = null;
         this._font = null;
         this._tintColor = null;
         this._textureCache = null;
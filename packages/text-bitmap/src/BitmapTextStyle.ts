@@ -1,5 +1,5 @@
-import type { ColorSource } from '@pixi/core';
-import type { TextStyleAlign } from '@pixi/text';
+import type { ColorSource, IPointData, Rectangle, Texture } from '@pixi/core';
+import type { TextStyleAlign, TextStyleDirection, TextStyleLineBreak, TextStyleTextOverflow } from '@pixi/text';
 
 export interface IBitmapTextStyle
 {
@@ -9,6 +9,66 @@ export interface IBitmapTextStyle
     align: TextStyleAlign;
     letterSpacing: number;
     maxWidth: number;
+    /** The maximum number of lines, see {@link PIXI.BitmapText#maxLines}. */
+    maxLines: number;
+    /** The height the text is truncated to, see {@link PIXI.BitmapText#maxHeight}. */
+    maxHeight: number;
+    /** How truncated text is shown, see {@link PIXI.BitmapText#textOverflow}. */
+    textOverflow: TextStyleTextOverflow;
+    /** The base direction of the text, see {@link PIXI.BitmapText#direction}. */
+    direction: TextStyleDirection;
+    /** Where lines can be wrapped, see {@link PIXI.BitmapText#lineBreak}. */
+    lineBreak: TextStyleLineBreak;
+    /** Whether the text is parsed for style tags, see {@link PIXI.BitmapText#markup}. */
+    markup: boolean;
+    /** Styles applied by custom tags of the markup, by tag name. */
+    tagStyles: Record<string, Partial<IBitmapTextRunStyle>>;
+    /** Textures embedded in the markup with the `<icon=name>` tag, by name. */
+    icons: Record<string, Texture>;
+}
+
+/** Style of a run of a {@link PIXI.BitmapText} with markup, set by its tags. */
+export interface IBitmapTextRunStyle
+{
+    fontName: string;
+    fontSize: number;
+    tint: ColorSource;
+    letterSpacing: number;
+}
+
+/**
+ * Transform and tint of a character of a {@link PIXI.BitmapText}, overriding its layout,
+ * see {@link PIXI.BitmapText#setCharStyle}.
+ */
+export interface IBitmapTextCharStyle
+{
+    /** Offset of the glyph from its position, in local pixels. */
+    offset?: IPointData;
+    /** Scale of the glyph, around its center. */
+    scale?: number;
+    /** Rotation of the glyph around its center, in radians. */
+    rotation?: number;
+    /** Tint of the glyph, instead of the tint of its run. */
+    tint?: ColorSource;
+}
+
+/** A glyph displayed by a {@link PIXI.BitmapText}, see {@link PIXI.BitmapText#getGlyphs}. */
+export interface IBitmapTextGlyph
+{
+    /**
+     * Index of the character in the displayed text, where a grapheme cluster or an icon is one character,
+     * and neither the tags of the markup nor the `\r` of `\r\n` are counted.
+     * The glyphs of an ellipsis have the index of the character they follow.
+     */
+    index: number;
+    /** Code point of the glyph, or `0xFFFC` for icons. */
+    charCode: number;
+    /** Index of the line of the glyph. */
+    line: number;
+    /** Center of the glyph, around which it is scaled and rotated, in local coordinates. */
+    position: IPointData;
+    /** Bounds of the glyph in local coordinates, without its character style. */
+    bounds: Rectangle;
 }
 
 export interface IBitmapTextFontDescriptor
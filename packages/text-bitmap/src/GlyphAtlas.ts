@@ -0,0 +1,367 @@
+import { BaseTexture, settings, Texture } from '@pixi/core';
+import { TextMetrics } from '@pixi/text';
+import { drawDistanceField, drawGlyph } from './utils';
+
+import type { IBaseTextureOptions, ICanvas, ICanvasRenderingContext2D, Rectangle } from '@pixi/core';
+import type { TextStyle } from '@pixi/text';
+
+/**
+ * A page of a {@link GlyphAtlas}.
+ * @ignore
+ */
+export interface IGlyphAtlasPage
+{
+    canvas: ICanvas;
+    context: ICanvasRenderingContext2D;
+    baseTexture: BaseTexture;
+    texture: Texture;
+}
+
+/**
+ * Where a glyph was drawn in a {@link GlyphAtlas}, sizes are in the units of the page textures.
+ * @ignore
+ */
+export interface IGlyphPlacement
+{
+    page: number;
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+    xOffset: number;
+    yOffset: number;
+    xAdvance: number;
+}
+
+/**
+ * Options of a {@link GlyphAtlas}.
+ * @ignore
+ */
+export interface IGlyphAtlasOptions
+{
+    resolution: number;
+    padding: number;
+    textureWidth: number;
+    textureHeight: number;
+    /** Range of the signed distance field replacing the glyphs, in pixels of the glyphs, or 0 to keep them */
+    distanceFieldRange: number;
+    /** Options of the page textures, besides the resolution */
+    baseTextureOptions: IBaseTextureOptions;
+}
+
+/**
+ * The area a glyph takes in a {@link GlyphAtlas}, in the units of the page textures.
+ * @ignore
+ */
+interface IGlyphMeasure
+{
+    metrics: TextMetrics;
+    glyphWidth: number;
+    glyphHeight: number;
+}
+
+/**
+ * An area of a {@link GlyphAtlas} page freed by an evicted glyph, in the units of the page textures.
+ * @ignore
+ */
+interface IFreeSlot
+{
+    page: number;
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+}
+
+/**
+ * Draws glyphs in rows on canvas pages, for the fonts generated by {@link PIXI.BitmapFont.from}.
+ * The areas of the glyphs freed with {@link GlyphAtlas#free} are drawn in again before new rows.
+ * @ignore
+ */
+export class GlyphAtlas
+{
+    /** The pages of the atlas. */
+    public readonly pages: IGlyphAtlasPage[] = [];
+
+    private readonly _style: TextStyle;
+    private readonly _options: IGlyphAtlasOptions;
+
+    /** Index of the page the glyphs are drawn on. */
+    private _pageIndex = -1;
+    private _positionX = 0;
+    private _positionY = 0;
+    private _maxCharHeight = 0;
+
+    /** The areas freed by evicted glyphs. */
+    private _freeSlots: IFreeSlot[] = [];
+
+    /**
+     * @param style - The style the glyphs are drawn with
+     * @param options - Options of the pages
+     */
+    constructor(style: TextStyle, options: IGlyphAtlasOptions)
+    {
+        this._style = style;
+        this._options = options;
+    }
+
+    /** The page the glyphs are drawn on, or null if there is no page yet. */
+    get currentPage(): IGlyphAtlasPage
+    {
+        return this.pages[this._pageIndex] ?? null;
+    }
+
+    /**
+     * Draws a glyph, in an area freed by an evicted glyph if one is large enough, or after the glyphs already drawn.
+     * @param character - The character of the glyph
+     * @param canAddPage - Whether a page can be added if the glyph does not fit in the current page
+     * @returns - Where the glyph was drawn, or null if it needs a page which cannot be added
+     */
+    public draw(character: string, canAddPage = true): IGlyphPlacement
+    {
+        const { resolution, padding, textureWidth, textureHeight } = this._options;
+        const style = this._style;
+
+        if (this._freeSlots.length > 0)
+        {
+            const placement = this._drawInFreeSlot(character);
+
+            if (placement)
+            {
+                return placement;
+            }
+        }
+
+        for (;;)
+        {
+            if (!this.currentPage && !this.nextPage(canAddPage))
+            {
+                return null;
+            }
+
+            const measure = this._measure(character, this.currentPage.canvas);
+            const { metrics, glyphWidth, glyphHeight } = measure;
+
+            // Can't fit char anymore: next canvas please!
+            if (this._positionY >= textureHeight - (glyphHeight * resolution))
+            {
+                if (this._positionY === 0)
+                {
+                    // We don't want user debugging an infinite loop (or do we? :)
+                    throw new Error(`[BitmapFont] textureHeight ${textureHeight}px is too small `
+                        + `(fontFamily: '${style.fontFamily}', fontSize: ${style.fontSize}px, char: '${character}')`);
+                }
+
+                if (!this.nextPage(canAddPage))
+                {
+                    return null;
+                }
+
+                continue;
+            }
+
+            this._maxCharHeight = Math.max(glyphHeight + metrics.fontProperties.descent, this._maxCharHeight);
+
+            // Wrap line once full row has been rendered
+            if ((glyphWidth * resolution) + this._positionX >= textureWidth)
+            {
+                if (this._positionX === 0)
+                {
+                    // Avoid infinite loop (There can be some very wide char like '\uFDFD'!)
+                    throw new Error(`[BitmapFont] textureWidth ${textureWidth}px is too small `
+                        + `(fontFamily: '${style.fontFamily}', fontSize: ${style.fontSize}px, char: '${character}')`);
+                }
+
+                this._positionY += this._maxCharHeight * resolution;
+                this._positionY = Math.ceil(this._positionY);
+                this._positionX = 0;
+                this._maxCharHeight = 0;
+
+                continue;
+            }
+
+            const placement = this._drawGlyph(measure, this._pageIndex, this._positionX, this._positionY);
+
+            this._positionX += (glyphWidth + (2 * padding)) * resolution;
+            this._positionX = Math.ceil(this._positionX);
+
+            return placement;
+        }
+    }
+
+    /**
+     * Erases a glyph which is no longer needed, its area can then be drawn in again.
+     * @param page - The index of the page of the glyph
+     * @param frame - The area of the glyph, in the units of the page textures
+     */
+    public free(page: number, frame: Rectangle): void
+    {
+        const { resolution, padding } = this._options;
+        const { x, y, width, height } = frame;
+
+        this.pages[page].context.clearRect(
+            x * resolution,
+            y * resolution,
+            Math.ceil(width * resolution),
+            Math.ceil(height * resolution)
+        );
+        this._freeSlots.push({ page, x, y, width: width + (2 * padding), height });
+    }
+
+    /**
+     * Moves on to the next page, creating it if needed.
+     * @param canAddPage - Whether a page can be created
+     * @returns - Whether there is a next page
+     */
+    public nextPage(canAddPage = true): boolean
+    {
+        if (this._pageIndex + 1 >= this.pages.length)
+        {
+            if (!canAddPage)
+            {
+                return false;
+            }
+
+            const { resolution, textureWidth, textureHeight, baseTextureOptions } = this._options;
+            const canvas = settings.ADAPTER.createCanvas();
+
+            canvas.width = textureWidth;
+            canvas.height = textureHeight;
+
+            const baseTexture = new BaseTexture(canvas, { resolution, ...baseTextureOptions });
+
+            this.pages.push({
+                canvas,
+                context: canvas.getContext('2d'),
+                baseTexture,
+                texture: new Texture(baseTexture),
+            });
+        }
+
+        this._pageIndex++;
+        this._positionX = 0;
+        this._positionY = 0;
+        this._maxCharHeight = 0;
+
+        return true;
+    }
+
+    /**
+     * Measures the area a glyph takes, in the units of the page textures.
+     * @param character - The character of the glyph
+     * @param canvas - A canvas to measure with
+     */
+    private _measure(character: string, canvas: ICanvas): IGlyphMeasure
+    {
+        const style = this._style;
+        // room around the glyphs for the distances outside of them
+        const margin = Math.ceil(this._options.distanceFieldRange / 2);
+        const metrics = TextMetrics.measureText(character, style, false, canvas);
+
+        // This is ugly - but italics are given more space so they don't overlap
+        const textureGlyphWidth = Math.ceil((style.fontStyle === 'italic' ? 2 : 1) * metrics.width);
+
+        return {
+            metrics,
+            glyphWidth: textureGlyphWidth + (2 * margin),
+            glyphHeight: Math.ceil(metrics.height) + (2 * margin),
+        };
+    }
+
+    /**
+     * Draws a glyph in the smallest free area it fits in, keeping the rest of the area free.
+     * @param character - The character of the glyph
+     * @returns - Where the glyph was drawn, or null if it fits in no free area
+     */
+    private _drawInFreeSlot(character: string): IGlyphPlacement
+    {
+        const { resolution, padding } = this._options;
+        const measure = this._measure(character, this.pages[this._freeSlots[0].page].canvas);
+        const { glyphWidth, glyphHeight } = measure;
+        const width = glyphWidth + (2 * padding);
+        let best = -1;
+
+        for (let i = 0; i < this._freeSlots.length; i++)
+        {
+            const slot = this._freeSlots[i];
+
+            if (slot.width >= width && slot.height >= glyphHeight
+                && (best === -1 || slot.width < this._freeSlots[best].width))
+            {
+                best = i;
+            }
+        }
+
+        if (best === -1)
+        {
+            return null;
+        }
+
+        const slot = this._freeSlots[best];
+        const placement = this._drawGlyph(measure, slot.page, slot.x * resolution, slot.y * resolution);
+
+        if (slot.width > width)
+        {
+            slot.x += width;
+            slot.width -= width;
+        }
+        else
+        {
+            this._freeSlots.splice(best, 1);
+        }
+
+        return placement;
+    }
+
+    /**
+     * Draws a glyph at a position of a page.
+     * @param measure - The measure of the glyph
+     * @param page - The index of the page
+     * @param x - The horizontal position, in pixels of the page
+     * @param y - The vertical position, in pixels of the page
+     * @returns - Where the glyph was drawn
+     */
+    private _drawGlyph(measure: IGlyphMeasure, page: number, x: number, y: number): IGlyphPlacement
+    {
+        const { resolution, distanceFieldRange } = this._options;
+        const style = this._style;
+        const { canvas, context } = this.pages[page];
+        const { metrics, glyphWidth, glyphHeight } = measure;
+        const margin = Math.ceil(distanceFieldRange / 2);
+
+        drawGlyph(
+            canvas,
+            context,
+            metrics,
+            x + (margin * resolution),
+            y + (margin * resolution),
+            resolution,
+            style
+        );
+
+        if (distanceFieldRange > 0)
+        {
+            drawDistanceField(
+                context,
+                x,
+                y,
+                Math.ceil(glyphWidth * resolution),
+                Math.ceil(glyphHeight * resolution),
+                distanceFieldRange * resolution
+            );
+        }
+
+        return {
+            page,
+            x: x / resolution,
+            y: y / resolution,
+            width: glyphWidth,
+            height: glyphHeight,
+            xOffset: -margin,
+            yOffset: -margin,
+            xAdvance: metrics.width
+                - (style.dropShadow ? style.dropShadowDistance : 0)
+                - (style.stroke ? style.strokeThickness : 0),
+        };
+    }
+}
@@ -0,0 +1,138 @@
+import { BitmapFontData } from '../BitmapFontData';
+
+import type { BitmapFontSourceData } from '../BitmapFontData';
+
+/** Types of the blocks of binary font data. */
+enum BLOCK
+// eslint-disable-next-line @typescript-eslint/indent
+{
+    INFO = 1,
+    COMMON = 2,
+    PAGES = 3,
+    CHARS = 4,
+    KERNING_PAIRS = 5,
+}
+
+/**
+ * Reads a null-terminated UTF-8 string.
+ * @param bytes - The data
+ * @param start - Offset of the string in the data
+ * @param end - Offset the string cannot go beyond
+ * @returns - The string and the offset after its terminating null
+ */
+function readString(bytes: Uint8Array, start: number, end: number): [string, number]
+{
+    let stop = start;
+
+    while (stop < end && bytes[stop] !== 0)
+    {
+        stop++;
+    }
+
+    return [new TextDecoder().decode(bytes.subarray(start, stop)), stop + 1];
+}
+
+/**
+ * BitmapFont format that's binary, as written by AngelCode BMFont (version 3).
+ * @private
+ */
+export class BinaryFormat
+{
+    /**
+     * Check if resource refers to binary font data.
+     * @param data
+     * @returns - True if resource could be treated as font data, false otherwise.
+     */
+    static test(data: BitmapFontSourceData): boolean
+    {
+        // not instanceof, buffers can come from other realms such as workers
+        if (Object.prototype.toString.call(data) !== '[object ArrayBuffer]' || (data as ArrayBuffer).byteLength < 4)
+        {
+            return false;
+        }
+
+        const header = new Uint8Array(data as ArrayBuffer, 0, 4);
+
+        // "BMF" followed by the version of the format
+        return header[0] === 66 && header[1] === 77 && header[2] === 70 && header[3] === 3;
+    }
+
+    /**
+     * Convert the binary font data into BitmapFontData that we can use.
+     * @param buffer - Content of the binary .fnt file
+     * @returns - Data to use for BitmapFont
+     */
+    static parse(buffer: ArrayBuffer): BitmapFontData
+    {
+        const data = new BitmapFontData();
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        let offset = 4;
+
+        while (offset + 5 <= buffer.byteLength)
+        {
+            const type = view.getUint8(offset);
+            const size = view.getInt32(offset + 1, true);
+            const start = offset + 5;
+            const end = Math.min(start + size, buffer.byteLength);
+
+            switch (type)
+            {
+                case BLOCK.INFO:
+                    data.info.push({
+                        face: readString(bytes, start + 14, end)[0],
+                        size: view.getInt16(start, true),
+                    });
+                    break;
+
+                case BLOCK.COMMON:
+                    data.common.push({
+                        lineHeight: view.getUint16(start, true),
+                    });
+                    break;
+
+                case BLOCK.PAGES:
+                    for (let position = start; position < end;)
+                    {
+                        const [file, next] = readString(bytes, position, end);
+
+                        data.page.push({ id: data.page.length, file });
+                        position = next;
+                    }
+                    break;
+
+                case BLOCK.CHARS:
+                    for (let position = start; position + 20 <= end; position += 20)
+                    {
+                        data.char.push({
+                            id: view.getUint32(position, true),
+                            x: view.getUint16(position + 4, true),
+                            y: view.getUint16(position + 6, true),
+                            width: view.getUint16(position + 8, true),
+                            height: view.getUint16(position + 10, true),
+                            xoffset: view.getInt16(position + 12, true),
+                            yoffset: view.getInt16(position + 14, true),
+                            xadvance: view.getInt16(position + 16, true),
+                            page: view.getUint8(position + 18),
+                        });
+                    }
+                    break;
+
+                case BLOCK.KERNING_PAIRS:
+                    for (let position = start; position + 10 <= end; position += 10)
+                    {
+                        data.kerning.push({
+                            first: view.getUint32(position, true),
+                            second: view.getUint32(position + 4, true),
+                            amount: view.getInt16(position + 8, true),
+                        });
+                    }
+                    break;
+            }
+
+            offset = start + size;
+        }
+
+        return data;
+    }
+}
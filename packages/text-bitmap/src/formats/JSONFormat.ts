@@ -0,0 +1,113 @@
+import { BitmapFontData } from '../BitmapFontData';
+
+import type { BitmapFontSourceData } from '../BitmapFontData';
+
+/**
+ * Bitmap font data in the JSON format written by tools such as
+ * {@link https://github.com/soimy/msdf-bmfont-xml|msdf-bmfont-xml}, with the same fields as the BMFont text format.
+ * @memberof PIXI
+ */
+export interface IBitmapFontJSON
+{
+    pages: string[];
+    chars: {
+        id: number;
+        page: number;
+        x: number;
+        y: number;
+        width: number;
+        height: number;
+        xoffset: number;
+        yoffset: number;
+        xadvance: number;
+    }[];
+    info: {
+        face: string;
+        size: number;
+    };
+    common: {
+        lineHeight: number;
+    };
+    kernings?: {
+        first: number;
+        second: number;
+        amount: number;
+    }[];
+    distanceField?: {
+        fieldType: string;
+        distanceRange: number;
+    };
+}
+
+/**
+ * BitmapFont format that's JSON-based.
+ * @private
+ */
+export class JSONFormat
+{
+    /**
+     * Check if resource refers to JSON font data.
+     * @param data
+     * @returns - True if resource could be treated as font data, false otherwise.
+     */
+    static test(data: BitmapFontSourceData): boolean
+    {
+        const json = data as IBitmapFontJSON;
+
+        return typeof data === 'object'
+            && data !== null
+            && Array.isArray(json.pages)
+            && Array.isArray(json.chars)
+            && typeof json.info?.face === 'string'
+            && typeof json.common?.lineHeight === 'number';
+    }
+
+    /**
+     * Convert the JSON into BitmapFontData that we can use.
+     * @param json - The parsed JSON
+     * @returns - Data to use for BitmapFont
+     */
+    static parse(json: IBitmapFontJSON): BitmapFontData
+    {
+        const data = new BitmapFontData();
+
+        data.info.push({
+            face: json.info.face,
+            size: json.info.size,
+        });
+
+        data.common.push({
+            lineHeight: json.common.lineHeight,
+        });
+
+        json.pages.forEach((file, id) => data.page.push({ id, file }));
+
+        json.chars.forEach((char) => data.char.push({
+            id: char.id,
+            page: char.page,
+            x: char.x,
+            y: char.y,
+            width: char.width,
+            height: char.height,
+            xoffset: char.xoffset,
+            yoffset: char.yoffset,
+            xadvance: char.xadvance,
+        }));
+
+        json.kernings?.forEach((kerning) => data.kerning.push({
+            first: kerning.first,
+            second: kerning.second,
+            amount: kerning.amount,
+        }));
+
+        if (json.distanceField)
+        {
+            data.distanceField.push({
+                fieldType: json.distanceField.fieldType,
+                distanceRange: json.distanceField.distanceRange,
+            });
+        }
+
+        return data;
+    }
+}
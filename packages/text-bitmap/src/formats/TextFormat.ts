@@ -1,5 +1,7 @@
 import { BitmapFontData } from '../BitmapFontData';
 
+import type { BitmapFontSourceData } from '../BitmapFontData';
+
 /**
  * Internal data format used to convert to BitmapFontData.
  * @private
@@ -54,7 +56,7 @@ export class TextFormat
      * @param data
      * @returns - True if resource could be treated as font data, false otherwise.
      */
-    static test(data: string | XMLDocument | BitmapFontData): boolean
+    static test(data: BitmapFontSourceData): boolean
     {
         return typeof data === 'string' && data.startsWith('info face=');
     }
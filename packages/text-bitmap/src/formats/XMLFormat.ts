@@ -1,5 +1,7 @@
 import { BitmapFontData } from '../BitmapFontData';
 
+import type { BitmapFontSourceData } from '../BitmapFontData';
+
 /**
  * BitmapFont format that's XML-based.
  * @private
@@ -11,7 +13,7 @@ export class XMLFormat
      * @param data
      * @returns - True if resource could be treated as font data, false otherwise.
      */
-    static test(data: string | XMLDocument | BitmapFontData): boolean
+    static test(data: BitmapFontSourceData): boolean
     {
         const xml = data as Document;
 
@@ -1,7 +1,7 @@
 import { settings } from '@pixi/core';
 import { XMLFormat } from './XMLFormat';
 
-import type { BitmapFontData } from '../BitmapFontData';
+import type { BitmapFontData, BitmapFontSourceData } from '../BitmapFontData';
 
 /**
  * BitmapFont format that's XML-based.
@@ -14,7 +14,7 @@ export class XMLStringFormat
      * @param data
      * @returns - True if resource could be treated as font data, false otherwise.
      */
-    static test(data: string | XMLDocument | BitmapFontData): boolean
+    static test(data: BitmapFontSourceData): boolean
     {
         if (typeof data === 'string' && data.includes('<font>'))
         {
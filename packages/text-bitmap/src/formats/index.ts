@@ -1,14 +1,18 @@
+import { BinaryFormat } from './BinaryFormat';
+import { JSONFormat } from './JSONFormat';
 import { TextFormat } from './TextFormat';
 import { XMLFormat } from './XMLFormat';
 import { XMLStringFormat } from './XMLStringFormat';
 
-import type { BitmapFontData } from '../BitmapFontData';
+import type { BitmapFontSourceData } from '../BitmapFontData';
 
 // Registered formats, maybe make this extensible in the future?
 const formats = [
     TextFormat,
     XMLFormat,
     XMLStringFormat,
+    BinaryFormat,
+    JSONFormat,
 ] as const;
 
 /**
@@ -17,7 +21,7 @@ const formats = [
  * @param {any} data - Data to detect format
  * @returns {any} Format or null
  */
-export function autoDetectFormat(data: string | XMLDocument | BitmapFontData): typeof formats[number] | null
+export function autoDetectFormat(data: BitmapFontSourceData): typeof formats[number] | null
 {
     for (let i = 0; i < formats.length; i++)
     {
@@ -30,5 +34,6 @@ export function autoDetectFormat(data: string | XMLDocument | BitmapFontData): t
     return null;
 }
 
+export type { IBitmapFontJSON } from './JSONFormat';
 export type { IBitmapFontRawData } from './TextFormat';
-export { TextFormat, XMLFormat, XMLStringFormat };
+export { BinaryFormat, JSONFormat, TextFormat, XMLFormat, XMLStringFormat };
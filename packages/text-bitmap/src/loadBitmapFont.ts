@@ -1,15 +1,22 @@
-import { copySearchParams, LoaderParserPriority } from '@pixi/assets';
-import { extensions, ExtensionType, settings, utils } from '@pixi/core';
+import { copySearchParams, fetchAsset, LoaderParserPriority } from '@pixi/assets';
+import { extensions, ExtensionType, utils } from '@pixi/core';
 import { BitmapFont } from './BitmapFont';
-import { TextFormat, XMLStringFormat } from './formats';
+import { autoDetectFormat, BinaryFormat, JSONFormat, TextFormat, XMLStringFormat } from './formats';
 
-import type { Loader, LoaderParser, ResolvedAsset } from '@pixi/assets';
+import type { Loader, LoaderParser, LoaderParserOptions, ResolvedAsset } from '@pixi/assets';
 import type { Texture } from '@pixi/core';
 import type { BitmapFontData } from './BitmapFontData';
+import type { IBitmapFontJSON } from './formats';
 
 const validExtensions = ['.xml', '.fnt'];
 
-/** simple loader plugin for loading in bitmap fonts! */
+/**
+ * simple loader plugin for loading in bitmap fonts!
+ *
+ * Fonts in the text, XML and binary BMFont formats are loaded from .fnt and .xml files.
+ * Fonts in the JSON format, such as the output of msdf-bmfont-xml, are recognized by their content,
+ * including when loaded from .json files.
+ */
 export const loadBitmapFont = {
     extension: {
         type: ExtensionType.LoadParser,
@@ -23,16 +30,24 @@ export const loadBitmapFont = {
         return validExtensions.includes(utils.path.extname(url).toLowerCase());
     },
 
-    async testParse(data: string): Promise<boolean>
+    async testParse(data: string | ArrayBuffer | IBitmapFontJSON): Promise<boolean>
     {
-        return TextFormat.test(data) || XMLStringFormat.test(data);
+        if (typeof data === 'string')
+        {
+            return TextFormat.test(data) || XMLStringFormat.test(data);
+        }
+
+        return BinaryFormat.test(data) || JSONFormat.test(data);
     },
 
-    async parse(asset: string, data: ResolvedAsset, loader: Loader): Promise<BitmapFont>
+    async parse(
+        asset: string | ArrayBuffer | IBitmapFontJSON,
+        data: ResolvedAsset,
+        loader: Loader,
+        options?: LoaderParserOptions
+    ): Promise<BitmapFont>
     {
-        const fontData: BitmapFontData = TextFormat.test(asset)
-            ? TextFormat.parse(asset)
-            : XMLStringFormat.parse(asset);
+        const fontData: BitmapFontData = autoDetectFormat(asset).parse(asset as any);
 
         const { src } = data;
         const { page: pages } = fontData;
@@ -48,23 +63,49 @@ export const loadBitmapFont = {
             textureUrls.push(imagePath);
         }
 
-        const loadedTextures = await loader.load<Texture>(textureUrls);
+        const loadedTextures = await loader.load<Texture>(textureUrls, { signal: options?.signal });
         const textures = textureUrls.map((url) => loadedTextures[url]);
 
         return BitmapFont.install(fontData, textures, true);
     },
 
-    async load(url: string, _options: ResolvedAsset): Promise<string>
+    async load(
+        url: string,
+        _asset: ResolvedAsset,
+        _loader: Loader,
+        options?: LoaderParserOptions
+    ): Promise<string | ArrayBuffer | IBitmapFontJSON>
     {
-        const response = await settings.ADAPTER.fetch(url);
+        const response = await fetchAsset(url, options);
+        const buffer = await response.arrayBuffer();
+
+        if (BinaryFormat.test(buffer))
+        {
+            return buffer;
+        }
+
+        const text = new TextDecoder().decode(buffer);
+
+        // JSON fonts can have the .fnt extension too
+        if (text.trimStart().startsWith('{'))
+        {
+            try
+            {
+                return JSON.parse(text);
+            }
+            catch (e)
+            {
+                return text;
+            }
+        }
 
-        return response.text();
+        return text;
     },
 
     unload(bitmapFont: BitmapFont): void
     {
         bitmapFont.destroy();
     }
-} as LoaderParser<BitmapFont | string>;
+} as LoaderParser<BitmapFont | string | ArrayBuffer | IBitmapFontJSON>;
 
 extensions.add(loadBitmapFont);
@@ -0,0 +1,162 @@
+import type { ICanvasRenderingContext2D } from '@pixi/core';
+
+const INF = 1e20;
+
+/**
+ * Computes the squared distance transform of a row or column of a grid, in place,
+ * with the algorithm of Felzenszwalb and Huttenlocher.
+ * @param grid - The squared distances, 0 at the pixels distances are measured to
+ * @param offset - Index of the first cell in the grid
+ * @param stride - Number of cells between two cells of the row or column
+ * @param length - Number of cells of the row or column
+ * @param f - Scratch buffer of the cells
+ * @param v - Scratch buffer of the parabola positions
+ * @param z - Scratch buffer of the parabola boundaries
+ */
+function transform1D(
+    grid: Float64Array,
+    offset: number,
+    stride: number,
+    length: number,
+    f: Float64Array,
+    v: Uint16Array,
+    z: Float64Array
+): void
+{
+    let k = 0;
+
+    v[0] = 0;
+    z[0] = -INF;
+    z[1] = INF;
+    f[0] = grid[offset];
+
+    for (let q = 1; q < length; q++)
+    {
+        f[q] = grid[offset + (q * stride)];
+
+        const q2 = q * q;
+        let s: number;
+
+        do
+        {
+            const r = v[k];
+
+            s = (f[q] - f[r] + q2 - (r * r)) / (q - r) / 2;
+        }
+        while (s <= z[k] && --k > -1);
+
+        k++;
+        v[k] = q;
+        z[k] = s;
+        z[k + 1] = INF;
+    }
+
+    for (let q = 0, k = 0; q < length; q++)
+    {
+        while (z[k + 1] < q)
+        {
+            k++;
+        }
+
+        const r = v[k];
+
+        grid[offset + (q * stride)] = f[r] + ((q - r) * (q - r));
+    }
+}
+
+/**
+ * Computes the squared distance transform of a grid, in place.
+ * @param grid - The squared distances, 0 at the pixels distances are measured to
+ * @param width - Width of the grid
+ * @param height - Height of the grid
+ */
+function transform2D(grid: Float64Array, width: number, height: number): void
+{
+    const size = Math.max(width, height);
+    const f = new Float64Array(size);
+    const v = new Uint16Array(size);
+    const z = new Float64Array(size + 1);
+
+    for (let x = 0; x < width; x++)
+    {
+        transform1D(grid, x, width, height, f, v, z);
+    }
+
+    for (let y = 0; y < height; y++)
+    {
+        transform1D(grid, y * width, 1, width, f, v, z);
+    }
+}
+
+/**
+ * Replaces the glyph drawn in an area of a canvas by its signed distance field, for BitmapFonts
+ * with the `'sdf'` distance field type. The distance to the edge of the glyph is computed from its alpha,
+ * and encoded as `0.5 + distance / range` in the color channels of opaque pixels, inside distances being positive.
+ *
+ * Ignored because not directly exposed.
+ * @ignore
+ * @param {PIXI.ICanvasRenderingContext2D} context - The context the glyph was drawn with
+ * @param {number} x - Left of the area, in canvas pixels
+ * @param {number} y - Top of the area, in canvas pixels
+ * @param {number} width - Width of the area, in canvas pixels
+ * @param {number} height - Height of the area, in canvas pixels
+ * @param {number} range - Range of the encoded distances, in canvas pixels
+ */
+export function drawDistanceField(
+    context: ICanvasRenderingContext2D,
+    x: number,
+    y: number,
+    width: number,
+    height: number,
+    range: number
+): void
+{
+    if (width <= 0 || height <= 0)
+    {
+        return;
+    }
+
+    const imageData = context.getImageData(x, y, width, height);
+    const data = imageData.data;
+    const size = width * height;
+    const outer = new Float64Array(size);
+    const inner = new Float64Array(size);
+
+    // partially covered pixels are approximated as edges at a fraction of a pixel
+    for (let i = 0; i < size; i++)
+    {
+        const alpha = data[(i * 4) + 3] / 255;
+
+        if (alpha === 1)
+        {
+            outer[i] = 0;
+            inner[i] = INF;
+        }
+        else if (alpha === 0)
+        {
+            outer[i] = INF;
+            inner[i] = 0;
+        }
+        else
+        {
+            outer[i] = Math.max(0, 0.5 - alpha) ** 2;
+            inner[i] = Math.max(0, alpha - 0.5) ** 2;
+        }
+    }
+
+    transform2D(outer, width, height);
+    transform2D(inner, width, height);
+
+    for (let i = 0; i < size; i++)
+    {
+        const distance = Math.sqrt(inner[i]) - Math.sqrt(outer[i]);
+        const value = Math.round(255 * Math.min(Math.max(0.5 + (distance / range), 0), 1));
+
+        data[i * 4] = value;
+        data[(i * 4) + 1] = value;
+        data[(i * 4) + 2] = value;
+        data[(i * 4) + 3] = value > 0 ? 255 : 0;
+    }
+
+    context.putImageData(imageData, x, y);
+}
@@ -1,5 +1,7 @@
+export * from './drawDistanceField';
 export * from './drawGlyph';
 export * from './extractCharCode';
 export * from './generateFillStyle';
+export * from './parseMarkup';
 export * from './resolveCharacters';
 export * from './splitTextToCharacters';
@@ -0,0 +1,148 @@
+import { Color } from '@pixi/core';
+
+import type { IBitmapTextRunStyle } from '../BitmapTextStyle';
+
+/**
+ * A run of text sharing the same style, or an embedded icon.
+ * @private
+ */
+export interface IBitmapTextRun
+{
+    /** The text of the run, empty for icons. */
+    text: string;
+    /** The style set by the tags enclosing the run. */
+    style: Partial<IBitmapTextRunStyle>;
+    /** Name of the icon, if the run is an icon. */
+    icon?: string;
+}
+
+const tagPattern = /<(\/?)([a-zA-Z][\w-]*)(?:=([^<>]*))?>/g;
+
+/**
+ * Checks whether the value of a `<color>` tag is a color.
+ * @private
+ * @param value - Value of the tag
+ */
+function isColor(value: string): boolean
+{
+    try
+    {
+        Color.shared.setValue(value);
+
+        return true;
+    }
+    catch (e)
+    {
+        return false;
+    }
+}
+
+/**
+ * Gets the style set by an opening tag.
+ * @private
+ * @param name - Name of the tag
+ * @param value - Value of the tag, after `=`
+ * @param tagStyles - Styles of the custom tags
+ * @returns - The style, or null if the tag is not recognized
+ */
+function getTagStyle(
+    name: string,
+    value: string,
+    tagStyles: Record<string, Partial<IBitmapTextRunStyle>>
+): Partial<IBitmapTextRunStyle>
+{
+    switch (name)
+    {
+        case 'color':
+            return value && isColor(value) ? { tint: value } : null;
+        case 'size':
+        {
+            const fontSize = parseFloat(value);
+
+            return fontSize > 0 ? { fontSize } : null;
+        }
+        case 'font':
+            return value ? { fontName: value } : null;
+        default:
+            // bold and italic are only styled by tagStyles, usually with the fonts to switch to
+            return tagStyles[name] ?? (name === 'b' || name === 'i' ? {} : null);
+    }
+}
+
+/**
+ * Splits text with markup into runs of the same style.
+ *
+ * Recognized tags are `<color=...>`, `<size=...>`, `<font=...>`, `<b>`, `<i>`, the tags of `tagStyles`,
+ * and `<icon=...>` which has no closing tag. Closing tags end the innermost open tag with the same name.
+ * Tags which are not recognized, or whose value is not valid, are kept in the text.
+ * @private
+ * @param text - The text with markup
+ * @param tagStyles - Styles of the custom tags, by tag name
+ * @returns - The runs, in order
+ */
+export function parseMarkup(text: string, tagStyles: Record<string, Partial<IBitmapTextRunStyle>> = {}): IBitmapTextRun[]
+{
+    const runs: IBitmapTextRun[] = [];
+    const stack: { name: string, style: Partial<IBitmapTextRunStyle> }[] = [];
+    let run: IBitmapTextRun = { text: '', style: {} };
+    let lastIndex = 0;
+
+    const nextRun = (): void =>
+    {
+        if (run.text)
+        {
+            runs.push(run);
+        }
+
+        run = { text: '', style: Object.assign({}, ...stack.map((tag) => tag.style)) };
+    };
+
+    tagPattern.lastIndex = 0;
+
+    for (let match = tagPattern.exec(text); match; match = tagPattern.exec(text))
+    {
+        const [tag, closing, name] = match;
+        const value = match[3]?.trim().replace(/^(["'])(.*)\1$/, '$2');
+
+        run.text += text.slice(lastIndex, match.index);
+        lastIndex = match.index + tag.length;
+
+        if (name === 'icon' && !closing && value)
+        {
+            nextRun();
+            runs.push({ text: '', style: run.style, icon: value });
+            continue;
+        }
+
+        if (closing)
+        {
+            const index = stack.map((tag) => tag.name).lastIndexOf(name);
+
+            if (index !== -1)
+            {
+                stack.splice(index, 1);
+                nextRun();
+                continue;
+            }
+        }
+        else
+        {
+            const style = getTagStyle(name, value, tagStyles);
+
+            if (style)
+            {
+                stack.push({ name, style });
+                nextRun();
+                continue;
+            }
+        }
+
+        // not a tag of the markup, displayed as is
+        run.text += tag;
+    }
+
+    run.text += text.slice(lastIndex);
+    nextRun();
+
+    return runs;
+}
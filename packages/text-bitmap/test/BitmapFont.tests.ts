@@ -1,4 +1,8 @@
-import { BitmapFont } from '@pixi/text-bitmap';
+import { ALPHA_MODES } from '@pixi/core';
+import { BitmapFont, BitmapText } from '@pixi/text-bitmap';
+import { drawDistanceField } from '../src/utils';
+
+import type { ICanvasRenderingContext2D } from '@pixi/core';
 
 describe('BitmapFont', () =>
 {
@@ -90,4 +94,191 @@ describe('BitmapFont', () =>
             expect(() => BitmapFont.from('foo', {}, { chars: [] })).toThrow();
         });
     });
+
+    describe('dynamic', () =>
+    {
+        afterEach(() =>
+        {
+            for (const name in BitmapFont.available)
+            {
+                BitmapFont.uninstall(name);
+            }
+        });
+
+        it('should draw the glyphs displayed by texts', () =>
+        {
+            const font = BitmapFont.from('foo', {}, { chars: [], dynamic: true });
+
+            expect(font.dynamic).toBe(true);
+            expect(Object.keys(font.chars)).toHaveLength(0);
+            expect(Object.keys(font.pageTextures)).toHaveLength(1);
+
+            const text = new BitmapText('你好\n👋', { fontName: 'foo' });
+
+            text.updateText();
+
+            expect(Object.keys(font.chars).map(Number)).toEqual([0x4F60, 0x597D, 0x1F44B]);
+            expect(font.chars[0x4F60].texture.baseTexture).toBe(font.pageTextures[0].baseTexture);
+            expect(text.children).toHaveLength(1);
+
+            text.destroy();
+
+            expect(font['_users'].size).toEqual(0);
+        });
+
+        it('should evict the glyphs no text displays', () =>
+        {
+            const font = BitmapFont.from('foo', { fontSize: 16 }, {
+                chars: [],
+                dynamic: true,
+                maxPages: 1,
+                textureWidth: 64,
+                textureHeight: 64,
+                skipKerning: true,
+            });
+            const kept = new BitmapText('ab', { fontName: 'foo' });
+            const text = new BitmapText('', { fontName: 'foo' });
+
+            kept.updateText();
+
+            const { texture } = font.chars['a'.charCodeAt(0)];
+            const frame = texture.frame.clone();
+
+            for (let i = 0; i < 300; i++)
+            {
+                text.text = String.fromCharCode(0x4E00 + i);
+                text.updateText();
+            }
+
+            expect(Object.keys(font.pageTextures)).toHaveLength(1);
+            expect(font.chars['b'.charCodeAt(0)]).toBeDefined();
+            expect(font.chars[0x4E00 + 299]).toBeDefined();
+            expect(font.chars[0x4E00]).toBeUndefined();
+            // the glyphs displayed did not move
+            expect(font.chars['a'.charCodeAt(0)].texture).toBe(texture);
+            expect(texture.baseTexture).toBe(font.pageTextures[0].baseTexture);
+            expect(texture.frame).toEqual(frame);
+            expect(kept.dirty).toBe(false);
+
+            kept.destroy();
+            text.destroy();
+        });
+
+        it('should add characters on demand', () =>
+        {
+            const font = BitmapFont.from('foo', {}, { chars: 'a', dynamic: true });
+
+            expect(font.addCharacters([['b', 'd']])).toBe(true);
+            expect(font.addCharacters('abc')).toBe(false);
+            expect(Object.keys(font.chars)).toHaveLength(4);
+        });
+
+        it('should measure the kerning of the glyphs drawn on demand once per pair', () =>
+        {
+            const font = BitmapFont.from('foo', {}, { chars: 'ab', dynamic: true, skipKerning: false });
+            const spy = jest.spyOn(font['_atlas'].currentPage.context, 'measureText');
+            const start = spy.mock.calls.length;
+
+            font.addCharacters('c');
+
+            const measured = spy.mock.calls.slice(start).map(([text]) => text);
+
+            expect(measured).not.toContain('a');
+            expect(measured).not.toContain('b');
+            expect(measured.filter((text) => text.length === 2).sort()).toEqual(['ac', 'bc', 'ca', 'cb', 'cc', 'cc']);
+
+            spy.mockRestore();
+        });
+
+        it('should skip the kerning of dynamic fonts by default', () =>
+        {
+            const font = BitmapFont.from('foo', {}, { chars: 'ab', dynamic: true });
+            const spy = jest.spyOn(font['_atlas'].currentPage.context, 'measureText');
+
+            font.addCharacters('c');
+
+            expect(font.chars['a'.charCodeAt(0)].kerning).toEqual({});
+            expect(spy.mock.calls.filter(([text]) => text.length === 2)).toHaveLength(0);
+
+            spy.mockRestore();
+        });
+
+        it('should not draw glyphs for fonts which are not dynamic', () =>
+        {
+            const font = BitmapFont.from('foo', {}, { chars: 'a' });
+            const text = new BitmapText('ab', { fontName: 'foo' });
+
+            text.updateText();
+
+            expect(font.dynamic).toBe(false);
+            expect(font.addCharacters('b')).toBe(false);
+            expect(Object.keys(font.chars)).toHaveLength(1);
+
+            text.destroy();
+        });
+    });
+
+    describe('distance field', () =>
+    {
+        afterEach(() =>
+        {
+            for (const name in BitmapFont.available)
+            {
+                BitmapFont.uninstall(name);
+            }
+        });
+
+        it('should generate signed distance fields', () =>
+        {
+            const plain = BitmapFont.from('plain', { fontSize: 20 }, { chars: 'a' });
+            const font = BitmapFont.from('sdf', { fontSize: 20 }, {
+                chars: 'a',
+                distanceFieldType: 'sdf',
+                distanceFieldRange: 6,
+            });
+            const id = 'a'.charCodeAt(0);
+
+            expect(font.distanceFieldType).toEqual('sdf');
+            expect(font.distanceFieldRange).toEqual(6);
+            expect(font.pageTextures[0].baseTexture.alphaMode).toEqual(ALPHA_MODES.NO_PREMULTIPLIED_ALPHA);
+            // the glyphs have room for the distances around them
+            expect(font.chars[id].xOffset).toEqual(-3);
+            expect(font.chars[id].yOffset).toEqual(-3);
+            expect(font.chars[id].xAdvance).toEqual(plain.chars[id].xAdvance);
+            expect(font.chars[id].texture.width).toEqual(plain.chars[id].texture.width + 6);
+            expect(font.chars[id].texture.height).toEqual(plain.chars[id].texture.height + 6);
+        });
+
+        it('should encode the distances to the edges of glyphs', () =>
+        {
+            const size = 7;
+            const imageData = { data: new Uint8ClampedArray(size * size * 4) };
+            const context = {
+                getImageData: jest.fn(() => imageData),
+                putImageData: jest.fn(),
+            } as unknown as ICanvasRenderingContext2D;
+
+            // a 3x3 square in the middle
+            for (let y = 2; y < 5; y++)
+            {
+                for (let x = 2; x < 5; x++)
+                {
+                    imageData.data[(((y * size) + x) * 4) + 3] = 255;
+                }
+            }
+
+            drawDistanceField(context, 10, 20, size, size, 4);
+
+            const value = (x: number, y: number) => imageData.data[((y * size) + x) * 4];
+
+            expect(context.getImageData).toHaveBeenCalledWith(10, 20, size, size);
+            expect(context.putImageData).toHaveBeenCalledWith(imageData, 10, 20);
+            expect(value(3, 3)).toEqual(255);
+            expect(value(2, 3)).toEqual(191);
+            expect(value(1, 3)).toEqual(64);
+            expect(value(0, 0)).toEqual(0);
+            expect(imageData.data[3]).toEqual(0);
+            expect(imageData.data[(((3 * size) + 1) * 4) + 3]).toEqual(255);
+        });
+    });
 });
@@ -1,9 +1,10 @@
 import { Cache, loadTextures, loadTxt } from '@pixi/assets';
-import { utils } from '@pixi/core';
-import { BitmapFont, loadBitmapFont } from '@pixi/text-bitmap';
+import { settings, utils } from '@pixi/core';
+import { BinaryFormat, BitmapFont, JSONFormat, loadBitmapFont } from '@pixi/text-bitmap';
 import { Loader } from '../../assets/src/loader/Loader';
 
 import type { ImageResource, Texture } from '@pixi/core';
+import type { IBitmapFontJSON } from '@pixi/text-bitmap';
 
 describe('BitmapFontLoader', () =>
 {
@@ -201,6 +202,50 @@ describe('BitmapFontLoader', () =>
         expect(charE).toBeUndefined();
     });
 
+    it('should properly register bitmap font based on binary format', async () =>
+    {
+        const font = await loader.load<BitmapFont>(`${serverPath}font-binary.fnt`);
+
+        expect(font).toBeObject();
+        expect(BitmapFont.available.fontBinary).toEqual(font);
+        expect(font.size).toEqual(24);
+        expect(font.lineHeight).toEqual(27);
+        const charA = font.chars['A'.charCodeAt(0)];
+        const charATexture = charA.texture as Texture<ImageResource>;
+
+        expect(charATexture.baseTexture.resource.src).toEqual(`${serverPath}font.png`);
+        expect(charATexture.frame.x).toEqual(2);
+        expect(charATexture.frame.y).toEqual(2);
+        expect(charATexture.frame.width).toEqual(19);
+        expect(charATexture.frame.height).toEqual(20);
+        expect(charA.kerning[32]).toEqual(-1);
+        const charD = font.chars['D'.charCodeAt(0)];
+
+        expect(charD.texture.frame.x).toEqual(19);
+        expect(charD.texture.frame.y).toEqual(24);
+        expect(charD.xOffset).toEqual(2);
+        expect(charD.xAdvance).toEqual(17);
+    });
+
+    it('should properly register bitmap font based on JSON format', async () =>
+    {
+        const font = await loader.load<BitmapFont>(`${serverPath}font-json.json`);
+
+        expect(font).toBeObject();
+        expect(BitmapFont.available.fontJSON).toEqual(font);
+        expect(font.distanceFieldType).toEqual('sdf');
+        expect(font.distanceFieldRange).toEqual(4);
+        const charA = font.chars['A'.charCodeAt(0)];
+        const charATexture = charA.texture as Texture<ImageResource>;
+
+        expect(charATexture.baseTexture.resource.src).toEqual(`${serverPath}font.png`);
+        expect(charATexture.frame.x).toEqual(2);
+        expect(charATexture.frame.y).toEqual(2);
+        expect(charATexture.frame.width).toEqual(19);
+        expect(charATexture.frame.height).toEqual(20);
+        expect(charA.kerning[32]).toEqual(-1);
+    });
+
     it('should properly register bitmap font with url params', async () =>
     {
         const font = await loader.load<BitmapFont>(`${serverPath}font-text.fnt?version=1.0.0`);
@@ -396,4 +441,129 @@ describe('BitmapFontLoader', () =>
 
         expect(bitmapFont.pageTextures).toBe(null);
     });
+
+    describe('formats', () =>
+    {
+        const json: IBitmapFontJSON = {
+            pages: ['page0.png', 'page1.png'],
+            chars: [
+                { id: 65, page: 0, x: 1, y: 2, width: 3, height: 4, xoffset: -1, yoffset: 2, xadvance: 5 },
+                { id: 66, page: 1, x: 6, y: 7, width: 8, height: 9, xoffset: 0, yoffset: 0, xadvance: 10 },
+            ],
+            info: { face: 'json', size: 32 },
+            common: { lineHeight: 40 },
+            kernings: [{ first: 65, second: 66, amount: -2 }],
+            distanceField: { fieldType: 'msdf', distanceRange: 6 },
+        };
+
+        /**
+         * Writes binary font data, as BMFont does.
+         * @param face - Name of the font
+         * @param pages - Files of the pages
+         */
+        function createBinaryFont(face: string, pages: string[]): ArrayBuffer
+        {
+            const encoder = new TextEncoder();
+            const blocks: [number, Uint8Array][] = [];
+            const info = new Uint8Array(14 + face.length + 1);
+            const common = new Uint8Array(15);
+            const chars = new Uint8Array(20);
+            const kernings = new Uint8Array(10);
+
+            new DataView(info.buffer).setInt16(0, 32, true);
+            info.set(encoder.encode(face), 14);
+            new DataView(common.buffer).setUint16(0, 40, true);
+            new DataView(chars.buffer).setUint32(0, 65, true);
+            new DataView(chars.buffer).setUint16(4, 12, true);
+            new DataView(chars.buffer).setInt16(12, -3, true);
+            chars[18] = 1;
+            new DataView(kernings.buffer).setUint32(0, 65, true);
+            new DataView(kernings.buffer).setUint32(4, 66, true);
+            new DataView(kernings.buffer).setInt16(8, -2, true);
+
+            blocks.push(
+                [1, info],
+                [2, common],
+                [3, encoder.encode(pages.map((page) => `${page}\0`).join(''))],
+                [4, chars],
+                [5, kernings],
+            );
+
+            const size = blocks.reduce((size, [, block]) => size + 5 + block.length, 4);
+            const bytes = new Uint8Array(size);
+            const view = new DataView(bytes.buffer);
+            let offset = 4;
+
+            bytes.set([66, 77, 70, 3]);
+            blocks.forEach(([type, block]) =>
+            {
+                view.setUint8(offset, type);
+                view.setInt32(offset + 1, block.length, true);
+                bytes.set(block, offset + 5);
+                offset += 5 + block.length;
+            });
+
+            return bytes.buffer;
+        }
+
+        it('should parse binary font data', () =>
+        {
+            const data = BinaryFormat.parse(createBinaryFont('binary', ['a.png', 'b.png']));
+
+            expect(data.info).toEqual([{ face: 'binary', size: 32 }]);
+            expect(data.common).toEqual([{ lineHeight: 40 }]);
+            expect(data.page).toEqual([{ id: 0, file: 'a.png' }, { id: 1, file: 'b.png' }]);
+            expect(data.char).toEqual([{
+                id: 65, x: 12, y: 0, width: 0, height: 0, xoffset: -3, yoffset: 0, xadvance: 0, page: 1,
+            }]);
+            expect(data.kerning).toEqual([{ first: 65, second: 66, amount: -2 }]);
+        });
+
+        it('should parse JSON font data', () =>
+        {
+            const data = JSONFormat.parse(json);
+
+            expect(data.info).toEqual([{ face: 'json', size: 32 }]);
+            expect(data.common).toEqual([{ lineHeight: 40 }]);
+            expect(data.page).toEqual([{ id: 0, file: 'page0.png' }, { id: 1, file: 'page1.png' }]);
+            expect(data.char[1]).toEqual(json.chars[1]);
+            expect(data.kerning).toEqual(json.kernings);
+            expect(data.distanceField).toEqual([{ fieldType: 'msdf', distanceRange: 6 }]);
+        });
+
+        it('should only recognize binary and JSON font data', async () =>
+        {
+            expect(await loadBitmapFont.testParse(createBinaryFont('binary', ['a.png']))).toBe(true);
+            expect(await loadBitmapFont.testParse(json)).toBe(true);
+            expect(await loadBitmapFont.testParse(new Uint8Array([66, 77, 70, 2]).buffer)).toBe(false);
+            expect(await loadBitmapFont.testParse(new ArrayBuffer(16))).toBe(false);
+            // spritesheets and other JSON files
+            expect(await loadBitmapFont.testParse({ frames: {}, meta: {} } as any)).toBe(false);
+            expect(await loadBitmapFont.testParse({ pages: [], chars: [] } as any)).toBe(false);
+            expect(await loadBitmapFont.testParse(null)).toBe(false);
+        });
+
+        it('should load binary and JSON font data', async () =>
+        {
+            const binary = createBinaryFont('binary', ['a.png']);
+            const fetchMock = jest.spyOn(settings.ADAPTER, 'fetch')
+                .mockImplementation(async (url: RequestInfo) => new Response(
+                    url.toString().endsWith('binary.fnt') ? binary : ` ${JSON.stringify(json)}`
+                ));
+
+            try
+            {
+                const loadedBinary = await loadBitmapFont.load('binary.fnt', null, null);
+                const loadedJSON = await loadBitmapFont.load('json.fnt', null, null);
+
+                expect(loadedBinary).toBeInstanceOf(ArrayBuffer);
+                expect(new Uint8Array(loadedBinary as ArrayBuffer)).toEqual(new Uint8Array(binary));
+                expect(loadedJSON).toEqual(json);
+            }
+            finally
+            {
+                fetchMock.mockRestore();
+            }
+        });
+    });
 });
@@ -2,6 +2,7 @@ import fs from 'fs';
 import path from 'path';
 import { Renderer, settings, Texture } from '@pixi/core';
 import { BitmapFont, BitmapText } from '@pixi/text-bitmap';
+import { parseMarkup } from '../src/utils';
 
 import type { Container } from '@pixi/display';
 
@@ -338,4 +339,493 @@ describe('BitmapText', () =>
 
         text.destroy(true);
     });
+
+    describe('markup', () =>
+    {
+        beforeAll(() =>
+        {
+            BitmapFont.from('markupRegular', { fontSize: 10 }, { chars: [['a', 'z'], ' '] });
+            BitmapFont.from('markupBold', { fontSize: 10, fontWeight: 'bold' }, { chars: [['a', 'z'], ' '] });
+        });
+
+        afterAll(() =>
+        {
+            BitmapFont.uninstall('markupRegular');
+            BitmapFont.uninstall('markupBold');
+        });
+
+        it('should split text into runs of the same style', () =>
+        {
+            const runs = parseMarkup('a<color=red>b<size=20>c</color>d</size><b>e</b><icon="coin"><foo>', {
+                b: { fontName: 'markupBold' },
+            });
+
+            expect(runs).toEqual([
+                { text: 'a', style: {} },
+                { text: 'b', style: { tint: 'red' } },
+                { text: 'c', style: { tint: 'red', fontSize: 20 } },
+                { text: 'd', style: { fontSize: 20 } },
+                { text: 'e', style: { fontName: 'markupBold' } },
+                { text: '', style: {}, icon: 'coin' },
+                { text: '<foo>', style: {} },
+            ]);
+        });
+
+        it('should keep tags with invalid values as text', () =>
+        {
+            expect(parseMarkup('a<color=nope>b</color><size=0>c</size>')).toEqual([
+                { text: 'a<color=nope>b</color><size=0>c</size>', style: {} },
+            ]);
+
+            const text = new BitmapText('<color=nope>ab</color>', {
+                fontName: 'markupRegular',
+                markup: true,
+            });
+
+            expect(() => text.updateText()).not.toThrow();
+            expect(text['_activePagesMeshData'][0].total).toEqual(2);
+
+            text.destroy();
+        });
+
+        it('should keep tags as text without markup', () =>
+        {
+            const text = new BitmapText('<b>ab</b>', { fontName: 'markupRegular' });
+
+            text.updateText();
+
+            // the brackets and slash are not in the font
+            expect(text['_activePagesMeshData'][0].total).toEqual(4);
+
+            text.markup = true;
+            text.updateText();
+
+            expect(text['_activePagesMeshData'][0].total).toEqual(2);
+
+            text.destroy();
+        });
+
+        it('should tint runs with colors', () =>
+        {
+            const text = new BitmapText('ab <color=#00ff00>cd</color>', {
+                fontName: 'markupRegular',
+                markup: true,
+            });
+
+            text.updateText();
+            text.tint = 0xff0000;
+
+            const meshes = text['_activePagesMeshData'];
+
+            expect(meshes).toHaveLength(2);
+            expect(meshes[0].total).toEqual(3);
+            expect(meshes[0].mesh.tintValue).toEqual(0xff0000);
+            expect(meshes[1].total).toEqual(2);
+            expect(meshes[1].mesh.tintValue).toEqual(0x00ff00);
+
+            text.destroy();
+        });
+
+        it('should align runs of different sizes on the bottom of their line', () =>
+        {
+            const font = BitmapFont.available.markupRegular;
+            const text = new BitmapText('a<size=20>b</size>', {
+                fontName: 'markupRegular',
+                markup: true,
+            });
+
+            expect(text.textHeight).toEqual(font.lineHeight * 2);
+
+            // both glyphs are in the same page mesh
+            const { vertices } = text['_activePagesMeshData'][0];
+            const charA = font.chars['a'.charCodeAt(0)];
+            const charB = font.chars['b'.charCodeAt(0)];
+
+            expect(vertices[1]).toEqual(font.lineHeight + charA.yOffset);
+            expect(vertices[8]).toEqual(Math.round(charA.xAdvance + (charB.xOffset * 2)));
+            expect(vertices[9]).toBeCloseTo(charB.yOffset * 2);
+            expect(vertices[10] - vertices[8]).toEqual(charB.texture.frame.width * 2);
+
+            text.destroy();
+        });
+
+        it('should switch fonts with tags', () =>
+        {
+            const text = new BitmapText('a<b>b</b>', {
+                fontName: 'markupRegular',
+                markup: true,
+                tagStyles: { b: { fontName: 'markupBold' } },
+            });
+
+            text.updateText();
+
+            const [regular, bold] = text['_activePagesMeshData'];
+
+            expect(regular.mesh.texture.baseTexture).toBe(BitmapFont.available.markupRegular.pageTextures[0].baseTexture);
+            expect(bold.mesh.texture.baseTexture).toBe(BitmapFont.available.markupBold.pageTextures[0].baseTexture);
+
+            text.text = '<font=missing>a</font>';
+
+            expect(() => text.updateText()).toThrow('Missing BitmapFont "missing"');
+
+            text.destroy();
+        });
+
+        it('should display icons as high as the font size', () =>
+        {
+            const text = new BitmapText('a<size=20><icon=white></size>', {
+                fontName: 'markupRegular',
+                markup: true,
+                icons: { white: Texture.WHITE },
+            });
+
+            text.updateText();
+
+            const icon = text['_activePagesMeshData'][1];
+
+            expect(icon.mesh.texture.baseTexture).toBe(Texture.WHITE.baseTexture);
+            expect(icon.vertices[5] - icon.vertices[1]).toEqual(20);
+            expect(icon.vertices[2] - icon.vertices[0]).toEqual(20);
+
+            text.destroy();
+        });
+
+        it('should wrap lines across runs', () =>
+        {
+            const font = BitmapFont.available.markupRegular;
+            const text = new BitmapText('aa <color=red>bb cc</color> dd', {
+                fontName: 'markupRegular',
+                markup: true,
+                maxWidth: font.chars['a'.charCodeAt(0)].xAdvance * 6,
+            });
+
+            expect(text.textHeight).toEqual(font.lineHeight * 2);
+
+            text.destroy();
+        });
+    });
+
+    describe('bidi and line breaks', () =>
+    {
+        beforeAll(() =>
+        {
+            BitmapFont.from('bidiFont', { fontSize: 10 }, {
+                chars: [['a', 'z'], ' ()', ['\u05D0', '\u05EA'], '\u65E5\u672C\u8A9E'],
+            });
+        });
+
+        afterAll(() =>
+        {
+            BitmapFont.uninstall('bidiFont');
+        });
+
+        /**
+         * Gets the horizontal positions of the glyphs of a text, in logical order.
+         * @param text - The text
+         */
+        const getPositions = (text: BitmapText): number[] =>
+        {
+            text.updateText();
+
+            const { vertices, total } = text['_activePagesMeshData'][0];
+
+            return Array.from({ length: total }, (_value, i) => vertices[i * 8]);
+        };
+
+        it('should reverse right-to-left runs', () =>
+        {
+            const text = new BitmapText('ab \u05D0\u05D1', { fontName: 'bidiFont' });
+            const [a, b, space, alef, bet] = getPositions(text);
+
+            expect(a).toBeLessThan(b);
+            expect(b).toBeLessThan(space);
+            expect(space).toBeLessThan(bet);
+            expect(bet).toBeLessThan(alef);
+
+            text.direction = 'rtl';
+
+            const positions = getPositions(text);
+
+            expect(positions[4]).toBeLessThan(positions[3]);
+            expect(positions[3]).toBeLessThan(positions[0]);
+            expect(positions[0]).toBeLessThan(positions[1]);
+
+            text.destroy();
+        });
+
+        it('should mirror characters displayed right-to-left', () =>
+        {
+            const text = new BitmapText('(\u05D0) (a)', { fontName: 'bidiFont', direction: 'rtl' });
+            const charsInput = text['_getCharsInput'](text.text, 1);
+
+            text['_getBidiLevels'](charsInput);
+
+            // the brackets around left-to-right text are also right-to-left between right-to-left text
+            expect(charsInput.map((input) => input.char).join('')).toEqual(')\u05D0( )a(');
+
+            text.direction = 'ltr';
+
+            const ltrCharsInput = text['_getCharsInput'](text.text, 1);
+
+            text['_getBidiLevels'](ltrCharsInput);
+
+            expect(ltrCharsInput.map((input) => input.char).join('')).toEqual('(\u05D0) (a)');
+
+            text.destroy();
+        });
+
+        it('should resolve the direction of the text', () =>
+        {
+            const text = new BitmapText('\u05D0 ab', { fontName: 'bidiFont', direction: 'auto' });
+            const [alef, space, a] = getPositions(text);
+
+            expect(a).toBeLessThan(space);
+            expect(space).toBeLessThan(alef);
+
+            text.destroy();
+        });
+
+        it('should wrap between ideographs with unicode line breaks', () =>
+        {
+            const font = BitmapFont.available.bidiFont;
+            const text = new BitmapText('\u65E5\u672C\u8A9E', {
+                fontName: 'bidiFont',
+                maxWidth: font.chars[0x65E5].xAdvance * 2,
+            });
+
+            expect(text.textHeight).toEqual(font.lineHeight);
+
+            text.lineBreak = 'unicode';
+
+            expect(text.textHeight).toEqual(font.lineHeight * 2);
+
+            text.destroy();
+        });
+    });
+
+    describe('truncation', () =>
+    {
+        beforeAll(() =>
+        {
+            BitmapFont.from('truncateFont', { fontSize: 10 }, { chars: [['a', 'z'], ' .'] });
+        });
+
+        afterAll(() =>
+        {
+            BitmapFont.uninstall('truncateFont');
+        });
+
+        it('should remove the lines exceeding maxLines', () =>
+        {
+            const font = BitmapFont.available.truncateFont;
+            const text = new BitmapText('a\nb\nc', { fontName: 'truncateFont' });
+
+            expect(text.truncated).toBe(false);
+
+            text.maxLines = 2;
+
+            expect(text.textHeight).toEqual(font.lineHeight * 2);
+            expect(text.truncated).toBe(true);
+            expect(text['_activePagesMeshData'][0].total).toEqual(2);
+
+            text.destroy();
+        });
+
+        it('should remove the lines exceeding maxHeight', () =>
+        {
+            const font = BitmapFont.available.truncateFont;
+            const text = new BitmapText('a\nb\nc', { fontName: 'truncateFont', maxHeight: font.lineHeight * 1.5 });
+
+            expect(text.textHeight).toEqual(font.lineHeight);
+            expect(text.truncated).toBe(true);
+
+            text.destroy();
+        });
+
+        it('should end the last line with an ellipsis', () =>
+        {
+            const text = new BitmapText('abc \ndef', {
+                fontName: 'truncateFont',
+                maxLines: 1,
+                textOverflow: 'ellipsis',
+            });
+
+            text.updateText();
+
+            // the font has no ellipsis glyph, so three dots are used
+            expect(text['_activePagesMeshData'][0].total).toEqual(6);
+
+            text.destroy();
+        });
+
+        it('should shorten the lines wider than maxWidth with an ellipsis', () =>
+        {
+            const font = BitmapFont.available.truncateFont;
+            const maxWidth = (font.chars['a'.charCodeAt(0)].xAdvance * 2) + (font.chars['.'.charCodeAt(0)].xAdvance * 3);
+            const text = new BitmapText('abcdefgh', { fontName: 'truncateFont', maxWidth, textOverflow: 'ellipsis' });
+
+            text.updateText();
+
+            expect(text.truncated).toBe(true);
+            expect(text.textWidth).toBeLessThanOrEqual(maxWidth);
+            expect(text['_activePagesMeshData'][0].total).toEqual(5);
+
+            text.textOverflow = 'clip';
+            text.updateText();
+
+            expect(text.truncated).toBe(false);
+            expect(text['_activePagesMeshData'][0].total).toEqual(8);
+
+            text.destroy();
+        });
+    });
+
+    describe('glyphs', () =>
+    {
+        beforeAll(() =>
+        {
+            BitmapFont.from('glyphsFont', { fontSize: 10 }, { chars: [['a', 'z'], ' '] });
+        });
+
+        afterAll(() =>
+        {
+            BitmapFont.uninstall('glyphsFont');
+        });
+
+        it('should get the glyphs of the characters', () =>
+        {
+            const text = new BitmapText('ab\r\nc', { fontName: 'glyphsFont', fontSize: 20 });
+            const glyphs = text.getGlyphs();
+            const { vertices } = text['_activePagesMeshData'][0];
+
+            expect(glyphs.map((glyph) => glyph.index)).toEqual([0, 1, 3]);
+            expect(glyphs.map((glyph) => glyph.charCode)).toEqual([97, 98, 99]);
+            expect(glyphs.map((glyph) => glyph.line)).toEqual([0, 0, 1]);
+            expect(glyphs[1].bounds.x).toEqual(vertices[8]);
+            expect(glyphs[1].bounds.y).toEqual(vertices[9]);
+            expect(glyphs[1].bounds.right).toEqual(vertices[10]);
+            expect(glyphs[1].bounds.bottom).toEqual(vertices[13]);
+            expect(glyphs[1].position.x).toEqual(glyphs[1].bounds.x + (glyphs[1].bounds.width / 2));
+            expect(glyphs[2].bounds.y).toBeGreaterThan(glyphs[1].bounds.y);
+
+            text.destroy();
+        });
+
+        it('should get the glyphs relative to the anchor', () =>
+        {
+            const text = new BitmapText('ab', { fontName: 'glyphsFont' });
+            const { x, y } = text.getGlyphs()[0].bounds;
+
+            text.anchor.set(0.5, 1);
+
+            expect(text.getGlyphs()[0].bounds.x).toEqual(x - (text.textWidth / 2));
+            expect(text.getGlyphs()[0].bounds.y).toEqual(y - text.textHeight);
+
+            text.destroy();
+        });
+
+        it('should keep the styles of the characters when the text changes', () =>
+        {
+            const text = new BitmapText('ab', { fontName: 'glyphsFont' });
+            const { x, y } = text.getGlyphs()[1].bounds;
+
+            text.setCharStyle(1, { offset: { x: 2, y: 3 } });
+            text.text = 'cd';
+            text.updateText();
+
+            let { vertices } = text['_activePagesMeshData'][0];
+
+            expect(text.getCharStyle(1)).toEqual({ offset: { x: 2, y: 3 } });
+            expect(vertices[8]).toBeCloseTo(text.getGlyphs()[1].bounds.x + 2);
+            expect(vertices[9]).toBeCloseTo(text.getGlyphs()[1].bounds.y + 3);
+
+            text.text = 'ab';
+            text.setCharStyle(1, null);
+            text.updateText();
+            ({ vertices } = text['_activePagesMeshData'][0]);
+
+            expect(text.getCharStyle(1)).toBeNull();
+            expect(vertices[8]).toEqual(x);
+            expect(vertices[9]).toEqual(y);
+
+            text.destroy();
+        });
+
+        it('should scale and rotate the glyphs around their center', () =>
+        {
+            const text = new BitmapText('ab', { fontName: 'glyphsFont' });
+
+            text.setCharStyle(0, { scale: 0 });
+            text.setCharStyle(1, { rotation: Math.PI / 2 });
+            text.updateText();
+
+            const [first, second] = text.getGlyphs();
+            const { vertices } = text['_activePagesMeshData'][0];
+
+            for (let i = 0; i < 8; i += 2)
+            {
+                expect(vertices[i]).toBeCloseTo(first.position.x);
+                expect(vertices[i + 1]).toBeCloseTo(first.position.y);
+            }
+
+            // the top left corner turns to the top right
+            expect(vertices[8]).toBeCloseTo(second.position.x + (second.bounds.height / 2));
+            expect(vertices[9]).toBeCloseTo(second.position.y - (second.bounds.width / 2));
+
+            text.clearCharStyles();
+
+            expect(text.getCharStyle(0)).toBeNull();
+            expect(text.dirty).toBe(false);
+            expect(vertices[0]).toEqual(first.bounds.x);
+            expect(vertices[1]).toEqual(first.bounds.y);
+
+            text.destroy();
+        });
+
+        it('should move the glyphs without laying out the text again', () =>
+        {
+            const text = new BitmapText('ab', { fontName: 'glyphsFont' });
+            const [, second] = text.getGlyphs();
+            const updateText = jest.spyOn(text, 'updateText');
+            const { vertices, mesh } = text['_activePagesMeshData'][0];
+            const vertexBuffer = mesh.geometry.getBuffer('aVertexPosition');
+            const updateID = vertexBuffer._updateID;
+
+            text.setCharStyle(1, { offset: { x: 2, y: 3 } });
+
+            expect(text.dirty).toBe(false);
+            expect(vertices[8]).toBeCloseTo(second.bounds.x + 2);
+            expect(vertices[9]).toBeCloseTo(second.bounds.y + 3);
+            expect(vertexBuffer._updateID).toBeGreaterThan(updateID);
+
+            text.getGlyphs();
+
+            expect(updateText).not.toHaveBeenCalled();
+
+            // the glyphs of another tint are rendered by another mesh
+            text.setCharStyle(1, { offset: { x: 2, y: 3 }, tint: 'blue' });
+
+            expect(text.dirty).toBe(true);
+
+            text.destroy();
+        });
+
+        it('should tint the glyphs of the characters with their own tint', () =>
+        {
+            const text = new BitmapText('abc', { fontName: 'glyphsFont', tint: 0xff0000 });
+
+            text.setCharStyle(1, { tint: 'blue' });
+            text.updateText();
+
+            const meshes = text['_activePagesMeshData'];
+
+            expect(meshes.length).toEqual(2);
+            expect(meshes[0].total).toEqual(2);
+            expect(meshes[0].mesh.tint).toEqual(0xff0000);
+            expect(meshes[1].total).toEqual(1);
+            expect(meshes[1].mesh.tint).toEqual(0x0000ff);
+
+            text.destroy();
+        });
+    });
 });
@@ -5,8 +5,10 @@ import type {
     ITextStyle,
     TextStyleFontStyle,
     TextStyleFontWeight,
+    TextStyleLineBreak,
     TextStyleLineJoin,
-    TextStyleTextBaseline
+    TextStyleTextBaseline,
+    TextStyleTextOverflow
 } from '@pixi/text';
 
 /**
@@ -26,6 +28,10 @@ export type FontDisplay = 'auto' | 'block' | 'swap' | 'fallback' | 'optional';
 
 // Subset of ITextStyle
 type ITextStyleIgnore = 'whiteSpace'
+| 'lineBreak'
+| 'maxHeight'
+| 'maxLines'
+| 'textOverflow'
 | 'fillGradientStops'
 | 'fillGradientType'
 | 'miterLimit'
@@ -100,6 +106,8 @@ export class HTMLTextStyle extends TextStyle
         align: 'left',
         /** Break words */
         breakWords: false,
+        /** Direction */
+        direction: 'ltr',
         /** Drop shadow */
         dropShadow: false,
         /** Drop shadow alpha */
@@ -327,6 +335,10 @@ export class HTMLTextStyle extends TextStyle
             `text-align: ${this.align}`,
             `padding: ${this.padding}px`,
             `white-space: ${this.whiteSpace}`,
+            ...this.direction !== 'ltr' ? [
+                `direction: ${this.direction === 'auto' ? 'ltr' : this.direction}`,
+                `unicode-bidi: ${this.direction === 'auto' ? 'plaintext' : 'isolate'}`,
+            ] : [],
             ...this.lineHeight ? [`line-height: ${this.lineHeight}px`] : [],
             ...this.wordWrap ? [
                 `word-wrap: ${this.breakWords ? 'break-all' : 'break-word'}`,
@@ -518,4 +530,40 @@ export class HTMLTextStyle extends TextStyle
     {
         return super.lineJoin;
     }
+
+    override set lineBreak(_value: TextStyleLineBreak)
+    {
+        console.warn('[HTMLTextStyle] lineBreak is not supported by HTMLText');
+    }
+    override get lineBreak()
+    {
+        return super.lineBreak;
+    }
+
+    override set maxHeight(_value: number)
+    {
+        console.warn('[HTMLTextStyle] maxHeight is not supported by HTMLText');
+    }
+    override get maxHeight()
+    {
+        return super.maxHeight;
+    }
+
+    override set maxLines(_value: number)
+    {
+        console.warn('[HTMLTextStyle] maxLines is not supported by HTMLText');
+    }
+    override get maxLines()
+    {
+        return super.maxLines;
+    }
+
+    override set textOverflow(_value: TextStyleTextOverflow)
+    {
+        console.warn('[HTMLTextStyle] textOverflow is not supported by HTMLText');
+    }
+    override get textOverflow()
+    {
+        return super.textOverflow;
+    }
 }
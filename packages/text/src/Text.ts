@@ -231,6 +231,10 @@ export class Text extends Sprite
         context.lineJoin = style.lineJoin;
         context.miterLimit = style.miterLimit;
 
+        // lines are drawn from their left edge, the browser ordering them in the direction of the text
+        context.direction = style.direction === 'ltr' ? 'inherit' : measured.direction;
+        context.textAlign = style.direction === 'ltr' ? 'start' : 'left';
+
         let linePositionX: number;
         let linePositionY: number;
 
@@ -385,7 +389,21 @@ export class Text extends Sprite
 
         let currentPosition = x;
 
-        const stringArray = TextMetrics.graphemeSegmenter(text);
+        let stringArray = TextMetrics.graphemeSegmenter(text);
+        const direction = this.context.direction;
+
+        // characters drawn one by one are not ordered by the browser, so right-to-left runs are reversed here
+        if (direction === 'rtl' || TextMetrics.hasRightToLeft(text))
+        {
+            const levels = TextMetrics.getBidiLevels(stringArray, direction === 'rtl' ? 'rtl' : 'ltr');
+            const chars = stringArray;
+
+            stringArray = TextMetrics.getBidiOrder(levels).map((index) =>
+                (levels[index] % 2 ? TextMetrics.getMirroredChar(chars[index]) : chars[index]));
+            text = stringArray.join('');
+            this.context.direction = 'ltr';
+        }
+
         let previousWidth = this.context.measureText(text).width;
         let currentWidth = 0;
 
@@ -411,6 +429,8 @@ export class Text extends Sprite
             currentPosition += previousWidth - currentWidth + letterSpacing;
             previousWidth = currentWidth;
         }
+
+        this.context.direction = direction;
     }
 
     /** Updates texture size based on canvas size. */
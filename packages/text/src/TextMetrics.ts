@@ -1,7 +1,9 @@
 import { settings } from '@pixi/core';
+import { getBidiLevels, getBidiOrder, getFirstStrongDirection, getMirroredChar, hasRightToLeft } from './bidi';
+import { getLineBreaks } from './lineBreak';
 
 import type { ICanvas, ICanvasRenderingContext2D, ICanvasRenderingContext2DSettings } from '@pixi/core';
-import type { TextStyle, TextStyleWhiteSpace } from './TextStyle';
+import type { TextStyle, TextStyleDirection, TextStyleLineBreak, TextStyleWhiteSpace } from './TextStyle';
 
 // The type for Intl.Segmenter is only available since TypeScript 4.7.2, so let's make a polyfill for it.
 interface ISegmentData
@@ -100,6 +102,12 @@ export class TextMetrics
     /** The font properties object from TextMetrics.measureFont. */
     public fontProperties: IFontMetrics;
 
+    /** The base direction of the text, resolved from the direction of the style. */
+    public direction: 'ltr' | 'rtl';
+
+    /** Whether lines were removed, or shortened with an ellipsis, to fit the limits of the style. */
+    public truncated: boolean;
+
     /**
      * String used for calculate font metrics.
      * These characters are all tall to help calculate the height required for text.
@@ -115,6 +123,9 @@ export class TextMetrics
     /** Height multiplier for setting height of canvas to calculate font metrics. */
     public static HEIGHT_MULTIPLIER = 2.0;
 
+    /** String ending the lines shortened by the "ellipsis" text overflow. */
+    public static ELLIPSIS = '…';
+
     /**
      * A Unicode "character", or "grapheme cluster", can be composed of multiple Unicode code points,
      * such as letters with diacritical marks (e.g. `'\u0065\u0301'`, letter e with acute)
@@ -212,9 +223,10 @@ export class TextMetrics
      * @param lineHeight - the measured line height for this style
      * @param maxLineWidth - the maximum line width for all measured lines
      * @param {PIXI.IFontMetrics} fontProperties - the font properties object from TextMetrics.measureFont
+     * @param direction - the base direction of the text
      */
     constructor(text: string, style: TextStyle, width: number, height: number, lines: string[], lineWidths: number[],
-        lineHeight: number, maxLineWidth: number, fontProperties: IFontMetrics)
+        lineHeight: number, maxLineWidth: number, fontProperties: IFontMetrics, direction: 'ltr' | 'rtl' = 'ltr')
     {
         this.text = text;
         this.style = style;
@@ -225,6 +237,8 @@ export class TextMetrics
         this.lineHeight = lineHeight;
         this.maxLineWidth = maxLineWidth;
         this.fontProperties = fontProperties;
+        this.direction = direction;
+        this.truncated = false;
     }
 
     /**
@@ -260,6 +274,8 @@ export class TextMetrics
 
         const outputText = wordWrap ? TextMetrics.wordWrap(text, style, canvas) : text;
         const lines = outputText.split(/(?:\r\n|\r|\n)/);
+        const lineHeight = style.lineHeight || fontProperties.fontSize + style.strokeThickness;
+        const truncated = TextMetrics.truncate(lines, style, wordWrap, lineHeight, fontProperties, context);
         const lineWidths = new Array<number>(lines.length);
         let maxLineWidth = 0;
 
@@ -277,7 +293,6 @@ export class TextMetrics
             width += style.dropShadowDistance;
         }
 
-        const lineHeight = style.lineHeight || fontProperties.fontSize + style.strokeThickness;
         let height
             = Math.max(lineHeight, fontProperties.fontSize + (style.strokeThickness * 2)) + style.leading
             + ((lines.length - 1) * (lineHeight + style.leading));
@@ -287,7 +302,7 @@ export class TextMetrics
             height += style.dropShadowDistance;
         }
 
-        return new TextMetrics(
+        const metrics = new TextMetrics(
             text,
             style,
             width,
@@ -296,8 +311,83 @@ export class TextMetrics
             lineWidths,
             lineHeight + style.leading,
             maxLineWidth,
-            fontProperties
+            fontProperties,
+            TextMetrics.resolveDirection(text, style.direction)
         );
+
+        metrics.truncated = truncated;
+
+        return metrics;
+    }
+
+    /**
+     * Removes the lines exceeding the maxLines or the maxHeight of the style, and adds the ellipsis
+     * of the "ellipsis" text overflow.
+     * @param lines - The lines of the text, modified in place
+     * @param style - The style of the text
+     * @param wordWrap - Whether the lines were wrapped, the lines wider than wordWrapWidth being then shortened
+     * @param lineHeight - The height of a line, without the leading
+     * @param fontProperties - The font properties of the style
+     * @param context - The context measuring the lines
+     * @returns Whether the text was truncated
+     */
+    private static truncate(
+        lines: string[],
+        style: TextStyle,
+        wordWrap: boolean,
+        lineHeight: number,
+        fontProperties: IFontMetrics,
+        context: ICanvasRenderingContext2D
+    ): boolean
+    {
+        let maxLines = style.maxLines > 0 ? style.maxLines : Infinity;
+
+        if (style.maxHeight > 0)
+        {
+            // the height of the first line and of the next ones, as measured by measureText
+            const firstLineHeight = Math.max(lineHeight, fontProperties.fontSize + (style.strokeThickness * 2))
+                + style.leading + (style.dropShadow ? style.dropShadowDistance : 0);
+            const fittingLines = 1 + Math.floor((style.maxHeight - firstLineHeight) / (lineHeight + style.leading));
+
+            maxLines = Math.min(maxLines, Math.max(1, fittingLines));
+        }
+
+        let truncated = false;
+
+        if (lines.length > maxLines)
+        {
+            lines.length = maxLines;
+            truncated = true;
+        }
+
+        if (style.textOverflow !== 'ellipsis')
+        {
+            return truncated;
+        }
+
+        const maxWidth = wordWrap ? style.wordWrapWidth : Infinity;
+
+        for (let i = 0; i < lines.length; i++)
+        {
+            const isLastLine = truncated && i === lines.length - 1;
+
+            if (isLastLine || TextMetrics._measureText(lines[i], style.letterSpacing, context) > maxWidth)
+            {
+                const chars = TextMetrics.graphemeSegmenter(lines[i]);
+                let line = TextMetrics.trimRight(lines[i]) + TextMetrics.ELLIPSIS;
+
+                while (chars.length > 0 && TextMetrics._measureText(line, style.letterSpacing, context) > maxWidth)
+                {
+                    chars.pop();
+                    line = TextMetrics.trimRight(chars.join('')) + TextMetrics.ELLIPSIS;
+                }
+
+                lines[i] = line;
+                truncated = true;
+            }
+        }
+
+        return truncated;
     }
 
     private static _measureText(
@@ -379,7 +469,7 @@ export class TextMetrics
         const wordWrapWidth = style.wordWrapWidth + letterSpacing;
 
         // break text into words, spaces and newline chars
-        const tokens = TextMetrics.tokenize(text);
+        const tokens = TextMetrics.tokenize(text, style.lineBreak);
 
         for (let i = 0; i < tokens.length; i++)
         {
@@ -662,9 +752,10 @@ export class TextMetrics
     /**
      * Splits a string into words, breaking-spaces and newLine characters
      * @param text - The text
+     * @param lineBreak - How to find the words, "unicode" splits them at the line break opportunities
      * @returns A tokenized array
      */
-    private static tokenize(text: string): string[]
+    private static tokenize(text: string, lineBreak: TextStyleLineBreak = 'normal'): string[]
     {
         const tokens: string[] = [];
         let token = '';
@@ -674,10 +765,13 @@ export class TextMetrics
             return tokens;
         }
 
-        for (let i = 0; i < text.length; i++)
+        const chars: ArrayLike<string> = lineBreak === 'unicode' ? TextMetrics.graphemeSegmenter(text) : text;
+        const breaks = lineBreak === 'unicode' ? TextMetrics.getLineBreaks(chars as string[]) : null;
+
+        for (let i = 0; i < chars.length; i++)
         {
-            const char = text[i];
-            const nextChar = text[i + 1];
+            const char = chars[i];
+            const nextChar = chars[i + 1];
 
             if (TextMetrics.isBreakingSpace(char, nextChar) || TextMetrics.isNewline(char))
             {
@@ -692,6 +786,12 @@ export class TextMetrics
                 continue;
             }
 
+            if (breaks?.[i] && token !== '')
+            {
+                tokens.push(token);
+                token = '';
+            }
+
             token += char;
         }
 
@@ -738,6 +838,83 @@ export class TextMetrics
         return true;
     }
 
+    /**
+     * Overridable helper method used internally by TextMetrics, exposed to allow customizing the class's behavior.
+     *
+     * It finds where lines can be wrapped when the `lineBreak` style is "unicode", with the rules of
+     * the Unicode Line Breaking Algorithm (UAX #14). Words of scripts written without spaces, such as Thai,
+     * are found with `Intl.Segmenter` if it is available.
+     * @param chars - The characters of the text
+     * @returns Whether a line can break before each character
+     */
+    static getLineBreaks(chars: string[]): boolean[]
+    {
+        return getLineBreaks(chars);
+    }
+
+    /**
+     * Checks if text has characters of right-to-left scripts, such as Arabic or Hebrew.
+     * @param text - The text
+     * @returns Whether the text has right-to-left characters
+     */
+    static hasRightToLeft(text: string): boolean
+    {
+        return hasRightToLeft(text);
+    }
+
+    /**
+     * Resolves the base direction of text, "auto" being the direction of its first strong character, or "ltr".
+     * @param text - The text
+     * @param direction - The direction of the style
+     * @returns The base direction
+     */
+    static resolveDirection(text: string, direction: TextStyleDirection): 'ltr' | 'rtl'
+    {
+        if (direction !== 'auto')
+        {
+            return direction === 'rtl' ? 'rtl' : 'ltr';
+        }
+
+        return (hasRightToLeft(text) && getFirstStrongDirection([...text])) || 'ltr';
+    }
+
+    /**
+     * Overridable helper method used internally by TextMetrics, exposed to allow customizing the class's behavior.
+     *
+     * It resolves the embedding levels of the characters of a paragraph with the implicit rules of the
+     * Unicode Bidirectional Algorithm (UAX #9), which orders the right-to-left and left-to-right runs of the text.
+     * Explicit embeddings, overrides and isolates are not supported.
+     * @param chars - The characters of the paragraph, in logical order
+     * @param direction - The base direction of the paragraph
+     * @returns The level of each character, odd levels are right-to-left
+     */
+    static getBidiLevels(chars: string[], direction: 'ltr' | 'rtl'): number[]
+    {
+        return getBidiLevels(chars, direction);
+    }
+
+    /**
+     * Overridable helper method used internally by TextMetrics, exposed to allow customizing the class's behavior.
+     *
+     * It reorders a line from the levels of its characters.
+     * @param levels - The levels of the characters of the line, in logical order
+     * @returns The logical indices of the characters, in visual order from left to right
+     */
+    static getBidiOrder(levels: ArrayLike<number>): number[]
+    {
+        return getBidiOrder(levels);
+    }
+
+    /**
+     * Gets the mirrored form of a character displayed right-to-left, such as `')'` for `'('`.
+     * @param char - The character
+     * @returns The mirrored character, or the character itself
+     */
+    static getMirroredChar(char: string): string
+    {
+        return getMirroredChar(char);
+    }
+
     /**
      * Overridable helper method used internally by TextMetrics, exposed to allow customizing the class's behavior.
      *
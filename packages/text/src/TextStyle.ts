@@ -12,6 +12,9 @@ export type TextStyleFontWeight = 'normal'|'bold'|'bolder'|'lighter'|'100'|'200'
 export type TextStyleLineJoin = 'miter'|'round'|'bevel';
 export type TextStyleTextBaseline = 'alphabetic'|'top'|'hanging'|'middle'|'ideographic'|'bottom';
 export type TextStyleWhiteSpace = 'normal'|'pre'|'pre-line';
+export type TextStyleDirection = 'ltr'|'rtl'|'auto';
+export type TextStyleLineBreak = 'normal'|'unicode';
+export type TextStyleTextOverflow = 'clip'|'ellipsis';
 
 /**
  * Generic interface for TextStyle options.
@@ -25,6 +28,11 @@ export interface ITextStyle {
     align: TextStyleAlign;
     /** Indicates if lines can be wrapped within words, it needs wordWrap to be set to true */
     breakWords: boolean;
+    /**
+     * The base direction of the text, "auto" uses the direction of its first strong character.
+     * @type {'ltr'|'rtl'|'auto'}
+     */
+    direction: TextStyleDirection;
     /** Set a drop shadow for the text */
     dropShadow: boolean;
     /** Set alpha for the drop shadow */
@@ -85,6 +93,11 @@ export interface ITextStyle {
     leading: number;
     /** The amount of spacing between letters, default is 0 */
     letterSpacing: number;
+    /**
+     * Where lines can be wrapped, "normal" (at breaking spaces) or "unicode" (with the Unicode Line Breaking Algorithm).
+     * @type {'normal'|'unicode'}
+     */
+    lineBreak: TextStyleLineBreak;
     /** The line height, a number that represents the vertical space that a letter uses */
     lineHeight: number;
     /**
@@ -94,6 +107,10 @@ export interface ITextStyle {
      * @type {'miter'|'round'|'bevel'}
      */
     lineJoin: TextStyleLineJoin;
+    /** The height the text is truncated to, the lines below it being removed, 0 for no limit */
+    maxHeight: number;
+    /** The maximum number of lines, the next lines being removed, 0 for no limit */
+    maxLines: number;
     /**
      * The miter limit to use when using the 'miter' lineJoin mode. This can reduce
      * or increase the spikiness of rendered text.
@@ -113,6 +130,12 @@ export interface ITextStyle {
      * @type {'alphabetic'|'top'|'hanging'|'middle'|'ideographic'|'bottom'}
      */
     textBaseline: TextStyleTextBaseline;
+    /**
+     * How truncated text is shown, "clip" (the lines are removed) or "ellipsis" (an ellipsis ends the last line,
+     * and the lines wider than wordWrapWidth).
+     * @type {'clip'|'ellipsis'}
+     */
+    textOverflow: TextStyleTextOverflow;
     /** Trim transparent borders */
     trim: boolean;
     /**
@@ -166,6 +189,11 @@ export class TextStyle implements ITextStyle
         align: 'left',
         /** See {@link PIXI.TextStyle.breakWords} */
         breakWords: false,
+        /**
+         * See {@link PIXI.TextStyle.direction}
+         * @type {'ltr'|'rtl'|'auto'}
+         */
+        direction: 'ltr',
         /** See {@link PIXI.TextStyle.dropShadow} */
         dropShadow: false,
         /** See {@link PIXI.TextStyle.dropShadowAlpha} */
@@ -231,6 +259,11 @@ export class TextStyle implements ITextStyle
         leading: 0,
         /** See {@link PIXI.TextStyle.letterSpacing} */
         letterSpacing: 0,
+        /**
+         * See {@link PIXI.TextStyle.lineBreak}
+         * @type {'normal'|'unicode'}
+         */
+        lineBreak: 'normal',
         /** See {@link PIXI.TextStyle.lineHeight} */
         lineHeight: 0,
         /**
@@ -238,6 +271,10 @@ export class TextStyle implements ITextStyle
          * @type {'miter'|'round'|'bevel'}
          */
         lineJoin: 'miter',
+        /** See {@link PIXI.TextStyle.maxHeight} */
+        maxHeight: 0,
+        /** See {@link PIXI.TextStyle.maxLines} */
+        maxLines: 0,
         /** See {@link PIXI.TextStyle.miterLimit} */
         miterLimit: 10,
         /** See {@link PIXI.TextStyle.padding} */
@@ -254,6 +291,11 @@ export class TextStyle implements ITextStyle
          * @type {'alphabetic'|'top'|'hanging'|'middle'|'ideographic'|'bottom'}
          */
         textBaseline: 'alphabetic',
+        /**
+         * See {@link PIXI.TextStyle.textOverflow}
+         * @type {'clip'|'ellipsis'}
+         */
+        textOverflow: 'clip',
         /** See {@link PIXI.TextStyle.trim} */
         trim: false,
         /**
@@ -271,6 +313,7 @@ export class TextStyle implements ITextStyle
 
     protected _align: TextStyleAlign;
     protected _breakWords: boolean;
+    protected _direction: TextStyleDirection;
     protected _dropShadow: boolean;
     protected _dropShadowAlpha: number;
     protected _dropShadowAngle: number;
@@ -286,13 +329,17 @@ export class TextStyle implements ITextStyle
     protected _fontVariant: TextStyleFontVariant;
     protected _fontWeight: TextStyleFontWeight;
     protected _letterSpacing: number;
+    protected _lineBreak: TextStyleLineBreak;
     protected _lineHeight: number;
     protected _lineJoin: TextStyleLineJoin;
+    protected _maxHeight: number;
+    protected _maxLines: number;
     protected _miterLimit: number;
     protected _padding: number;
     protected _stroke: string|number;
     protected _strokeThickness: number;
     protected _textBaseline: TextStyleTextBaseline;
+    protected _textOverflow: TextStyleTextOverflow;
     protected _trim: boolean;
     protected _whiteSpace: TextStyleWhiteSpace;
     protected _wordWrap: boolean;
@@ -365,6 +412,25 @@ export class TextStyle implements ITextStyle
         }
     }
 
+    /**
+     * The base direction of the text, which orders its right-to-left and left-to-right runs with the
+     * Unicode Bidirectional Algorithm. "auto" uses the direction of the first strong character, or "ltr".
+     *
+     * @member {'ltr'|'rtl'|'auto'}
+     */
+    get direction(): TextStyleDirection
+    {
+        return this._direction;
+    }
+    set direction(direction: TextStyleDirection)
+    {
+        if (this._direction !== direction)
+        {
+            this._direction = direction;
+            this.styleID++;
+        }
+    }
+
     /** Set a drop shadow for the text. */
     get dropShadow(): boolean
     {
@@ -614,6 +680,26 @@ export class TextStyle implements ITextStyle
         }
     }
 
+    /**
+     * Where lines can be wrapped, it needs wordWrap to be set to true.
+     * "normal" wraps at breaking spaces, and "unicode" wraps with the Unicode Line Breaking Algorithm (UAX #14),
+     * which also wraps between ideographs and after hyphens, and never before closing punctuation.
+     *
+     * @member {'normal'|'unicode'}
+     */
+    get lineBreak(): TextStyleLineBreak
+    {
+        return this._lineBreak;
+    }
+    set lineBreak(lineBreak: TextStyleLineBreak)
+    {
+        if (this._lineBreak !== lineBreak)
+        {
+            this._lineBreak = lineBreak;
+            this.styleID++;
+        }
+    }
+
     /** The line height, a number that represents the vertical space that a letter uses. */
     get lineHeight(): number
     {
@@ -661,6 +747,37 @@ export class TextStyle implements ITextStyle
         }
     }
 
+    /**
+     * The height the text is truncated to, in pixels. The lines which do not fit are removed,
+     * at least one line being kept. 0 for no limit.
+     */
+    get maxHeight(): number
+    {
+        return this._maxHeight;
+    }
+    set maxHeight(maxHeight: number)
+    {
+        if (this._maxHeight !== maxHeight)
+        {
+            this._maxHeight = maxHeight;
+            this.styleID++;
+        }
+    }
+
+    /** The maximum number of lines of the text, the next lines being removed. 0 for no limit. */
+    get maxLines(): number
+    {
+        return this._maxLines;
+    }
+    set maxLines(maxLines: number)
+    {
+        if (this._maxLines !== maxLines)
+        {
+            this._maxLines = maxLines;
+            this.styleID++;
+        }
+    }
+
     /**
      * The miter limit to use when using the 'miter' lineJoin mode.
      *
@@ -752,6 +869,27 @@ export class TextStyle implements ITextStyle
         }
     }
 
+    /**
+     * How text truncated by {@link PIXI.TextStyle#maxLines} or {@link PIXI.TextStyle#maxHeight} is shown.
+     * "clip" only removes the lines, and "ellipsis" also ends the last line with an ellipsis.
+     * With "ellipsis", the lines wider than wordWrapWidth, such as long words which cannot be broken,
+     * are also shortened to end with an ellipsis.
+     *
+     * @member {'clip'|'ellipsis'}
+     */
+    get textOverflow(): TextStyleTextOverflow
+    {
+        return this._textOverflow;
+    }
+    set textOverflow(textOverflow: TextStyleTextOverflow)
+    {
+        if (this._textOverflow !== textOverflow)
+        {
+            this._textOverflow = textOverflow;
+            this.styleID++;
+        }
+    }
+
     /** Trim transparent borders. */
     get trim(): boolean
     {
@@ -0,0 +1,472 @@
+import { createUnicodePattern } from './unicodePattern';
+
+/**
+ * Bidirectional character types of the Unicode Bidirectional Algorithm (UAX #9),
+ * without the explicit embedding and isolate types, whose characters are treated as boundary neutrals.
+ * @ignore
+ */
+type BidiClass = 'L' | 'R' | 'AL' | 'EN' | 'ES' | 'ET' | 'AN' | 'CS' | 'NSM' | 'BN' | 'B' | 'S' | 'WS' | 'ON';
+
+/** Characters of right-to-left scripts, used to skip the algorithm for text which has none. */
+const rtlPattern = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFC]|\uD802[\uDC00-\uDFFF]|\uD803[\uDC00-\uDE7F]|\uD83A/;
+
+/** Arabic digits, and the Arabic signs which behave like them. */
+const arabicNumbers = /^[\u0600-\u0605\u0660-\u0669\u066B\u066C\u06DD\u0890\u0891\u08E2]|^\uD803[\uDE60-\uDE7E]/;
+const europeanNumbers = /^[0-9\u00B2\u00B3\u00B9\u06F0-\u06F9\u2070\u2074-\u2079\u2080-\u2089\u2488-\u249B\uFF10-\uFF19]/;
+const europeanSeparators = /^[+\-\u207A\u207B\u208A\u208B\u2212\uFB29\uFE62\uFE63\uFF0B\uFF0D]/;
+const commonSeparators = /^[,./:\u00A0\u060C\u202F\u2044\uFE50\uFE52\uFE55\uFF0C\uFF0E\uFF0F\uFF1A]/;
+const boundaryNeutrals
+    // eslint-disable-next-line no-control-regex
+    = /^[\u0000-\u0008\u000E-\u001B\u007F-\u0084\u0086-\u009F\u00AD\u180E\u200B-\u200D\u202A-\u202E\u2060-\u206F\uFEFF]/;
+// eslint-disable-next-line no-control-regex
+const paragraphSeparators = /^[\n\r\u001C-\u001E\u0085\u2029]/;
+// eslint-disable-next-line no-control-regex
+const segmentSeparators = /^[\t\u000B\u001F]/;
+const whitespaces = /^[\f \u1680\u2000-\u200A\u2028\u205F\u3000]/;
+
+/**
+ * The patterns of the types matched by Unicode properties. They are created on first use, so that engines
+ * without Unicode property escapes can import the module.
+ */
+interface IUnicodePatterns
+{
+    europeanTerminators: RegExp;
+    marks: RegExp;
+    arabicLetters: RegExp;
+    rightToLeft: RegExp;
+    neutrals: RegExp;
+}
+
+let unicodePatterns: IUnicodePatterns;
+
+/** Creates the patterns of the types matched by Unicode properties, with their fallbacks. */
+function createUnicodePatterns(): IUnicodePatterns
+{
+    return {
+        europeanTerminators: createUnicodePattern(
+            '^[#%\\u00B0\\u00B1\\u0609\\u060A\\u066A\\u2030-\\u2034\\u212E\\u2213\\uFE5F\\uFE6A\\uFF03\\uFF05]|^\\p{Sc}',
+            '^[#$%\\u00A2-\\u00A5\\u00B0\\u00B1\\u058F\\u0609-\\u060B\\u066A\\u09F2\\u09F3\\u0E3F\\u17DB'
+            + '\\u2030-\\u2034\\u20A0-\\u20C0\\u212E\\u2213\\uFDFC\\uFE5F\\uFE69\\uFE6A\\uFF03-\\uFF05'
+            + '\\uFFE0\\uFFE1\\uFFE5\\uFFE6]'
+        ),
+        marks: createUnicodePattern(
+            '^[\\p{Mn}\\p{Me}]',
+            '^[\\u0300-\\u036F\\u0483-\\u0489\\u0591-\\u05BD\\u05BF\\u05C1\\u05C2\\u05C4\\u05C5\\u05C7'
+            + '\\u0610-\\u061A\\u064B-\\u065F\\u0670\\u06D6-\\u06DC\\u06DF-\\u06E4\\u06E7\\u06E8\\u06EA-\\u06ED'
+            + '\\u0711\\u0730-\\u074A\\u07A6-\\u07B0\\u07EB-\\u07F3\\u07FD\\u0816-\\u082D\\u0859-\\u085B'
+            + '\\u0898-\\u089F\\u08CA-\\u08E1\\u08E3-\\u0902\\u1AB0-\\u1AFF\\u1DC0-\\u1DFF\\u20D0-\\u20F0'
+            + '\\uFE00-\\uFE0F\\uFE20-\\uFE2F]'
+        ),
+        arabicLetters: createUnicodePattern(
+            '^[\\p{Script=Arabic}\\p{Script=Syriac}\\p{Script=Thaana}\\p{Script=Hanifi_Rohingya}]',
+            '^[\\u0600-\\u07BF\\u0860-\\u08FF\\uFB50-\\uFDFF\\uFE70-\\uFEFC]|^\\uD803[\\uDD00-\\uDD3F]'
+        ),
+        rightToLeft: createUnicodePattern(
+            '^[\\p{Script=Hebrew}\\p{Script=Samaritan}\\p{Script=Nko}\\p{Script=Mandaic}'
+            + '\\p{Script=Adlam}\\p{Script=Mende_Kikakui}\\p{Script=Imperial_Aramaic}\\p{Script=Phoenician}'
+            + '\\p{Script=Kharoshthi}\\p{Script=Avestan}\\p{Script=Old_South_Arabian}\\p{Script=Nabataean}]',
+            '^[\\u0590-\\u05FF\\u07C0-\\u085F\\uFB1D-\\uFB4F]'
+            + '|^\\uD802[\\uDC40-\\uDC5F\\uDC80-\\uDCAF\\uDD00-\\uDD1F\\uDE00-\\uDE7F\\uDF00-\\uDF3F]'
+            + '|^\\uD83A[\\uDC00-\\uDCDF\\uDD00-\\uDD5F]'
+        ),
+        neutrals: createUnicodePattern(
+            '^[\\p{P}\\p{S}]',
+            '^[!-/:-@[-`{-~\\u00A1-\\u00A9\\u00AB\\u00AC\\u00AE-\\u00B4\\u00B6-\\u00B8\\u00BB-\\u00BF\\u00D7\\u00F7'
+            + '\\u2010-\\u2027\\u2030-\\u205E\\u2190-\\u2BFF\\u3001-\\u3003\\u3008-\\u3011\\u3014-\\u301F'
+            + '\\uFE30-\\uFE4F\\uFF01-\\uFF0F\\uFF1A-\\uFF20\\uFF3B-\\uFF40\\uFF5B-\\uFF65]'
+        ),
+    };
+}
+
+/** Code points of the paired brackets, opening then closing. */
+const bracketPairs = [
+    0x0028, 0x0029, 0x005B, 0x005D, 0x007B, 0x007D, 0x2045, 0x2046, 0x207D, 0x207E, 0x208D, 0x208E,
+    0x2308, 0x2309, 0x230A, 0x230B, 0x2329, 0x232A, 0x2768, 0x2769, 0x276A, 0x276B, 0x276C, 0x276D,
+    0x276E, 0x276F, 0x2770, 0x2771, 0x2772, 0x2773, 0x2774, 0x2775, 0x27E6, 0x27E7, 0x27E8, 0x27E9,
+    0x27EA, 0x27EB, 0x2983, 0x2984, 0x2985, 0x2986, 0x3008, 0x3009, 0x300A, 0x300B, 0x300C, 0x300D,
+    0x300E, 0x300F, 0x3010, 0x3011, 0x3014, 0x3015, 0x3016, 0x3017, 0x3018, 0x3019, 0x301A, 0x301B,
+    0xFF08, 0xFF09, 0xFF3B, 0xFF3D, 0xFF5B, 0xFF5D, 0xFF5F, 0xFF60, 0xFF62, 0xFF63,
+];
+
+/** Code points of the other mirrored pairs. */
+const mirroredPairs = [
+    0x003C, 0x003E, 0x00AB, 0x00BB, 0x2039, 0x203A, 0x2264, 0x2265, 0x2266, 0x2267, 0x226A, 0x226B,
+    0x2282, 0x2283, 0x2286, 0x2287, 0xFF1C, 0xFF1E,
+];
+
+/** Characters swapped with their pair in right-to-left text. */
+const mirrors: Record<string, string> = {};
+
+/** Opening brackets, by their closing bracket. */
+const closingBrackets: Record<string, string> = {};
+
+/** Opening brackets. */
+const openingBrackets = new Set<string>();
+
+for (const pairs of [bracketPairs, mirroredPairs])
+{
+    for (let i = 0; i < pairs.length; i += 2)
+    {
+        const open = String.fromCharCode(pairs[i]);
+        const close = String.fromCharCode(pairs[i + 1]);
+
+        mirrors[open] = close;
+        mirrors[close] = open;
+
+        if (pairs === bracketPairs)
+        {
+            closingBrackets[close] = open;
+            openingBrackets.add(open);
+        }
+    }
+}
+
+/**
+ * Gets the bidirectional type of a character.
+ * @param char - The character, types of clusters are the types of their first code point
+ */
+function getBidiClass(char: string): BidiClass
+{
+    if (!char) return 'ON';
+
+    unicodePatterns = unicodePatterns ?? createUnicodePatterns();
+
+    // left-to-right, right-to-left and arabic letter marks
+    if (char === '\u200E') return 'L';
+    if (char === '\u200F') return 'R';
+    if (char === '\u061C') return 'AL';
+    if (paragraphSeparators.test(char)) return 'B';
+    if (segmentSeparators.test(char)) return 'S';
+    if (whitespaces.test(char)) return 'WS';
+    if (boundaryNeutrals.test(char)) return 'BN';
+    if (europeanNumbers.test(char)) return 'EN';
+    if (arabicNumbers.test(char)) return 'AN';
+    if (europeanSeparators.test(char)) return 'ES';
+    if (unicodePatterns.europeanTerminators.test(char)) return 'ET';
+    if (commonSeparators.test(char)) return 'CS';
+    if (unicodePatterns.marks.test(char)) return 'NSM';
+    if (unicodePatterns.arabicLetters.test(char)) return 'AL';
+    if (unicodePatterns.rightToLeft.test(char)) return 'R';
+    if (unicodePatterns.neutrals.test(char)) return 'ON';
+
+    return 'L';
+}
+
+/**
+ * Checks if text has characters of right-to-left scripts.
+ * @param text - The text
+ */
+export function hasRightToLeft(text: string): boolean
+{
+    return rtlPattern.test(text);
+}
+
+/**
+ * Gets the direction of the first strong character of text.
+ * @param chars - The characters of the text
+ * @returns - The direction, or null if there is no strong character
+ */
+export function getFirstStrongDirection(chars: string[]): 'ltr' | 'rtl'
+{
+    for (let i = 0; i < chars.length; i++)
+    {
+        const type = getBidiClass(chars[i]);
+
+        if (type === 'L') return 'ltr';
+        if (type === 'R' || type === 'AL') return 'rtl';
+    }
+
+    return null;
+}
+
+/**
+ * Resolves the embedding levels of characters with the rules W1 to I2 and L1 of the Unicode Bidirectional Algorithm,
+ * all characters being in a single paragraph of a given direction. Explicit embeddings, overrides and isolates
+ * are not supported.
+ * @param chars - The characters of the text, in logical order
+ * @param direction - The direction of the paragraph
+ * @returns - The level of each character, even levels are left-to-right
+ */
+export function getBidiLevels(chars: string[], direction: 'ltr' | 'rtl'): number[]
+{
+    const paragraphLevel = direction === 'rtl' ? 1 : 0;
+    const length = chars.length;
+    const original = chars.map(getBidiClass);
+    const types = original.slice();
+    const sos: BidiClass = paragraphLevel ? 'R' : 'L';
+
+    // W1: non spacing marks, and boundary neutrals (X9), take the type of the previous character
+    for (let i = 0; i < length; i++)
+    {
+        if (types[i] === 'NSM' || types[i] === 'BN')
+        {
+            types[i] = i === 0 || types[i - 1] === 'B' ? sos : types[i - 1];
+        }
+    }
+
+    // W2, W3: european numbers after arabic letters are arabic numbers, arabic letters are right-to-left
+    let lastStrong: BidiClass = sos;
+
+    for (let i = 0; i < length; i++)
+    {
+        const type = types[i];
+
+        if (type === 'EN' && lastStrong === 'AL')
+        {
+            types[i] = 'AN';
+        }
+        else if (type === 'L' || type === 'R' || type === 'AL')
+        {
+            lastStrong = type;
+        }
+    }
+
+    for (let i = 0; i < length; i++)
+    {
+        if (types[i] === 'AL') types[i] = 'R';
+    }
+
+    // W4: single separators between numbers of the same type
+    for (let i = 1; i < length - 1; i++)
+    {
+        const prev = types[i - 1];
+        const next = types[i + 1];
+
+        if (types[i] === 'ES' && prev === 'EN' && next === 'EN')
+        {
+            types[i] = 'EN';
+        }
+        else if (types[i] === 'CS' && prev === next && (prev === 'EN' || prev === 'AN'))
+        {
+            types[i] = prev;
+        }
+    }
+
+    // W5: terminators next to european numbers
+    for (let i = 0; i < length; i++)
+    {
+        if (types[i] !== 'ET') continue;
+
+        let end = i;
+
+        while (end < length && types[end] === 'ET') end++;
+
+        if ((i > 0 && types[i - 1] === 'EN') || (end < length && types[end] === 'EN'))
+        {
+            types.fill('EN', i, end);
+        }
+
+        i = end;
+    }
+
+    // W6: remaining separators and terminators are neutrals
+    for (let i = 0; i < length; i++)
+    {
+        const type = types[i];
+
+        if (type === 'ES' || type === 'ET' || type === 'CS') types[i] = 'ON';
+    }
+
+    // W7: european numbers after left-to-right text are left-to-right
+    lastStrong = sos;
+
+    for (let i = 0; i < length; i++)
+    {
+        const type = types[i];
+
+        if (type === 'EN' && lastStrong === 'L')
+        {
+            types[i] = 'L';
+        }
+        else if (type === 'L' || type === 'R')
+        {
+            lastStrong = type;
+        }
+    }
+
+    const strongOf = (type: BidiClass): BidiClass =>
+    {
+        if (type === 'L') return 'L';
+        if (type === 'R' || type === 'EN' || type === 'AN') return 'R';
+
+        return null;
+    };
+
+    // N0: paired brackets take the direction of their content, or of their context
+    const stack: { char: string, index: number }[] = [];
+
+    for (let i = 0; i < length && stack.length <= 63; i++)
+    {
+        const char = chars[i];
+
+        if (types[i] !== 'ON') continue;
+
+        if (openingBrackets.has(char))
+        {
+            stack.push({ char, index: i });
+        }
+        else if (closingBrackets[char])
+        {
+            let depth = stack.length - 1;
+
+            while (depth >= 0 && stack[depth].char !== closingBrackets[char]) depth--;
+
+            if (depth < 0) continue;
+
+            const open = stack[depth].index;
+            const embedding: BidiClass = paragraphLevel ? 'R' : 'L';
+            let inside: BidiClass = null;
+
+            stack.length = depth;
+
+            for (let j = open + 1; j < i; j++)
+            {
+                const strong = strongOf(types[j]);
+
+                if (strong === embedding)
+                {
+                    inside = embedding;
+                    break;
+                }
+                inside = strong ?? inside;
+            }
+
+            if (inside && inside !== embedding)
+            {
+                let before: BidiClass = sos;
+
+                for (let j = open - 1; j >= 0; j--)
+                {
+                    const strong = strongOf(types[j]);
+
+                    if (strong)
+                    {
+                        before = strong;
+                        break;
+                    }
+                }
+
+                inside = before === inside ? inside : embedding;
+            }
+
+            if (inside)
+            {
+                types[open] = inside;
+                types[i] = inside;
+            }
+        }
+    }
+
+    // N1, N2: neutrals between characters of the same direction take that direction, or the paragraph direction
+    for (let i = 0; i < length; i++)
+    {
+        if (strongOf(types[i])) continue;
+
+        let end = i;
+
+        while (end < length && !strongOf(types[end])) end++;
+
+        let before: BidiClass = sos;
+
+        for (let j = i - 1; j >= 0; j--)
+        {
+            if (strongOf(types[j]))
+            {
+                before = strongOf(types[j]);
+                break;
+            }
+        }
+
+        const after = end < length ? strongOf(types[end]) : sos;
+
+        types.fill(before === after ? before : sos, i, end);
+        i = end;
+    }
+
+    // I1, I2: implicit levels
+    const levels = types.map((type) =>
+    {
+        if (paragraphLevel === 0)
+        {
+            if (type === 'R') return 1;
+            if (type === 'AN' || type === 'EN') return 2;
+
+            return 0;
+        }
+
+        return type === 'L' || type === 'EN' || type === 'AN' ? 2 : 1;
+    });
+
+    // L1: separators, and the whitespaces before them or at the end, are at the paragraph level
+    let trailing = true;
+
+    for (let i = length - 1; i >= 0; i--)
+    {
+        const type = original[i];
+
+        if (type === 'B' || type === 'S')
+        {
+            levels[i] = paragraphLevel;
+            trailing = true;
+        }
+        else if (trailing && (type === 'WS' || type === 'BN'))
+        {
+            levels[i] = paragraphLevel;
+        }
+        else
+        {
+            trailing = false;
+        }
+    }
+
+    return levels;
+}
+
+/**
+ * Gets the visual order of a line with the rule L2 of the Unicode Bidirectional Algorithm.
+ * @param levels - The levels of the characters of the line, in logical order
+ * @returns - The logical indices of the characters, in visual order from left to right
+ */
+export function getBidiOrder(levels: ArrayLike<number>): number[]
+{
+    const order = Array.from({ length: levels.length }, (_value, i) => i);
+    let highest = 0;
+    let lowestOdd = Infinity;
+
+    for (let i = 0; i < levels.length; i++)
+    {
+        highest = Math.max(highest, levels[i]);
+
+        if (levels[i] % 2) lowestOdd = Math.min(lowestOdd, levels[i]);
+    }
+
+    // reverse the runs at each level, from the highest to the lowest odd level
+    for (let level = highest; level >= lowestOdd; level--)
+    {
+        for (let i = 0; i < order.length; i++)
+        {
+            if (levels[order[i]] < level) continue;
+
+            let end = i;
+
+            while (end < order.length && levels[order[end]] >= level) end++;
+
+            const run = order.slice(i, end).reverse();
+
+            order.splice(i, run.length, ...run);
+            i = end;
+        }
+    }
+
+    return order;
+}
+
+/**
+ * Gets the mirrored form of a character, displayed in right-to-left text (rule L4).
+ * @param char - The character
+ * @returns - The mirrored character, or the character itself
+ */
+export function getMirroredChar(char: string): string
+{
+    return mirrors[char] ?? char;
+}
@@ -0,0 +1,345 @@
+import { createUnicodePattern } from './unicodePattern';
+
+/**
+ * Line breaking classes of the Unicode Line Breaking Algorithm (UAX #14) used by {@link getLineBreaks},
+ * conditional japanese starters being non starters, and the classes of Hangul syllables and emojis being ideographic.
+ * @ignore
+ */
+type LineBreakClass = 'BK' | 'CR' | 'LF' | 'NL' | 'SP' | 'ZW' | 'WJ' | 'GL' | 'ZWJ' | 'CM' | 'OP' | 'CL' | 'CP'
+| 'QU' | 'NS' | 'EX' | 'IS' | 'SY' | 'HY' | 'BA' | 'B2' | 'BB' | 'PR' | 'PO' | 'NU' | 'IN' | 'ID' | 'HL' | 'RI'
+| 'SA' | 'AL';
+
+// Intl.Segmenter with options, see the polyfill of its type in TextMetrics
+interface IWordSegmenter
+{
+    segment(input: string): Iterable<{ segment: string }>;
+}
+interface IIntlWithWords
+{
+    Segmenter?: new (locales?: string, options?: { granularity: 'word' }) => IWordSegmenter;
+}
+
+/** The patterns of the line breaking classes, in the order they are matched, created on first use. */
+let classes: [RegExp, LineBreakClass][];
+
+/**
+ * Creates the patterns of the line breaking classes. Those matched by Unicode properties have fallbacks
+ * for the engines without Unicode property escapes.
+ */
+function createClasses(): [RegExp, LineBreakClass][]
+{
+    return [
+        // eslint-disable-next-line no-control-regex
+        [/^[\u000B\u000C\u2028\u2029]/, 'BK'],
+        [/^\r/, 'CR'],
+        [/^\n/, 'LF'],
+        [/^\u0085/, 'NL'],
+        [/^ /, 'SP'],
+        [/^\u200B/, 'ZW'],
+        [/^[\u2060\uFEFF]/, 'WJ'],
+        [/^[\u00A0\u034F\u180E\u2007\u2011\u202F\u0F08\u0F0C\u0F12]/, 'GL'],
+        [/^\u200D/, 'ZWJ'],
+        [/^[\t|\u00AD\u058A\u1680\u2000-\u2006\u2008-\u200A\u2010\u2012\u2013\u2027\u205F\u3000]/, 'BA'],
+        [createUnicodePattern(
+            '^[\\p{Script=Thai}\\p{Script=Lao}\\p{Script=Khmer}\\p{Script=Myanmar}\\p{Script=Tai_Tham}'
+            + '\\p{Script=New_Tai_Lue}]',
+            '^[\\u0E00-\\u0EFF\\u1000-\\u109F\\u1780-\\u17FF\\u1980-\\u19FF\\u1A20-\\u1AAF\\uA9E0-\\uA9FF'
+            + '\\uAA60-\\uAA7F]'
+        ), 'SA'],
+        [createUnicodePattern(
+            '^[\\p{Mn}\\p{Mc}\\p{Me}\\p{Cc}\\u200C]|^\\uD83C[\\uDFFB-\\uDFFF]',
+            '^[\\u0000-\\u001F\\u007F-\\u009F\\u0300-\\u036F\\u0483-\\u0489\\u0591-\\u05BD\\u05BF'
+            + '\\u05C1\\u05C2\\u05C4\\u05C5\\u05C7\\u0610-\\u061A\\u064B-\\u065F\\u0670\\u06D6-\\u06DC'
+            + '\\u06DF-\\u06E4\\u06E7\\u06E8\\u06EA-\\u06ED\\u0900-\\u0903\\u093A-\\u094F\\u0951-\\u0957'
+            + '\\u0962\\u0963\\u1AB0-\\u1AFF\\u1DC0-\\u1DFF\\u200C\\u20D0-\\u20F0\\uFE00-\\uFE0F'
+            + '\\uFE20-\\uFE2F]|^\\uD83C[\\uDFFB-\\uDFFF]'
+        ), 'CM'],
+        [/^\uD83C[\uDDE6-\uDDFF]/, 'RI'],
+        [/^\u2014/, 'B2'],
+        [/^-/, 'HY'],
+        [/^[\u00B4\u02C8\u02CC\u02DF]/, 'BB'],
+        [/^[)\]]/, 'CP'],
+        [createUnicodePattern(
+            '^[\\u3001\\u3002\\uFE50\\uFE52\\uFF0C\\uFF0E\\uFF61\\uFF64]|^\\p{Pe}',
+            '^[}\\u0F3B\\u0F3D\\u169C\\u2046\\u207E\\u208E\\u2309\\u230B\\u232A\\u2769-\\u2775\\u27E7-\\u27EF'
+            + '\\u2984-\\u2998\\u3001\\u3002\\u3009-\\u3011\\u3015-\\u301B\\u301E\\u301F\\uFE18\\uFE36-\\uFE48'
+            + '\\uFE50\\uFE52\\uFE5A\\uFE5C\\uFE5E\\uFF09\\uFF0C\\uFF0E\\uFF3D\\uFF5D\\uFF60\\uFF61\\uFF63\\uFF64]'
+        ), 'CL'],
+        [createUnicodePattern(
+            '^[\\u00A1\\u00BF]|^\\p{Ps}',
+            '^[([{\\u00A1\\u00BF\\u0F3A\\u0F3C\\u169B\\u201A\\u201E\\u2045\\u207D\\u208D\\u2308\\u230A'
+            + '\\u2329\\u2768-\\u2774\\u27E6-\\u27EE\\u2983-\\u2997\\u3008-\\u3010\\u3014-\\u301A\\u301D'
+            + '\\uFE17\\uFE35-\\uFE47\\uFE59\\uFE5B\\uFE5D\\uFF08\\uFF3B\\uFF5B\\uFF5F\\uFF62]'
+        ), 'OP'],
+        [createUnicodePattern(
+            '^["\']|^[\\p{Pi}\\p{Pf}]',
+            '^["\'\\u00AB\\u00BB\\u2018\\u2019\\u201B-\\u201D\\u201F\\u2039\\u203A\\u2E02-\\u2E05'
+            + '\\u2E09\\u2E0A\\u2E0C\\u2E0D\\u2E1C\\u2E1D\\u2E20\\u2E21]'
+        ), 'QU'],
+        [/^[!?\u061F\u06D4\uFE15\uFE16\uFE56\uFE57\uFF01\uFF1F]/, 'EX'],
+        [/^[,.:;\u037E\u0589\u060C\u060D\u2044\uFE10\uFE13\uFE14]/, 'IS'],
+        [/^\//, 'SY'],
+        [/^[\u203C\u203D\u2047-\u2049\u3005\u301C\u303B\u303C\u309B-\u309E\u30A0\u30FB\u30FD\u30FE\uFE54\uFE55]/, 'NS'],
+        [/^[\uFF1A\uFF1B\uFF65\uFF9E\uFF9F\u30FC\u31F0-\u31FF\uFF67-\uFF70]/, 'NS'],
+        [/^[\u3041\u3043\u3045\u3047\u3049\u3063\u3083\u3085\u3087\u308E\u3095\u3096]/, 'NS'],
+        [/^[\u30A1\u30A3\u30A5\u30A7\u30A9\u30C3\u30E3\u30E5\u30E7\u30EE\u30F5\u30F6]/, 'NS'],
+        [/^[\u2024-\u2026\uFE19]/, 'IN'],
+        [/^[%\u00A2\u00B0\u060B\u066A\u2030-\u2037\u2103\u2109\uFE6A\uFF05\uFFE0]/, 'PO'],
+        [createUnicodePattern(
+            '^[+\\\\\\u00B1\\u2116\\u2212\\u2213]|^\\p{Sc}',
+            '^[$+\\\\\\u00A2-\\u00A5\\u00B1\\u058F\\u060B\\u09F2\\u09F3\\u0E3F\\u17DB\\u20A0-\\u20C0'
+            + '\\u2116\\u2212\\u2213\\uFDFC\\uFE69\\uFF04\\uFFE0\\uFFE1\\uFFE5\\uFFE6]'
+        ), 'PR'],
+        [/^[\uFF10-\uFF19\uFF21-\uFF3A\uFF41-\uFF5A]/, 'ID'],
+        [createUnicodePattern(
+            '^\\p{Nd}',
+            '^[0-9\\u0660-\\u0669\\u06F0-\\u06F9\\u07C0-\\u07C9\\u0966-\\u096F\\u09E6-\\u09EF\\u0A66-\\u0A6F'
+            + '\\u0AE6-\\u0AEF\\u0B66-\\u0B6F\\u0BE6-\\u0BEF\\u0C66-\\u0C6F\\u0CE6-\\u0CEF\\u0D66-\\u0D6F'
+            + '\\u0DE6-\\u0DEF\\u0E50-\\u0E59\\u0ED0-\\u0ED9\\u0F20-\\u0F29\\u1040-\\u1049\\u17E0-\\u17E9]'
+        ), 'NU'],
+        [/^[\u05D0-\u05EA\u05EF-\u05F2\uFB1D-\uFB4F]/, 'HL'],
+        [createUnicodePattern(
+            '^[\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}\\p{Extended_Pictographic}]',
+            '^[\\u1100-\\u11FF\\u2600-\\u27BF\\u3040-\\u30FF\\u3130-\\u318F\\u31F0-\\u31FF\\u3400-\\u4DBF'
+            + '\\u4E00-\\u9FFF\\uA960-\\uA97F\\uAC00-\\uD7FF\\uF900-\\uFAFF\\uFF66-\\uFF9F]'
+            + '|^[\\uD83C-\\uD83E][\\uDC00-\\uDFFF]|^[\\uD840-\\uD8BF][\\uDC00-\\uDFFF]'
+        ), 'ID'],
+        [/^[\u2E80-\u2FFF\u3003\u3004\u3006\u3007\u3012\u3013\u3020-\u3029\u3030-\u303A\u303D-\u303F]/, 'ID'],
+    ];
+}
+
+/** Classes after which a line must break. */
+const mandatoryBreaks: LineBreakClass[] = ['BK', 'CR', 'LF', 'NL'];
+
+/** Pairs of classes with no break between them, as `${before} ${after}`, with the rules LB23 to LB30. */
+const noBreakPairs = new Set([
+    // LB23: numbers with letters
+    'AL NU', 'HL NU', 'NU AL', 'NU HL',
+    // LB23a: prefixes before ideographs, postfixes after them
+    'PR ID', 'ID PO',
+    // LB24: prefixes and postfixes with letters
+    'PR AL', 'PR HL', 'PO AL', 'PO HL', 'AL PR', 'AL PO', 'HL PR', 'HL PO',
+    // LB25: numbers with their prefixes, postfixes and separators
+    'CL PO', 'CP PO', 'CL PR', 'CP PR', 'NU PO', 'NU PR', 'PO OP', 'PO NU', 'PR OP', 'PR NU',
+    'HY NU', 'IS NU', 'NU NU', 'SY NU',
+    // LB28: letters
+    'AL AL', 'AL HL', 'HL AL', 'HL HL',
+    // LB29: separators before letters
+    'IS AL', 'IS HL',
+    // LB30: letters and numbers after parentheses, the ones before are checked with the parentheses
+    'CP AL', 'CP HL', 'CP NU',
+]);
+
+let wordSegmenter: IWordSegmenter;
+
+/**
+ * Gets the line breaking class of a character.
+ * @param char - The character, classes of clusters are the classes of their first code point
+ */
+function getLineBreakClass(char: string): LineBreakClass
+{
+    classes = classes ?? createClasses();
+
+    for (let i = 0; i < classes.length; i++)
+    {
+        if (classes[i][0].test(char)) return classes[i][1];
+    }
+
+    return 'AL';
+}
+
+/**
+ * Gets the word boundaries of a run of characters of the scripts written without spaces, such as Thai,
+ * which need a dictionary to be broken. Breaks are only allowed between clusters if `Intl.Segmenter` is not available.
+ * @param chars - The characters of the run
+ * @returns - Whether a line can break before each character
+ */
+function getWordBreaks(chars: string[]): boolean[]
+{
+    const breaks = chars.map(() => false);
+    const Segmenter = (Intl as IIntlWithWords)?.Segmenter;
+
+    if (typeof Segmenter !== 'function')
+    {
+        return breaks;
+    }
+
+    wordSegmenter = wordSegmenter ?? new Segmenter(undefined, { granularity: 'word' });
+
+    let offset = 0;
+    let index = 0;
+
+    for (const { segment } of wordSegmenter.segment(chars.join('')))
+    {
+        while (index < chars.length && offset < segment.length)
+        {
+            offset += chars[index++].length;
+        }
+
+        offset -= segment.length;
+        breaks[index] = index < chars.length;
+    }
+
+    breaks[0] = false;
+
+    return breaks;
+}
+
+/**
+ * Finds the line break opportunities of text with the Unicode Line Breaking Algorithm (UAX #14).
+ *
+ * The rules are the ones of the pair table of the algorithm, without the tailoring of Korean syllables,
+ * numbers being matched by pairs instead of a regular expression (LB25).
+ * @param chars - The characters of the text, usually grapheme clusters
+ * @returns - Whether a line can break before each character, always false for the first one
+ */
+export function getLineBreaks(chars: string[]): boolean[]
+{
+    const length = chars.length;
+    const original = chars.map(getLineBreakClass);
+    const types = original.slice();
+    const breaks = new Array<boolean>(length).fill(false);
+    const attached = new Array<boolean>(length).fill(false);
+    const dictionaryBreaks = new Array<boolean>(length);
+
+    // LB9, LB10: combining marks take the class of the character they are attached to, or are letters
+    for (let i = 0; i < length; i++)
+    {
+        if (types[i] !== 'CM' && types[i] !== 'ZWJ') continue;
+
+        const prev = types[i - 1];
+
+        if (i > 0 && !mandatoryBreaks.includes(prev) && prev !== 'SP' && prev !== 'ZW')
+        {
+            types[i] = prev;
+            attached[i] = true;
+        }
+        else
+        {
+            types[i] = 'AL';
+        }
+    }
+
+    // dictionary breaks of the scripts without spaces, which are then letters
+    for (let i = 0; i < length; i++)
+    {
+        if (types[i] !== 'SA') continue;
+
+        let end = i;
+
+        while (end < length && types[end] === 'SA') end++;
+
+        const wordBreaks = getWordBreaks(chars.slice(i, end));
+
+        for (let j = i + 1; j < end; j++)
+        {
+            dictionaryBreaks[j] = wordBreaks[j - i];
+        }
+
+        types.fill('AL', i, end);
+        i = end - 1;
+    }
+
+    let lastNonSpace: LineBreakClass = null;
+    let regionalIndicators = 0;
+
+    for (let i = 1; i < length; i++)
+    {
+        const before = types[i - 1];
+        const after = types[i];
+
+        lastNonSpace = before === 'SP' ? lastNonSpace : before;
+        regionalIndicators = before === 'RI' ? regionalIndicators + 1 : 0;
+
+        if (before === 'CR' && after === 'LF')
+        {
+            // LB5
+            breaks[i] = false;
+        }
+        else if (mandatoryBreaks.includes(before))
+        {
+            // LB4, LB5
+            breaks[i] = true;
+        }
+        else if (after === 'SP' || after === 'ZW' || mandatoryBreaks.includes(after))
+        {
+            // LB6, LB7
+            breaks[i] = false;
+        }
+        else if (lastNonSpace === 'ZW')
+        {
+            // LB8
+            breaks[i] = true;
+        }
+        else if (original[i - 1] === 'ZWJ' || attached[i])
+        {
+            // LB8a, LB9
+            breaks[i] = false;
+        }
+        else if (dictionaryBreaks[i] !== undefined)
+        {
+            breaks[i] = dictionaryBreaks[i];
+        }
+        else if (before === 'RI' && after === 'RI')
+        {
+            // LB30a: pairs of regional indicators
+            breaks[i] = regionalIndicators % 2 === 0;
+        }
+        else
+        {
+            breaks[i] = canBreak(before, after, lastNonSpace, types[i - 2], chars[i]);
+        }
+    }
+
+    return breaks;
+}
+
+/**
+ * Checks if a line can break between two characters with the rules LB11 to LB31, the characters not being
+ * line breaks, combining marks, or regional indicators.
+ * @param before - Class of the character before
+ * @param after - Class of the character after
+ * @param lastNonSpace - Class of the last character before which is not a space
+ * @param beforeBefore - Class of the character before the character before
+ * @param afterChar - The character after
+ */
+function canBreak(before: LineBreakClass, after: LineBreakClass, lastNonSpace: LineBreakClass,
+    beforeBefore: LineBreakClass, afterChar: string): boolean
+{
+    // LB11, LB12, LB12a: word joiners and glue
+    if (before === 'WJ' || after === 'WJ' || before === 'GL') return false;
+    if (after === 'GL' && before !== 'SP' && before !== 'BA' && before !== 'HY') return false;
+
+    // LB13: closing punctuation, exclamations and separators
+    if (after === 'CL' || after === 'CP' || after === 'EX' || after === 'IS' || after === 'SY') return false;
+
+    // LB14 to LB17: opening punctuation and quotes, even with spaces between
+    if (lastNonSpace === 'OP') return false;
+    if (lastNonSpace === 'QU' && after === 'OP') return false;
+    if ((lastNonSpace === 'CL' || lastNonSpace === 'CP') && after === 'NS') return false;
+    if (lastNonSpace === 'B2' && after === 'B2') return false;
+
+    // LB18: after spaces
+    if (before === 'SP') return true;
+
+    // LB19: quotes
+    if (before === 'QU' || after === 'QU') return false;
+
+    // LB21, LB21a, LB21b: hyphens, non starters, and hebrew
+    if (after === 'BA' || after === 'HY' || after === 'NS' || before === 'BB') return false;
+    if (beforeBefore === 'HL' && (before === 'HY' || before === 'BA')) return false;
+    if (before === 'SY' && after === 'HL') return false;
+
+    // LB22: inseparables
+    if (after === 'IN') return false;
+
+    // LB23 to LB30
+    if (noBreakPairs.has(`${before} ${after}`)) return false;
+
+    // LB30: letters and numbers before parentheses, of the scripts which are not east asian
+    if ((before === 'AL' || before === 'HL' || before === 'NU') && after === 'OP'
+        && afterChar.charCodeAt(0) < 0x2E80) return false;
+
+    // LB31
+    return true;
+}
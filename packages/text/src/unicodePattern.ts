@@ -0,0 +1,20 @@
+/**
+ * Creates a regular expression matching characters by their Unicode properties, e.g. `\p{Script=Arabic}`.
+ * Engines without Unicode property escapes, which came with ES2018, throw a syntax error on them,
+ * so the fallback matching the common characters with explicit ranges of code points is used instead.
+ * @param source - The source of the regular expression, with Unicode property escapes
+ * @param fallback - The source of the regular expression matching the characters by their code points
+ * @returns - The regular expression supported by the engine
+ * @ignore
+ */
+export function createUnicodePattern(source: string, fallback: string): RegExp
+{
+    try
+    {
+        return new RegExp(source, 'u');
+    }
+    catch (e)
+    {
+        return new RegExp(fallback);
+    }
+}
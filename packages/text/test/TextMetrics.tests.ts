@@ -582,6 +582,228 @@ describe('TextMetrics', () =>
             expect(arr).toBeArray();
             expect(arr.length).toEqual(0);
         });
+
+        it('unicode line breaks', () =>
+        {
+            const arr = TextMetrics['tokenize']('well-known \u65E5\u672C\u8A9E\u3002(test)!', 'unicode');
+
+            expect(arr).toEqual(['well-', 'known', ' ', '\u65E5', '\u672C', '\u8A9E\u3002', '(test)!']);
+        });
+    });
+
+    describe('lineBreak', () =>
+    {
+        /**
+         * Gets the text split at its line break opportunities.
+         * @param text - The text
+         */
+        const split = (text: string): string[] =>
+        {
+            const chars = [...text];
+            const breaks = TextMetrics.getLineBreaks(chars);
+
+            return chars.reduce((parts, char, i) =>
+            {
+                if (breaks[i]) parts.push('');
+                parts[parts.length - 1] += char;
+
+                return parts;
+            }, ['']);
+        };
+
+        it('should break between ideographs but not before closing punctuation', () =>
+        {
+            expect(split('\u65E5\u672C\u8A9E\u3001\u3067\u3059\u3002\u300C\u5F15\u300D'))
+                .toEqual(['\u65E5', '\u672C', '\u8A9E\u3001', '\u3067', '\u3059\u3002', '\u300C\u5F15\u300D']);
+        });
+
+        it('should break after spaces and hyphens', () =>
+        {
+            expect(split('a well-known (test)!')).toEqual(['a ', 'well-', 'known ', '(test)!']);
+        });
+
+        it('should keep numbers with their prefixes and postfixes', () =>
+        {
+            expect(split('$30 50% 1,000.5')).toEqual(['$30 ', '50% ', '1,000.5']);
+        });
+
+        it('should break after newlines', () =>
+        {
+            expect(split('a\nb\r\nc')).toEqual(['a\n', 'b\r\n', 'c']);
+        });
+
+        it('should break between words of scripts without spaces', () =>
+        {
+            const breaks = TextMetrics.getLineBreaks([...'\u0E2A\u0E27\u0E31\u0E2A\u0E14\u0E35\u0E04\u0E23\u0E31\u0E1A']);
+
+            expect(breaks.filter((lineBreak) => lineBreak).length).toBeLessThan(breaks.length - 1);
+        });
+
+        it('should wrap ideographs with unicode line breaks', () =>
+        {
+            const style = new TextStyle({ ...defaultStyle, breakWords: false, wordWrapWidth: 1 });
+            const text = '\u65E5\u672C\u8A9E';
+
+            expect(TextMetrics.measureText(text, style).lines).toEqual([text]);
+
+            style.lineBreak = 'unicode';
+
+            expect(TextMetrics.measureText(text, style).lines).toEqual(['\u65E5', '\u672C', '\u8A9E']);
+        });
+    });
+
+    describe('bidi', () =>
+    {
+        /**
+         * Gets the text in visual order, mirrored characters being swapped.
+         * @param text - The text, in logical order
+         * @param direction - The base direction
+         */
+        const reorder = (text: string, direction: 'ltr' | 'rtl'): string =>
+        {
+            const chars = [...text];
+            const levels = TextMetrics.getBidiLevels(chars, direction);
+
+            return TextMetrics.getBidiOrder(levels)
+                .map((i) => (levels[i] % 2 ? TextMetrics.getMirroredChar(chars[i]) : chars[i]))
+                .join('');
+        };
+
+        it('should reverse right-to-left runs in left-to-right text', () =>
+        {
+            expect(reorder('abc \u05D0\u05D1\u05D2 def', 'ltr')).toEqual('abc \u05D2\u05D1\u05D0 def');
+        });
+
+        it('should keep numbers and left-to-right runs in right-to-left text', () =>
+        {
+            expect(reorder('\u05D0\u05D1 (abc) 123 \u05D2!', 'rtl')).toEqual('!\u05D2 123 (abc) \u05D1\u05D0');
+        });
+
+        it('should treat european numbers after arabic letters as arabic numbers', () =>
+        {
+            const levels = TextMetrics.getBidiLevels([...'\u0627 12'], 'ltr');
+
+            expect(levels).toEqual([1, 1, 2, 2]);
+        });
+
+        it('should keep trailing whitespace at the paragraph level', () =>
+        {
+            const levels = TextMetrics.getBidiLevels([...'abc \u05D0  '], 'ltr');
+
+            expect(levels).toEqual([0, 0, 0, 0, 1, 0, 0]);
+        });
+
+        it('should mirror brackets', () =>
+        {
+            expect(TextMetrics.getMirroredChar('(')).toEqual(')');
+            expect(TextMetrics.getMirroredChar('>')).toEqual('<');
+            expect(TextMetrics.getMirroredChar('a')).toEqual('a');
+        });
+
+        it('should resolve the direction of the text', () =>
+        {
+            const style = new TextStyle({ ...defaultStyle, direction: 'auto' });
+
+            expect(TextMetrics.measureText('\u05D0\u05D1 abc', style).direction).toEqual('rtl');
+            expect(TextMetrics.measureText('abc \u05D0\u05D1', style).direction).toEqual('ltr');
+            expect(TextMetrics.measureText('123', style).direction).toEqual('ltr');
+
+            style.direction = 'rtl';
+
+            expect(TextMetrics.measureText('abc', style).direction).toEqual('rtl');
+        });
+    });
+
+    describe('without unicode property escapes', () =>
+    {
+        it('should match the characters with ranges of code points', () =>
+        {
+            const NativeRegExp = RegExp;
+            // engines before ES2018 throw a syntax error on unicode property escapes
+            const spy = jest.spyOn(globalThis, 'RegExp').mockImplementation(((pattern: string, flags?: string) =>
+            {
+                if (flags === 'u')
+                {
+                    throw new SyntaxError('Invalid regular expression');
+                }
+
+                return new NativeRegExp(pattern, flags);
+            }) as any);
+
+            // the modules are loaded again, to create their patterns without the escapes
+            jest.resetModules();
+
+            // eslint-disable-next-line @typescript-eslint/no-var-requires, global-require
+            const { getLineBreaks } = require('../src/lineBreak');
+            // eslint-disable-next-line @typescript-eslint/no-var-requires, global-require
+            const { getBidiLevels } = require('../src/bidi');
+
+            expect(getLineBreaks([...'\u65E5\u672C\u8A9E\u3001\u3067\u3059\u3002']))
+                .toEqual([false, true, true, false, true, true, false]);
+            expect(getLineBreaks([...'$30 50%'])).toEqual([false, false, false, false, true, false, false]);
+            expect(getBidiLevels([...'\u0627 12'], 'ltr')).toEqual([1, 1, 2, 2]);
+            expect(getBidiLevels([...'\u05D0\u05D1 (abc)'], 'rtl')).toEqual([1, 1, 1, 1, 2, 2, 2, 1]);
+            expect(spy).toHaveBeenCalledWith(expect.any(String), 'u');
+
+            spy.mockRestore();
+        });
+    });
+
+    describe('truncation', () =>
+    {
+        it('should remove the lines exceeding maxLines', () =>
+        {
+            const style = new TextStyle({ fontSize: 10 });
+
+            expect(TextMetrics.measureText('a\nb\nc', style).truncated).toBe(false);
+
+            style.maxLines = 2;
+
+            const metrics = TextMetrics.measureText('a\nb\nc', style);
+
+            expect(metrics.lines).toEqual(['a', 'b']);
+            expect(metrics.truncated).toBe(true);
+        });
+
+        it('should remove the lines exceeding maxHeight', () =>
+        {
+            const style = new TextStyle({ fontSize: 10, lineHeight: 20, maxHeight: 45 });
+            const metrics = TextMetrics.measureText('a\nb\nc\nd', style);
+
+            expect(metrics.lines).toEqual(['a', 'b']);
+            expect(metrics.height).toEqual(40);
+            expect(metrics.truncated).toBe(true);
+
+            style.maxHeight = 5;
+
+            expect(TextMetrics.measureText('a\nb\nc\nd', style).lines).toEqual(['a']);
+        });
+
+        it('should end the last line with an ellipsis', () =>
+        {
+            const style = new TextStyle({ fontSize: 10, maxLines: 1, textOverflow: 'ellipsis' });
+
+            expect(TextMetrics.measureText('abc \ndef', style).lines).toEqual([`abc${TextMetrics.ELLIPSIS}`]);
+            expect(TextMetrics.measureText('abc', style).lines).toEqual(['abc']);
+        });
+
+        it('should shorten the lines wider than wordWrapWidth with an ellipsis', () =>
+        {
+            const style = new TextStyle({ fontSize: 10, textOverflow: 'ellipsis' });
+            const wordWrapWidth = TextMetrics.measureText(`abc${TextMetrics.ELLIPSIS}`, style).width;
+
+            style.wordWrap = true;
+            style.wordWrapWidth = wordWrapWidth;
+
+            const metrics = TextMetrics.measureText('abcdefgh', style);
+
+            expect(metrics.lines).toEqual([`abc${TextMetrics.ELLIPSIS}`]);
+            expect(metrics.truncated).toBe(true);
+
+            style.textOverflow = 'clip';
+
+            expect(TextMetrics.measureText('abcdefgh', style).lines).toEqual(['abcdefgh']);
+        });
     });
 
     describe('collapseSpaces', () =>
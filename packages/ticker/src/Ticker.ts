@@ -8,6 +8,31 @@ export type TickerCallback<T> = (this: T, dt: number) => any;
  *
  * This class is composed around listeners meant for execution on the next requested animation frame.
  * Animation frames are requested only when necessary, e.g. When the ticker is started and the emitter has listeners.
+ *
+ * Besides the listeners added with {@link PIXI.Ticker#add}, which are called once per frame with a variable
+ * delta, the ticker has a fixed-step channel for simulations like physics or networked game logic: the listeners
+ * added with {@link PIXI.Ticker#addFixed} are called zero or more times per frame, each time with the same delta of
+ * {@link PIXI.Ticker#fixedStepMS}. They are called before the other listeners of the frame, which can use
+ * {@link PIXI.Ticker#fixedAlpha} to interpolate between the last two steps of the simulation.
+ * @example
+ * import { Ticker } from 'pixi.js';
+ *
+ * const ticker = new Ticker();
+ *
+ * ticker.fixedStepMS = 1000 / 30;
+ * ticker.addFixed(() =>
+ * {
+ *     body.previous.copyFrom(body.position);
+ *     world.step(ticker.fixedStepMS);
+ * });
+ * ticker.add(() =>
+ * {
+ *     const alpha = ticker.fixedAlpha;
+ *
+ *     sprite.x = body.previous.x + ((body.position.x - body.previous.x) * alpha);
+ *     sprite.y = body.previous.y + ((body.position.y - body.previous.y) * alpha);
+ * });
+ * ticker.start();
  * @class
  * @memberof PIXI
  */
@@ -83,9 +108,33 @@ export class Ticker
      * and a listener is added.
      */
     public started = false;
+    /**
+     * The maximum number of fixed steps run in a single update. When the fixed-step listeners can not keep up with
+     * the time elapsed, the steps beyond this are dropped: the simulation slows down instead of taking longer
+     * and longer to catch up at each frame, and freezing the page.
+     * @default 5
+     */
+    public maxFixedSteps = 5;
+    /**
+     * The number of fixed steps run in the last update.
+     * @readonly
+     */
+    public fixedSteps = 0;
+    /**
+     * The progress from the last fixed step to the next one, from `0` to `1`, for the listeners called
+     * after the fixed steps of the frame to interpolate the state of the simulation.
+     * @readonly
+     */
+    public fixedAlpha = 0;
 
     /** The first listener. All new listeners added are chained on this. */
     private _head: TickerListener;
+    /** The first fixed-step listener. All new fixed-step listeners added are chained on this. */
+    private _fixedHead: TickerListener;
+    /** Internal value managed by fixedStepMS property setter and getter. */
+    private _fixedStepMS: number;
+    /** The time elapsed in milliseconds that has not been simulated by a fixed step yet. */
+    private _fixedAccumulatorMS = 0;
     /** Internal current frame request ID */
     private _requestId: number = null;
     /**
@@ -116,6 +165,8 @@ export class Ticker
     constructor()
     {
         this._head = new TickerListener(null, null, Infinity);
+        this._fixedHead = new TickerListener(null, null, Infinity);
+        this._fixedStepMS = 1 / Ticker.targetFPMS;
         this.deltaMS = 1 / Ticker.targetFPMS;
         this.elapsedMS = 1 / Ticker.targetFPMS;
 
@@ -128,7 +179,7 @@ export class Ticker
                 // Invoke listeners now
                 this.update(time);
                 // Listener side effects may have modified ticker state.
-                if (this.started && this._requestId === null && this._head.next)
+                if (this.started && this._requestId === null && this._hasListeners())
                 {
                     this._requestId = requestAnimationFrame(this._tick);
                 }
@@ -144,7 +195,7 @@ export class Ticker
      */
     private _requestIfNeeded(): void
     {
-        if (this._requestId === null && this._head.next)
+        if (this._requestId === null && this._hasListeners())
         {
             // ensure callbacks get correct delta
             this.lastTime = performance.now();
@@ -153,6 +204,15 @@ export class Ticker
         }
     }
 
+    /**
+     * Whether the ticker has listeners, fixed-step or not.
+     * @private
+     */
+    private _hasListeners(): boolean
+    {
+        return !!(this._head?.next || this._fixedHead?.next);
+    }
+
     /**
      * Conditionally cancels a pending animation frame.
      * @private
@@ -212,19 +272,46 @@ export class Ticker
         return this._addListener(new TickerListener(fn, context, priority, true));
     }
 
+    /**
+     * Register a handler for fixed steps. It is called every {@link PIXI.Ticker#fixedStepMS} of elapsed time,
+     * zero or more times per frame, before the handlers for tick events. Calls continuously unless it is removed
+     * or the ticker is stopped.
+     * @param fn - The listener function to be added for fixed steps, called with the delta of a step
+     * @param context - The listener context
+     * @param {number} [priority=PIXI.UPDATE_PRIORITY.NORMAL] - The priority for emitting
+     * @returns This instance of a ticker
+     */
+    addFixed<T = any>(fn: TickerCallback<T>, context?: T, priority = UPDATE_PRIORITY.NORMAL): this
+    {
+        return this._addListener(new TickerListener(fn, context, priority), this._fixedHead);
+    }
+
+    /**
+     * Add a handler for the next fixed step only.
+     * @param fn - The listener function to be added for one fixed step, called with the delta of a step
+     * @param context - The listener context
+     * @param {number} [priority=PIXI.UPDATE_PRIORITY.NORMAL] - The priority for emitting
+     * @returns This instance of a ticker
+     */
+    addFixedOnce<T = any>(fn: TickerCallback<T>, context?: T, priority = UPDATE_PRIORITY.NORMAL): this
+    {
+        return this._addListener(new TickerListener(fn, context, priority, true), this._fixedHead);
+    }
+
     /**
      * Internally adds the event handler so that it can be sorted by priority.
      * Priority allows certain handler (user, AnimatedSprite, Interaction) to be run
      * before the rendering.
      * @private
      * @param listener - Current listener being added.
+     * @param head - The head of the listeners to add it to, the fixed-step ones or not.
      * @returns This instance of a ticker
      */
-    private _addListener(listener: TickerListener): this
+    private _addListener(listener: TickerListener, head = this._head): this
     {
         // For attaching to head
-        let current = this._head.next;
-        let previous = this._head;
+        let current = head.next;
+        let previous = head;
 
         // Add the first item
         if (!current)
@@ -266,7 +353,32 @@ export class Ticker
      */
     remove<T = any>(fn: TickerCallback<T>, context?: T): this
     {
-        let listener = this._head.next;
+        return this._removeListener(fn, context, this._head);
+    }
+
+    /**
+     * Removes any fixed-step handlers matching the function and context parameters.
+     * If no handlers are left after removing, then it cancels the animation frame.
+     * @param fn - The listener function to be removed
+     * @param context - The listener context to be removed
+     * @returns This instance of a ticker
+     */
+    removeFixed<T = any>(fn: TickerCallback<T>, context?: T): this
+    {
+        return this._removeListener(fn, context, this._fixedHead);
+    }
+
+    /**
+     * Internally removes the handlers matching the function and context parameters.
+     * @private
+     * @param fn - The listener function to be removed
+     * @param context - The listener context to be removed
+     * @param head - The head of the listeners to remove them from, the fixed-step ones or not.
+     * @returns This instance of a ticker
+     */
+    private _removeListener<T = any>(fn: TickerCallback<T>, context: T, head: TickerListener): this
+    {
+        let listener = head.next;
 
         while (listener)
         {
@@ -283,7 +395,7 @@ export class Ticker
             }
         }
 
-        if (!this._head.next)
+        if (!this._hasListeners())
         {
             this._cancelIfNeeded();
         }
@@ -348,8 +460,17 @@ export class Ticker
                 listener = listener.destroy(true);
             }
 
+            listener = this._fixedHead.next;
+
+            while (listener)
+            {
+                listener = listener.destroy(true);
+            }
+
             this._head.destroy();
             this._head = null;
+            this._fixedHead.destroy();
+            this._fixedHead = null;
         }
     }
 
@@ -357,6 +478,7 @@ export class Ticker
      * Triggers an update. An update entails setting the
      * current {@link PIXI.Ticker#elapsedMS},
      * the current {@link PIXI.Ticker#deltaTime},
+     * invoking the fixed-step listeners for each fixed step elapsed,
      * invoking all listeners with current deltaTime,
      * and then finally setting {@link PIXI.Ticker#lastTime}
      * with the value of currentTime that was provided.
@@ -415,19 +537,21 @@ export class Ticker
             this.deltaMS = elapsedMS;
             this.deltaTime = this.deltaMS * Ticker.targetFPMS;
 
+            this._updateFixed();
+
             // Cache a local reference, in-case ticker is destroyed
             // during the emit, we can still check for head.next
             const head = this._head;
 
             // Invoke listeners added to internal emitter
-            let listener = head.next;
+            let listener = head?.next;
 
             while (listener)
             {
                 listener = listener.emit(this.deltaTime);
             }
 
-            if (!head.next)
+            if (!this._hasListeners())
             {
                 this._cancelIfNeeded();
             }
@@ -440,6 +564,58 @@ export class Ticker
         this.lastTime = currentTime;
     }
 
+    /**
+     * Runs the fixed steps for the time elapsed since the last update, and updates
+     * {@link PIXI.Ticker#fixedAlpha} for the listeners called after them.
+     * @private
+     */
+    private _updateFixed(): void
+    {
+        const head = this._fixedHead;
+
+        this.fixedSteps = 0;
+
+        if (!head.next)
+        {
+            this._fixedAccumulatorMS = 0;
+            this.fixedAlpha = 0;
+
+            return;
+        }
+
+        const stepMS = this._fixedStepMS;
+        const deltaTime = stepMS * Ticker.targetFPMS;
+
+        this._fixedAccumulatorMS += this.deltaMS;
+
+        while (this._fixedAccumulatorMS >= stepMS && this.fixedSteps < this.maxFixedSteps)
+        {
+            this._fixedAccumulatorMS -= stepMS;
+            this.fixedSteps++;
+
+            let listener = head.next;
+
+            while (listener)
+            {
+                listener = listener.emit(deltaTime);
+            }
+
+            // The ticker was destroyed by a listener
+            if (!this._fixedHead)
+            {
+                return;
+            }
+        }
+
+        // Drop the steps that could not be caught up with, so they don't pile up
+        if (this._fixedAccumulatorMS >= stepMS)
+        {
+            this._fixedAccumulatorMS %= stepMS;
+        }
+
+        this.fixedAlpha = this._fixedAccumulatorMS / stepMS;
+    }
+
     /**
      * The frames per second at which this ticker is running.
      * The default is approximately 60 in most modern browsers.
@@ -514,6 +690,29 @@ export class Ticker
         }
     }
 
+    /**
+     * The duration in milliseconds of a fixed step, the fixed-step listeners are called with
+     * the scalar equivalent of it, like {@link PIXI.Ticker#deltaTime}.
+     * The steps are taken from the time elapsed, as capped by {@link PIXI.Ticker#minFPS} and scaled
+     * with {@link PIXI.Ticker#speed}.
+     * @member {number}
+     * @default 16.66
+     */
+    get fixedStepMS(): number
+    {
+        return this._fixedStepMS;
+    }
+
+    set fixedStepMS(ms: number)
+    {
+        if (!(ms > 0))
+        {
+            throw new Error(`Ticker fixedStepMS must be greater than 0, got ${ms}`);
+        }
+
+        this._fixedStepMS = ms;
+    }
+
     /**
      * The shared ticker instance used by {@link PIXI.AnimatedSprite} and by
      * {@link PIXI.VideoResource} to update animation frames / video textures.
@@ -450,4 +450,118 @@ describe('Ticker', () =>
 
         ticker.start();
     });
+
+    describe('fixed step', () =>
+    {
+        let ticker: Ticker;
+
+        beforeEach(() =>
+        {
+            ticker = new Ticker();
+            ticker.fixedStepMS = 10;
+            ticker.lastTime = 0;
+        });
+
+        afterEach(() =>
+        {
+            ticker.destroy();
+        });
+
+        it('should call fixed listeners once per step elapsed, before the other listeners', () =>
+        {
+            const calls: string[] = [];
+            const fixed = jest.fn(() => calls.push('fixed'));
+
+            ticker.addFixed(fixed);
+            ticker.add(() => calls.push('render'));
+
+            ticker.update(25);
+
+            expect(calls).toEqual(['fixed', 'fixed', 'render']);
+            expect(fixed).toHaveBeenCalledWith(10 * Ticker.targetFPMS);
+            expect(ticker.fixedSteps).toEqual(2);
+            expect(ticker.fixedAlpha).toBeCloseTo(0.5);
+
+            ticker.update(30);
+
+            expect(ticker.fixedSteps).toEqual(1);
+            expect(ticker.fixedAlpha).toBeCloseTo(0);
+
+            ticker.update(34);
+
+            expect(ticker.fixedSteps).toEqual(0);
+            expect(ticker.fixedAlpha).toBeCloseTo(0.4);
+            expect(fixed).toHaveBeenCalledTimes(3);
+        });
+
+        it('should respect the priority of fixed listeners', () =>
+        {
+            const calls: string[] = [];
+
+            ticker.addFixed(() => calls.push('low'), null, UPDATE_PRIORITY.LOW);
+            ticker.addFixed(() => calls.push('high'), null, UPDATE_PRIORITY.HIGH);
+
+            ticker.update(10);
+
+            expect(calls).toEqual(['high', 'low']);
+        });
+
+        it('should drop the steps beyond the maximum', () =>
+        {
+            const fixed = jest.fn();
+
+            ticker.maxFixedSteps = 3;
+            ticker.addFixed(fixed);
+
+            ticker.update(75);
+
+            expect(fixed).toHaveBeenCalledTimes(3);
+            expect(ticker.fixedAlpha).toBeCloseTo(0.5);
+
+            ticker.update(80);
+
+            expect(fixed).toHaveBeenCalledTimes(4);
+            expect(ticker.fixedAlpha).toBeCloseTo(0);
+        });
+
+        it('should add once and remove fixed listeners', () =>
+        {
+            const once = jest.fn();
+            const fixed = jest.fn();
+
+            ticker.addFixedOnce(once);
+            ticker.addFixed(fixed);
+
+            ticker.update(30);
+
+            expect(once).toHaveBeenCalledTimes(1);
+            expect(fixed).toHaveBeenCalledTimes(3);
+
+            ticker.removeFixed(fixed);
+            ticker.update(60);
+
+            expect(fixed).toHaveBeenCalledTimes(3);
+            expect(ticker.fixedAlpha).toEqual(0);
+        });
+
+        it('should keep the frames requested for fixed listeners only', () =>
+        {
+            const fixed = jest.fn();
+
+            ticker.start();
+            ticker.addFixed(fixed);
+
+            expect(ticker['_requestId']).not.toBeNull();
+
+            ticker.removeFixed(fixed);
+
+            expect(ticker['_requestId']).toBeNull();
+        });
+
+        it('should not allow a step of zero', () =>
+        {
+            expect(() => { ticker.fixedStepMS = 0; }).toThrow();
+            expect(ticker.fixedStepMS).toEqual(10);
+        });
+    });
 });
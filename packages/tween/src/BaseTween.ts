@@ -0,0 +1,386 @@
+import { utils } from '@pixi/core';
+
+import type { Timeline } from './Timeline';
+import type { TweenManager } from './TweenManager';
+
+/**
+ * Options shared by {@link PIXI.Tween tweens} and {@link PIXI.Timeline timelines}.
+ * @memberof PIXI
+ */
+export interface IBaseTweenOptions
+{
+    /**
+     * Milliseconds to wait before starting, once played.
+     * @default 0
+     */
+    delay?: number;
+    /**
+     * How many times it plays again after playing once, `-1` to repeat forever.
+     * @default 0
+     */
+    repeat?: number;
+    /**
+     * Whether it plays backward every other time it repeats.
+     * @default false
+     */
+    yoyo?: boolean;
+    /**
+     * Whether it waits for {@link PIXI.BaseTween#play} to be called before playing.
+     * @default false
+     */
+    paused?: boolean;
+}
+
+/**
+ * Events emitted by {@link PIXI.Tween tweens} and {@link PIXI.Timeline timelines}.
+ * @memberof PIXI
+ */
+export interface BaseTweenEvents
+{
+    /** It started playing, after its delay. */
+    start: [tween: BaseTween];
+    /** It applied its progress to its targets. */
+    update: [tween: BaseTween];
+    /** It started playing again. */
+    repeat: [tween: BaseTween];
+    /** It completed playing, including the repeats. */
+    complete: [tween: BaseTween];
+    /** It was killed before completing. */
+    kill: [tween: BaseTween];
+}
+
+/**
+ * The playback shared by {@link PIXI.Tween tweens} and {@link PIXI.Timeline timelines}: delay, repeat, yoyo,
+ * seeking, and the promise of completion.
+ *
+ * They are played by a {@link PIXI.TweenManager} on a ticker, or by the timeline they were added to.
+ * Their time is in milliseconds, and starts with their delay.
+ * @memberof PIXI
+ */
+export abstract class BaseTween extends utils.EventEmitter<BaseTweenEvents>
+{
+    /** Milliseconds to wait before starting, once played. */
+    public delay: number;
+
+    /** How many times it plays again after playing once, `-1` to repeat forever. */
+    public repeat: number;
+
+    /** Whether it plays backward every other time it repeats. */
+    public yoyo: boolean;
+
+    /** Whether the time is not advanced by {@link PIXI.BaseTween#update}. */
+    public paused: boolean;
+
+    /**
+     * The timeline it was added to, which plays it.
+     * @readonly
+     */
+    public parent: Timeline = null;
+
+    /**
+     * The manager it was added to, which plays it.
+     * @readonly
+     */
+    public manager: TweenManager = null;
+
+    /** The time played, from 0 to {@link PIXI.BaseTween#totalDuration}. */
+    protected _time = 0;
+
+    /** Whether it started playing, after its delay. */
+    protected _started = false;
+
+    /** Whether it completed playing, including the repeats. */
+    protected _completed = false;
+
+    /** Whether it was killed. */
+    protected _killed = false;
+
+    /** The index of the current repeat. */
+    private _iteration = 0;
+
+    /** The promise of completion, and how to resolve it. */
+    private _finished: Promise<boolean>;
+    private _resolve: (completed: boolean) => void;
+
+    /**
+     * @param options - The options of the playback
+     */
+    constructor(options: IBaseTweenOptions = {})
+    {
+        super();
+
+        this.delay = options.delay ?? 0;
+        this.repeat = options.repeat ?? 0;
+        this.yoyo = options.yoyo ?? false;
+        this.paused = options.paused ?? false;
+        this._resetFinished();
+    }
+
+    /** The milliseconds it takes to play once, without the delay and the repeats. */
+    public abstract get duration(): number;
+
+    /**
+     * The milliseconds it takes to play, with the delay and the repeats. This is `Infinity` if it repeats forever.
+     * @readonly
+     */
+    public get totalDuration(): number
+    {
+        if (this.repeat < 0)
+        {
+            return Infinity;
+        }
+
+        return this.delay + (this.duration * (this.repeat + 1));
+    }
+
+    /**
+     * The time played, from 0 to {@link PIXI.BaseTween#totalDuration}.
+     * @readonly
+     */
+    public get time(): number
+    {
+        return this._time;
+    }
+
+    /**
+     * Whether it started playing, after its delay.
+     * @readonly
+     */
+    public get started(): boolean
+    {
+        return this._started;
+    }
+
+    /**
+     * Whether it completed playing, including the repeats.
+     * @readonly
+     */
+    public get completed(): boolean
+    {
+        return this._completed;
+    }
+
+    /**
+     * Whether it was killed, it can not be played anymore.
+     * @readonly
+     */
+    public get killed(): boolean
+    {
+        return this._killed;
+    }
+
+    /**
+     * A promise resolved with `true` once it completes, or with `false` if it is killed before completing.
+     * @example
+     * await TweenManager.shared.to(door, { y: 0 }, { duration: 500 }).finished;
+     * @readonly
+     */
+    public get finished(): Promise<boolean>
+    {
+        return this._finished;
+    }
+
+    /**
+     * Advances the time played, unless it is paused.
+     * @param deltaMS - The milliseconds elapsed.
+     * @returns - This instance, for chaining.
+     */
+    public update(deltaMS: number): this
+    {
+        if (!this.paused)
+        {
+            this.seek(this._time + deltaMS);
+        }
+
+        return this;
+    }
+
+    /**
+     * Jumps to a time, and applies the progress at that time to the targets.
+     * @param time - The time, from 0 to {@link PIXI.BaseTween#totalDuration}.
+     * @returns - This instance, for chaining.
+     */
+    public seek(time: number): this
+    {
+        if (this._killed)
+        {
+            return this;
+        }
+
+        if (this.isTargetDestroyed())
+        {
+            this.kill();
+
+            return this;
+        }
+
+        const totalDuration = this.totalDuration;
+
+        time = Math.min(Math.max(time, 0), totalDuration);
+
+        if (this._started && time === this._time)
+        {
+            return this;
+        }
+
+        this._time = time;
+
+        if (!this._started)
+        {
+            if (time < this.delay)
+            {
+                return this;
+            }
+
+            this._started = true;
+            this.begin();
+            this.emit('start', this);
+        }
+
+        const duration = this.duration;
+        const elapsed = Math.max(time - this.delay, 0);
+        let iteration: number;
+        let progress: number;
+
+        if (time >= totalDuration || duration <= 0)
+        {
+            iteration = Math.max(this.repeat, 0);
+            progress = 1;
+        }
+        else
+        {
+            iteration = Math.floor(elapsed / duration);
+            progress = (elapsed - (iteration * duration)) / duration;
+        }
+
+        if (this.yoyo && iteration % 2 === 1)
+        {
+            progress = 1 - progress;
+        }
+
+        const repeated = iteration > this._iteration;
+
+        this._iteration = iteration;
+        this.render(progress);
+        this.emit('update', this);
+
+        if (repeated)
+        {
+            this.emit('repeat', this);
+        }
+
+        if (time < totalDuration)
+        {
+            this._completed = false;
+        }
+        else if (!this._completed)
+        {
+            this._completed = true;
+            this.emit('complete', this);
+            this._resolve(true);
+        }
+
+        return this;
+    }
+
+    /**
+     * Resumes playing.
+     * @returns - This instance, for chaining.
+     */
+    public play(): this
+    {
+        this.paused = false;
+
+        return this;
+    }
+
+    /**
+     * Pauses playing, keeping the time played.
+     * @returns - This instance, for chaining.
+     */
+    public pause(): this
+    {
+        this.paused = true;
+
+        return this;
+    }
+
+    /**
+     * Plays again from the start, with the delay. Once completed, a tween is removed from its
+     * {@link PIXI.TweenManager manager}, add it again to play it again.
+     * @returns - This instance, for chaining.
+     */
+    public restart(): this
+    {
+        if (this._completed)
+        {
+            this._resetFinished();
+        }
+
+        this._completed = false;
+        this._iteration = 0;
+        this.paused = false;
+
+        if (this._started)
+        {
+            this._time = 0;
+            this.render(0);
+        }
+
+        return this;
+    }
+
+    /**
+     * Stops playing for good, where it is. It is removed from its manager, and its promise of completion
+     * is resolved with `false` if it did not complete.
+     * @returns - This instance, for chaining.
+     */
+    public kill(): this
+    {
+        if (this._killed)
+        {
+            return this;
+        }
+
+        this._killed = true;
+        this.paused = true;
+
+        if (!this._completed)
+        {
+            this.emit('kill', this);
+            this._resolve(false);
+        }
+
+        this.manager?.remove(this);
+
+        return this;
+    }
+
+    /**
+     * Whether the targets were destroyed, to kill it instead of applying its progress to them.
+     * @returns - `true` if it must be killed.
+     */
+    protected isTargetDestroyed(): boolean
+    {
+        return false;
+    }
+
+    /** Called once when it starts playing, after its delay, e.g. to read the starting values of the targets. */
+    protected abstract begin(): void;
+
+    /**
+     * Applies the progress to the targets.
+     * @param progress - The progress of the current repeat, from 0 to 1. It goes backward every other repeat
+     *  if it yoyos.
+     */
+    protected abstract render(progress: number): void;
+
+    /** Creates the promise of completion. */
+    private _resetFinished(): void
+    {
+        this._finished = new Promise((resolve) =>
+        {
+            this._resolve = resolve;
+        });
+    }
+}
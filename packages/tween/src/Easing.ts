@@ -0,0 +1,109 @@
+/**
+ * An easing curve, mapping the linear progress of a tween to its eased progress.
+ * @memberof PIXI
+ * @param t - The linear progress, from 0 to 1.
+ * @returns - The eased progress, 0 at the start and 1 at the end. It may go past them in between.
+ */
+export type EasingFunction = (t: number) => number;
+
+/**
+ * Turns an easing into its `out` counterpart, starting fast instead of slow.
+ * @param ease - The `in` easing
+ * @returns - The `out` easing.
+ */
+const easeOut = (ease: EasingFunction): EasingFunction => (t) => 1 - ease(1 - t);
+
+/**
+ * Turns an easing into its `inOut` counterpart, slow at both ends.
+ * @param ease - The `in` easing
+ * @returns - The `inOut` easing.
+ */
+const easeInOut = (ease: EasingFunction): EasingFunction => (t) =>
+    (t < 0.5 ? ease(t * 2) / 2 : 1 - (ease((1 - t) * 2) / 2));
+
+const quad: EasingFunction = (t) => t * t;
+const cubic: EasingFunction = (t) => t * t * t;
+const quart: EasingFunction = (t) => t * t * t * t;
+const quint: EasingFunction = (t) => t * t * t * t * t;
+const sine: EasingFunction = (t) => 1 - Math.cos(t * Math.PI / 2);
+const expo: EasingFunction = (t) => (t === 0 ? 0 : Math.pow(2, 10 * (t - 1)));
+const circ: EasingFunction = (t) => 1 - Math.sqrt(1 - (t * t));
+const back: EasingFunction = (t) => t * t * ((2.70158 * t) - 1.70158);
+const elastic: EasingFunction = (t) =>
+    (t === 0 || t === 1 ? t : -Math.pow(2, 10 * (t - 1)) * Math.sin(((t - 1.075) * 2 * Math.PI) / 0.3));
+const bounceOut: EasingFunction = (t) =>
+{
+    if (t < 1 / 2.75)
+    {
+        return 7.5625 * t * t;
+    }
+    if (t < 2 / 2.75)
+    {
+        t -= 1.5 / 2.75;
+
+        return (7.5625 * t * t) + 0.75;
+    }
+    if (t < 2.5 / 2.75)
+    {
+        t -= 2.25 / 2.75;
+
+        return (7.5625 * t * t) + 0.9375;
+    }
+
+    t -= 2.625 / 2.75;
+
+    return (7.5625 * t * t) + 0.984375;
+};
+const bounce = easeOut(bounceOut);
+
+/**
+ * The standard easing curves, for the `ease` option of {@link PIXI.Tween tweens}.
+ *
+ * Each curve comes in three flavors: `in` starts slow, `out` ends slow, and `inOut` starts and ends slow.
+ * @example
+ * import { Easing, TweenManager } from 'pixi.js';
+ *
+ * TweenManager.shared.to(sprite, { y: 300 }, { duration: 1000, ease: Easing.bounceOut });
+ * // or by name
+ * TweenManager.shared.to(sprite, { y: 300 }, { duration: 1000, ease: 'bounceOut' });
+ * @memberof PIXI
+ */
+export const Easing = {
+    linear: ((t) => t) as EasingFunction,
+    quadIn: quad,
+    quadOut: easeOut(quad),
+    quadInOut: easeInOut(quad),
+    cubicIn: cubic,
+    cubicOut: easeOut(cubic),
+    cubicInOut: easeInOut(cubic),
+    quartIn: quart,
+    quartOut: easeOut(quart),
+    quartInOut: easeInOut(quart),
+    quintIn: quint,
+    quintOut: easeOut(quint),
+    quintInOut: easeInOut(quint),
+    sineIn: sine,
+    sineOut: easeOut(sine),
+    sineInOut: easeInOut(sine),
+    expoIn: expo,
+    expoOut: easeOut(expo),
+    expoInOut: easeInOut(expo),
+    circIn: circ,
+    circOut: easeOut(circ),
+    circInOut: easeInOut(circ),
+    backIn: back,
+    backOut: easeOut(back),
+    backInOut: easeInOut(back),
+    elasticIn: elastic,
+    elasticOut: easeOut(elastic),
+    elasticInOut: easeInOut(elastic),
+    bounceIn: bounce,
+    bounceOut,
+    bounceInOut: easeInOut(bounce),
+};
+
+/**
+ * The name of one of the standard {@link PIXI.Easing easing curves}.
+ * @memberof PIXI
+ */
+export type EasingName = keyof typeof Easing;
@@ -0,0 +1,191 @@
+import { BaseTween } from './BaseTween';
+
+/** A tween or timeline of a timeline, with the time it starts at. */
+interface ITimelineChild
+{
+    /** The tween or timeline. */
+    tween: BaseTween;
+    /** The time it starts at, in the time of the timeline without its delay. */
+    start: number;
+}
+
+/**
+ * Plays {@link PIXI.Tween tweens} and other timelines in sequence or in parallel, as a whole that can be
+ * delayed, repeated, yoyo'd, seeked and awaited like a tween.
+ *
+ * A timeline is played by a {@link PIXI.TweenManager}, or by another timeline. The tweens added to it are played
+ * by it, they can not be added to a manager.
+ * @example
+ * import { Timeline, Tween, TweenManager } from 'pixi.js';
+ *
+ * const intro = Timeline.sequence(
+ *     new Tween(logo, { alpha: 1 }, { duration: 300 }),
+ *     Timeline.parallel(
+ *         new Tween(logo, { scale: 1.2 }, { duration: 400, ease: 'backOut' }),
+ *         new Tween(background, { tint: 0x1099bb }, { duration: 400 }),
+ *     ),
+ * );
+ *
+ * // starts halfway through the last tween
+ * intro.add(new Tween(button, { y: 400 }, { duration: 300 }), intro.duration - 200);
+ *
+ * TweenManager.shared.add(intro);
+ * await intro.finished;
+ * @memberof PIXI
+ */
+export class Timeline extends BaseTween
+{
+    /** The tweens and timelines played, in the order they start. */
+    protected _children: ITimelineChild[] = [];
+
+    /** The time the children were last seeked to, to seek them in reverse order when going backward. */
+    private _lastTime = 0;
+
+    /**
+     * Creates a timeline playing tweens and timelines one after the other.
+     * @param tweens - The tweens and timelines
+     * @returns - The timeline
+     */
+    public static sequence(...tweens: BaseTween[]): Timeline
+    {
+        const timeline = new Timeline();
+
+        tweens.forEach((tween) => timeline.add(tween));
+
+        return timeline;
+    }
+
+    /**
+     * Creates a timeline playing tweens and timelines at the same time.
+     * @param tweens - The tweens and timelines
+     * @returns - The timeline
+     */
+    public static parallel(...tweens: BaseTween[]): Timeline
+    {
+        const timeline = new Timeline();
+
+        tweens.forEach((tween) => timeline.add(tween, 0));
+
+        return timeline;
+    }
+
+    /**
+     * The milliseconds it takes to play once, until the last of its tweens and timelines completes.
+     * @readonly
+     */
+    public get duration(): number
+    {
+        let duration = 0;
+
+        for (const { tween, start } of this._children)
+        {
+            duration = Math.max(duration, start + tween.totalDuration);
+        }
+
+        return duration;
+    }
+
+    /**
+     * The tweens and timelines played, in the order they start.
+     * @readonly
+     */
+    public get children(): BaseTween[]
+    {
+        return this._children.map((child) => child.tween);
+    }
+
+    /**
+     * Adds a tween or a timeline, which does not repeat forever.
+     * @param tween - The tween or timeline
+     * @param position - The time it starts at, in milliseconds from the start of the timeline without its delay.
+     *  By default, it starts once the timeline ends, playing in sequence.
+     * @returns - This instance, for chaining.
+     */
+    public add(tween: BaseTween, position = this.duration): this
+    {
+        if (tween.parent || tween.manager)
+        {
+            throw new Error('[Timeline] the tween is already played by a timeline or a manager');
+        }
+        if (tween.totalDuration === Infinity)
+        {
+            throw new Error('[Timeline] the tween repeats forever');
+        }
+
+        const start = Math.max(position, 0);
+        const index = this._children.findIndex((child) => child.start > start);
+
+        tween.parent = this;
+        this._children.splice(index === -1 ? this._children.length : index, 0, { tween, start });
+
+        return this;
+    }
+
+    /**
+     * Removes a tween or a timeline, leaving its targets as they are.
+     * @param tween - The tween or timeline
+     * @returns - This instance, for chaining.
+     */
+    public remove(tween: BaseTween): this
+    {
+        const index = this._children.findIndex((child) => child.tween === tween);
+
+        if (index !== -1)
+        {
+            this._children.splice(index, 1);
+            tween.parent = null;
+        }
+
+        return this;
+    }
+
+    /**
+     * Stops playing for good, with its tweens and timelines.
+     * @returns - This instance, for chaining.
+     */
+    public kill(): this
+    {
+        if (!this._killed)
+        {
+            super.kill();
+            this._children.forEach((child) => child.tween.kill());
+        }
+
+        return this;
+    }
+
+    /** Nothing to read when the timeline starts, its tweens read their values when they start. */
+    protected begin(): void
+    {
+        this._lastTime = 0;
+    }
+
+    /**
+     * Seeks the tweens and timelines to the time of the progress.
+     * @param progress - The progress of the current repeat, from 0 to 1.
+     */
+    protected render(progress: number): void
+    {
+        const time = progress * this.duration;
+        const children = this._children;
+
+        // Tweens of the same properties must be seeked in the order they start,
+        // or in reverse when going backward, for the last one seeked to set the values
+        if (time >= this._lastTime)
+        {
+            for (let i = 0; i < children.length; i++)
+            {
+                children[i].tween.seek(time - children[i].start);
+            }
+        }
+        else
+        {
+            for (let i = children.length - 1; i >= 0; i--)
+            {
+                children[i].tween.seek(time - children[i].start);
+            }
+        }
+
+        this._lastTime = time;
+    }
+}
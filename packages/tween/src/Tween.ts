@@ -0,0 +1,230 @@
+import { Color } from '@pixi/core';
+import { BaseTween } from './BaseTween';
+import { Easing } from './Easing';
+
+import type { ColorSource } from '@pixi/core';
+import type { IBaseTweenOptions } from './BaseTween';
+import type { EasingFunction, EasingName } from './Easing';
+
+/**
+ * The values a {@link PIXI.Tween} animates the properties of its target to, or from.
+ *
+ * Values are numbers, or colors for the {@link PIXI.Tween.colorProperties color properties} and the properties
+ * holding a {@link PIXI.Color}. Nested objects animate the properties of the objects held by the target, e.g.
+ * `{ scale: { x: 2 } }`, and a number for a point like `position` or `scale` animates both its `x` and `y`.
+ * @memberof PIXI
+ */
+export interface ITweenProps
+{
+    [key: string]: number | ColorSource | ITweenProps;
+}
+
+/**
+ * Options of a {@link PIXI.Tween}.
+ * @memberof PIXI
+ */
+export interface ITweenOptions extends IBaseTweenOptions
+{
+    /**
+     * The milliseconds it takes to play once.
+     * @default 1000
+     */
+    duration?: number;
+    /**
+     * The easing curve, or the name of one of the standard {@link PIXI.Easing easing curves}.
+     * @default 'linear'
+     */
+    ease?: EasingFunction | EasingName;
+    /** The values to animate the properties from. They are the values of the target when it starts by default. */
+    from?: ITweenProps;
+}
+
+/** A property animated by a tween. */
+interface ITweenChannel
+{
+    /** The object holding the property, the target or one of the objects it holds. */
+    object: Record<string, any>;
+    /** The name of the property. */
+    key: string;
+    /** The starting value, or the starting color components. */
+    start: number | number[];
+    /** The ending value, or the ending color components. */
+    end: number | number[];
+}
+
+/**
+ * Animates the properties of a target, e.g. a display object, from their values to other values.
+ *
+ * Tweens are played by a {@link PIXI.TweenManager}, which creates them with {@link PIXI.TweenManager#to},
+ * {@link PIXI.TweenManager#from} and {@link PIXI.TweenManager#fromTo}, or by a {@link PIXI.Timeline}.
+ * They are killed once their target is destroyed.
+ * @example
+ * import { Tween, TweenManager } from 'pixi.js';
+ *
+ * const tween = new Tween(sprite, { alpha: 0, scale: 2, tint: 'red' }, { duration: 500, ease: 'quadOut' });
+ *
+ * TweenManager.shared.add(tween);
+ * await tween.finished;
+ * @memberof PIXI
+ */
+export class Tween<T extends object = any> extends BaseTween
+{
+    /**
+     * The names of the properties animated as colors, e.g. the `tint` of sprites. The properties holding a
+     * {@link PIXI.Color} are animated as colors too.
+     * @static
+     */
+    public static colorProperties: string[] = ['tint'];
+
+    /** The object whose properties are animated. */
+    public readonly target: T;
+
+    /** The easing curve. */
+    public ease: EasingFunction;
+
+    /** The values to animate the properties to, the values of the target when it starts if not set. */
+    protected _to: ITweenProps;
+
+    /** The values to animate the properties from, the values of the target when it starts if not set. */
+    protected _from: ITweenProps;
+
+    /** The properties animated, read once it starts. */
+    protected _channels: ITweenChannel[] = null;
+
+    /** Internal value managed by duration property getter. */
+    private _duration: number;
+
+    /**
+     * @param target - The object whose properties are animated
+     * @param to - The values to animate the properties to, the values of the target when it starts if null
+     * @param options - The options of the tween
+     */
+    constructor(target: T, to: ITweenProps, options: ITweenOptions = {})
+    {
+        super(options);
+
+        const ease = options.ease ?? 'linear';
+
+        this.target = target;
+        this.ease = typeof ease === 'string' ? Easing[ease] : ease;
+        this._to = to;
+        this._from = options.from ?? null;
+        this._duration = Math.max(options.duration ?? 1000, 0);
+
+        if (!this.ease)
+        {
+            throw new Error(`[Tween] unknown easing ${ease}`);
+        }
+    }
+
+    /**
+     * The milliseconds it takes to play once, without the delay and the repeats.
+     * @readonly
+     */
+    public get duration(): number
+    {
+        return this._duration;
+    }
+
+    /**
+     * Whether the target was destroyed, i.e. it has a truthy `destroyed` flag like display objects do.
+     * @returns - `true` if it must be killed.
+     */
+    protected isTargetDestroyed(): boolean
+    {
+        return !!(this.target as { destroyed?: boolean }).destroyed;
+    }
+
+    /** Reads the starting and ending values of the properties, the first time it starts. */
+    protected begin(): void
+    {
+        if (!this._channels)
+        {
+            this._channels = [];
+            this._readChannels(this.target as Record<string, any>, this._from, this._to);
+        }
+    }
+
+    /**
+     * Applies the eased progress to the properties.
+     * @param progress - The progress of the current repeat, from 0 to 1.
+     */
+    protected render(progress: number): void
+    {
+        const t = progress === 0 || progress === 1 ? progress : this.ease(progress);
+        const channels = this._channels;
+
+        for (let i = 0; i < channels.length; i++)
+        {
+            const { object, key, start, end } = channels[i];
+
+            if (typeof start === 'number')
+            {
+                object[key] = start + (((end as number) - start) * t);
+            }
+            else
+            {
+                const color = object[key] instanceof Color ? object[key] : Color.shared;
+                const components = (end as number[]).map((value, j) => start[j] + ((value - start[j]) * t));
+
+                color.setValue(components);
+
+                if (color === Color.shared)
+                {
+                    object[key] = color.toNumber();
+                }
+            }
+        }
+    }
+
+    /**
+     * Reads the starting and ending values of the properties of an object.
+     * @param object - The target, or an object it holds
+     * @param from - The starting values of the properties, or null
+     * @param to - The ending values of the properties, or null
+     */
+    private _readChannels(object: Record<string, any>, from: ITweenProps, to: ITweenProps): void
+    {
+        const keys = new Set([...Object.keys(from ?? {}), ...Object.keys(to ?? {})]);
+
+        for (const key of keys)
+        {
+            const current = object[key];
+            const start = from?.[key] ?? current;
+            const end = to?.[key] ?? current;
+
+            if (Tween.colorProperties.includes(key) || current instanceof Color)
+            {
+                this._channels.push({
+                    object,
+                    key,
+                    start: new Color(start as ColorSource).toArray(),
+                    end: new Color(end as ColorSource).toArray(),
+                });
+            }
+            else if (typeof current === 'object' && current !== null)
+            {
+                this._readChannels(current, Tween._toProps(from?.[key]), Tween._toProps(to?.[key]));
+            }
+            else
+            {
+                this._channels.push({ object, key, start: Number(start), end: Number(end) });
+            }
+        }
+    }
+
+    /**
+     * Turns the value of a point property into values for its `x` and `y`, for a number.
+     * @param value - The value of the property, or undefined.
+     * @returns - The values of the properties of the point, or undefined.
+     */
+    private static _toProps(value: number | ColorSource | ITweenProps): ITweenProps
+    {
+        if (typeof value === 'number')
+        {
+            return { x: value, y: value };
+        }
+
+        return value as ITweenProps;
+    }
+}
@@ -0,0 +1,203 @@
+import { Ticker, UPDATE_PRIORITY } from '@pixi/core';
+import { Tween } from './Tween';
+
+import type { BaseTween } from './BaseTween';
+import type { ITweenOptions, ITweenProps } from './Tween';
+
+/**
+ * Plays {@link PIXI.Tween tweens} and {@link PIXI.Timeline timelines} on a {@link PIXI.Ticker}.
+ *
+ * The time of the tweens is advanced by the {@link PIXI.Ticker#deltaMS} of the ticker, so they follow its
+ * {@link PIXI.Ticker#speed speed}, and they are paused while it is stopped. The tweens are removed once they
+ * complete or are killed, e.g. once their target is destroyed.
+ * @example
+ * import { TweenManager } from 'pixi.js';
+ *
+ * const tweens = new TweenManager(app.ticker);
+ *
+ * tweens.to(sprite, { x: 400, rotation: Math.PI }, { duration: 800, ease: 'cubicInOut', yoyo: true, repeat: -1 });
+ * tweens.from(title, { alpha: 0, position: { y: -100 } }, { duration: 500 });
+ *
+ * // pauses all the tweens of the manager
+ * app.ticker.stop();
+ * @memberof PIXI
+ */
+export class TweenManager
+{
+    /** The private shared manager instance. */
+    private static _shared: TweenManager;
+
+    /** The ticker playing the tweens. */
+    public readonly ticker: Ticker;
+
+    /** The tweens and timelines played. */
+    private _tweens: BaseTween[] = [];
+
+    /**
+     * @param ticker - The ticker playing the tweens
+     */
+    constructor(ticker: Ticker = Ticker.shared)
+    {
+        this.ticker = ticker;
+    }
+
+    /**
+     * The tweens and timelines played.
+     * @readonly
+     */
+    public get tweens(): readonly BaseTween[]
+    {
+        return this._tweens;
+    }
+
+    /**
+     * Plays a tween or a timeline.
+     * @param tween - The tween or timeline
+     * @returns - The tween or timeline.
+     */
+    public add<T extends BaseTween>(tween: T): T
+    {
+        if (tween.manager === this)
+        {
+            return tween;
+        }
+        if (tween.parent || tween.manager)
+        {
+            throw new Error('[TweenManager] the tween is already played by a timeline or a manager');
+        }
+
+        tween.manager = this;
+        this._tweens.push(tween);
+
+        if (this._tweens.length === 1)
+        {
+            this.ticker.add(this._update, this, UPDATE_PRIORITY.HIGH);
+        }
+
+        return tween;
+    }
+
+    /**
+     * Stops playing a tween or a timeline, leaving its targets as they are.
+     * @param tween - The tween or timeline
+     * @returns - This instance, for chaining.
+     */
+    public remove(tween: BaseTween): this
+    {
+        const index = this._tweens.indexOf(tween);
+
+        if (index !== -1)
+        {
+            this._tweens.splice(index, 1);
+            tween.manager = null;
+
+            if (this._tweens.length === 0)
+            {
+                this.ticker.remove(this._update, this);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Animates the properties of a target from their values to other values.
+     * @param target - The object whose properties are animated
+     * @param to - The values to animate the properties to
+     * @param options - The options of the tween
+     * @returns - The tween played.
+     */
+    public to<T extends object>(target: T, to: ITweenProps, options?: ITweenOptions): Tween<T>
+    {
+        return this.add(new Tween(target, to, options));
+    }
+
+    /**
+     * Animates the properties of a target from other values to their values.
+     * @param target - The object whose properties are animated
+     * @param from - The values to animate the properties from
+     * @param options - The options of the tween
+     * @returns - The tween played.
+     */
+    public from<T extends object>(target: T, from: ITweenProps, options?: ITweenOptions): Tween<T>
+    {
+        return this.add(new Tween(target, null, { ...options, from }));
+    }
+
+    /**
+     * Animates the properties of a target between other values.
+     * @param target - The object whose properties are animated
+     * @param from - The values to animate the properties from
+     * @param to - The values to animate the properties to
+     * @param options - The options of the tween
+     * @returns - The tween played.
+     */
+    public fromTo<T extends object>(target: T, from: ITweenProps, to: ITweenProps, options?: ITweenOptions): Tween<T>
+    {
+        return this.add(new Tween(target, to, { ...options, from }));
+    }
+
+    /**
+     * Kills the tweens played for a target, not the tweens in timelines.
+     * @param target - The object whose properties are animated
+     * @returns - This instance, for chaining.
+     */
+    public killTweensOf(target: object): this
+    {
+        this._tweens
+            .filter((tween) => tween instanceof Tween && tween.target === target)
+            .forEach((tween) => tween.kill());
+
+        return this;
+    }
+
+    /**
+     * Kills all the tweens and timelines played, and stops listening to the ticker.
+     * The manager can be used again afterwards.
+     */
+    public destroy(): void
+    {
+        this._tweens.slice().forEach((tween) => tween.kill());
+        this._tweens.length = 0;
+        this.ticker.remove(this._update, this);
+    }
+
+    /** Advances the tweens by the time elapsed on the ticker, and removes those completed or killed. */
+    private _update(): void
+    {
+        const deltaMS = this.ticker.deltaMS;
+        const tweens = this._tweens.slice();
+
+        for (let i = 0; i < tweens.length; i++)
+        {
+            const tween = tweens[i];
+
+            if (tween.manager !== this)
+            {
+                continue;
+            }
+
+            tween.update(deltaMS);
+
+            if (tween.completed || tween.killed)
+            {
+                this.remove(tween);
+            }
+        }
+    }
+
+    /**
+     * The shared manager instance, playing tweens on the {@link PIXI.Ticker.shared shared ticker}.
+     * @member {PIXI.TweenManager}
+     * @static
+     */
+    static get shared(): TweenManager
+    {
+        if (!TweenManager._shared)
+        {
+            TweenManager._shared = new TweenManager();
+        }
+
+        return TweenManager._shared;
+    }
+}
@@ -0,0 +1,5 @@
+export * from './BaseTween';
+export * from './Easing';
+export * from './Timeline';
+export * from './Tween';
+export * from './TweenManager';
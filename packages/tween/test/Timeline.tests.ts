@@ -0,0 +1,129 @@
+import { Timeline, Tween } from '@pixi/tween';
+
+describe('Timeline', () =>
+{
+    it('should play tweens in sequence', () =>
+    {
+        const target = { x: 0, y: 0 };
+        const timeline = Timeline.sequence(
+            new Tween(target, { x: 100 }, { duration: 100 }),
+            new Tween(target, { y: 100 }, { duration: 100 }),
+        );
+
+        expect(timeline.duration).toEqual(200);
+
+        timeline.update(150);
+
+        expect(target).toEqual({ x: 100, y: 50 });
+
+        timeline.update(50);
+
+        expect(target).toEqual({ x: 100, y: 100 });
+        expect(timeline.completed).toBe(true);
+    });
+
+    it('should play tweens in parallel', () =>
+    {
+        const target = { x: 0, y: 0 };
+        const timeline = Timeline.parallel(
+            new Tween(target, { x: 100 }, { duration: 100 }),
+            new Tween(target, { y: 100 }, { duration: 200 }),
+        );
+
+        expect(timeline.duration).toEqual(200);
+
+        timeline.update(50);
+
+        expect(target).toEqual({ x: 50, y: 25 });
+    });
+
+    it('should play tweens at a position', () =>
+    {
+        const target = { x: 0, y: 0 };
+        const timeline = new Timeline()
+            .add(new Tween(target, { x: 100 }, { duration: 100 }))
+            .add(new Tween(target, { y: 100 }, { duration: 100 }), 50);
+
+        expect(timeline.duration).toEqual(150);
+
+        timeline.update(75);
+
+        expect(target).toEqual({ x: 75, y: 25 });
+    });
+
+    it('should seek tweens of the same property backward', () =>
+    {
+        const target = { x: 0 };
+        const timeline = Timeline.sequence(
+            new Tween(target, { x: 100 }, { duration: 100 }),
+            new Tween(target, { x: 0 }, { duration: 100 }),
+        );
+
+        timeline.seek(200);
+        expect(target.x).toEqual(0);
+
+        timeline.seek(50);
+        expect(target.x).toEqual(50);
+
+        timeline.seek(150);
+        expect(target.x).toEqual(50);
+    });
+
+    it('should repeat and yoyo with its tweens', () =>
+    {
+        const target = { x: 0, y: 0 };
+        const timeline = new Timeline({ repeat: 1, yoyo: true, delay: 100 });
+
+        timeline.add(new Tween(target, { x: 100 }, { duration: 100 }));
+        timeline.add(new Tween(target, { y: 100 }, { duration: 100 }));
+
+        expect(timeline.totalDuration).toEqual(500);
+
+        timeline.update(350);
+
+        expect(target).toEqual({ x: 100, y: 50 });
+
+        timeline.update(100);
+
+        expect(target).toEqual({ x: 50, y: 0 });
+
+        timeline.update(50);
+
+        expect(target).toEqual({ x: 0, y: 0 });
+        expect(timeline.completed).toBe(true);
+    });
+
+    it('should nest timelines', async () =>
+    {
+        const target = { x: 0, y: 0 };
+        const timeline = Timeline.sequence(
+            new Tween(target, { x: 100 }, { duration: 100 }),
+            Timeline.parallel(new Tween(target, { y: 100 }, { duration: 100 })),
+        );
+
+        timeline.update(300);
+
+        expect(target).toEqual({ x: 100, y: 100 });
+        await expect(timeline.finished).resolves.toBe(true);
+    });
+
+    it('should not add tweens played elsewhere or repeating forever', () =>
+    {
+        const tween = new Tween({ x: 0 }, { x: 100 });
+
+        Timeline.sequence(tween);
+
+        expect(() => new Timeline().add(tween)).toThrow();
+        expect(() => new Timeline().add(new Tween({ x: 0 }, { x: 100 }, { repeat: -1 }))).toThrow();
+    });
+
+    it('should kill its tweens', () =>
+    {
+        const tween = new Tween({ x: 0 }, { x: 100 });
+        const timeline = Timeline.sequence(tween);
+
+        timeline.kill();
+
+        expect(tween.killed).toBe(true);
+    });
+});
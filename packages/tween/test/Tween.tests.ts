@@ -0,0 +1,207 @@
+import { Color, ObservablePoint } from '@pixi/core';
+import { Container } from '@pixi/display';
+import { Easing, Tween } from '@pixi/tween';
+
+describe('Tween', () =>
+{
+    it('should animate numeric properties with an easing', () =>
+    {
+        const target = { x: 0, y: 10 };
+        const tween = new Tween(target, { x: 100, y: 20 }, { duration: 100, ease: 'quadIn' });
+
+        tween.update(50);
+
+        expect(target.x).toBeCloseTo(25);
+        expect(target.y).toBeCloseTo(12.5);
+
+        tween.update(50);
+
+        expect(target.x).toEqual(100);
+        expect(target.y).toEqual(20);
+        expect(tween.completed).toBe(true);
+    });
+
+    it('should animate the fields of points', () =>
+    {
+        const container = new Container();
+        const tween = new Tween(container, { position: { x: 100 }, scale: 3 }, { duration: 100 });
+
+        tween.seek(50);
+
+        expect(container.position.x).toEqual(50);
+        expect(container.position.y).toEqual(0);
+        expect(container.scale.x).toEqual(2);
+        expect(container.scale.y).toEqual(2);
+
+        const point = new ObservablePoint(() => { /* noop */ }, null, 0, 0);
+
+        new Tween(point, { y: 10 }, { duration: 100 }).seek(100);
+
+        expect(point.y).toEqual(10);
+    });
+
+    it('should animate colors', () =>
+    {
+        const target = { tint: 0xff0000, color: new Color('black') };
+        const tween = new Tween(target, { tint: 0x0000ff, color: 'white' }, { duration: 100 });
+
+        tween.seek(50);
+
+        expect(new Color(target.tint).red).toBeCloseTo(0.5, 2);
+        expect(new Color(target.tint).green).toEqual(0);
+        expect(new Color(target.tint).blue).toBeCloseTo(0.5, 2);
+        expect(target.color.red).toBeCloseTo(0.5);
+
+        tween.seek(100);
+
+        expect(target.tint).toEqual(0x0000ff);
+        expect(target.color.toNumber()).toEqual(0xffffff);
+    });
+
+    it('should animate from values', () =>
+    {
+        const target = { x: 100 };
+        const tween = new Tween(target, null, { duration: 100, from: { x: 0 } });
+
+        tween.seek(25);
+
+        expect(target.x).toEqual(25);
+
+        tween.seek(100);
+
+        expect(target.x).toEqual(100);
+    });
+
+    it('should wait for the delay before reading the values', () =>
+    {
+        const target = { x: 0 };
+        const onStart = jest.fn();
+        const tween = new Tween(target, { x: 100 }, { duration: 100, delay: 50 }).on('start', onStart);
+
+        tween.update(40);
+        target.x = 50;
+
+        expect(onStart).not.toHaveBeenCalled();
+
+        tween.update(60);
+
+        expect(onStart).toHaveBeenCalledTimes(1);
+        expect(target.x).toEqual(75);
+    });
+
+    it('should repeat and yoyo', () =>
+    {
+        const target = { x: 0 };
+        const onRepeat = jest.fn();
+        const onComplete = jest.fn();
+        const tween = new Tween(target, { x: 100 }, { duration: 100, repeat: 2, yoyo: true })
+            .on('repeat', onRepeat)
+            .on('complete', onComplete);
+
+        expect(tween.totalDuration).toEqual(300);
+
+        tween.update(75);
+        expect(target.x).toEqual(75);
+
+        tween.update(50);
+        expect(target.x).toEqual(75);
+        expect(onRepeat).toHaveBeenCalledTimes(1);
+
+        tween.update(100);
+        expect(target.x).toEqual(25);
+        expect(onRepeat).toHaveBeenCalledTimes(2);
+        expect(onComplete).not.toHaveBeenCalled();
+
+        tween.update(100);
+        expect(target.x).toEqual(100);
+        expect(onComplete).toHaveBeenCalledTimes(1);
+    });
+
+    it('should repeat forever', () =>
+    {
+        const target = { x: 0 };
+        const tween = new Tween(target, { x: 100 }, { duration: 100, repeat: -1 });
+
+        expect(tween.totalDuration).toEqual(Infinity);
+
+        tween.update(1050);
+
+        expect(target.x).toEqual(50);
+        expect(tween.completed).toBe(false);
+    });
+
+    it('should not advance while paused', () =>
+    {
+        const target = { x: 0 };
+        const tween = new Tween(target, { x: 100 }, { duration: 100, paused: true });
+
+        tween.update(50);
+        expect(target.x).toEqual(0);
+
+        tween.play().update(50);
+        expect(target.x).toEqual(50);
+    });
+
+    it('should restart from the values it started from', () =>
+    {
+        const target = { x: 0 };
+        const tween = new Tween(target, { x: 100 }, { duration: 100 });
+
+        tween.update(100);
+        tween.restart();
+
+        expect(target.x).toEqual(0);
+
+        tween.update(50);
+
+        expect(target.x).toEqual(50);
+    });
+
+    it('should resolve the promise of completion', async () =>
+    {
+        const tween = new Tween({ x: 0 }, { x: 100 }, { duration: 100 });
+
+        tween.update(100);
+
+        await expect(tween.finished).resolves.toBe(true);
+
+        const killed = new Tween({ x: 0 }, { x: 100 }, { duration: 100 });
+
+        killed.update(50).kill();
+
+        await expect(killed.finished).resolves.toBe(false);
+    });
+
+    it('should be killed once its target is destroyed', async () =>
+    {
+        const container = new Container();
+        const tween = new Tween(container, { alpha: 0 }, { duration: 100 });
+
+        tween.update(50);
+        container.destroy();
+        tween.update(10);
+
+        expect(tween.killed).toBe(true);
+        await expect(tween.finished).resolves.toBe(false);
+    });
+
+    it('should throw for an unknown easing', () =>
+    {
+        expect(() => new Tween({}, {}, { ease: 'nope' as keyof typeof Easing })).toThrow();
+    });
+
+    it('should ease from 0 to 1', () =>
+    {
+        for (const name in Easing)
+        {
+            const ease = Easing[name as keyof typeof Easing];
+
+            expect(ease(0)).toBeCloseTo(0);
+            expect(ease(1)).toBeCloseTo(1);
+        }
+
+        expect(Easing.quadOut(0.5)).toEqual(0.75);
+        expect(Easing.cubicInOut(0.5)).toEqual(0.5);
+        expect(Easing.bounceOut(0.5)).toBeCloseTo(0.765625);
+    });
+});
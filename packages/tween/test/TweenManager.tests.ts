@@ -0,0 +1,111 @@
+import { Ticker } from '@pixi/core';
+import { Container } from '@pixi/display';
+import { Timeline, Tween, TweenManager } from '@pixi/tween';
+
+describe('TweenManager', () =>
+{
+    let ticker: Ticker;
+    let tweens: TweenManager;
+
+    beforeEach(() =>
+    {
+        ticker = new Ticker();
+        ticker.lastTime = 0;
+        tweens = new TweenManager(ticker);
+    });
+
+    afterEach(() =>
+    {
+        tweens.destroy();
+        ticker.destroy();
+    });
+
+    it('should play tweens on the ticker', () =>
+    {
+        const target = { x: 0 };
+        const tween = tweens.to(target, { x: 100 }, { duration: 100 });
+
+        expect(ticker.count).toEqual(1);
+
+        ticker.update(50);
+
+        expect(target.x).toEqual(50);
+
+        ticker.update(100);
+
+        expect(target.x).toEqual(100);
+        expect(tween.manager).toBeNull();
+        expect(tweens.tweens).toHaveLength(0);
+        expect(ticker.count).toEqual(0);
+    });
+
+    it('should follow the speed of the ticker', () =>
+    {
+        const target = { x: 0 };
+
+        ticker.speed = 0.5;
+        tweens.to(target, { x: 100 }, { duration: 100 });
+        ticker.update(50);
+
+        expect(target.x).toEqual(25);
+    });
+
+    it('should play from and fromTo tweens', () =>
+    {
+        const target = { x: 100, y: 0 };
+
+        tweens.from(target, { x: 0 }, { duration: 100 });
+        tweens.fromTo(target, { y: 50 }, { y: 150 }, { duration: 100 });
+        ticker.update(50);
+
+        expect(target).toEqual({ x: 50, y: 100 });
+    });
+
+    it('should play timelines', () =>
+    {
+        const target = { x: 0, y: 0 };
+
+        tweens.add(Timeline.sequence(
+            new Tween(target, { x: 100 }, { duration: 100 }),
+            new Tween(target, { y: 100 }, { duration: 100 }),
+        ));
+        ticker.update(100);
+        ticker.update(150);
+
+        expect(target).toEqual({ x: 100, y: 50 });
+    });
+
+    it('should remove the tweens of destroyed targets', async () =>
+    {
+        const container = new Container();
+        const tween = tweens.to(container, { x: 100 }, { duration: 100 });
+
+        ticker.update(50);
+        container.destroy();
+        ticker.update(60);
+
+        expect(tweens.tweens).toHaveLength(0);
+        await expect(tween.finished).resolves.toBe(false);
+    });
+
+    it('should kill the tweens of a target', () =>
+    {
+        const target = { x: 0 };
+        const other = tweens.to({ x: 0 }, { x: 100 });
+        const tween = tweens.to(target, { x: 100 });
+
+        tweens.killTweensOf(target);
+
+        expect(tween.killed).toBe(true);
+        expect(tweens.tweens).toEqual([other]);
+    });
+
+    it('should not play tweens played elsewhere', () =>
+    {
+        const tween = new Tween({ x: 0 }, { x: 100 });
+
+        Timeline.sequence(tween);
+
+        expect(() => tweens.add(tween)).toThrow();
+    });
+});